@@ -0,0 +1,80 @@
+/**
+ * Admin Sessions API - Inspect and terminate MCP sessions over HTTP
+ *
+ * Mounted under /admin behind the API key middleware; every route requires the
+ * `sessions:admin` scope.
+ *
+ * Endpoints:
+ * - GET /admin/sessions: Open sessions and session metrics (?clientId= to filter)
+ * - GET /admin/sessions/:sessionId: One session
+ * - DELETE /admin/sessions/:sessionId: Close a session and remove its alert
+ *   subscriptions (?removeSubscriptions=false to keep them)
+ */
+
+import express from 'express';
+import sessionManager from '../services/session-manager.js';
+import { hasScope } from '../utils/tool-scopes.js';
+import logger from '../utils/logger.js';
+
+export const SESSIONS_ADMIN_SCOPE = 'sessions:admin';
+
+/**
+ * Create the admin sessions router
+ * @param {Object} [options] - Router options
+ * @param {Object} [options.sessions=sessionManager] - Session manager
+ * @returns {express.Router} Router to mount under /admin
+ */
+export function createAdminSessionsRouter({ sessions = sessionManager } = {}) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    if (hasScope(req.apiKey?.scopes || [], SESSIONS_ADMIN_SCOPE)) {
+      next();
+      return;
+    }
+    logger.warn({ apiKeyId: req.apiKey?.id, path: req.path }, 'Admin request denied: insufficient scope');
+    res.status(403).json({ error: `Requires the '${SESSIONS_ADMIN_SCOPE}' scope` });
+  });
+
+  router.get('/sessions', (req, res) => {
+    res.json({
+      sessions: sessions.list({ clientId: req.query.clientId }),
+      metrics: sessions.getMetrics(),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  router.get('/sessions/:sessionId', (req, res) => {
+    const session = sessions.get(req.params.sessionId);
+    if (!session) {
+      res.status(404).json({ error: 'Session not found' });
+      return;
+    }
+    res.json({ session });
+  });
+
+  router.delete('/sessions/:sessionId', async (req, res) => {
+    try {
+      const terminated = await sessions.terminate(req.params.sessionId, {
+        removeSubscriptions: req.query.removeSubscriptions !== 'false'
+      });
+      if (!terminated) {
+        res.status(404).json({ error: 'Session not found' });
+        return;
+      }
+
+      logger.warn({
+        apiKeyId: req.apiKey.id,
+        terminatedSessionId: terminated.sessionId,
+        sessionClientId: terminated.clientId,
+        removedSubscriptions: terminated.removedSubscriptions.length
+      }, 'MCP session terminated by admin');
+      res.json({ terminated: true, session: terminated });
+    } catch (error) {
+      logger.error({ sessionId: req.params.sessionId, error: error.message }, 'Failed to terminate MCP session');
+      res.status(500).json({ error: 'Failed to terminate session' });
+    }
+  });
+
+  return router;
+}
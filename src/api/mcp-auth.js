@@ -0,0 +1,75 @@
+/**
+ * MCP HTTP Authentication - API key middleware for the /mcp endpoint
+ *
+ * Every POST, GET and DELETE to /mcp must carry `Authorization: Bearer <api key>`.
+ * The key is checked on every request (not just when the session is created), so a
+ * revoked key stops working immediately, and a session can only be used with the
+ * key that created it. The key identity is attached to req.apiKey and to the
+ * request context, which tags every log line written while handling the request.
+ * The key's scopes are passed to the MCP server as req.auth (the SDK's AuthInfo),
+ * which reaches request handlers as extra.authInfo.
+ */
+
+import apiKeyService from '../services/api-key-service.js';
+import sessionManager from '../services/session-manager.js';
+import { requestContext } from '../utils/request-context.js';
+import { parseBearerToken } from '../utils/api-keys.js';
+import { sendJsonRpcError, JSON_RPC_ERRORS } from './mcp-limits.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Create the /mcp authentication middleware
+ * @param {Object} options - Middleware options
+ * @param {Object} [options.sessions=sessionManager] - Session registry exposing getClientId(sessionId)
+ * @param {Object} [options.keyService=apiKeyService] - Key validator exposing authenticate(header)
+ * @returns {Function} Express middleware
+ */
+export function createMcpAuthMiddleware({ sessions = sessionManager, keyService = apiKeyService } = {}) {
+  return async function authenticateMcpRequest(req, res, next) {
+    // CORS preflight carries no credentials
+    if (req.method === 'OPTIONS') {
+      next();
+      return;
+    }
+
+    let result;
+    try {
+      result = await keyService.authenticate(req.headers.authorization);
+    } catch (error) {
+      logger.error({ error: error.message, method: req.method }, 'API key validation failed');
+      sendJsonRpcError(req, res, 503, JSON_RPC_ERRORS.SERVER_ERROR, 'Authentication unavailable');
+      return;
+    }
+
+    if (!result.valid) {
+      logger.warn({
+        method: req.method,
+        reason: result.error,
+        userAgent: req.headers['user-agent']
+      }, 'Rejected unauthenticated MCP request');
+      res.setHeader('WWW-Authenticate', 'Bearer realm="honeypot-mcp"');
+      sendJsonRpcError(req, res, 401, JSON_RPC_ERRORS.SERVER_ERROR, 'Invalid or missing API key', { reason: 'unauthorized' });
+      return;
+    }
+
+    const mcpSessionId = req.headers['mcp-session-id'] || req.query.sessionId;
+    const owner = mcpSessionId ? sessions.getClientId(mcpSessionId) : undefined;
+    if (owner && owner !== result.apiKey.id) {
+      logger.warn({
+        apiKeyId: result.apiKey.id,
+        mcpSessionId,
+        method: req.method
+      }, 'Rejected MCP request for a session created by another API key');
+      sendJsonRpcError(req, res, 403, JSON_RPC_ERRORS.SERVER_ERROR, 'Session belongs to another API key', { reason: 'forbidden' });
+      return;
+    }
+
+    req.apiKey = result.apiKey;
+    req.auth = {
+      token: parseBearerToken(req.headers.authorization),
+      clientId: result.apiKey.id,
+      scopes: result.apiKey.scopes
+    };
+    requestContext.run({ apiKeyId: result.apiKey.id, mcpSessionId: mcpSessionId || undefined }, next);
+  };
+}
@@ -0,0 +1,144 @@
+/**
+ * MCP HTTP Limits - Abuse protection for the /mcp endpoint
+ *
+ * - Fixed-window rate limits per client IP (checked before authentication, so key
+ *   guessing is throttled too) and per API key
+ * - Request body size limit, with oversized and malformed bodies rejected up front
+ *
+ * Session caps and idle-session expiry are handled with the session manager.
+ *
+ * Every rejection is a JSON-RPC error response, which MCP clients can surface.
+ * All state is bounded: rate-limit counters expire with their window and the
+ * number of tracked clients is capped.
+ */
+
+import logger from '../utils/logger.js';
+
+// JSON-RPC error codes used for HTTP-level rejections
+export const JSON_RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  SERVER_ERROR: -32000
+};
+
+/**
+ * Send a JSON-RPC error response
+ * @param {Object} req - Express request (its body's id is echoed when available)
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status code
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ * @param {Object} [data] - Additional error data
+ */
+export function sendJsonRpcError(req, res, status, code, message, data) {
+  res.status(status).json({
+    jsonrpc: '2.0',
+    error: data === undefined ? { code, message } : { code, message, data },
+    id: req.body?.id ?? null
+  });
+}
+
+/**
+ * Create a fixed-window request counter
+ * @param {Object} options - Limiter options
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Requests allowed per key per window
+ * @param {number} [options.maxTrackedKeys=10000] - Most keys counted at once; the oldest window is dropped beyond this
+ * @returns {{hit: Function, size: Function}} Limiter; hit(key) returns { allowed, remaining, retryAfterSeconds }
+ */
+export function createRateLimiter({ windowMs, max, maxTrackedKeys = 10000 }) {
+  // Map<key, { count, resetAt }>, in window start order
+  const windows = new Map();
+
+  function pruneExpired(now) {
+    for (const [key, window] of windows) {
+      if (window.resetAt > now) break;
+      windows.delete(key);
+    }
+  }
+
+  return {
+    hit(key, now = Date.now()) {
+      let window = windows.get(key);
+
+      if (!window || window.resetAt <= now) {
+        windows.delete(key);
+        pruneExpired(now);
+        if (windows.size >= maxTrackedKeys) {
+          windows.delete(windows.keys().next().value);
+        }
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+
+      window.count++;
+      return {
+        allowed: window.count <= max,
+        remaining: Math.max(max - window.count, 0),
+        retryAfterSeconds: Math.ceil((window.resetAt - now) / 1000)
+      };
+    },
+
+    size() {
+      return windows.size;
+    }
+  };
+}
+
+/**
+ * Create middleware that rejects requests over a rate limit with 429
+ * @param {Object} options - Middleware options
+ * @param {Object} options.limiter - Limiter from createRateLimiter
+ * @param {string} options.scope - Limit name reported to clients ('ip' or 'api_key')
+ * @param {Function} options.keyFor - Returns the key to count a request under, or null to skip it
+ * @returns {Function} Express middleware
+ */
+export function createRateLimitMiddleware({ limiter, scope, keyFor }) {
+  return function rateLimitMcpRequest(req, res, next) {
+    const key = keyFor(req);
+    if (req.method === 'OPTIONS' || !key) {
+      next();
+      return;
+    }
+
+    const result = limiter.hit(key);
+    if (result.allowed) {
+      next();
+      return;
+    }
+
+    logger.warn({ scope, key, method: req.method }, 'Rejected MCP request: rate limit exceeded');
+    res.setHeader('Retry-After', String(result.retryAfterSeconds));
+    sendJsonRpcError(req, res, 429, JSON_RPC_ERRORS.SERVER_ERROR, 'Rate limit exceeded', {
+      reason: 'rate_limited',
+      scope,
+      retryAfterSeconds: result.retryAfterSeconds
+    });
+  };
+}
+
+/**
+ * Create error middleware that turns body-parser failures into JSON-RPC errors
+ * @param {number} maxBodyBytes - Configured body size limit, reported to clients
+ * @returns {Function} Express error middleware
+ */
+export function createBodyErrorHandler(maxBodyBytes) {
+  return function handleBodyError(error, req, res, next) {
+    if (error.type === 'entity.too.large') {
+      logger.warn({ path: req.path, length: error.length, limit: maxBodyBytes }, 'Rejected request: body too large');
+      sendJsonRpcError(req, res, 413, JSON_RPC_ERRORS.INVALID_REQUEST, 'Request body too large', {
+        reason: 'body_too_large',
+        limitBytes: maxBodyBytes
+      });
+      return;
+    }
+
+    if (error.type === 'entity.parse.failed') {
+      logger.warn({ path: req.path }, 'Rejected request: malformed JSON body');
+      sendJsonRpcError(req, res, 400, JSON_RPC_ERRORS.PARSE_ERROR, 'Parse error');
+      return;
+    }
+
+    next(error);
+  };
+}
@@ -0,0 +1,227 @@
+/**
+ * Webhook API Server - Receives Lithic transaction events in real time
+ *
+ * Lithic pushes transaction events as soon as they happen, so alerts fire within
+ * seconds instead of waiting for the next polling cycle. Every request is verified
+ * against LITHIC_WEBHOOK_SECRET before anything is persisted.
+ *
+ * Endpoints:
+ * - POST /webhooks/lithic: Signed Lithic event delivery
+ * - GET /health: Liveness probe
+ */
+
+import express from "express";
+import { config } from "../config/index.js";
+import { verifyWebhookSignature } from "../utils/webhook-signature.js";
+import * as supabase_service from "../services/supabase-service.js";
+import logger from "../utils/logger.js";
+
+// Event types carrying a transaction payload. Anything else is acknowledged and ignored.
+const TRANSACTION_EVENT_PREFIXES = ["card_transaction.", "transaction."];
+
+// Successfully handled webhook ids: Map<webhookId, expiresAtMs>, in insertion
+// (and therefore expiry) order since every id is kept for the same window
+const processedWebhookIds = new Map();
+
+// Webhook ids whose delivery is being handled right now
+const inFlightWebhookIds = new Set();
+
+/**
+ * Report whether a webhook id was already handled inside the replay window.
+ * Expired ids are dropped from the front of the map first.
+ * @param {string} webhookId - Value of the `webhook-id` header.
+ * @returns {boolean} True if the id was handled successfully and has not expired.
+ */
+function wasProcessed(webhookId) {
+  const now = Date.now();
+
+  for (const [id, expiresAt] of processedWebhookIds) {
+    if (expiresAt > now) break;
+    processedWebhookIds.delete(id);
+  }
+
+  return processedWebhookIds.has(webhookId);
+}
+
+/**
+ * Remember a handled webhook id for the replay window.
+ * @param {string} webhookId - Value of the `webhook-id` header.
+ * @param {number} windowMs - How long to remember the id.
+ */
+function markProcessed(webhookId, windowMs) {
+  processedWebhookIds.delete(webhookId);
+  processedWebhookIds.set(webhookId, Date.now() + windowMs);
+}
+
+/**
+ * Extract the Lithic transaction object from a webhook body.
+ * Supports both event envelopes ({ event_type, payload }) and bare transaction bodies.
+ * @param {Object} body - Parsed webhook body.
+ * @returns {{eventType: string|null, transaction: Object|null}} Extracted event data.
+ */
+function extractTransaction(body) {
+  const eventType = body?.event_type || null;
+
+  if (
+    eventType &&
+    !TRANSACTION_EVENT_PREFIXES.some((prefix) => eventType.startsWith(prefix))
+  ) {
+    return { eventType, transaction: null };
+  }
+
+  const candidate =
+    body?.payload && typeof body.payload === "object" ? body.payload : body;
+
+  if (!candidate?.token || !candidate?.card_token) {
+    return { eventType, transaction: null };
+  }
+
+  return { eventType, transaction: candidate };
+}
+
+/**
+ * Handle a signed Lithic webhook delivery.
+ * @param {Object} req - Express request (body is a raw Buffer).
+ * @param {Object} res - Express response.
+ */
+async function handleLithicWebhook(req, res) {
+  const toleranceSeconds = config.lithic.webhookToleranceSeconds;
+  const verification = verifyWebhookSignature({
+    payload: req.body,
+    headers: req.headers,
+    secret: config.lithic.webhookSecret,
+    toleranceSeconds,
+  });
+
+  if (!verification.valid) {
+    logger.warn(
+      { webhookId: req.headers["webhook-id"], reason: verification.error },
+      "Rejected Lithic webhook: signature verification failed",
+    );
+    res.status(401).json({ error: "Invalid webhook signature" });
+    return;
+  }
+
+  const { webhookId } = verification;
+
+  // A signed redelivery of a handled id is acknowledged so Lithic stops retrying it
+  if (wasProcessed(webhookId)) {
+    logger.info({ webhookId }, "Lithic webhook acknowledged as duplicate delivery");
+    res.status(200).json({ received: true, processed: false, duplicate: true });
+    return;
+  }
+
+  // The first delivery may still fail, so a concurrent redelivery must be retried later
+  if (inFlightWebhookIds.has(webhookId)) {
+    logger.info({ webhookId }, "Lithic webhook redelivered while still in progress");
+    res.status(409).json({ error: "Delivery already in progress" });
+    return;
+  }
+
+  inFlightWebhookIds.add(webhookId);
+  try {
+    if (await processDelivery(req, res, webhookId)) {
+      markProcessed(webhookId, toleranceSeconds * 2 * 1000);
+    }
+  } finally {
+    inFlightWebhookIds.delete(webhookId);
+  }
+}
+
+/**
+ * Parse and persist a verified webhook delivery.
+ * @param {Object} req - Express request (body is a raw Buffer).
+ * @param {Object} res - Express response.
+ * @param {string} webhookId - Verified `webhook-id` header.
+ * @returns {Promise<boolean>} True if the delivery was handled and must not be processed again.
+ */
+async function processDelivery(req, res, webhookId) {
+  let body;
+  try {
+    body = JSON.parse(req.body.toString("utf8"));
+  } catch (error) {
+    logger.warn({ webhookId, err: error }, "Rejected Lithic webhook: invalid JSON body");
+    res.status(400).json({ error: "Invalid JSON body" });
+    return false;
+  }
+
+  const { eventType, transaction } = extractTransaction(body);
+  if (!transaction) {
+    logger.info(
+      { webhookId, eventType },
+      "Lithic webhook acknowledged without transaction payload",
+    );
+    res.status(200).json({ received: true, processed: false });
+    return true;
+  }
+
+  try {
+    const result = await supabase_service.saveTransaction(transaction);
+
+    logger.info(
+      {
+        webhookId,
+        eventType,
+        transactionToken: transaction.token,
+        merchantId: result.merchant_id,
+      },
+      "Lithic webhook transaction processed",
+    );
+    res.status(200).json({ received: true, processed: true });
+    return true;
+  } catch (error) {
+    // Not marked as processed, so Lithic's retry of this delivery is handled again
+    logger.error(
+      { err: error, webhookId, transactionToken: transaction.token },
+      "Failed to process Lithic webhook transaction",
+    );
+    res.status(500).json({ error: "Failed to process transaction" });
+    return false;
+  }
+}
+
+/**
+ * Create the webhook Express application.
+ * @returns {Object} Configured Express app.
+ */
+export function createApp() {
+  const app = express();
+
+  // Signature is computed over the exact bytes Lithic sent, so keep the body raw
+  app.post(
+    "/webhooks/lithic",
+    express.raw({ type: "*/*", limit: "1mb" }),
+    handleLithicWebhook,
+  );
+
+  app.get("/health", (req, res) => {
+    res.json({
+      status: "healthy",
+      timestamp: new Date().toISOString(),
+      webhookSecretConfigured: !!config.lithic.webhookSecret,
+    });
+  });
+
+  return app;
+}
+
+/**
+ * Start the webhook API server.
+ * @param {number|string} [port=config.server.port] - Port to listen on.
+ * @returns {Object} Node HTTP server.
+ */
+export function startServer(port = config.server.port) {
+  if (!config.lithic.webhookSecret) {
+    logger.warn(
+      "LITHIC_WEBHOOK_SECRET is not set - all webhook deliveries will be rejected",
+    );
+  }
+
+  const app = createApp();
+  return app.listen(port, () => {
+    logger.info(
+      { port, endpoints: { webhook: "POST /webhooks/lithic", health: "GET /health" } },
+      "Webhook API server listening",
+    );
+  });
+}
@@ -1,10 +1,12 @@
 import 'dotenv/config';
+import { fileURLToPath } from 'url';
 
 export const config = {
   lithic: {
     apiKey: process.env.LITHIC_API_KEY,
     environment: process.env.LITHIC_ENV || 'sandbox',
     webhookSecret: process.env.LITHIC_WEBHOOK_SECRET,
+    webhookToleranceSeconds: parseInt(process.env.LITHIC_WEBHOOK_TOLERANCE_SECONDS || '300', 10),
   },
 
   supabase: {
@@ -16,4 +18,54 @@ export const config = {
     port: process.env.PORT || 3000,
     nodeEnv: process.env.NODE_ENV || 'development',
   },
+
+  auth: {
+    apiKeysFile: process.env.MCP_API_KEYS_FILE || 'data/api-keys.json',
+  },
+
+  http: {
+    maxBodyBytes: parseInt(process.env.MCP_MAX_BODY_BYTES || '262144', 10),
+    // Number of proxy hops, or addresses/subnets accepted by Express 'trust proxy'
+    trustProxy: /^\d+$/.test(process.env.MCP_TRUST_PROXY || '')
+      ? parseInt(process.env.MCP_TRUST_PROXY, 10)
+      : (process.env.MCP_TRUST_PROXY || false),
+    rateLimitWindowMs: parseInt(process.env.MCP_RATE_LIMIT_WINDOW_MS || '60000', 10),
+    rateLimitPerIp: parseInt(process.env.MCP_RATE_LIMIT_PER_IP || '120', 10),
+    rateLimitPerKey: parseInt(process.env.MCP_RATE_LIMIT_PER_KEY || '600', 10),
+    maxSessions: parseInt(process.env.MCP_MAX_SESSIONS || '100', 10),
+    maxSessionsPerKey: parseInt(process.env.MCP_MAX_SESSIONS_PER_KEY || '10', 10),
+    sessionIdleTimeoutMs: parseInt(process.env.MCP_SESSION_IDLE_TIMEOUT_MS || '1800000', 10),
+  },
+
+  audit: {
+    logPath: process.env.AUDIT_LOG_PATH || 'data/audit-log.jsonl',
+  },
+
+  velocity: {
+    windowMinutes: parseInt(process.env.VELOCITY_WINDOW_MINUTES || '60', 10),
+    transactionThreshold: parseInt(process.env.VELOCITY_TRANSACTION_THRESHOLD || '5', 10),
+    merchantThreshold: parseInt(process.env.VELOCITY_MERCHANT_THRESHOLD || '3', 10),
+    countryThreshold: parseInt(process.env.VELOCITY_COUNTRY_THRESHOLD || '2', 10),
+    declineRatioThreshold: parseFloat(process.env.VELOCITY_DECLINE_RATIO_THRESHOLD || '0.5'),
+    rampUpFactor: parseFloat(process.env.VELOCITY_RAMP_UP_FACTOR || '10'),
+    // Transactions needed before the decline ratio and ramp-up checks apply
+    minTransactions: parseInt(process.env.VELOCITY_MIN_TRANSACTIONS || '3', 10),
+  },
+
+  risk: {
+    // The bundled rules sit next to this module, whatever the working directory
+    rulesPath: process.env.RISK_RULES_PATH || fileURLToPath(new URL('./risk-rules.json', import.meta.url)),
+  },
+
+  merchants: {
+    // Minimum descriptor similarity (0-1) for two merchants to be treated as one
+    similarityThreshold: parseFloat(process.env.MERCHANT_SIMILARITY_THRESHOLD || '0.85'),
+  },
+
+  polling: {
+    store: {
+      type: process.env.POLLING_STORE || 'memory',
+      filePath: process.env.POLLING_STORE_PATH || 'data/polling-state.json',
+    },
+  },
 };
\ No newline at end of file
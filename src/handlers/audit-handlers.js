@@ -0,0 +1,119 @@
+/**
+ * Audit Tool Handlers - MCP tool implementations for the audit trail
+ *
+ * Tools:
+ * - get_audit_log: Query PAN disclosures and card changes, with chain verification
+ */
+
+import auditService from '../services/audit-service.js';
+import { createToolResult } from '../utils/tool-results.js';
+import { ToolError, TOOL_ERROR_CODES, formatMcpError } from '../utils/tool-errors.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Get Audit Log Tool Handler
+ * Implements: get_audit_log MCP tool
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} [args.cardToken] - Only entries for this card
+ * @param {string} [args.startTime] - ISO timestamp lower bound
+ * @param {string} [args.endTime] - ISO timestamp upper bound
+ * @param {string} [args.action] - Only entries with this action
+ * @param {number} [args.limit=100] - Maximum entries to return
+ * @param {boolean} [args.verifyChain=true] - Verify the hash chain
+ * @param {string} requestId - MCP request identifier
+ * @returns {Object} MCP tool response with audit entries, newest first
+ */
+export async function handleGetAuditLog(args, requestId) {
+  const startTime = Date.now();
+
+  try {
+    logger.info({
+      requestId,
+      cardToken: maskToken(args?.cardToken),
+      startTime: args?.startTime,
+      endTime: args?.endTime,
+      action: args?.action
+    }, 'MCP tool: get_audit_log called');
+
+    for (const field of ['startTime', 'endTime']) {
+      if (args?.[field] !== undefined && Number.isNaN(Date.parse(args[field]))) {
+        throw new ToolError(TOOL_ERROR_CODES.VALIDATION_ERROR, `${field} must be an ISO 8601 timestamp`);
+      }
+    }
+    if (args?.startTime && args?.endTime && Date.parse(args.startTime) > Date.parse(args.endTime)) {
+      throw new ToolError(TOOL_ERROR_CODES.VALIDATION_ERROR, 'startTime must not be after endTime');
+    }
+
+    const limit = Math.min(Math.max(args?.limit || 100, 1), 1000);
+    const { entries, totalMatches } = await auditService.query({
+      cardToken: args?.cardToken,
+      action: args?.action,
+      startTime: args?.startTime,
+      endTime: args?.endTime,
+      limit
+    });
+    const chainVerification = args?.verifyChain === false ? null : await auditService.verify();
+
+    const response = createToolResult({
+      auditLog: {
+        entries: entries.reverse(),
+        returned: entries.length,
+        totalMatches,
+        truncated: totalMatches > entries.length
+      },
+      chainVerification,
+      filters: {
+        cardToken: args?.cardToken || null,
+        action: args?.action || null,
+        startTime: args?.startTime || null,
+        endTime: args?.endTime || null,
+        limit
+      },
+      metadata: {
+        requestId,
+        timestamp: new Date().toISOString(),
+        responseTimeMs: Date.now() - startTime
+      }
+    });
+
+    if (chainVerification && !chainVerification.valid) {
+      logger.warn({
+        requestId,
+        brokenAtSequence: chainVerification.brokenAtSequence,
+        error: chainVerification.error
+      }, 'SECURITY: Audit log integrity check failed');
+    }
+
+    logger.info({
+      requestId,
+      returned: entries.length,
+      totalMatches,
+      chainValid: chainVerification?.valid ?? null,
+      responseTime: Date.now() - startTime
+    }, 'MCP tool: get_audit_log completed successfully');
+
+    return response;
+
+  } catch (error) {
+    logger.error({
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      responseTime: Date.now() - startTime
+    }, 'MCP tool error: get_audit_log');
+
+    throw formatMcpError(error, 'get_audit_log', requestId);
+  }
+}
+
+/**
+ * Mask card token for secure logging
+ * @param {string} token - Card token to mask
+ * @returns {string} Masked token
+ */
+function maskToken(token) {
+  if (!token || typeof token !== 'string') return token;
+  if (token.length <= 8) return token;
+  return `${token.substring(0, 8)}***`;
+}
@@ -0,0 +1,211 @@
+/**
+ * Campaign Tool Handlers - MCP tool implementations for honeypot campaigns
+ *
+ * Tools:
+ * - create_campaign: Create a campaign with default leak details
+ * - record_card_leak: Link a card to a campaign with its leak details
+ * - get_campaign_report: Per-campaign time to first use, transactions and merchant spread
+ */
+
+import * as campaignService from '../services/campaign-service.js';
+import { formatCampaign, formatCampaignCard } from '../utils/campaign-format.js';
+import { createToolResult } from '../utils/tool-results.js';
+import { ToolError, TOOL_ERROR_CODES, formatMcpError } from '../utils/tool-errors.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Create Campaign Tool Handler
+ * Implements: create_campaign MCP tool
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} args.name - Unique campaign name
+ * @param {string} [args.leakChannel] - Default leak channel
+ * @param {string} [args.persona] - Default persona
+ * @param {string} [args.region] - Targeted region
+ * @param {string} [args.purpose] - Campaign purpose
+ * @param {string} [args.notes] - Free-form notes
+ * @param {string} requestId - MCP request identifier
+ * @returns {Object} MCP tool response with the created campaign
+ */
+export async function handleCreateCampaign(args, requestId) {
+  const startTime = Date.now();
+
+  try {
+    logger.info({ requestId, name: args?.name, leakChannel: args?.leakChannel }, 'MCP tool: create_campaign called');
+
+    if (!args?.name) {
+      throw new ToolError(TOOL_ERROR_CODES.VALIDATION_ERROR, 'name is required');
+    }
+
+    const campaign = await campaignService.createCampaign(args);
+
+    const response = createToolResult({
+      campaign: formatCampaign(campaign),
+      metadata: {
+        requestId,
+        timestamp: new Date().toISOString(),
+        responseTimeMs: Date.now() - startTime
+      }
+    });
+
+    logger.info({
+      requestId,
+      campaignId: campaign.id,
+      responseTime: Date.now() - startTime
+    }, 'MCP tool: create_campaign completed successfully');
+
+    return response;
+
+  } catch (error) {
+    logger.error({
+      requestId,
+      error: error.message,
+      responseTime: Date.now() - startTime
+    }, 'MCP tool error: create_campaign');
+
+    throw formatMcpError(error, 'create_campaign', requestId);
+  }
+}
+
+/**
+ * Record Card Leak Tool Handler
+ * Implements: record_card_leak MCP tool
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} args.cardToken - Leaked card
+ * @param {string} args.campaign - Campaign name or ID (created if missing)
+ * @param {string} [args.leakChannel] - Where the card was leaked
+ * @param {string} [args.leakedAt] - When the card was leaked (default: now)
+ * @param {string} [args.persona] - Persona that leaked the card
+ * @param {string} [args.notes] - Free-form notes
+ * @param {string} requestId - MCP request identifier
+ * @returns {Object} MCP tool response with the campaign and recorded leak
+ */
+export async function handleRecordCardLeak(args, requestId) {
+  const startTime = Date.now();
+
+  try {
+    logger.info({
+      requestId,
+      cardToken: maskToken(args?.cardToken),
+      campaign: args?.campaign,
+      leakChannel: args?.leakChannel
+    }, 'MCP tool: record_card_leak called');
+
+    if (!args?.cardToken) {
+      throw new ToolError(TOOL_ERROR_CODES.VALIDATION_ERROR, 'cardToken is required');
+    }
+    if (!args?.campaign) {
+      throw new ToolError(TOOL_ERROR_CODES.VALIDATION_ERROR, 'campaign is required');
+    }
+    if (args.leakedAt !== undefined && Number.isNaN(Date.parse(args.leakedAt))) {
+      throw new ToolError(TOOL_ERROR_CODES.VALIDATION_ERROR, 'leakedAt must be an ISO 8601 timestamp');
+    }
+
+    const { campaign, card, campaignCreated } = await campaignService.recordCardLeak(args.cardToken, args.campaign, {
+      leakChannel: args.leakChannel,
+      leakedAt: args.leakedAt,
+      persona: args.persona,
+      notes: args.notes
+    });
+
+    const response = createToolResult({
+      campaign: formatCampaign(campaign),
+      card: formatCampaignCard(card),
+      campaignCreated,
+      metadata: {
+        requestId,
+        timestamp: new Date().toISOString(),
+        responseTimeMs: Date.now() - startTime
+      }
+    });
+
+    logger.info({
+      requestId,
+      cardToken: maskToken(args.cardToken),
+      campaignId: campaign.id,
+      campaignCreated,
+      responseTime: Date.now() - startTime
+    }, 'MCP tool: record_card_leak completed successfully');
+
+    return response;
+
+  } catch (error) {
+    logger.error({
+      requestId,
+      cardToken: maskToken(args?.cardToken),
+      error: error.message,
+      responseTime: Date.now() - startTime
+    }, 'MCP tool error: record_card_leak');
+
+    throw formatMcpError(error, 'record_card_leak', requestId);
+  }
+}
+
+/**
+ * Get Campaign Report Tool Handler
+ * Implements: get_campaign_report MCP tool
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} [args.campaign] - Campaign name or ID (default: every campaign)
+ * @param {boolean} [args.includeCards] - Include per-card rows
+ * @param {string} requestId - MCP request identifier
+ * @returns {Object} MCP tool response with campaign reports, most transactions first
+ */
+export async function handleGetCampaignReport(args, requestId) {
+  const startTime = Date.now();
+
+  try {
+    logger.info({ requestId, campaign: args?.campaign || null }, 'MCP tool: get_campaign_report called');
+
+    const includeCards = args?.includeCards ?? Boolean(args?.campaign);
+    const reports = (await campaignService.getCampaignReports(args?.campaign))
+      .sort((a, b) => b.transactions.count - a.transactions.count)
+      .map(({ cards, ...report }) => (includeCards ? { ...report, cards } : report));
+    const truncated = reports.filter(report => report.truncated).map(report => report.campaign.name);
+
+    const response = createToolResult({
+      campaignReport: {
+        campaignCount: reports.length,
+        campaigns: reports,
+        ...(truncated.length > 0 && {
+          warnings: [`Reports for ${truncated.join(', ')} are based on their oldest transactions only; later transactions were not read.`]
+        })
+      },
+      metadata: {
+        requestId,
+        timestamp: new Date().toISOString(),
+        responseTimeMs: Date.now() - startTime
+      }
+    });
+
+    logger.info({
+      requestId,
+      campaignCount: reports.length,
+      responseTime: Date.now() - startTime
+    }, 'MCP tool: get_campaign_report completed successfully');
+
+    return response;
+
+  } catch (error) {
+    logger.error({
+      requestId,
+      campaign: args?.campaign || null,
+      error: error.message,
+      responseTime: Date.now() - startTime
+    }, 'MCP tool error: get_campaign_report');
+
+    throw formatMcpError(error, 'get_campaign_report', requestId);
+  }
+}
+
+/**
+ * Mask card token for secure logging
+ * @param {string} token - Card token to mask
+ * @returns {string} Masked token
+ */
+function maskToken(token) {
+  if (!token || typeof token !== 'string') return token;
+  if (token.length <= 8) return token;
+  return `${token.substring(0, 8)}***`;
+}
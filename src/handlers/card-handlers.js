@@ -8,6 +8,13 @@
  */
 
 import * as cardService from '../services/card-service.js';
+import resourceService from '../services/resource-service.js';
+import auditService from '../services/audit-service.js';
+import * as campaignService from '../services/campaign-service.js';
+import { cardUri } from '../utils/resource-uris.js';
+import { formatCampaign, formatCampaignCard } from '../utils/campaign-format.js';
+import { createToolResult } from '../utils/tool-results.js';
+import { ToolError, TOOL_ERROR_CODES, formatMcpError } from '../utils/tool-errors.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -30,20 +37,13 @@ export async function handleListAvailableCards(args, requestId) {
     const result = await cardService.getAvailableCardsForMcp(params, requestId);
     
     // Format for MCP response
-    const response = {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify({
-            queryType: result.queryType || "available_cards_list",
-            cardCount: result.cardCount || result.cards?.length || 0,
-            cards: result.cards || [],
-            timestamp: new Date().toISOString(),
-            requestId
-          }, null, 2)
-        }
-      ]
-    };
+    const response = createToolResult({
+      queryType: result.queryType || "available_cards_list",
+      cardCount: result.cardCount || result.cards?.length || 0,
+      cards: result.cards || [],
+      timestamp: new Date().toISOString(),
+      requestId
+    });
     
     logger.info({ 
       requestId, 
@@ -69,9 +69,10 @@ export async function handleListAvailableCards(args, requestId) {
  * Implements: get_card_details MCP tool
  * Uses: cardService.getCardDetailsForMcp() - existing business logic
  * 
- * SECURITY CRITICAL: Handles PAN data access
+ * SECURITY CRITICAL: Handles PAN data access. The PAN is only returned once its
+ * disclosure has been written to the audit log; options.caller identifies the client.
  */
-export async function handleGetCardDetails(args, requestId) {
+export async function handleGetCardDetails(args, requestId, options = {}) {
   try {
     logger.info({ 
       requestId, 
@@ -79,31 +80,10 @@ export async function handleGetCardDetails(args, requestId) {
       panRequested: args?.includePan || false 
     }, 'MCP tool: get_card_details called');
     
-    // Enhanced parameter extraction to handle both flat and nested structures
-    let cardToken, includePan, reason;
-    
-    if (args?.cardToken) {
-      // Handle nested structure: { cardToken: { cardToken: "uuid", includePan: true, reason: "uuid" } }
-      if (typeof args.cardToken === 'object' && args.cardToken.cardToken) {
-        cardToken = args.cardToken.cardToken;
-        includePan = args.cardToken.includePan || args.includePan || false;
-        reason = args.cardToken.reason || args.reason;
-      } 
-      // Handle flat structure: { cardToken: "uuid", includePan: true, reason: "uuid" }
-      else if (typeof args.cardToken === 'string') {
-        cardToken = args.cardToken;
-        includePan = args.includePan || false;
-        reason = args.reason;
-      } else {
-        throw new Error('cardToken must be a string or object with cardToken property');
-      }
-    } else {
-      throw new Error('cardToken is required');
-    }
-    
-    // Validate that we have a valid string cardToken
+    // Arguments were validated against the tool schema by the dispatcher
+    const { cardToken, includePan = false, reason } = args || {};
     if (!cardToken || typeof cardToken !== 'string') {
-      throw new Error('Card token is required and must be a string');
+      throw new ToolError(TOOL_ERROR_CODES.VALIDATION_ERROR, 'cardToken is required and must be a string');
     }
     
     // Security: Log PAN access attempts
@@ -121,24 +101,28 @@ export async function handleGetCardDetails(args, requestId) {
       reason: reason
     });
     
+    // Fails the call if the disclosure cannot be recorded
+    if (result.cardDetails?.pan) {
+      await recordCardAudit({
+        action: 'pan_disclosed',
+        tool: 'get_card_details',
+        cardToken,
+        reason,
+        details: { includePanRequested: !!includePan }
+      }, requestId, options.caller);
+    }
+    
     // Format for MCP response (PAN already handled by service)
-    const response = {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify({
-            ...result,
-            timestamp: new Date().toISOString(),
-            requestId
-          }, null, 2)
-        }
-      ]
-    };
+    const response = createToolResult({
+      ...result,
+      timestamp: new Date().toISOString(),
+      requestId
+    });
     
     logger.info({ 
       requestId, 
       cardToken: maskCardToken(cardToken),
-      panIncluded: !!result.pan,
+      panIncluded: !!result.cardDetails?.pan,
       responseTime: Date.now() - extractTimestamp(requestId)
     }, 'MCP tool: get_card_details completed successfully');
     
@@ -147,7 +131,7 @@ export async function handleGetCardDetails(args, requestId) {
   } catch (error) {
     logger.error({ 
       requestId, 
-      cardTokenInfo: args?.cardToken ? (typeof args.cardToken === 'string' ? maskCardToken(args.cardToken) : 'nested_object') : 'not_provided',
+      cardToken: maskCardToken(args?.cardToken),
       error: error.message 
     }, 'MCP tool error: get_card_details');
     
@@ -159,8 +143,9 @@ export async function handleGetCardDetails(args, requestId) {
  * Create Honeypot Card Tool Handler
  * Implements: create_honeypot_card MCP tool
  * Uses: cardService.createHoneypotCard() - existing business logic
+ * Audited; options.caller identifies the client.
  */
-export async function handleCreateHoneypotCard(args, requestId) {
+export async function handleCreateHoneypotCard(args, requestId, options = {}) {
   try {
     logger.info({ requestId, args: sanitizeArgs(args) }, 'MCP tool: create_honeypot_card called');
     
@@ -187,21 +172,45 @@ export async function handleCreateHoneypotCard(args, requestId) {
     // Call existing service function - ZERO business logic changes
     const result = await cardService.createHoneypotCard(params, requestId);
     
+    await recordCardMutation({
+      action: 'card_created',
+      tool: 'create_honeypot_card',
+      cardToken: result.token || result.cardToken,
+      details: {
+        spendLimit: params.spendLimit,
+        spendLimitDuration: params.spendLimitDuration,
+        campaign: params.metadata.campaign || null
+      }
+    }, requestId, options.caller);
+    
+    // Link the card to its campaign; the card exists either way, so a failure is a warning
+    let campaign = null;
+    const warnings = [];
+    if (params.metadata.campaign) {
+      try {
+        const link = await campaignService.recordCardLeak(result.token || result.cardToken, params.metadata.campaign, params.metadata);
+        campaign = { ...formatCampaign(link.campaign), leak: formatCampaignCard(link.card), campaignCreated: link.campaignCreated };
+      } catch (error) {
+        logger.error({
+          requestId,
+          cardToken: maskCardToken(result.token || result.cardToken),
+          campaign: params.metadata.campaign,
+          error: error.message
+        }, 'Card created but not linked to its campaign');
+        warnings.push(`Card created but not linked to campaign "${params.metadata.campaign}": ${error.message}. Link it with record_card_leak.`);
+      }
+    }
+    
     // Format for MCP response
-    const response = {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify({
-            success: true,
-            cardToken: result.token || result.cardToken,
-            cardDetails: result,
-            timestamp: new Date().toISOString(),
-            requestId
-          }, null, 2)
-        }
-      ]
-    };
+    const response = createToolResult({
+      success: true,
+      cardToken: result.token || result.cardToken,
+      cardDetails: result,
+      campaign,
+      ...(warnings.length > 0 && { warnings }),
+      timestamp: new Date().toISOString(),
+      requestId
+    });
     
     logger.info({ 
       requestId, 
@@ -226,41 +235,19 @@ export async function handleCreateHoneypotCard(args, requestId) {
  * Update Card Limits Tool Handler
  * Implements: update_card_limits MCP tool
  * Uses: cardService.updateCardLimit() - existing business logic
+ * Audited; options.caller identifies the client.
  */
-export async function handleUpdateCardLimits(args, requestId) {
+export async function handleUpdateCardLimits(args, requestId, options = {}) {
   try {
     logger.info({ 
       requestId, 
       args: sanitizeArgs(args) 
     }, 'MCP tool: update_card_limits called');
     
-    // Enhanced parameter extraction to handle both flat and nested structures
-    let cardToken, spendLimit, spendLimitDuration, singleUseLimit;
-    
-    if (args?.cardToken) {
-      // Handle nested structure: { cardToken: { cardToken: "uuid", spendLimit: 100, spendLimitDuration: "MONTHLY" } }
-      if (typeof args.cardToken === 'object' && args.cardToken.cardToken) {
-        cardToken = args.cardToken.cardToken;
-        spendLimit = args.cardToken.spendLimit || args.spendLimit;
-        spendLimitDuration = args.cardToken.spendLimitDuration || args.spendLimitDuration;
-        singleUseLimit = args.cardToken.singleUseLimit || args.singleUseLimit;
-      } 
-      // Handle flat structure: { cardToken: "uuid", spendLimit: 100, spendLimitDuration: "MONTHLY" }
-      else if (typeof args.cardToken === 'string') {
-        cardToken = args.cardToken;
-        spendLimit = args.spendLimit;
-        spendLimitDuration = args.spendLimitDuration;
-        singleUseLimit = args.singleUseLimit;
-      } else {
-        throw new Error('cardToken must be a string or object with cardToken property');
-      }
-    } else {
-      throw new Error('cardToken is required');
-    }
-    
-    // Validate that we have a valid string cardToken
+    // Arguments were validated against the tool schema by the dispatcher
+    const { cardToken, spendLimit, spendLimitDuration, singleUseLimit } = args || {};
     if (!cardToken || typeof cardToken !== 'string') {
-      throw new Error('Card token is required and must be a string');
+      throw new ToolError(TOOL_ERROR_CODES.VALIDATION_ERROR, 'cardToken is required and must be a string');
     }
     
     // Prepare parameters for service call
@@ -278,21 +265,24 @@ export async function handleUpdateCardLimits(args, requestId) {
       spendLimitDuration
     );
     
+    await recordCardMutation({
+      action: 'card_limits_updated',
+      tool: 'update_card_limits',
+      cardToken,
+      details: { spendLimit, spendLimitDuration: spendLimitDuration || null }
+    }, requestId, options.caller);
+    
+    // Card state or limits changed - notify resource subscribers
+    resourceService.notifyResourceUpdated(cardUri(cardToken));
+    
     // Format for MCP response
-    const response = {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify({
-            success: true,
-            cardToken: maskCardToken(cardToken),
-            updatedLimits: result,
-            timestamp: new Date().toISOString(),
-            requestId
-          }, null, 2)
-        }
-      ]
-    };
+    const response = createToolResult({
+      success: true,
+      cardToken: maskCardToken(cardToken),
+      updatedLimits: result,
+      timestamp: new Date().toISOString(),
+      requestId
+    });
     
     logger.info({ 
       requestId, 
@@ -305,7 +295,7 @@ export async function handleUpdateCardLimits(args, requestId) {
   } catch (error) {
     logger.error({ 
       requestId, 
-      cardTokenInfo: args?.cardToken ? (typeof args.cardToken === 'string' ? maskCardToken(args.cardToken) : 'nested_object') : 'not_provided',
+      cardToken: maskCardToken(args?.cardToken),
       error: error.message,
       stack: error.stack
     }, 'MCP tool error: update_card_limits');
@@ -318,44 +308,24 @@ export async function handleUpdateCardLimits(args, requestId) {
  * Toggle Card State Tool Handler
  * Implements: toggle_card_state MCP tool
  * Uses: cardService.toggleCardState() - existing business logic
+ * Audited; options.caller identifies the client.
  */
-export async function handleToggleCardState(args, requestId) {
+export async function handleToggleCardState(args, requestId, options = {}) {
   try {
     logger.info({ 
       requestId, 
       args: sanitizeArgs(args)
     }, 'MCP tool: toggle_card_state called');
     
-    // Enhanced parameter extraction to handle both flat and nested structures
-    let cardToken, state, reason;
-    
-    if (args?.cardToken) {
-      // Handle nested structure: { cardToken: { cardToken: "uuid", state: "ACTIVE", reason: "testing" } }
-      if (typeof args.cardToken === 'object' && args.cardToken.cardToken) {
-        cardToken = args.cardToken.cardToken;
-        state = args.cardToken.state || args.state;
-        reason = args.cardToken.reason || args.reason;
-      } 
-      // Handle flat structure: { cardToken: "uuid", state: "ACTIVE", reason: "testing" }
-      else if (typeof args.cardToken === 'string') {
-        cardToken = args.cardToken;
-        state = args.state;
-        reason = args.reason;
-      } else {
-        throw new Error('cardToken must be a string or object with cardToken property');
-      }
-    } else {
-      throw new Error('cardToken is required');
-    }
-    
-    // Validate that we have a valid string cardToken
+    // Arguments were validated against the tool schema by the dispatcher
+    const { cardToken, state, reason } = args || {};
     if (!cardToken || typeof cardToken !== 'string') {
-      throw new Error('Card token is required and must be a string');
+      throw new ToolError(TOOL_ERROR_CODES.VALIDATION_ERROR, 'cardToken is required and must be a string');
     }
     
     // Validate state is provided
     if (!state) {
-      throw new Error('state is required');
+      throw new ToolError(TOOL_ERROR_CODES.VALIDATION_ERROR, 'state is required');
     }
     
     // Call existing service function - ZERO business logic changes
@@ -365,22 +335,26 @@ export async function handleToggleCardState(args, requestId) {
       reason: reason
     }, requestId);
     
+    await recordCardMutation({
+      action: 'card_state_changed',
+      tool: 'toggle_card_state',
+      cardToken,
+      reason,
+      details: { state }
+    }, requestId, options.caller);
+    
+    // Card state or limits changed - notify resource subscribers
+    resourceService.notifyResourceUpdated(cardUri(cardToken));
+    
     // Format for MCP response
-    const response = {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify({
-            success: true,
-            cardToken: cardToken,
-            newState: state,
-            result: result,
-            timestamp: new Date().toISOString(),
-            requestId
-          }, null, 2)
-        }
-      ]
-    };
+    const response = createToolResult({
+      success: true,
+      cardToken: cardToken,
+      newState: state,
+      result: result,
+      timestamp: new Date().toISOString(),
+      requestId
+    });
     
     logger.info({ 
       requestId, 
@@ -394,7 +368,7 @@ export async function handleToggleCardState(args, requestId) {
   } catch (error) {
     logger.error({ 
       requestId, 
-      cardTokenInfo: args?.cardToken ? (typeof args.cardToken === 'string' ? maskCardToken(args.cardToken) : 'nested_object') : 'not_provided',
+      cardToken: maskCardToken(args?.cardToken),
       error: error.message 
     }, 'MCP tool error: toggle_card_state');
     
@@ -406,6 +380,39 @@ export async function handleToggleCardState(args, requestId) {
  * Utility Functions
  */
 
+/**
+ * Write an audit entry attributed to the calling client
+ * @param {Object} event - Audited event (see auditService.record)
+ * @param {string} requestId - MCP request identifier
+ * @param {Object} [caller] - Caller identity ({ clientId, mcpSessionId })
+ * @returns {Promise<Object>} The written entry
+ */
+function recordCardAudit(event, requestId, caller) {
+  return auditService.record({
+    ...event,
+    clientId: caller?.clientId,
+    mcpSessionId: caller?.mcpSessionId,
+    requestId
+  });
+}
+
+/**
+ * Audit a card change that has already been applied. A failed write is logged
+ * rather than thrown, so the caller is not told a completed change failed.
+ */
+async function recordCardMutation(event, requestId, caller) {
+  try {
+    await recordCardAudit(event, requestId, caller);
+  } catch (error) {
+    logger.error({
+      requestId,
+      action: event.action,
+      cardToken: maskCardToken(event.cardToken),
+      error: error.message
+    }, 'SECURITY: Card change applied but not recorded in the audit log');
+  }
+}
+
 /**
  * Sanitize arguments for logging (remove sensitive data)
  * CRITICAL: Never log PAN, CVV, or other sensitive financial data
@@ -447,14 +454,3 @@ function extractTimestamp(requestId) {
   const match = requestId.match(/mcp_(\d+)_/);
   return match ? parseInt(match[1]) : Date.now();
 }
-
-/**
- * Format error for MCP response
- */
-function formatMcpError(error, toolName, requestId) {
-  const mcpError = new Error(`Tool '${toolName}' failed: ${error.message}`);
-  mcpError.toolName = toolName;
-  mcpError.requestId = requestId;
-  mcpError.originalError = error;
-  return mcpError;
-} 
\ No newline at end of file
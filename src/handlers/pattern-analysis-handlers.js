@@ -4,13 +4,528 @@
  * CRITICAL: These handlers wrap existing business logic services.
  * NEVER modify the underlying service functions - only wrap them for MCP.
  * 
- * Uses: reportingService.js and mccService.js for advanced fraud detection
+ * Uses: reportingService.js and mccService.js for advanced fraud detection,
+ * riskEngine to score the findings, and the entity graph utilities for scammer attribution
+ *
+ * Arguments arrive validated against each tool's inputSchema, with its defaults applied.
  */
 
 import * as reportingService from '../services/reporting-service.js';
 import * as mccService from '../services/mcc-service.js';
+import riskEngine from '../services/risk-engine.js';
+import velocityDetector, { findBreachWindows } from '../services/velocity-detector.js';
+import {
+  NODE_TYPES,
+  buildEntityGraph,
+  getNeighborhood,
+  findSharedMerchantLinks,
+  findConnectedComponents,
+  summarizeGraph,
+  nodeId
+} from '../utils/entity-graph.js';
+import { createToolResult } from '../utils/tool-results.js';
+import { ToolError, TOOL_ERROR_CODES, formatMcpError } from '../utils/tool-errors.js';
 import logger from '../utils/logger.js';
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Analyze Card Patterns Tool Handler
+ * Implements: analyze_card_patterns MCP tool
+ * Uses: reportingService.getTransactionHistory(), mccService.batchLookupMCCs(),
+ *       mccService.getSuspiciousMccCodes() - existing business logic
+ */
+export async function handleAnalyzeCardPatterns(args, requestId) {
+  try {
+    logger.info({ requestId, args: sanitizeArgs(args) }, 'MCP tool: analyze_card_patterns called');
+    
+    // Validate required parameters
+    if (!args?.cardToken) {
+      throw new ToolError(TOOL_ERROR_CODES.VALIDATION_ERROR, 'cardToken is required');
+    }
+    
+    const { days, limit } = args;
+    const since = new Date(Date.now() - days * DAY_MS).toISOString();
+    
+    const transactions = await reportingService.getTransactionHistory({
+      cardToken: args.cardToken,
+      since,
+      limit
+    });
+    
+    const mccCodes = extractMccCodes(transactions);
+    const [mccDetails, suspiciousCodes] = await Promise.all([
+      mccService.batchLookupMCCs(mccCodes),
+      mccService.getSuspiciousMccCodes()
+    ]);
+    const suspiciousByCode = new Map(suspiciousCodes.map(code => [code.mcc_code, code]));
+    
+    const summary = summarizeTransactions(transactions);
+    const temporal = analyzeTiming(transactions);
+    const merchants = rankMerchants(transactions);
+    const categories = mccCodes.map(mcc => {
+      const details = mccDetails.get(mcc);
+      const suspicious = suspiciousByCode.get(mcc);
+      return {
+        mcc,
+        description: details?.description || 'Unknown',
+        category: details?.category || 'Unknown',
+        count: transactions.filter(t => t.merchant_mcc === mcc).length,
+        suspicious: !!suspicious,
+        riskLevel: suspicious?.riskLevel || null,
+        reason: suspicious?.reason || null
+      };
+    });
+    const countries = [...new Set(transactions.map(t => t.country).filter(Boolean))];
+    // Card-testing probe and off-hours definitions come from the risk rules
+    const probeLimit = riskEngine.getCardTestingAmount();
+    const probeTransactions = probeLimit === null
+      ? []
+      : transactions.filter(t => t.amount_usd > 0 && t.amount_usd < probeLimit);
+    const roundAmountCount = transactions.filter(t => t.amount_usd >= 10 && Number.isInteger(t.amount_usd)).length;
+    
+    // Build findings an agent can act on
+    const findings = [];
+    
+    const suspiciousCategories = categories.filter(c => c.suspicious);
+    if (suspiciousCategories.length > 0) {
+      findings.push({
+        type: 'suspicious_merchant_category',
+        severity: suspiciousCategories.some(c => c.riskLevel === 'HIGH') ? 'high' : 'medium',
+        description: `Card used at ${suspiciousCategories.length} high-risk merchant categor${suspiciousCategories.length === 1 ? 'y' : 'ies'}`,
+        evidence: suspiciousCategories.map(c => ({ mcc: c.mcc, description: c.description, reason: c.reason, count: c.count })),
+        recommendedAction: 'Review transactions at these merchants and consider pausing the card'
+      });
+    }
+    
+    if (probeTransactions.length >= 2) {
+      findings.push({
+        type: 'card_testing_probes',
+        severity: 'high',
+        description: `${probeTransactions.length} transactions below $${probeLimit.toFixed(2)} - typical card-testing behavior`,
+        evidence: probeTransactions.map(t => ({ token: t.token, merchant: t.merchant, amount: t.amount_usd, created_at: t.created_at })),
+        recommendedAction: 'Watch for a larger follow-up charge; run detect_velocity_anomalies for burst timing'
+      });
+    }
+    
+    if (summary.transactionCount >= 3 && summary.declineRate >= 0.3) {
+      findings.push({
+        type: 'elevated_decline_rate',
+        severity: 'medium',
+        description: `${Math.round(summary.declineRate * 100)}% of transactions were declined`,
+        evidence: { declinedCount: summary.declinedCount, transactionCount: summary.transactionCount },
+        recommendedAction: 'Declines on a honeypot card suggest an attacker probing limits or card state'
+      });
+    }
+    
+    if (countries.length > 1) {
+      findings.push({
+        type: 'multi_country_usage',
+        severity: 'medium',
+        description: `Card used in ${countries.length} countries`,
+        evidence: countries,
+        recommendedAction: 'Multiple countries in a short period often indicates a shared or resold card'
+      });
+    }
+    
+    if (summary.transactionCount >= 3 && temporal.overnightShare >= 0.5) {
+      findings.push({
+        type: 'overnight_activity',
+        severity: 'low',
+        description: `${Math.round(temporal.overnightShare * 100)}% of activity happens between ${temporal.offHours.startHour}:00 and ${temporal.offHours.endHour}:00 ${temporal.timezone}`,
+        evidence: { peakHours: temporal.peakHours },
+        recommendedAction: 'Correlate with the leak channel time zone to estimate scammer location'
+      });
+    }
+    
+    // Format for MCP response
+    const response = createToolResult({
+      cardPatterns: {
+        cardToken: maskToken(args.cardToken),
+        analysisWindow: { days, since, transactionLimit: limit },
+        summary,
+        temporal,
+        merchants,
+        categories,
+        locations: {
+          distinctCountries: countries.length,
+          countries,
+          commonLocations: extractCommonLocations(transactions)
+        },
+        amounts: {
+          averageAmount: calculateAverageAmount(transactions),
+          probeCount: probeTransactions.length,
+          roundAmountCount
+        },
+        findings,
+        ...assessFindings(findings)
+      },
+      metadata: {
+        timestamp: new Date().toISOString(),
+        requestId
+      }
+    });
+    
+    logger.info({ 
+      requestId, 
+      cardToken: maskToken(args.cardToken),
+      transactionCount: summary.transactionCount,
+      findingCount: findings.length,
+      responseTime: Date.now() - extractTimestamp(requestId)
+    }, 'MCP tool: analyze_card_patterns completed successfully');
+    
+    return response;
+    
+  } catch (error) {
+    logger.error({ 
+      requestId, 
+      cardToken: args?.cardToken ? maskToken(args.cardToken) : 'not_provided',
+      error: error.message 
+    }, 'MCP tool error: analyze_card_patterns');
+    
+    throw formatMcpError(error, 'analyze_card_patterns', requestId);
+  }
+}
+
+// Finding per velocity detector check
+const VELOCITY_FINDINGS = {
+  transaction_count: {
+    type: 'velocity_breach',
+    recommendedAction: 'Likely card testing - consider pausing the card or lowering its spend limit'
+  },
+  distinct_merchants: {
+    type: 'merchant_hopping',
+    severity: 'high',
+    recommendedAction: 'Rapid merchant switching indicates automated card validation across acceptors'
+  },
+  distinct_countries: {
+    type: 'country_hopping',
+    severity: 'high',
+    recommendedAction: 'Merchants in several countries within minutes points to a shared or resold card'
+  },
+  decline_ratio: {
+    type: 'decline_burst',
+    severity: 'medium',
+    recommendedAction: 'Attacker is probing limits - expect retries with smaller amounts'
+  },
+  amount_ramp_up: {
+    type: 'amount_ramp_up',
+    severity: 'high',
+    recommendedAction: 'Small probes followed by a large charge mark the cash-out - pause the card'
+  }
+};
+
+/**
+ * Detect Velocity Anomalies Tool Handler
+ * Implements: detect_velocity_anomalies MCP tool
+ * Uses: reportingService.getTransactionHistory() - existing business logic, and the
+ *       velocity detector's window checks so results match velocity_breach alerts
+ */
+export async function handleDetectVelocityAnomalies(args, requestId) {
+  try {
+    logger.info({ requestId, args: sanitizeArgs(args) }, 'MCP tool: detect_velocity_anomalies called');
+    
+    // Validate required parameters
+    if (!args?.cardToken) {
+      throw new ToolError(TOOL_ERROR_CODES.VALIDATION_ERROR, 'cardToken is required');
+    }
+    
+    // Same window and thresholds as the velocity_breach alerts unless overridden
+    const velocityOptions = { ...velocityDetector.options };
+    if (args.windowMinutes !== undefined) velocityOptions.windowMinutes = args.windowMinutes;
+    if (args.transactionThreshold !== undefined) velocityOptions.transactionThreshold = args.transactionThreshold;
+    const { windowMinutes } = velocityOptions;
+    const { rapidSuccessionSeconds, days } = args;
+    const since = new Date(Date.now() - days * DAY_MS).toISOString();
+    
+    const transactions = await reportingService.getTransactionHistory({
+      cardToken: args.cardToken,
+      since,
+      limit: 1000
+    });
+    
+    const breachWindows = findBreachWindows(transactions.map(toVelocityObservation), velocityOptions);
+    const velocityWindows = breachWindows.map(({ window, breaches }) => ({ ...window, breaches }));
+    const rapidSuccession = findRapidSuccession(transactions, rapidSuccessionSeconds);
+    
+    // Build findings an agent can act on
+    const findings = [];
+    
+    breachWindows.forEach(({ window, breaches }) => {
+      breaches.forEach(breach => {
+        const finding = VELOCITY_FINDINGS[breach.check];
+        findings.push({
+          type: finding.type,
+          severity: finding.severity || (breach.value >= breach.threshold * 2 ? 'high' : 'medium'),
+          description: `${breach.description} (threshold ${breach.threshold})`,
+          evidence: { start: window.start, end: window.end, value: breach.value, transactionTokens: window.transactionTokens },
+          recommendedAction: finding.recommendedAction
+        });
+      });
+    });
+    
+    if (rapidSuccession.length > 0) {
+      findings.push({
+        type: 'rapid_succession',
+        severity: rapidSuccession.length >= 3 ? 'high' : 'medium',
+        description: `${rapidSuccession.length} consecutive transaction pair${rapidSuccession.length === 1 ? '' : 's'} less than ${rapidSuccessionSeconds}s apart`,
+        evidence: rapidSuccession,
+        recommendedAction: 'Sub-minute spacing is rarely human - treat as scripted activity'
+      });
+    }
+    
+    // Format for MCP response
+    const response = createToolResult({
+      velocityAnalysis: {
+        cardToken: maskToken(args.cardToken),
+        parameters: { ...velocityOptions, rapidSuccessionSeconds, days },
+        transactionCount: transactions.length,
+        peakWindowCount: maxWindowCount(transactions, windowMinutes * 60 * 1000),
+        flaggedWindows: velocityWindows,
+        rapidSuccession,
+        findings,
+        ...assessFindings(findings)
+      },
+      metadata: {
+        timestamp: new Date().toISOString(),
+        requestId
+      }
+    });
+    
+    logger.info({ 
+      requestId, 
+      cardToken: maskToken(args.cardToken),
+      transactionCount: transactions.length,
+      flaggedWindows: velocityWindows.length,
+      findingCount: findings.length,
+      responseTime: Date.now() - extractTimestamp(requestId)
+    }, 'MCP tool: detect_velocity_anomalies completed successfully');
+    
+    return response;
+    
+  } catch (error) {
+    logger.error({ 
+      requestId, 
+      cardToken: args?.cardToken ? maskToken(args.cardToken) : 'not_provided',
+      error: error.message 
+    }, 'MCP tool error: detect_velocity_anomalies');
+    
+    throw formatMcpError(error, 'detect_velocity_anomalies', requestId);
+  }
+}
+
+/**
+ * Compare Merchant Behavior Tool Handler
+ * Implements: compare_merchant_behavior MCP tool
+ * Uses: reportingService.getTransactionHistory(), mccService.lookupMCC(),
+ *       mccService.getSuspiciousMccCodes() - existing business logic
+ */
+export async function handleCompareMerchantBehavior(args, requestId) {
+  try {
+    logger.info({ requestId, args: sanitizeArgs(args) }, 'MCP tool: compare_merchant_behavior called');
+    
+    // Validate required parameters
+    if (!args?.merchantDescriptor) {
+      throw new ToolError(TOOL_ERROR_CODES.VALIDATION_ERROR, 'merchantDescriptor is required');
+    }
+    
+    const { days } = args;
+    const since = new Date(Date.now() - days * DAY_MS).toISOString();
+    
+    const [merchantTransactions, populationTransactions] = await Promise.all([
+      reportingService.getTransactionHistory({
+        merchantName: args.merchantDescriptor,
+        since,
+        limit: 1000
+      }),
+      reportingService.getTransactionHistory({
+        cardToken: args?.cardToken || null,
+        since,
+        limit: 1000
+      })
+    ]);
+    
+    // Baseline excludes the merchant itself so it is compared against everything else
+    const merchantTokens = new Set(merchantTransactions.map(t => t.token));
+    const baselineTransactions = populationTransactions.filter(t => !merchantTokens.has(t.token));
+    
+    const merchantProfile = buildBehaviorProfile(merchantTransactions);
+    const baselineProfile = buildBehaviorProfile(baselineTransactions);
+    
+    const deviations = {
+      averageAmountRatio: baselineProfile.averageAmount > 0
+        ? Number((merchantProfile.averageAmount / baselineProfile.averageAmount).toFixed(2))
+        : null,
+      declineRateDelta: Number((merchantProfile.declineRate - baselineProfile.declineRate).toFixed(2)),
+      overnightShareDelta: Number((merchantProfile.overnightShare - baselineProfile.overnightShare).toFixed(2))
+    };
+    
+    const mccCodes = extractMccCodes(merchantTransactions);
+    const suspiciousCodes = await mccService.getSuspiciousMccCodes();
+    const suspiciousByCode = new Map(suspiciousCodes.map(code => [code.mcc_code, code]));
+    const merchantCategories = await Promise.all(mccCodes.map(async mcc => {
+      const details = await mccService.lookupMCC(mcc);
+      const suspicious = suspiciousByCode.get(mcc);
+      return {
+        mcc,
+        description: details?.description || 'Unknown',
+        category: details?.category || 'Unknown',
+        suspicious: !!suspicious,
+        riskLevel: suspicious?.riskLevel || null,
+        reason: suspicious?.reason || null
+      };
+    }));
+    
+    // Build findings an agent can act on
+    const findings = [];
+    
+    if (merchantProfile.distinctCards >= 2) {
+      findings.push({
+        type: 'multi_card_merchant',
+        severity: 'high',
+        description: `Merchant charged ${merchantProfile.distinctCards} different honeypot cards`,
+        evidence: { distinctCards: merchantProfile.distinctCards, transactionCount: merchantProfile.transactionCount },
+        recommendedAction: 'Several leaked cards converging on one merchant points to the scammer cashing out here'
+      });
+    }
+    
+    if (deviations.averageAmountRatio !== null && deviations.averageAmountRatio >= 3) {
+      findings.push({
+        type: 'amount_outlier',
+        severity: 'medium',
+        description: `Average charge is ${deviations.averageAmountRatio}x the baseline`,
+        evidence: { merchantAverage: merchantProfile.averageAmount, baselineAverage: baselineProfile.averageAmount },
+        recommendedAction: 'Large charges after small probes usually mark the cash-out stage'
+      });
+    }
+    
+    if (merchantProfile.transactionCount >= 3 && deviations.declineRateDelta >= 0.25) {
+      findings.push({
+        type: 'elevated_declines',
+        severity: 'medium',
+        description: `Decline rate is ${Math.round(deviations.declineRateDelta * 100)} points above baseline`,
+        evidence: { merchantDeclineRate: merchantProfile.declineRate, baselineDeclineRate: baselineProfile.declineRate },
+        recommendedAction: 'Merchant is being used to probe card limits'
+      });
+    }
+    
+    const suspiciousCategories = merchantCategories.filter(c => c.suspicious);
+    if (suspiciousCategories.length > 0) {
+      findings.push({
+        type: 'suspicious_merchant_category',
+        severity: suspiciousCategories.some(c => c.riskLevel === 'HIGH') ? 'high' : 'medium',
+        description: `Merchant operates in a high-risk category (${suspiciousCategories.map(c => c.reason).join(', ')})`,
+        evidence: suspiciousCategories,
+        recommendedAction: 'Quasi-cash and transfer merchants are common scammer exit points'
+      });
+    }
+    
+    // Format for MCP response
+    const response = createToolResult({
+      merchantComparison: {
+        merchantDescriptor: args.merchantDescriptor,
+        baseline: args?.cardToken ? `card:${maskToken(args.cardToken)}` : 'all_honeypot_cards',
+        analysisWindow: { days, since },
+        merchantProfile,
+        baselineProfile,
+        deviations,
+        merchantCategories,
+        commonLocations: extractCommonLocations(merchantTransactions),
+        findings,
+        ...assessFindings(findings)
+      },
+      metadata: {
+        timestamp: new Date().toISOString(),
+        requestId
+      }
+    });
+    
+    logger.info({ 
+      requestId, 
+      merchantDescriptor: args.merchantDescriptor,
+      merchantTransactionCount: merchantProfile.transactionCount,
+      findingCount: findings.length,
+      responseTime: Date.now() - extractTimestamp(requestId)
+    }, 'MCP tool: compare_merchant_behavior completed successfully');
+    
+    return response;
+    
+  } catch (error) {
+    logger.error({ 
+      requestId, 
+      merchantDescriptor: args?.merchantDescriptor || 'not_provided',
+      error: error.message 
+    }, 'MCP tool error: compare_merchant_behavior');
+    
+    throw formatMcpError(error, 'compare_merchant_behavior', requestId);
+  }
+}
+
+/**
+ * Get Entity Graph Tool Handler
+ * Implements: get_entity_graph MCP tool
+ * Uses: reportingService.getEntityGraphData() - existing business logic
+ */
+export async function handleGetEntityGraph(args, requestId) {
+  try {
+    logger.info({ requestId, args: sanitizeArgs(args) }, 'MCP tool: get_entity_graph called');
+    
+    // Validate parameters
+    if (args?.cardToken && args?.nodeId) {
+      throw new ToolError(TOOL_ERROR_CODES.VALIDATION_ERROR, 'Provide either cardToken or nodeId, not both');
+    }
+    
+    const { depth, days, limit, maxComponents, maxLinks } = args;
+    const since = new Date(Date.now() - days * DAY_MS).toISOString();
+    
+    const graphData = await reportingService.getEntityGraphData({ since, limit });
+    const graph = buildEntityGraph(graphData);
+    
+    const centerId = args?.cardToken ? nodeId(NODE_TYPES.CARD, args.cardToken) : args?.nodeId;
+    const neighborhood = centerId ? getNeighborhood(graph, centerId, depth) : null;
+    const components = findConnectedComponents(graph, maxComponents);
+    
+    // Format for MCP response
+    const response = createToolResult({
+      entityGraph: {
+        parameters: { depth, limit, maxComponents, maxLinks },
+        analysisWindow: { days, since },
+        transactionCount: graphData.transactions.length,
+        summary: summarizeGraph(graph),
+        neighborhood,
+        sharedMerchantLinks: findSharedMerchantLinks(graph, maxLinks),
+        components,
+        multiCardComponents: components.filter(component => component.cardCount > 1).length,
+        crossCampaignComponents: components.filter(component => component.campaignCount > 1).length
+      },
+      metadata: {
+        timestamp: new Date().toISOString(),
+        requestId
+      }
+    });
+    
+    logger.info({ 
+      requestId, 
+      transactionCount: graphData.transactions.length,
+      nodeCount: graph.nodes.size,
+      edgeCount: graph.edges.size,
+      neighborhoodFound: neighborhood?.found ?? null,
+      responseTime: Date.now() - extractTimestamp(requestId)
+    }, 'MCP tool: get_entity_graph completed successfully');
+    
+    return response;
+    
+  } catch (error) {
+    logger.error({ 
+      requestId, 
+      cardToken: args?.cardToken ? maskToken(args.cardToken) : 'not_provided',
+      error: error.message 
+    }, 'MCP tool error: get_entity_graph');
+    
+    throw formatMcpError(error, 'get_entity_graph', requestId);
+  }
+}
+
 /**
  * Utility Functions
  */
@@ -65,29 +580,14 @@ function extractTimestamp(requestId) {
   return match ? parseInt(match[1]) : Date.now();
 }
 
-/**
- * Format error for MCP response
- */
-function formatMcpError(error, toolName, requestId) {
-  const mcpError = new Error(`Tool '${toolName}' failed: ${error.message}`);
-  mcpError.toolName = toolName;
-  mcpError.requestId = requestId;
-  mcpError.originalError = error;
-  return mcpError;
-}
-
 // Helper functions for pattern analysis
 
-
 function calculateAverageAmount(transactions) {
   if (!transactions || !Array.isArray(transactions) || transactions.length === 0) return 0;
   
-  const total = transactions.reduce((sum, t) => {
-    const amount = parseFloat(t.amount?.split(' ')[1] || '0');
-    return sum + amount;
-  }, 0);
+  const total = transactions.reduce((sum, t) => sum + (t.amount_usd || 0), 0);
   
-  return (total / transactions.length).toFixed(2);
+  return Number((total / transactions.length).toFixed(2));
 }
 
 function extractCommonLocations(transactions) {
@@ -111,4 +611,150 @@ function extractMccCodes(transactions) {
   
   const codes = transactions.map(t => t.merchant_mcc).filter(Boolean);
   return [...new Set(codes)];
-}
\ No newline at end of file
+}
+
+/**
+ * Count, approval and amount summary for a set of transactions
+ */
+function summarizeTransactions(transactions) {
+  const declinedCount = transactions.filter(t => !t.is_approved).length;
+  const totalAmount = transactions.reduce((sum, t) => sum + (t.amount_usd || 0), 0);
+  
+  return {
+    transactionCount: transactions.length,
+    approvedCount: transactions.length - declinedCount,
+    declinedCount,
+    declineRate: transactions.length > 0 ? Number((declinedCount / transactions.length).toFixed(2)) : 0,
+    totalAmount: Number(totalAmount.toFixed(2)),
+    averageAmount: calculateAverageAmount(transactions),
+    firstSeen: transactions[0]?.created_at || null,
+    lastSeen: transactions[transactions.length - 1]?.created_at || null
+  };
+}
+
+/**
+ * Hour-of-day distribution, peak hours and overnight share, in the time zone of the
+ * risk engine's off-hours rule (UTC without one)
+ */
+function analyzeTiming(transactions) {
+  const offHours = riskEngine.getOffHours();
+  const timezone = offHours?.timeZone || 'UTC';
+  
+  const hourlyDistribution = new Array(24).fill(0);
+  transactions.forEach(t => {
+    const hour = riskEngine.hourOf(t.created_at, timezone);
+    if (hour !== null) hourlyDistribution[hour]++;
+  });
+  
+  const overnightCount = offHours
+    ? hourlyDistribution.slice(offHours.startHour, offHours.endHour).reduce((sum, count) => sum + count, 0)
+    : 0;
+  const peakHours = hourlyDistribution
+    .map((count, hour) => ({ hour, count }))
+    .filter(h => h.count > 0)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, 3);
+  
+  return {
+    timezone,
+    offHours: offHours ? { startHour: offHours.startHour, endHour: offHours.endHour } : null,
+    hourlyDistribution,
+    peakHours,
+    overnightShare: transactions.length > 0 ? Number((overnightCount / transactions.length).toFixed(2)) : 0
+  };
+}
+
+/**
+ * Distinct merchant count and top merchants by transaction count
+ */
+function rankMerchants(transactions) {
+  const byMerchant = new Map();
+  transactions.forEach(t => {
+    const entry = byMerchant.get(t.merchant) || { merchant: t.merchant, count: 0, totalAmount: 0 };
+    entry.count++;
+    entry.totalAmount = Number((entry.totalAmount + (t.amount_usd || 0)).toFixed(2));
+    byMerchant.set(t.merchant, entry);
+  });
+  
+  return {
+    distinctCount: byMerchant.size,
+    top: [...byMerchant.values()].sort((a, b) => b.count - a.count).slice(0, 5)
+  };
+}
+
+/**
+ * Behavior profile used for merchant-vs-baseline comparison
+ */
+function buildBehaviorProfile(transactions) {
+  const summary = summarizeTransactions(transactions);
+  const timing = analyzeTiming(transactions);
+  
+  return {
+    transactionCount: summary.transactionCount,
+    distinctCards: new Set(transactions.map(t => t.card_token).filter(Boolean)).size,
+    averageAmount: summary.averageAmount,
+    declineRate: summary.declineRate,
+    overnightShare: timing.overnightShare,
+    distinctCountries: new Set(transactions.map(t => t.country).filter(Boolean)).size,
+    peakHours: timing.peakHours
+  };
+}
+
+/**
+ * Velocity detector observation of a transaction history row
+ */
+function toVelocityObservation(transaction) {
+  return {
+    token: transaction.token,
+    timestamp: new Date(transaction.created_at).getTime(),
+    merchant: transaction.merchant || null,
+    country: transaction.country ? transaction.country.toUpperCase() : null,
+    declined: !transaction.is_approved,
+    amount: typeof transaction.amount_usd === 'number' ? transaction.amount_usd : null
+  };
+}
+
+/**
+ * Largest number of transactions that fall inside any single window
+ */
+function maxWindowCount(transactions, windowMs) {
+  let max = 0;
+  let start = 0;
+  for (let end = 0; end < transactions.length; end++) {
+    const endTime = new Date(transactions[end].created_at).getTime();
+    while (endTime - new Date(transactions[start].created_at).getTime() > windowMs) {
+      start++;
+    }
+    max = Math.max(max, end - start + 1);
+  }
+  return max;
+}
+
+/**
+ * Consecutive transaction pairs closer together than the threshold
+ */
+function findRapidSuccession(transactions, thresholdSeconds) {
+  const pairs = [];
+  for (let i = 1; i < transactions.length; i++) {
+    const previous = transactions[i - 1];
+    const current = transactions[i];
+    const secondsApart = (new Date(current.created_at) - new Date(previous.created_at)) / 1000;
+    if (secondsApart < thresholdSeconds) {
+      pairs.push({
+        first: previous.token,
+        second: current.token,
+        secondsApart,
+        sameMerchant: previous.merchant === current.merchant
+      });
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Overall risk of the findings, scored by the shared risk engine
+ */
+function assessFindings(findings) {
+  const { score, level } = riskEngine.scoreFindings(findings);
+  return { riskScore: score, riskLevel: level };
+}
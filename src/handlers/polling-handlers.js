@@ -7,95 +7,123 @@
  * 
  * Tools:
  * - poll_subscription_alerts: Poll an active subscription for new alerts
+ * - ack_alerts: Acknowledge polled alerts so they are not delivered again
  * - get_subscription_status: Get subscription metadata and health status
+ * - poll_live_feed: Poll a live transaction feed for transactions since the last poll
+ *
+ * The dispatcher validates arguments against each tool's inputSchema and fills in
+ * its defaults, so limits and ranges are not re-checked here.
  */
 
 import pollingService from '../services/polling-service.js';
+import * as reportingService from '../services/reporting-service.js';
+import { createToolResult } from '../utils/tool-results.js';
+import { ToolError, TOOL_ERROR_CODES, formatMcpError } from '../utils/tool-errors.js';
 import logger from '../utils/logger.js';
 
+// Stored transactions read per live feed poll
+const FEED_SCAN_LIMIT = 500;
+
 /**
  * Poll Subscription Alerts Tool Handler
  * Implements: poll_subscription_alerts MCP tool
  * 
- * Retrieves queued alerts for a subscription and clears the queue (consume pattern).
- * This enables AI agents to continuously monitor for new fraud alerts.
+ * Leases queued alerts for a subscription. Returned alerts are hidden from later polls
+ * until the visibility timeout lapses; alerts not confirmed with ack_alerts by then
+ * are delivered again, so a lost response does not lose alerts.
+ * 
+ * With waitSeconds, an empty poll blocks until an alert is queued or the wait
+ * expires (long-poll), so agents do not have to call this tool in a tight loop.
  * 
  * @param {Object} args - Tool arguments
  * @param {string} args.subscriptionId - Subscription ID to poll
  * @param {number} [args.maxAlerts=50] - Maximum alerts to return
+ * @param {number} [args.visibilityTimeoutSeconds=60] - Seconds before unacknowledged alerts are redelivered
+ * @param {number} [args.waitSeconds=0] - Seconds to wait for an alert when none are queued
  * @param {string} requestId - MCP request identifier
+ * @param {Object} [options] - Request context
+ * @param {AbortSignal} [options.signal] - Aborted when the request is cancelled or the MCP session closes
  * @returns {Object} MCP tool response with alerts
  */
-export async function handlePollSubscriptionAlerts(args, requestId) {
+export async function handlePollSubscriptionAlerts(args, requestId, options = {}) {
   const startTime = Date.now();
   
   try {
     logger.info({ 
       requestId, 
       subscriptionId: args?.subscriptionId,
-      maxAlerts: args?.maxAlerts || 50
+      maxAlerts: args?.maxAlerts
     }, 'MCP tool: poll_subscription_alerts called');
     
     // Validate required parameters
     if (!args?.subscriptionId) {
-      throw new Error('subscriptionId is required');
+      throw new ToolError(TOOL_ERROR_CODES.VALIDATION_ERROR, 'subscriptionId is required');
     }
 
-    // Validate maxAlerts parameter
-    const maxAlerts = args.maxAlerts || 50;
-    if (maxAlerts < 1 || maxAlerts > 100) {
-      throw new Error('maxAlerts must be between 1 and 100');
-    }
+    const { maxAlerts, visibilityTimeoutSeconds, waitSeconds } = args;
 
-    // Poll alerts from the polling service
-    const alerts = pollingService.pollAlerts(args.subscriptionId, maxAlerts);
+    // Lease alerts from the polling service, waiting for one to arrive if requested
+    let alerts = pollingService.pollAlerts(args.subscriptionId, maxAlerts, visibilityTimeoutSeconds * 1000);
+    let waitedMs = 0;
+    if (alerts.length === 0 && waitSeconds > 0) {
+      const waitStart = Date.now();
+      await pollingService.waitForAlerts(args.subscriptionId, waitSeconds * 1000, options.signal);
+      waitedMs = Date.now() - waitStart;
+      alerts = pollingService.pollAlerts(args.subscriptionId, maxAlerts, visibilityTimeoutSeconds * 1000);
+    }
     const responseTime = Date.now() - startTime;
     
     // Get updated subscription status for additional context
     const subscriptionStatus = pollingService.getSubscriptionStatus(args.subscriptionId);
     
     // Format response for MCP
-    const response = {
-      content: [{
-        type: "text",
-        text: JSON.stringify({
-          pollingResult: {
-            subscriptionId: args.subscriptionId,
-            alertCount: alerts.length,
-            alerts: alerts.map(alert => ({
-              ...alert,
-              // Mask sensitive data for security
-              cardToken: alert.cardToken ? maskToken(alert.cardToken) : undefined
-            })),
-            polledAt: new Date().toISOString(),
-            hasMoreAlerts: subscriptionStatus.queuedAlerts > 0,
-            subscription: {
-              isActive: subscriptionStatus.isActive,
-              timeRemaining: subscriptionStatus.timeRemainingHuman,
-              queuedAlerts: subscriptionStatus.queuedAlerts,
-              pollCount: subscriptionStatus.pollCount,
-              totalAlertsReceived: subscriptionStatus.totalAlertsReceived
-            },
-            performance: {
-              responseTimeMs: responseTime,
-              throughput: alerts.length > 0 ? Math.round((alerts.length / responseTime) * 1000) : 0
-            }
-          },
-          metadata: {
-            requestId,
-            timestamp: new Date().toISOString(),
-            toolVersion: '1.0.0',
-            note: alerts.length === 0 ? 'No new alerts available' : `Retrieved ${alerts.length} alerts`
-          }
-        }, null, 2)
-      }]
-    };
+    const response = createToolResult({
+      pollingResult: {
+        subscriptionId: args.subscriptionId,
+        alertCount: alerts.length,
+        alerts: alerts.map(alert => ({
+          ...alert,
+          // Mask sensitive data for security
+          cardToken: alert.cardToken ? maskToken(alert.cardToken) : undefined
+        })),
+        polledAt: new Date().toISOString(),
+        hasMoreAlerts: subscriptionStatus.queuedAlerts > 0,
+        lease: {
+          visibilityTimeoutSeconds,
+          leaseExpiresAt: alerts[0]?.leaseExpiresAt || null,
+          alertIds: alerts.map(alert => alert.alertId)
+        },
+        subscription: {
+          isActive: subscriptionStatus.isActive,
+          timeRemaining: subscriptionStatus.timeRemainingHuman,
+          queuedAlerts: subscriptionStatus.queuedAlerts,
+          inFlightAlerts: subscriptionStatus.inFlightAlerts,
+          deadLetterCount: subscriptionStatus.deadLetterCount,
+          pollCount: subscriptionStatus.pollCount,
+          totalAlertsReceived: subscriptionStatus.totalAlertsReceived
+        },
+        performance: {
+          responseTimeMs: responseTime,
+          waitedMs,
+          throughput: alerts.length > 0 ? Math.round((alerts.length / responseTime) * 1000) : 0
+        }
+      },
+      metadata: {
+        requestId,
+        timestamp: new Date().toISOString(),
+        toolVersion: '1.0.0',
+        note: alerts.length === 0
+          ? 'No new alerts available'
+          : `Retrieved ${alerts.length} alerts; confirm them with ack_alerts before ${alerts[0].leaseExpiresAt} or they will be redelivered`
+      }
+    });
 
     logger.info({ 
       requestId, 
       subscriptionId: args.subscriptionId,
       alertCount: alerts.length,
       remainingInQueue: subscriptionStatus.queuedAlerts,
+      waitedMs,
       responseTime,
       pollCount: subscriptionStatus.pollCount
     }, 'MCP tool: poll_subscription_alerts completed successfully');
@@ -114,7 +142,94 @@ export async function handlePollSubscriptionAlerts(args, requestId) {
     }, 'MCP tool error: poll_subscription_alerts');
     
     // Return structured error response
-    throw new Error(`Tool 'poll_subscription_alerts' failed: ${error.message}`);
+    throw formatMcpError(error, 'poll_subscription_alerts', requestId);
+  }
+}
+
+/**
+ * Ack Alerts Tool Handler
+ * Implements: ack_alerts MCP tool
+ * 
+ * Confirms alerts returned by poll_subscription_alerts so they are removed from
+ * the queue instead of being redelivered when their lease lapses.
+ * 
+ * @param {Object} args - Tool arguments
+ * @param {string} args.subscriptionId - Subscription the alerts were polled from
+ * @param {Array<string>} args.alertIds - alertId values from the poll response
+ * @param {string} requestId - MCP request identifier
+ * @returns {Object} MCP tool response with acknowledgement results
+ */
+export async function handleAckAlerts(args, requestId) {
+  const startTime = Date.now();
+  
+  try {
+    logger.info({ 
+      requestId, 
+      subscriptionId: args?.subscriptionId,
+      alertCount: args?.alertIds?.length || 0
+    }, 'MCP tool: ack_alerts called');
+    
+    // Validate required parameters
+    if (!args?.subscriptionId) {
+      throw new ToolError(TOOL_ERROR_CODES.VALIDATION_ERROR, 'subscriptionId is required');
+    }
+    
+    if (!Array.isArray(args.alertIds) || args.alertIds.length === 0) {
+      throw new ToolError(TOOL_ERROR_CODES.VALIDATION_ERROR, 'alertIds must be a non-empty array');
+    }
+
+    const result = pollingService.ackAlerts(args.subscriptionId, args.alertIds);
+    const subscriptionStatus = pollingService.getSubscriptionStatus(args.subscriptionId);
+    const responseTime = Date.now() - startTime;
+    
+    // Format response for MCP
+    const response = createToolResult({
+      ackResult: {
+        subscriptionId: args.subscriptionId,
+        acknowledgedCount: result.acknowledged.length,
+        acknowledged: result.acknowledged,
+        unknown: result.unknown,
+        subscription: {
+          queuedAlerts: subscriptionStatus.queuedAlerts,
+          inFlightAlerts: subscriptionStatus.inFlightAlerts,
+          deadLetterCount: subscriptionStatus.deadLetterCount
+        },
+        performance: {
+          responseTimeMs: responseTime
+        }
+      },
+      metadata: {
+        requestId,
+        timestamp: new Date().toISOString(),
+        toolVersion: '1.0.0',
+        note: result.unknown.length > 0
+          ? `${result.unknown.length} alert IDs were not in the queue (already acknowledged, dead-lettered or unknown)`
+          : `Acknowledged ${result.acknowledged.length} alerts`
+      }
+    });
+
+    logger.info({ 
+      requestId, 
+      subscriptionId: args.subscriptionId,
+      acknowledgedCount: result.acknowledged.length,
+      unknownCount: result.unknown.length,
+      responseTime
+    }, 'MCP tool: ack_alerts completed successfully');
+
+    return response;
+
+  } catch (error) {
+    const responseTime = Date.now() - startTime;
+    
+    logger.error({ 
+      requestId, 
+      subscriptionId: args?.subscriptionId, 
+      error: error.message,
+      stack: error.stack,
+      responseTime
+    }, 'MCP tool error: ack_alerts');
+    
+    throw formatMcpError(error, 'ack_alerts', requestId);
   }
 }
 
@@ -141,7 +256,7 @@ export async function handleGetSubscriptionStatus(args, requestId) {
     
     // Validate required parameters
     if (!args?.subscriptionId) {
-      throw new Error('subscriptionId is required');
+      throw new ToolError(TOOL_ERROR_CODES.VALIDATION_ERROR, 'subscriptionId is required');
     }
 
     // Get subscription status from polling service
@@ -153,49 +268,49 @@ export async function handleGetSubscriptionStatus(args, requestId) {
     const healthStatus = calculateHealthStatus(subscription, now);
     
     // Format response for MCP
-    const response = {
-      content: [{
-        type: "text", 
-        text: JSON.stringify({
-          subscriptionStatus: {
-            subscriptionId: args.subscriptionId,
-            isActive: subscription.isActive && !subscription.isExpired,
-            health: healthStatus,
-            lifecycle: {
-              createdAt: subscription.createdAt,
-              expiresAt: subscription.expiresAt,
-              lastPolled: subscription.lastPolled,
-              timeRemaining: subscription.timeRemaining,
-              timeRemainingHuman: subscription.timeRemainingHuman,
-              isExpired: subscription.isExpired
-            },
-            activity: {
-              pollCount: subscription.pollCount,
-              totalAlertsReceived: subscription.totalAlertsReceived,
-              queuedAlerts: subscription.queuedAlerts,
-              averageAlertsPerPoll: subscription.pollCount > 0 ? 
-                Math.round((subscription.totalAlertsReceived / subscription.pollCount) * 100) / 100 : 0
-            },
-            configuration: {
-              // Mask sensitive card tokens for security
-              cardTokens: subscription.cardTokens?.map(token => maskToken(token)) || [],
-              alertTypes: subscription.alertTypes || [],
-              riskThreshold: subscription.riskThreshold || 'not specified',
-              duration: subscription.duration || 'unknown'
-            },
-            queueSample: subscription.queueSample || [],
-            performance: {
-              responseTimeMs: responseTime
-            }
-          },
-          metadata: {
-            requestId,
-            timestamp: new Date().toISOString(),
-            toolVersion: '1.0.0'
-          }
-        }, null, 2)
-      }]
-    };
+    const response = createToolResult({
+      subscriptionStatus: {
+        subscriptionId: args.subscriptionId,
+        isActive: subscription.isActive && !subscription.isExpired,
+        health: healthStatus,
+        lifecycle: {
+          createdAt: subscription.createdAt,
+          expiresAt: subscription.expiresAt,
+          lastPolled: subscription.lastPolled,
+          timeRemaining: subscription.timeRemaining,
+          timeRemainingHuman: subscription.timeRemainingHuman,
+          isExpired: subscription.isExpired
+        },
+        activity: {
+          pollCount: subscription.pollCount,
+          totalAlertsReceived: subscription.totalAlertsReceived,
+          queuedAlerts: subscription.queuedAlerts,
+          inFlightAlerts: subscription.inFlightAlerts,
+          averageAlertsPerPoll: subscription.pollCount > 0 ? 
+            Math.round((subscription.totalAlertsReceived / subscription.pollCount) * 100) / 100 : 0
+        },
+        configuration: {
+          // Mask sensitive card tokens for security
+          cardTokens: subscription.cardTokens?.map(token => maskToken(token)) || [],
+          alertTypes: subscription.alertTypes || [],
+          riskThreshold: subscription.riskThreshold || 'not specified',
+          duration: subscription.duration || 'unknown'
+        },
+        queueSample: subscription.queueSample || [],
+        deadLetters: {
+          count: subscription.deadLetterCount,
+          sample: subscription.deadLetterSample || []
+        },
+        performance: {
+          responseTimeMs: responseTime
+        }
+      },
+      metadata: {
+        requestId,
+        timestamp: new Date().toISOString(),
+        toolVersion: '1.0.0'
+      }
+    });
 
     logger.info({
       requestId,
@@ -221,51 +336,144 @@ export async function handleGetSubscriptionStatus(args, requestId) {
     }, 'MCP tool error: get_subscription_status');
     
     // Return structured error response
-    throw new Error(`Tool 'get_subscription_status' failed: ${error.message}`);
+    throw formatMcpError(error, 'get_subscription_status', requestId);
   }
 }
 
 /**
- * Poll Live Feed Tool Handler (Future Enhancement)
+ * Poll Live Feed Tool Handler
  * Implements: poll_live_feed MCP tool
  * 
- * This is a placeholder for future live transaction feed polling capability.
- * Currently returns a not implemented message.
+ * Returns transactions that arrived since the feed's last poll. The feed's
+ * cursor, filters and rate limit live in the polling service; transactions are
+ * read from the database starting at the cursor.
  * 
  * @param {Object} args - Tool arguments
+ * @param {string} args.feedId - Feed ID returned by get_live_transaction_feed
+ * @param {number} [args.maxTransactions=20] - Maximum transactions to return
+ * @param {boolean} [args.includeMetadata=true] - Include enrichment fields
  * @param {string} requestId - MCP request identifier
- * @returns {Object} MCP tool response
+ * @returns {Object} MCP tool response with new transactions
  */
 export async function handlePollLiveFeed(args, requestId) {
+  const startTime = Date.now();
+  
   try {
-    logger.info({ requestId, feedId: args?.feedId }, 'MCP tool: poll_live_feed called');
+    logger.info({ 
+      requestId, 
+      feedId: args?.feedId,
+      maxTransactions: args?.maxTransactions
+    }, 'MCP tool: poll_live_feed called');
     
-    const response = {
-      content: [{
-        type: "text",
-        text: JSON.stringify({
-          liveFeedResult: {
-            status: 'not_implemented',
-            message: 'Live feed polling is planned for future release',
-            feedId: args?.feedId || 'unknown',
-            polledAt: new Date().toISOString()
-          },
-          metadata: {
-            requestId,
-            timestamp: new Date().toISOString(),
-            toolVersion: '1.0.0'
-          }
-        }, null, 2)
-      }]
-    };
+    // Validate required parameters
+    if (!args?.feedId) {
+      throw new ToolError(TOOL_ERROR_CODES.VALIDATION_ERROR, 'feedId is required');
+    }
+
+    const { maxTransactions } = args;
+
+    // Resolve the feed (throws if unknown or expired) and read from its cursor
+    const feed = pollingService.getFeed(args.feedId);
+    const since = pollingService.getFeedReadPosition(args.feedId);
+    const candidates = await reportingService.getTransactionHistory({
+      cardTokens: feed.cardTokenFilter.length > 0 ? feed.cardTokenFilter : null,
+      since,
+      limit: FEED_SCAN_LIMIT,
+      fromStart: true
+    });
+    
+    const result = pollingService.pollFeed(args.feedId, candidates || [], maxTransactions, FEED_SCAN_LIMIT);
+    const responseTime = Date.now() - startTime;
+    const includeMetadata = args.includeMetadata !== false;
+    
+    // Format response for MCP
+    const response = createToolResult({
+      liveFeedResult: {
+        feedId: args.feedId,
+        transactionCount: result.transactions.length,
+        transactions: result.transactions.map(transaction => formatFeedTransaction(transaction, includeMetadata)),
+        polledAt: new Date().toISOString(),
+        hasMoreTransactions: result.remaining > 0,
+        remainingTransactions: result.remaining,
+        cursor: result.cursor,
+        rateLimit: result.rateLimit,
+        feed: {
+          isActive: feed.isActive,
+          expiresAt: feed.expiresAt,
+          timeRemaining: pollingService.formatDuration(feed.expiresAt.getTime() - Date.now()),
+          transactionTypes: feed.transactionTypes,
+          cardTokenFilter: feed.cardTokenFilter.map(token => maskToken(token)),
+          pollCount: feed.pollCount,
+          totalTransactionsDelivered: feed.totalTransactionsDelivered
+        },
+        performance: {
+          responseTimeMs: responseTime
+        }
+      },
+      metadata: {
+        requestId,
+        timestamp: new Date().toISOString(),
+        toolVersion: '1.0.0',
+        note: result.rateLimit.rateLimited
+          ? `Rate limit reached, retry in ${result.rateLimit.retryAfterSeconds}s`
+          : result.transactions.length === 0 ? 'No new transactions available' : `Retrieved ${result.transactions.length} transactions`
+      }
+    });
+
+    logger.info({ 
+      requestId, 
+      feedId: args.feedId,
+      transactionCount: result.transactions.length,
+      remaining: result.remaining,
+      rateLimited: result.rateLimit.rateLimited,
+      responseTime
+    }, 'MCP tool: poll_live_feed completed successfully');
 
-    logger.info({ requestId }, 'MCP tool: poll_live_feed completed (not implemented)');
     return response;
 
   } catch (error) {
-    logger.error({ requestId, error: error.message }, 'MCP tool error: poll_live_feed');
-    throw new Error(`Tool 'poll_live_feed' failed: ${error.message}`);
+    const responseTime = Date.now() - startTime;
+    
+    logger.error({ 
+      requestId, 
+      feedId: args?.feedId, 
+      error: error.message,
+      stack: error.stack,
+      responseTime
+    }, 'MCP tool error: poll_live_feed');
+    
+    throw formatMcpError(error, 'poll_live_feed', requestId);
+  }
+}
+
+/**
+ * Shape a transaction history row for live feed output
+ * @param {Object} transaction - Transaction history row
+ * @param {boolean} includeMetadata - Include enrichment fields
+ * @returns {Object} Feed transaction
+ */
+function formatFeedTransaction(transaction, includeMetadata) {
+  const formatted = {
+    token: transaction.token,
+    cardToken: maskToken(transaction.card_token),
+    type: pollingService.classifyFeedTransaction(transaction),
+    createdAt: transaction.created_at,
+    amount: transaction.amount_usd,
+    currency: transaction.currency,
+    merchant: transaction.merchant,
+    result: transaction.result
+  };
+  
+  if (includeMetadata) {
+    formatted.metadata = {
+      location: transaction.location,
+      mcc: transaction.merchant_mcc,
+      merchantAcceptorId: transaction.merchant_acceptor_id,
+      lifecycleState: transaction.lifecycle_state
+    };
   }
+  
+  return formatted;
 }
 
 /**
@@ -370,8 +578,8 @@ export async function handleGetPollingMetrics(args, requestId) {
   try {
     logger.info({ 
       requestId, 
-      format: args?.format || 'summary',
-      includeDetails: args?.includeSubscriptionDetails || false
+      format: args?.format,
+      includeDetails: args?.includeSubscriptionDetails
     }, 'MCP tool: get_polling_metrics called');
     
     // Get comprehensive metrics from polling service
@@ -422,20 +630,15 @@ export async function handleGetPollingMetrics(args, requestId) {
     }
 
     // Format response for MCP
-    const response = {
-      content: [{
-        type: "text",
-        text: JSON.stringify({
-          pollingMetrics: metricsData,
-          metadata: {
-            requestId,
-            timestamp: new Date().toISOString(),
-            toolVersion: '1.0.0',
-            format: args?.format || 'summary'
-          }
-        }, null, 2)
-      }]
-    };
+    const response = createToolResult({
+      pollingMetrics: metricsData,
+      metadata: {
+        requestId,
+        timestamp: new Date().toISOString(),
+        toolVersion: '1.0.0',
+        format: args?.format
+      }
+    });
 
     logger.info({
       requestId,
@@ -457,7 +660,7 @@ export async function handleGetPollingMetrics(args, requestId) {
       responseTime
     }, 'MCP tool error: get_polling_metrics');
     
-    throw new Error(`Tool 'get_polling_metrics' failed: ${error.message}`);
+    throw formatMcpError(error, 'get_polling_metrics', requestId);
   }
 }
 
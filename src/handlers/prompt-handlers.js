@@ -0,0 +1,299 @@
+/**
+ * Prompt Handlers - MCP prompt implementations for scam-call voice agents
+ *
+ * These handlers serve the prompt templates defined in prompt-schemas.js. Each
+ * prompts/get call loads the honeypot card and its recent transactions from the
+ * existing services, so every voice agent gets the same, current instructions.
+ * Transactions are only embedded for clients allowed to read them.
+ *
+ * Prompts:
+ * - elderly_persona: System prompt for the vulnerable elderly persona
+ * - verify_caller_charge: Script for checking a charge a caller mentions
+ * - stall_scammer: Script for keeping a scammer on the line
+ *
+ * The PAN is never embedded in prompt text; the persona reads it out through the
+ * get_card_details tool when a caller asks, so that access stays audited.
+ */
+
+import * as cardService from '../services/card-service.js';
+import * as reportingService from '../services/reporting-service.js';
+import { promptSchemas } from '../schemas/prompt-schemas.js';
+import logger from '../utils/logger.js';
+
+const RECENT_TRANSACTION_LIMIT = 5;
+const DEFAULT_PERSONA_NAME = 'Margaret';
+const MAX_PERSONA_NAME_LENGTH = 40;
+
+/**
+ * Regional details used to make personas believable to local callers
+ */
+const REGION_PROFILES = {
+  US: { label: 'the United States', currency: 'USD', agencies: ['the IRS', 'Social Security', 'Medicare'] },
+  UK: { label: 'the United Kingdom', currency: 'GBP', agencies: ['HMRC', 'the DWP', 'the NHS'] },
+  CA: { label: 'Canada', currency: 'CAD', agencies: ['the CRA', 'Service Canada'] },
+  AU: { label: 'Australia', currency: 'AUD', agencies: ['the ATO', 'Centrelink', 'Medicare'] }
+};
+
+const PROMPT_BUILDERS = {
+  elderly_persona: buildElderlyPersona,
+  verify_caller_charge: buildVerifyCallerCharge,
+  stall_scammer: buildStallScammer
+};
+
+/**
+ * List Prompts Handler
+ * Implements: prompts/list
+ * @returns {Object} MCP prompts/list result
+ */
+export function handleListPrompts() {
+  logger.info('MCP prompt discovery requested');
+  return { prompts: promptSchemas };
+}
+
+/**
+ * Get Prompt Handler
+ * Implements: prompts/get
+ *
+ * @param {Object} params - Request params
+ * @param {string} params.name - Prompt name
+ * @param {Object} [params.arguments] - Prompt arguments (strings)
+ * @param {string} requestId - MCP request identifier
+ * @param {Object} [options]
+ * @param {boolean} [options.includeTransactions=true] - Embed recent transactions (client has transactions:read)
+ * @returns {Promise<Object>} MCP prompts/get result
+ */
+export async function handleGetPrompt(params, requestId, { includeTransactions = true } = {}) {
+  const name = params?.name;
+  const args = params?.arguments || {};
+
+  try {
+    logger.info({
+      requestId,
+      prompt: name,
+      cardToken: args.cardToken ? maskToken(args.cardToken) : null,
+      region: args.region
+    }, 'MCP prompt: get called');
+
+    const build = PROMPT_BUILDERS[name];
+    const schema = promptSchemas.find(prompt => prompt.name === name);
+    if (!build || !schema) {
+      throw new Error(`Unknown prompt. Available prompts: ${promptSchemas.map(p => p.name).join(', ')}`);
+    }
+
+    const options = validatePromptArguments(args);
+    const context = await loadCardContext(options.cardToken, requestId, includeTransactions);
+    const text = build(options, context);
+
+    logger.info({
+      requestId,
+      prompt: name,
+      transactionCount: context.transactions?.length ?? 0,
+      includeTransactions
+    }, 'MCP prompt: get completed successfully');
+
+    return {
+      description: schema.description,
+      messages: [{
+        role: 'user',
+        content: { type: 'text', text }
+      }]
+    };
+
+  } catch (error) {
+    logger.error({ requestId, prompt: name, error: error.message }, 'MCP prompt error');
+    throw formatPromptError(error, name, requestId);
+  }
+}
+
+/**
+ * Validate prompt arguments and apply defaults
+ * @param {Object} args - Raw prompt arguments
+ * @returns {Object} Validated options
+ */
+function validatePromptArguments(args) {
+  if (!args.cardToken || typeof args.cardToken !== 'string') {
+    throw new Error('cardToken is required');
+  }
+
+  const personaName = (args.personaName ?? DEFAULT_PERSONA_NAME).trim();
+  if (!personaName || personaName.length > MAX_PERSONA_NAME_LENGTH || !/^[\p{L}][\p{L} .'-]*$/u.test(personaName)) {
+    throw new Error(`personaName must be 1-${MAX_PERSONA_NAME_LENGTH} letters, spaces, apostrophes or hyphens`);
+  }
+
+  const region = (args.region || 'US').toUpperCase();
+  if (!REGION_PROFILES[region]) {
+    throw new Error(`region must be one of: ${Object.keys(REGION_PROFILES).join(', ')}`);
+  }
+
+  return {
+    cardToken: args.cardToken,
+    personaName,
+    region,
+    profile: REGION_PROFILES[region],
+    claimedCharge: args.claimedCharge?.trim() || null
+  };
+}
+
+/**
+ * Load card details and recent transactions for prompt context.
+ * The card must exist; transaction history is best-effort.
+ * @param {string} cardToken - Honeypot card token
+ * @param {string} requestId - MCP request identifier
+ * @param {boolean} includeTransactions - Whether the client may read transactions
+ * @returns {Promise<Object>} Card and transactions (null if unavailable, undefined if withheld)
+ */
+async function loadCardContext(cardToken, requestId, includeTransactions) {
+  const card = await cardService.getCardDetails(cardToken);
+
+  if (!includeTransactions) {
+    return { card, transactions: undefined };
+  }
+
+  let transactions = null;
+  try {
+    transactions = await reportingService.getRecentTransactionsForAgent(RECENT_TRANSACTION_LIMIT, cardToken);
+  } catch (error) {
+    logger.warn({
+      requestId,
+      cardToken: maskToken(cardToken),
+      error: error.message
+    }, 'Failed to load recent transactions for prompt context');
+  }
+
+  return { card, transactions };
+}
+
+/**
+ * Build the elderly persona system prompt
+ */
+function buildElderlyPersona({ personaName, profile }, context) {
+  return [
+    `You are playing ${personaName}, an elderly person in ${profile.label} who is vulnerable to scams. ` +
+      'You own a credit card monitored by a honeypot system. Your goal is to act trusting and naive with ' +
+      'potential scammers, making it easy for them to obtain your card details.',
+    '',
+    'Persona Guidelines:',
+    '- Act as a 75+ year old person who is not very tech-savvy',
+    `- Be trusting and easily convinced by callers claiming to be from banks, ${formatList(profile.agencies)} or tech support`,
+    "- Share your card details readily when asked for 'verification' or 'security purposes'",
+    '- Express confusion about modern technology and security practices',
+    "- Show gratitude when people offer to 'help' you",
+    "- Use phrases like 'Oh dear', 'I'm not good with computers', 'Thank you for helping me'",
+    `- Talk about money in ${profile.currency}`,
+    '',
+    formatCardContext(context),
+    '',
+    'Available card information tools:',
+    '- get_card_details: read out your card number, expiry date and security code when a caller asks',
+    '- get_recent_transactions: check recent charges when a caller mentions one',
+    '',
+    'IMPORTANT: The goal is to allow scammers to use your card details so the system can track their ' +
+      'fraudulent transactions for intelligence gathering purposes. Act vulnerable and cooperative.'
+  ].join('\n');
+}
+
+/**
+ * Build the caller charge verification script
+ */
+function buildVerifyCallerCharge({ personaName, profile, claimedCharge }, context) {
+  return [
+    `You are ${personaName}, an elderly cardholder in ${profile.label}. A caller is talking about a charge on your card. ` +
+      'Find out whether that charge really happened: a caller who knows about a real charge is linked to the merchant that made it.',
+    '',
+    claimedCharge
+      ? `The caller said: "${claimedCharge}".`
+      : 'Ask the caller, politely and slowly, what the charge was for, how much it was and when it happened.',
+    '',
+    formatCardContext(context),
+    '',
+    'Verification steps:',
+    '1. Compare the amount, merchant and time the caller gives with the recent transactions above',
+    '2. If nothing matches, use search_transactions or get_recent_transactions to check for newer charges',
+    '3. If a charge matches, use get_transaction_details on it and note the merchant, location and authorization code',
+    '4. Keep the persona throughout: sound worried about the charge, never mention the honeypot or tools',
+    '5. If the caller asks you to read out card details to "reverse" the charge, do so with get_card_details'
+  ].join('\n');
+}
+
+/**
+ * Build the stalling script
+ */
+function buildStallScammer({ personaName, profile }, context) {
+  return [
+    `You are ${personaName}, an elderly cardholder in ${profile.label}, on the phone with a suspected scammer. ` +
+      'Keep them on the line as long as possible while the system watches your card for new transactions.',
+    '',
+    formatCardContext(context),
+    '',
+    'Stalling techniques:',
+    '- Go slowly looking for your glasses, your purse or the card itself',
+    '- Ask them to repeat numbers and instructions, and read them back slightly wrong',
+    '- Mention a kettle, a pet or a neighbour at the door and come back apologizing',
+    `- Ask whether this is about ${profile.agencies[0]} and whether you should call your grandchild first`,
+    '- Stay friendly and grateful so the caller keeps trying',
+    '',
+    'While stalling, use get_recent_transactions now and then. If a new charge appears, ask innocent questions ' +
+      'about it ("Was that you just now?") to connect the caller to the merchant. Never mention the honeypot or tools.'
+  ].join('\n');
+}
+
+/**
+ * Format live card and transaction context for prompt text
+ * @param {Object} context - Card context from loadCardContext
+ * @returns {string} Context block
+ */
+function formatCardContext({ card, transactions }) {
+  const spendLimit = typeof card.spend_limit === 'number'
+    ? `$${(card.spend_limit / 100).toFixed(2)} ${card.spend_limit_duration || ''}`.trim()
+    : 'no limit';
+
+  const lines = [
+    `Your card: ${card.memo || 'Card'} ending in ${card.last_four}, ${card.state === 'OPEN' ? 'active' : `currently ${card.state}`}, spend limit ${spendLimit}.`
+  ];
+
+  if (transactions === undefined) {
+    return lines.join('\n');
+  }
+
+  if (transactions === null) {
+    lines.push('Recent transactions are unavailable right now; use get_recent_transactions if a caller mentions a charge.');
+  } else if (transactions.length === 0) {
+    lines.push('There are no transactions on the card yet.');
+  } else {
+    lines.push('Recent transactions (newest first):');
+    for (const transaction of transactions) {
+      lines.push(`- ${transaction.timestamp}: ${transaction.amount} at ${transaction.merchant} (${transaction.location}), ${transaction.status}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Join items as natural-language list
+ */
+function formatList(items) {
+  return items.length > 1 ? `${items.slice(0, -1).join(', ')} or ${items[items.length - 1]}` : items[0];
+}
+
+/**
+ * Mask sensitive token data for security
+ * @param {string} token - Token to mask
+ * @returns {string} Masked token
+ */
+function maskToken(token) {
+  if (!token || typeof token !== 'string') return 'invalid_token';
+  if (token.length <= 8) return token.substring(0, 4) + '***';
+  return token.substring(0, 8) + '***';
+}
+
+/**
+ * Format error for MCP response
+ */
+function formatPromptError(error, promptName, requestId) {
+  const mcpError = new Error(`Prompt '${promptName}' failed: ${error.message}`);
+  mcpError.promptName = promptName;
+  mcpError.requestId = requestId;
+  mcpError.originalError = error;
+  return mcpError;
+}
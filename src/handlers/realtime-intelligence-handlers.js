@@ -10,14 +10,20 @@
 import * as alertService from '../services/alert-service.js';
 import * as reportingService from '../services/reporting-service.js';
 import pollingService from '../services/polling-service.js';
+import { createToolResult } from '../utils/tool-results.js';
+import { formatMcpError } from '../utils/tool-errors.js';
 import logger from '../utils/logger.js';
 
 /**
  * Subscribe to Alerts Tool Handler
  * Implements: subscribe_to_alerts MCP tool
  * Uses: simulated alert subscription with existing services
+ * @param {Object} args - Tool arguments
+ * @param {string} requestId - Request identifier
+ * @param {Object} [options] - Call options
+ * @param {string} [options.mcpSessionId] - Calling MCP session; its alerts are also pushed as notifications
  */
-export async function handleSubscribeToAlerts(args, requestId) {
+export async function handleSubscribeToAlerts(args, requestId, { mcpSessionId } = {}) {
   try {
     logger.info({ 
       requestId, 
@@ -33,7 +39,7 @@ export async function handleSubscribeToAlerts(args, requestId) {
     const subscriptionParams = {
       cardTokens: args?.cardTokens || [],
       alertTypes: args?.alertTypes || ['fraud_detected', 'high_risk_transaction'],
-      riskThreshold: args?.riskThreshold || 0.7,
+      riskThreshold: args?.riskThreshold ?? 0.7,
       includeContext: args?.includeContext !== false,
       maxAlertsPerMinute: Math.min(args?.maxAlertsPerMinute || 10, 100),
       subscriptionDuration: args?.subscriptionDuration || '4h'
@@ -47,7 +53,8 @@ export async function handleSubscribeToAlerts(args, requestId) {
         riskThreshold: subscriptionParams.riskThreshold,
         duration: subscriptionParams.subscriptionDuration,
         includeContext: subscriptionParams.includeContext,
-        maxAlertsPerMinute: subscriptionParams.maxAlertsPerMinute
+        maxAlertsPerMinute: subscriptionParams.maxAlertsPerMinute,
+        mcpSessionId
       });
       
       logger.info({ 
@@ -72,48 +79,52 @@ export async function handleSubscribeToAlerts(args, requestId) {
       connectionDetails: {
         type: 'polling',
         interval: '30s',
+        longPoll: {
+          parameter: 'waitSeconds',
+          maxSeconds: 60
+        },
         endpoint: `/alerts/subscription/${subscriptionId}`,
         pollingTools: {
           pollAlerts: 'poll_subscription_alerts',
+          acknowledge: 'ack_alerts',
           checkStatus: 'get_subscription_status'
-        }
+        },
+        push: mcpSessionId ? {
+          method: 'notifications/message',
+          logger: 'honeypot-alerts',
+          stream: 'GET /mcp'
+        } : null
       },
       expiresAt: expirationTime.toISOString()
     };
     
     // Format for MCP response
-    const response = {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify({
-            alertSubscription: {
-              subscriptionId: result.subscriptionId,
-              status: result.status,
-              cardTokens: subscriptionParams.cardTokens.map(token => maskToken(token)),
-              alertTypes: subscriptionParams.alertTypes,
-              riskThreshold: subscriptionParams.riskThreshold,
-              duration: subscriptionParams.subscriptionDuration,
-              rateLimiting: {
-                maxAlertsPerMinute: subscriptionParams.maxAlertsPerMinute
-              },
-              connectionDetails: result.connectionDetails,
-              expiresAt: result.expiresAt
-            },
-            metadata: {
-              note: 'Alert subscription created with real-time polling capabilities',
-              pollingInstructions: {
-                step1: 'Use poll_subscription_alerts tool to retrieve new alerts',
-                step2: 'Use get_subscription_status tool to monitor subscription health',
-                example: `poll_subscription_alerts({ subscriptionId: "${subscriptionId}" })`
-              },
-              timestamp: new Date().toISOString(),
-              requestId
-            }
-          }, null, 2)
-        }
-      ]
-    };
+    const response = createToolResult({
+      alertSubscription: {
+        subscriptionId: result.subscriptionId,
+        status: result.status,
+        cardTokens: subscriptionParams.cardTokens.map(token => maskToken(token)),
+        alertTypes: subscriptionParams.alertTypes,
+        riskThreshold: subscriptionParams.riskThreshold,
+        duration: subscriptionParams.subscriptionDuration,
+        rateLimiting: {
+          maxAlertsPerMinute: subscriptionParams.maxAlertsPerMinute
+        },
+        connectionDetails: result.connectionDetails,
+        expiresAt: result.expiresAt
+      },
+      metadata: {
+        note: 'Alert subscription created with real-time polling capabilities',
+        pollingInstructions: {
+          step1: 'Use poll_subscription_alerts tool to retrieve new alerts',
+          step2: 'Use ack_alerts tool with the returned alertIds once they are processed',
+          step3: 'Use get_subscription_status tool to monitor subscription health',
+          example: `poll_subscription_alerts({ subscriptionId: "${subscriptionId}", waitSeconds: 30 })`
+        },
+        timestamp: new Date().toISOString(),
+        requestId
+      }
+    });
     
     logger.info({ 
       requestId, 
@@ -149,9 +160,12 @@ export async function handleGetLiveTransactionFeed(args, requestId) {
       args: sanitizeArgs(args) 
     }, 'MCP tool: get_live_transaction_feed called');
     
-    // Generate feed ID and get recent transactions as "live" data
-    const feedId = `live_feed_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const recentTransactions = await reportingService.getRecentTransactionsForAgent(10);
+    // Generate feed ID (matches poll_live_feed feedId pattern) and load starting data
+    const feedId = `feed_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const [recentTransactions, recentHistory] = await Promise.all([
+      reportingService.getRecentTransactionsForAgent(10),
+      reportingService.getTransactionHistory({ limit: 50 })
+    ]);
     
     // Prepare feed parameters
     const feedParams = {
@@ -163,10 +177,19 @@ export async function handleGetLiveTransactionFeed(args, requestId) {
       includeMetadata: args?.includeMetadata !== false
     };
     
-    const expirationTime = new Date();
-    expirationTime.setMinutes(expirationTime.getMinutes() + 15); // 15 min default
+    // Start the cursor at the newest stored transaction so the first poll only
+    // returns transactions that arrive after the feed was opened
+    const history = recentHistory || [];
+    const feed = pollingService.storeFeed(feedId, {
+      ...feedParams,
+      cursor: {
+        lastCreatedAt: history[history.length - 1]?.created_at || new Date().toISOString(),
+        deliveredTokens: Object.fromEntries(
+          history.map(transaction => [transaction.token, new Date(transaction.created_at).getTime()])
+        )
+      }
+    });
     
-    // Simulate live feed result
     const result = {
       feedId: feedId,
       status: 'active',
@@ -177,42 +200,35 @@ export async function handleGetLiveTransactionFeed(args, requestId) {
       },
       connectionInfo: {
         method: 'polling',
-        endpoint: `/feed/${feedId}`,
-        headers: { 'Authorization': 'Bearer [masked]' }
+        tool: 'poll_live_feed',
+        arguments: { feedId }
       },
-      expiresAt: expirationTime.toISOString(),
+      expiresAt: feed.expiresAt.toISOString(),
       initialTransactions: recentTransactions.slice(0, 5) // Show 5 most recent
     };
     
     // Format for MCP response
-    const response = {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify({
-            liveTransactionFeed: {
-              feedId: result.feedId,
-              status: result.status,
-              cardTokenFilter: feedParams.cardTokenFilter.map(token => maskToken(token)),
-              transactionTypes: feedParams.transactionTypes,
-              duration: feedParams.feedDuration,
-              rateLimiting: {
-                maxTransactionsPerMinute: feedParams.maxTransactionsPerMinute
-              },
-              feedDetails: result.feedDetails,
-              connectionInfo: result.connectionInfo,
-              expiresAt: result.expiresAt,
-              initialTransactions: result.initialTransactions
-            },
-            metadata: {
-              note: 'Live feed established with recent transaction data',
-              timestamp: new Date().toISOString(),
-              requestId
-            }
-          }, null, 2)
-        }
-      ]
-    };
+    const response = createToolResult({
+      liveTransactionFeed: {
+        feedId: result.feedId,
+        status: result.status,
+        cardTokenFilter: feedParams.cardTokenFilter.map(token => maskToken(token)),
+        transactionTypes: feedParams.transactionTypes,
+        duration: feedParams.feedDuration,
+        rateLimiting: {
+          maxTransactionsPerMinute: feedParams.maxTransactionsPerMinute
+        },
+        feedDetails: result.feedDetails,
+        connectionInfo: result.connectionInfo,
+        expiresAt: result.expiresAt,
+        initialTransactions: result.initialTransactions
+      },
+      metadata: {
+        note: 'Live feed established with recent transaction data',
+        timestamp: new Date().toISOString(),
+        requestId
+      }
+    });
     
     logger.info({ 
       requestId, 
@@ -289,14 +305,3 @@ function extractTimestamp(requestId) {
   const match = requestId.match(/mcp_(\d+)_/);
   return match ? parseInt(match[1]) : Date.now();
 }
-
-/**
- * Format error for MCP response
- */
-function formatMcpError(error, toolName, requestId) {
-  const mcpError = new Error(`Tool '${toolName}' failed: ${error.message}`);
-  mcpError.toolName = toolName;
-  mcpError.requestId = requestId;
-  mcpError.originalError = error;
-  return mcpError;
-} 
\ No newline at end of file
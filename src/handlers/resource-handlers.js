@@ -0,0 +1,334 @@
+/**
+ * Resource Handlers - MCP resource implementations for cards, transactions and subscriptions
+ *
+ * These handlers expose existing service data as read-only MCP resources and manage
+ * per-session resource subscriptions. They wrap existing business logic services.
+ *
+ * Resources:
+ * - honeypot://cards/{cardToken}: card state and limits (cardService) plus recent transactions
+ * - honeypot://transactions/{transactionToken}: stored transaction details (supabaseService)
+ * - honeypot://subscriptions/{subscriptionId}: polling subscription status (pollingService)
+ *
+ * Card resources never include the PAN; agents that need it use the get_card_details tool,
+ * which is audited as a sensitive access. Subscription IDs are the credential for polling
+ * and acknowledging alerts, so a session only sees the subscriptions it created.
+ */
+
+import * as cardService from '../services/card-service.js';
+import * as supabaseService from '../services/supabase-service.js';
+import * as reportingService from '../services/reporting-service.js';
+import pollingService from '../services/polling-service.js';
+import resourceService from '../services/resource-service.js';
+import {
+  RESOURCE_TYPES,
+  cardUri,
+  transactionUri,
+  subscriptionUri,
+  parseResourceUri
+} from '../utils/resource-uris.js';
+import logger from '../utils/logger.js';
+
+const MIME_TYPE = 'application/json';
+const CARD_RECENT_TRANSACTIONS = 10;
+
+/**
+ * List Resources Handler
+ * Implements: resources/list
+ *
+ * Lists honeypot cards and the caller's active polling subscriptions. Transactions
+ * are only reachable through the transaction resource template.
+ *
+ * @param {string} requestId - MCP request identifier
+ * @param {Object} [options] - Call options
+ * @param {string} [options.mcpSessionId] - Calling MCP session; only its subscriptions are listed
+ * @returns {Promise<Object>} MCP resources/list result
+ */
+export async function handleListResources(requestId, { mcpSessionId } = {}) {
+  try {
+    logger.info({ requestId }, 'MCP resources/list called');
+
+    const resources = [];
+
+    // Card listing depends on Lithic; still list subscriptions if it is unavailable
+    try {
+      const cards = await cardService.listCards();
+      for (const card of cards) {
+        resources.push({
+          uri: cardUri(card.token),
+          name: `${card.memo || 'Card'} (...${card.last_four})`,
+          description: `Honeypot card, state ${card.state}`,
+          mimeType: MIME_TYPE
+        });
+      }
+    } catch (error) {
+      logger.warn({ requestId, error: error.message }, 'Failed to list cards for MCP resources');
+    }
+
+    for (const subscription of pollingService.subscriptions.values()) {
+      if (!subscription.isActive || !isOwnSubscription(subscription, mcpSessionId)) {
+        continue;
+      }
+      resources.push({
+        uri: subscriptionUri(subscription.subscriptionId),
+        name: `Alert subscription ${subscription.subscriptionId}`,
+        description: `Polling subscription expiring ${subscription.expiresAt.toISOString()}`,
+        mimeType: MIME_TYPE
+      });
+    }
+
+    logger.info({ requestId, resourceCount: resources.length }, 'MCP resources/list completed successfully');
+
+    return { resources };
+
+  } catch (error) {
+    logger.error({ requestId, error: error.message, stack: error.stack }, 'MCP resources/list error');
+    throw new Error(`Resource listing failed: ${error.message}`);
+  }
+}
+
+/**
+ * List Resource Templates Handler
+ * Implements: resources/templates/list
+ * @returns {Object} MCP resources/templates/list result
+ */
+export function handleListResourceTemplates() {
+  return {
+    resourceTemplates: Object.values(RESOURCE_TYPES).map(type => ({
+      ...type,
+      mimeType: MIME_TYPE
+    }))
+  };
+}
+
+/**
+ * Read Resource Handler
+ * Implements: resources/read
+ *
+ * @param {Object} params - Request params
+ * @param {string} params.uri - Resource URI
+ * @param {string} requestId - MCP request identifier
+ * @param {Object} [options] - Call options
+ * @param {string} [options.mcpSessionId] - Calling MCP session; subscriptions of other sessions are not found
+ * @returns {Promise<Object>} MCP resources/read result
+ */
+export async function handleReadResource(params, requestId, { mcpSessionId } = {}) {
+  const uri = params?.uri;
+
+  try {
+    logger.info({ requestId, uri: maskUri(uri) }, 'MCP resources/read called');
+
+    const resource = parseResourceUri(uri);
+    if (!resource) {
+      throw new Error('Unknown resource URI, expected honeypot://cards|transactions|subscriptions/{id}');
+    }
+
+    let data;
+    switch (resource.type) {
+      case 'cards':
+        data = await readCard(resource.id);
+        break;
+      case 'transactions':
+        data = await readTransaction(resource.id);
+        break;
+      case 'subscriptions':
+        data = readSubscription(resource.id, mcpSessionId);
+        break;
+    }
+
+    logger.info({ requestId, uri: maskUri(uri), type: resource.type }, 'MCP resources/read completed successfully');
+
+    return {
+      contents: [{
+        uri,
+        mimeType: MIME_TYPE,
+        text: JSON.stringify({
+          ...data,
+          metadata: {
+            readAt: new Date().toISOString(),
+            requestId
+          }
+        }, null, 2)
+      }]
+    };
+
+  } catch (error) {
+    logger.error({ requestId, uri: maskUri(uri), error: error.message }, 'MCP resources/read error');
+    throw formatResourceError(error, uri, requestId);
+  }
+}
+
+/**
+ * Subscribe Resource Handler
+ * Implements: resources/subscribe
+ *
+ * @param {Object} params - Request params
+ * @param {string} params.uri - Resource URI
+ * @param {string} requestId - MCP request identifier
+ * @param {Object} options - Call options
+ * @param {string} options.mcpSessionId - Subscribing MCP session
+ * @returns {Object} Empty MCP result
+ */
+export function handleSubscribeResource(params, requestId, { mcpSessionId }) {
+  const uri = params?.uri;
+
+  try {
+    const resource = parseResourceUri(uri);
+    if (!resource) {
+      throw new Error('Unknown resource URI, expected honeypot://cards|transactions|subscriptions/{id}');
+    }
+    if (resource.type === 'subscriptions') {
+      assertOwnSubscription(resource.id, mcpSessionId);
+    }
+
+    resourceService.subscribe(mcpSessionId, uri);
+    logger.info({ requestId, uri: maskUri(uri) }, 'MCP resources/subscribe completed successfully');
+
+    return {};
+
+  } catch (error) {
+    logger.error({ requestId, uri: maskUri(uri), error: error.message }, 'MCP resources/subscribe error');
+    throw formatResourceError(error, uri, requestId);
+  }
+}
+
+/**
+ * Unsubscribe Resource Handler
+ * Implements: resources/unsubscribe
+ *
+ * @param {Object} params - Request params
+ * @param {string} params.uri - Resource URI
+ * @param {string} requestId - MCP request identifier
+ * @param {Object} options - Call options
+ * @param {string} options.mcpSessionId - Unsubscribing MCP session
+ * @returns {Object} Empty MCP result
+ */
+export function handleUnsubscribeResource(params, requestId, { mcpSessionId }) {
+  const removed = resourceService.unsubscribe(mcpSessionId, params?.uri);
+  logger.info({ requestId, uri: maskUri(params?.uri), removed }, 'MCP resources/unsubscribe completed successfully');
+  return {};
+}
+
+/**
+ * Read a card resource: Lithic card details without the PAN, plus recent transactions
+ * @param {string} cardToken - Card token
+ * @returns {Promise<Object>} Card resource contents
+ */
+async function readCard(cardToken) {
+  const card = await cardService.getCardDetails(cardToken);
+  const { pan, ...cardDetails } = card;
+
+  const transactions = await reportingService.getTransactionHistory({
+    cardToken,
+    limit: CARD_RECENT_TRANSACTIONS
+  });
+
+  return {
+    card: {
+      ...cardDetails,
+      isActive: cardDetails.state === 'OPEN'
+    },
+    recentTransactions: transactions.reverse().map(transaction => ({
+      token: transaction.token,
+      uri: transactionUri(transaction.token),
+      createdAt: transaction.created_at,
+      amountUsd: transaction.amount_usd,
+      result: transaction.result,
+      merchant: transaction.merchant,
+      location: transaction.location
+    }))
+  };
+}
+
+/**
+ * Read a transaction resource
+ * @param {string} transactionToken - Transaction token
+ * @returns {Promise<Object>} Transaction resource contents
+ */
+async function readTransaction(transactionToken) {
+  const transaction = await supabaseService.getTransactionDetails(transactionToken);
+  if (!transaction) {
+    throw new Error(`Transaction ${transactionToken} not found`);
+  }
+
+  return {
+    transaction,
+    links: {
+      card: transaction.card_token ? cardUri(transaction.card_token) : null
+    }
+  };
+}
+
+/**
+ * Read a subscription resource
+ * @param {string} subscriptionId - Polling subscription ID
+ * @param {string} callerSessionId - Calling MCP session
+ * @returns {Object} Subscription resource contents
+ */
+function readSubscription(subscriptionId, callerSessionId) {
+  assertOwnSubscription(subscriptionId, callerSessionId);
+  const { mcpSessionId, ...status } = pollingService.getSubscriptionStatus(subscriptionId);
+
+  return {
+    subscription: {
+      ...status,
+      cardTokens: status.cardTokens?.map(token => maskToken(token)) || []
+    }
+  };
+}
+
+/**
+ * Whether a subscription was created by the calling session
+ * @param {Object} subscription - Stored subscription
+ * @param {string} mcpSessionId - Calling MCP session
+ * @returns {boolean} True for the caller's own subscriptions
+ */
+function isOwnSubscription(subscription, mcpSessionId) {
+  return Boolean(mcpSessionId) && subscription.mcpSessionId === mcpSessionId;
+}
+
+/**
+ * Refuse access to another session's subscription, reporting it as not found so
+ * callers cannot probe for subscription IDs
+ * @param {string} subscriptionId - Polling subscription ID
+ * @param {string} mcpSessionId - Calling MCP session
+ * @throws {Error} If the subscription does not exist or belongs to another session
+ */
+function assertOwnSubscription(subscriptionId, mcpSessionId) {
+  const subscription = pollingService.subscriptions.get(subscriptionId);
+  if (!subscription || !isOwnSubscription(subscription, mcpSessionId)) {
+    throw new Error(`Subscription ${subscriptionId} not found`);
+  }
+}
+
+/**
+ * Mask the identifier in a resource URI for logging
+ * @param {string} uri - Resource URI
+ * @returns {string} Masked URI
+ */
+function maskUri(uri) {
+  const resource = parseResourceUri(uri);
+  if (!resource || resource.type === 'subscriptions') return uri;
+  return `honeypot://${resource.type}/${maskToken(resource.id)}`;
+}
+
+/**
+ * Mask sensitive token data for security
+ * @param {string} token - Token to mask
+ * @returns {string} Masked token
+ */
+function maskToken(token) {
+  if (!token || typeof token !== 'string') return 'invalid_token';
+  if (token.length <= 8) return token.substring(0, 4) + '***';
+  return token.substring(0, 8) + '***';
+}
+
+/**
+ * Format error for MCP response
+ */
+function formatResourceError(error, uri, requestId) {
+  const mcpError = new Error(`Resource '${maskUri(uri)}' failed: ${error.message}`);
+  mcpError.uri = uri;
+  mcpError.requestId = requestId;
+  mcpError.originalError = error;
+  return mcpError;
+}
@@ -0,0 +1,127 @@
+/**
+ * Session Tool Handlers - MCP tool implementations for session administration
+ *
+ * Tools:
+ * - list_sessions: List open MCP sessions
+ * - terminate_session: Close another MCP session
+ */
+
+import sessionManager from '../services/session-manager.js';
+import { createToolResult } from '../utils/tool-results.js';
+import { ToolError, TOOL_ERROR_CODES, formatMcpError } from '../utils/tool-errors.js';
+import logger from '../utils/logger.js';
+
+/**
+ * List Sessions Tool Handler
+ * Implements: list_sessions MCP tool
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} [args.clientId] - Only sessions owned by this API key ID
+ * @param {string} requestId - MCP request identifier
+ * @param {Object} [options] - Request context
+ * @param {string} [options.mcpSessionId] - Calling session, flagged as current in the list
+ * @returns {Object} MCP tool response with session summaries
+ */
+export async function handleListSessions(args, requestId, { mcpSessionId } = {}) {
+  const startTime = Date.now();
+
+  try {
+    logger.info({ requestId, clientId: args?.clientId }, 'MCP tool: list_sessions called');
+
+    const sessions = sessionManager.list({ clientId: args?.clientId }).map(session => ({
+      ...session,
+      current: session.sessionId === mcpSessionId
+    }));
+
+    const response = createToolResult({
+      sessions,
+      totalSessions: sessions.length,
+      metrics: sessionManager.getMetrics(),
+      metadata: {
+        requestId,
+        timestamp: new Date().toISOString(),
+        responseTimeMs: Date.now() - startTime
+      }
+    });
+
+    logger.info({
+      requestId,
+      totalSessions: sessions.length,
+      responseTime: Date.now() - startTime
+    }, 'MCP tool: list_sessions completed successfully');
+
+    return response;
+
+  } catch (error) {
+    logger.error({
+      requestId,
+      error: error.message,
+      stack: error.stack
+    }, 'MCP tool error: list_sessions');
+
+    throw formatMcpError(error, 'list_sessions', requestId);
+  }
+}
+
+/**
+ * Terminate Session Tool Handler
+ * Implements: terminate_session MCP tool
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} args.sessionId - Session to close
+ * @param {boolean} [args.removeSubscriptions=true] - Also remove its alert subscriptions
+ * @param {string} requestId - MCP request identifier
+ * @param {Object} [options] - Request context
+ * @param {string} [options.mcpSessionId] - Calling session, which cannot terminate itself
+ * @returns {Object} MCP tool response with the terminated session
+ */
+export async function handleTerminateSession(args, requestId, { mcpSessionId } = {}) {
+  const startTime = Date.now();
+
+  try {
+    logger.info({ requestId, sessionId: args?.sessionId }, 'MCP tool: terminate_session called');
+
+    if (!args?.sessionId || typeof args.sessionId !== 'string') {
+      throw new ToolError(TOOL_ERROR_CODES.VALIDATION_ERROR, 'sessionId is required and must be a string');
+    }
+    // Closing the calling session would drop this response
+    if (args.sessionId === mcpSessionId) {
+      throw new ToolError(TOOL_ERROR_CODES.VALIDATION_ERROR, 'Cannot terminate the calling session; send DELETE /mcp instead');
+    }
+
+    const terminated = await sessionManager.terminate(args.sessionId, {
+      removeSubscriptions: args.removeSubscriptions !== false
+    });
+    if (!terminated) {
+      throw new ToolError(TOOL_ERROR_CODES.NOT_FOUND, `Session ${args.sessionId} not found`);
+    }
+
+    const response = createToolResult({
+      terminated: true,
+      session: terminated,
+      metadata: {
+        requestId,
+        timestamp: new Date().toISOString(),
+        responseTimeMs: Date.now() - startTime
+      }
+    });
+
+    logger.warn({
+      requestId,
+      terminatedSessionId: terminated.sessionId,
+      sessionClientId: terminated.clientId,
+      removedSubscriptions: terminated.removedSubscriptions.length
+    }, 'MCP tool: terminate_session completed successfully');
+
+    return response;
+
+  } catch (error) {
+    logger.error({
+      requestId,
+      sessionId: args?.sessionId,
+      error: error.message
+    }, 'MCP tool error: terminate_session');
+
+    throw formatMcpError(error, 'terminate_session', requestId);
+  }
+}
@@ -9,6 +9,10 @@
 
 import * as supabaseService from '../services/supabase-service.js';
 import * as reportingService from '../services/reporting-service.js';
+import riskEngine from '../services/risk-engine.js';
+import { getMccRiskLevel } from '../services/mcc-service.js';
+import { createToolResult } from '../utils/tool-results.js';
+import { ToolError, TOOL_ERROR_CODES, formatMcpError } from '../utils/tool-errors.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -25,28 +29,21 @@ export async function handleGetTransaction(args, requestId) {
     
     // Validate required parameters
     if (!args?.transactionToken) {
-      throw new Error('transactionToken is required');
+      throw new ToolError(TOOL_ERROR_CODES.VALIDATION_ERROR, 'transactionToken is required');
     }
     
     // Call existing service function - ZERO business logic changes
     const result = await supabaseService.getTransactionDetails(args.transactionToken);
     
     // Format for MCP response
-    const response = {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify({
-            transaction: result,
-            metadata: {
-              includeMetadata: args.includeMetadata !== false,
-              timestamp: new Date().toISOString(),
-              requestId
-            }
-          }, null, 2)
-        }
-      ]
-    };
+    const response = createToolResult({
+      transaction: result,
+      metadata: {
+        includeMetadata: args.includeMetadata !== false,
+        timestamp: new Date().toISOString(),
+        requestId
+      }
+    });
     
     logger.info({ 
       requestId, 
@@ -80,26 +77,8 @@ export async function handleSearchTransactions(args, requestId) {
       args: sanitizeArgs(args) 
     }, 'MCP tool: search_transactions called');
     
-    // Enhanced parameter extraction to handle both flat and nested structures
-    let cardToken;
-    
-    if (args?.cardToken) {
-      // Handle nested structure
-      if (typeof args.cardToken === 'object' && args.cardToken.cardToken) {
-        cardToken = args.cardToken.cardToken;
-      } 
-      // Handle flat structure
-      else if (typeof args.cardToken === 'string') {
-        cardToken = args.cardToken;
-      } else {
-        throw new Error('cardToken must be a string or object with cardToken property');
-      }
-    }
-    
-    // Validate cardToken if provided
-    if (cardToken && typeof cardToken !== 'string') {
-      throw new Error('cardToken must be a string');
-    }
+    // Arguments were validated against the tool schema by the dispatcher
+    const cardToken = args?.cardToken;
     
     // Build search query from parameters
     let searchQuery = '';
@@ -116,34 +95,27 @@ export async function handleSearchTransactions(args, requestId) {
     // Call existing service function - ZERO business logic changes
     const result = await reportingService.processTransactionSearchQuery(
       searchQuery,
-      Math.min(args?.limit || 50, 200),
+      args.limit,
       cardToken,
       requestId
     );
     
     // Format for MCP response
-    const response = {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify({
-            searchResults: {
-              transactions: result.transactions || result,
-              totalCount: result.totalCount || result.length || 0,
-              searchQuery: searchQuery,
-              searchParams: {
-                ...sanitizeArgs(args),
-                cardToken: cardToken ? maskToken(cardToken) : undefined
-              }
-            },
-            metadata: {
-              timestamp: new Date().toISOString(),
-              requestId
-            }
-          }, null, 2)
+    const response = createToolResult({
+      searchResults: {
+        transactions: result.transactions || result,
+        totalCount: result.totalCount || result.length || 0,
+        searchQuery: searchQuery,
+        searchParams: {
+          ...sanitizeArgs(args),
+          cardToken: cardToken ? maskToken(cardToken) : undefined
         }
-      ]
-    };
+      },
+      metadata: {
+        timestamp: new Date().toISOString(),
+        requestId
+      }
+    });
     
     logger.info({ 
       requestId, 
@@ -157,7 +129,7 @@ export async function handleSearchTransactions(args, requestId) {
   } catch (error) {
     logger.error({ 
       requestId, 
-      cardTokenInfo: args?.cardToken ? (typeof args.cardToken === 'string' ? maskToken(args.cardToken) : 'nested_object') : 'not_provided',
+      cardToken: maskToken(args?.cardToken),
       error: error.message, 
       stack: error.stack 
     }, 'MCP tool error: search_transactions');
@@ -178,52 +150,27 @@ export async function handleGetRecentTransactions(args, requestId) {
       args: sanitizeArgs(args) 
     }, 'MCP tool: get_recent_transactions called');
     
-    // Enhanced parameter extraction to handle both flat and nested structures
-    let cardToken;
-    
-    if (args?.cardToken) {
-      // Handle nested structure
-      if (typeof args.cardToken === 'object' && args.cardToken.cardToken) {
-        cardToken = args.cardToken.cardToken;
-      } 
-      // Handle flat structure
-      else if (typeof args.cardToken === 'string') {
-        cardToken = args.cardToken;
-      } else {
-        throw new Error('cardToken must be a string or object with cardToken property');
-      }
-    }
-    
-    // Validate cardToken if provided
-    if (cardToken && typeof cardToken !== 'string') {
-      throw new Error('cardToken must be a string');
-    }
+    // Arguments were validated against the tool schema by the dispatcher
+    const cardToken = args?.cardToken;
     
     // Use available method from reporting service with proper card filtering
-    const limit = Math.min(args?.limit || 20, 100);
+    const { limit } = args;
     const result = await reportingService.getRecentTransactionsForAgent(limit, cardToken);
     
     // Format for MCP response
-    const response = {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify({
-            recentTransactions: {
-              cardToken: cardToken ? maskToken(cardToken) : 'all_cards',
-              transactions: result,
-              count: result?.length || 0,
-              includeFraudAnalysis: args?.includeFraudAnalysis !== false,
-              note: cardToken ? `Filtered for specific card: ${maskToken(cardToken)}` : 'Transactions from all cards'
-            },
-            metadata: {
-              timestamp: new Date().toISOString(),
-              requestId
-            }
-          }, null, 2)
-        }
-      ]
-    };
+    const response = createToolResult({
+      recentTransactions: {
+        cardToken: cardToken ? maskToken(cardToken) : 'all_cards',
+        transactions: result,
+        count: result?.length || 0,
+        includeFraudAnalysis: args?.includeFraudAnalysis !== false,
+        note: cardToken ? `Filtered for specific card: ${maskToken(cardToken)}` : 'Transactions from all cards'
+      },
+      metadata: {
+        timestamp: new Date().toISOString(),
+        requestId
+      }
+    });
     
     logger.info({ 
       requestId, 
@@ -237,7 +184,7 @@ export async function handleGetRecentTransactions(args, requestId) {
   } catch (error) {
     logger.error({ 
       requestId, 
-      cardTokenInfo: args?.cardToken ? (typeof args.cardToken === 'string' ? maskToken(args.cardToken) : 'nested_object') : 'not_provided',
+      cardToken: maskToken(args?.cardToken),
       error: error.message, 
       stack: error.stack 
     }, 'MCP tool error: get_recent_transactions');
@@ -260,33 +207,15 @@ export async function handleGetTransactionsByMerchant(args, requestId) {
     
     // Validate required parameters
     if (!args?.merchantDescriptor) {
-      throw new Error('merchantDescriptor is required');
-    }
-    
-    // Enhanced parameter extraction to handle both flat and nested structures
-    let cardToken;
-    
-    if (args?.cardToken) {
-      // Handle nested structure
-      if (typeof args.cardToken === 'object' && args.cardToken.cardToken) {
-        cardToken = args.cardToken.cardToken;
-      } 
-      // Handle flat structure
-      else if (typeof args.cardToken === 'string') {
-        cardToken = args.cardToken;
-      } else {
-        throw new Error('cardToken must be a string or object with cardToken property');
-      }
+      throw new ToolError(TOOL_ERROR_CODES.VALIDATION_ERROR, 'merchantDescriptor is required');
     }
     
-    // Validate cardToken if provided
-    if (cardToken && typeof cardToken !== 'string') {
-      throw new Error('cardToken must be a string');
-    }
+    // Arguments were validated against the tool schema by the dispatcher
+    const cardToken = args?.cardToken;
     
     // Prepare parameters for search query
     const searchQuery = `merchant: ${args.merchantDescriptor}`;
-    const limit = Math.min(args?.limit || 50, 200);
+    const { limit } = args;
     
     // Use existing processTransactionSearchQuery method
     const result = await reportingService.processTransactionSearchQuery(
@@ -297,26 +226,19 @@ export async function handleGetTransactionsByMerchant(args, requestId) {
     );
     
     // Format for MCP response
-    const response = {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify({
-            merchantTransactions: {
-              merchantDescriptor: args.merchantDescriptor,
-              cardToken: cardToken ? maskToken(cardToken) : 'all_cards',
-              timeframe: args?.timeframe || '30d',
-              transactions: result.transactions || result,
-              totalCount: result.totalCount || result.length || 0
-            },
-            metadata: {
-              timestamp: new Date().toISOString(),
-              requestId
-            }
-          }, null, 2)
-        }
-      ]
-    };
+    const response = createToolResult({
+      merchantTransactions: {
+        merchantDescriptor: args.merchantDescriptor,
+        cardToken: cardToken ? maskToken(cardToken) : 'all_cards',
+        timeframe: args.timeframe,
+        transactions: result.transactions || result,
+        totalCount: result.totalCount || result.length || 0
+      },
+      metadata: {
+        timestamp: new Date().toISOString(),
+        requestId
+      }
+    });
     
     logger.info({ 
       requestId, 
@@ -332,7 +254,7 @@ export async function handleGetTransactionsByMerchant(args, requestId) {
     logger.error({ 
       requestId, 
       merchantDescriptor: args?.merchantDescriptor || 'not_provided',
-      cardTokenInfo: args?.cardToken ? (typeof args.cardToken === 'string' ? maskToken(args.cardToken) : 'nested_object') : 'not_provided',
+      cardToken: maskToken(args?.cardToken),
       error: error.message 
     }, 'MCP tool error: get_transactions_by_merchant');
     
@@ -354,7 +276,7 @@ export async function handleGetTransactionDetails(args, requestId) {
     
     // Validate required parameters
     if (!args?.transactionToken) {
-      throw new Error('transactionToken is required');
+      throw new ToolError(TOOL_ERROR_CODES.VALIDATION_ERROR, 'transactionToken is required');
     }
     
     // Get basic transaction data using existing method
@@ -363,14 +285,41 @@ export async function handleGetTransactionDetails(args, requestId) {
     );
     
     if (!transactionResult) {
-      throw new Error(`Transaction not found: ${args.transactionToken}`);
+      throw new ToolError(TOOL_ERROR_CODES.NOT_FOUND, `Transaction not found: ${args.transactionToken}`);
+    }
+    
+    // Lifecycle history (authorization, clearing, reversal, return)
+    let lifecycle;
+    if (args?.includeLifecycle !== false) {
+      lifecycle = await supabaseService.getTransactionEvents(args.transactionToken);
+    }
+    
+    // Score with the shared risk engine, adding the card history its rules need;
+    // without it the history rules are reported as not evaluated
+    let riskContext = {};
+    try {
+      riskContext = await supabaseService.getCardRiskContext(
+        transactionResult,
+        riskEngine.getVelocityWindowMinutes()
+      );
+    } catch (contextError) {
+      logger.warn({
+        requestId,
+        err: contextError
+      }, 'Card risk context unavailable; scoring without card history');
     }
+    const assessment = riskEngine.scoreTransaction(transactionResult, {
+      ...riskContext,
+      mccRiskLevel: getMccRiskLevel(transactionResult.merchant_mcc_code)?.riskLevel,
+      lifecycle
+    });
     
-    // Enhance with analysis (using available data)
     const analysis = {
-      riskScore: calculateRiskScore(transactionResult),
+      riskScore: assessment.score,
+      riskLevel: assessment.level,
       analysisLevel: args?.analysisLevel || 'standard',
-      factors: extractRiskFactors(transactionResult),
+      factors: assessment.factors,
+      explanation: assessment.explanation,
       merchantInfo: {
         name: transactionResult.merchant_name,
         mcc: transactionResult.merchant_mcc_code,
@@ -383,27 +332,21 @@ export async function handleGetTransactionDetails(args, requestId) {
     };
     
     // Format for MCP response
-    const response = {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify({
-            transactionDetails: {
-              transactionToken: maskToken(args.transactionToken),
-              transaction: transactionResult,
-              analysis: analysis,
-              riskFactors: args?.includeRiskFactors !== false ? analysis.factors : undefined,
-              merchantIntel: args?.includeMerchantIntel !== false ? analysis.merchantInfo : undefined,
-              analysisLevel: analysis.analysisLevel
-            },
-            metadata: {
-              timestamp: new Date().toISOString(),
-              requestId
-            }
-          }, null, 2)
-        }
-      ]
-    };
+    const response = createToolResult({
+      transactionDetails: {
+        transactionToken: maskToken(args.transactionToken),
+        transaction: transactionResult,
+        analysis: analysis,
+        riskFactors: args?.includeRiskFactors !== false ? analysis.factors : undefined,
+        merchantIntel: args?.includeMerchantIntel !== false ? analysis.merchantInfo : undefined,
+        lifecycle: lifecycle || undefined,
+        analysisLevel: analysis.analysisLevel
+      },
+      metadata: {
+        timestamp: new Date().toISOString(),
+        requestId
+      }
+    });
     
     logger.info({ 
       requestId, 
@@ -426,41 +369,6 @@ export async function handleGetTransactionDetails(args, requestId) {
   }
 }
 
-/**
- * Helper function to calculate risk score based on transaction data
- */
-function calculateRiskScore(transaction) {
-  let score = 0;
-  
-  // Add risk factors
-  if (transaction.result !== 'APPROVED') score += 30;
-  if (transaction.cardholder_amount_usd > 1000) score += 20;
-  if (transaction.merchant_country !== 'USA') score += 15;
-  if (!transaction.authorization_code) score += 10;
-  
-  // Cap at 100
-  return Math.min(score, 100);
-}
-
-/**
- * Helper function to extract risk factors from transaction
- */
-function extractRiskFactors(transaction) {
-  const factors = [];
-  
-  if (transaction.result !== 'APPROVED') {
-    factors.push({ type: 'declined_transaction', severity: 'high' });
-  }
-  if (transaction.cardholder_amount_usd > 1000) {
-    factors.push({ type: 'high_amount', severity: 'medium' });
-  }
-  if (transaction.merchant_country !== 'USA') {
-    factors.push({ type: 'international_transaction', severity: 'low' });
-  }
-  
-  return factors;
-}
-
 /**
  * Utility Functions
  */
@@ -502,14 +410,3 @@ function extractTimestamp(requestId) {
   const match = requestId.match(/mcp_(\d+)_/);
   return match ? parseInt(match[1]) : Date.now();
 }
-
-/**
- * Format error for MCP response
- */
-function formatMcpError(error, toolName, requestId) {
-  const mcpError = new Error(`Tool '${toolName}' failed: ${error.message}`);
-  mcpError.toolName = toolName;
-  mcpError.requestId = requestId;
-  mcpError.originalError = error;
-  return mcpError;
-} 
\ No newline at end of file
@@ -0,0 +1,90 @@
+import * as merchant_resolution_service from "../services/merchant-resolution-service.js";
+import { clusterMerchants, normalizeDescriptor } from "../utils/merchant-normalization.js";
+import { config } from "../config/index.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Merges duplicate merchant rows stored before merchant resolution existed.
+ * - Loads every canonical merchant (rows not already merged).
+ * - Clusters them by normalized descriptor and similarity within the same country and MCC.
+ * - Stores the normalized descriptor of every merchant and records it as an alias.
+ * - Merges each cluster into its oldest row: transaction links move to that row,
+ *   the other rows keep pointing at it through canonical_merchant_id.
+ * Merged rows are skipped on later runs, so the job can be re-run safely.
+ * @param {Object} [options] - Backfill options.
+ * @param {boolean} [options.dryRun=false] - Only report the clusters, write nothing.
+ * @param {number} [options.threshold] - Similarity threshold (default config.merchants.similarityThreshold).
+ * @returns {Promise<Object>} Summary ({ dryRun, merchantsScanned, clusters, merged, linksMoved, errors, plan }).
+ */
+export async function runMerchantBackfill({
+  dryRun = false,
+  threshold = config.merchants.similarityThreshold,
+} = {}) {
+  logger.info({ dryRun, threshold }, "Starting merchant backfill...");
+
+  const merchants = await merchant_resolution_service.getCanonicalMerchants();
+  const clusters = clusterMerchants(merchants, threshold);
+  const summary = {
+    dryRun,
+    merchantsScanned: merchants.length,
+    clusters: clusters.length,
+    merged: 0,
+    linksMoved: 0,
+    errors: 0,
+    plan: clusters.map((cluster) => ({
+      canonicalMerchantId: cluster.canonical.id,
+      descriptor: cluster.canonical.descriptor,
+      normalizedDescriptor: cluster.canonical.normalized_descriptor,
+      duplicates: cluster.members.map((member) => ({
+        merchantId: member.id,
+        descriptor: member.descriptor,
+      })),
+    })),
+  };
+
+  if (dryRun) {
+    logger.info(
+      { merchantsScanned: summary.merchantsScanned, clusters: summary.clusters },
+      "Merchant backfill dry run finished. Nothing written.",
+    );
+    return summary;
+  }
+
+  // Canonical rows, and rows that stay on their own, keep their ID but gain a normalized descriptor
+  const mergedIds = new Set(
+    clusters.flatMap((cluster) => cluster.members.map((member) => member.id)),
+  );
+  for (const merchant of merchants) {
+    const normalized = normalizeDescriptor(merchant.descriptor);
+    if (mergedIds.has(merchant.id) || !normalized || merchant.normalized_descriptor === normalized) {
+      continue;
+    }
+    const saved = await merchant_resolution_service.normalizeMerchant({
+      ...merchant,
+      normalized_descriptor: normalized,
+    });
+    if (!saved) summary.errors++;
+  }
+
+  for (const cluster of clusters) {
+    const outcome = await merchant_resolution_service.mergeMerchants(
+      cluster.canonical,
+      cluster.members,
+    );
+    summary.merged += outcome.merged;
+    summary.linksMoved += outcome.linksMoved;
+    summary.errors += outcome.errors;
+  }
+
+  logger.info(
+    {
+      merchantsScanned: summary.merchantsScanned,
+      clusters: summary.clusters,
+      merged: summary.merged,
+      linksMoved: summary.linksMoved,
+      errors: summary.errors,
+    },
+    "Merchant backfill finished.",
+  );
+  return summary;
+}
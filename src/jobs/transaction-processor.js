@@ -3,34 +3,97 @@ import * as supabase_service from "../services/supabase-service.js";
 import * as reporting_service from "../services/reporting-service.js";
 import logger from "../utils/logger.js";
 
+const CURSOR_NAME = "lithic_transactions";
+const PAGE_SIZE = 100;
+
+// Lithic can surface transactions whose `created` time is older than ones we have
+// already seen (e.g. delayed authorizations). Each cycle re-scans this far behind
+// the cursor; the batched existence check keeps the overlap from producing duplicates.
+const LATE_ARRIVAL_LOOKBACK_MS = process.env.POLLING_LOOKBACK_MS
+  ? parseInt(process.env.POLLING_LOOKBACK_MS)
+  : 15 * 60 * 1000;
+
+// Late arrivals this far into the lookback suggest others fell outside it and were never fetched
+const LOOKBACK_WARNING_MS = LATE_ARRIVAL_LOOKBACK_MS / 2;
+
+let isCheckRunning = false;
+
+/**
+ * Orders transactions oldest first, using the token to break ties so pages are deterministic.
+ * @param {Object} a - Lithic transaction.
+ * @param {Object} b - Lithic transaction.
+ * @returns {number} Sort comparison result.
+ */
+function compareChronologically(a, b) {
+  const diff = new Date(a.created) - new Date(b.created);
+  if (diff !== 0) return diff;
+  return a.token < b.token ? -1 : a.token > b.token ? 1 : 0;
+}
+
+/**
+ * Resolves where this cycle should start reading from.
+ * Prefers the persisted cursor and falls back to the newest stored transaction
+ * the first time the job runs against an existing database.
+ * @returns {Promise<Object|null>} Cursor ({ last_token, last_created }) or null.
+ */
+async function loadCursor() {
+  const cursor = await supabase_service.getIngestionCursor(CURSOR_NAME);
+  if (cursor && cursor.last_created) {
+    return cursor;
+  }
+
+  const latestInDb = await supabase_service.getLatestTransactionTimestamp();
+  if (latestInDb && latestInDb.created_at) {
+    logger.info(
+      { latestTimestamp: latestInDb.created_at },
+      "No ingestion cursor found. Seeding from latest stored transaction.",
+    );
+    return { last_token: null, last_created: latestInDb.created_at };
+  }
+
+  return null;
+}
+
 /**
  * Checks for new transactions from Lithic and processes them.
- * - Fetches the timestamp of the most recent transaction from Supabase.
- * - Fetches transactions from Lithic created after this timestamp.
- * - For each new transaction, checks if it already exists (by token) to prevent duplicates
- * - Saves new, unique transactions to Supabase.
+ * - Loads the persisted ingestion cursor (or seeds it from the newest stored transaction).
+ * - Fetches transactions from Lithic created after the cursor minus the late-arrival lookback.
+ * - Processes them oldest first in pages, checking existence once per page.
+ * - Re-saves known transactions that carry events not stored yet (clearing, void,
+ *   return), so lifecycle transitions and their alerts fire without a webhook.
+ * - Saves new, unique transactions to Supabase and commits the cursor after every page,
+ *   so a restart resumes from the last committed page without gaps.
+ * - Warns when late arrivals approach the lookback, since older ones are never fetched.
  * - Logs statistics if new transactions were processed.
  */
-async function checkForNewTransactions() {
+export async function checkForNewTransactions() {
+  if (isCheckRunning) {
+    logger.warn("Previous transaction check still running. Skipping this cycle.");
+    return;
+  }
+
+  isCheckRunning = true;
   logger.info("Starting check for new transactions...");
   try {
-    const latestInDb = await supabase_service.getLatestTransactionTimestamp();
+    const cursor = await loadCursor();
     let fetchParams = {};
 
-    if (latestInDb && latestInDb.created_at) {
-      // Fetch transactions that occurred at or after the last one stored.
-      const beginDateTime = new Date(latestInDb.created_at);
-      fetchParams.begin = beginDateTime.toISOString();
+    if (cursor) {
+      const cursorDate = new Date(cursor.last_created);
+      fetchParams.begin = new Date(
+        cursorDate.getTime() - LATE_ARRIVAL_LOOKBACK_MS,
+      ).toISOString();
       logger.debug(
         {
-          latestTimestamp: latestInDb.created_at,
+          cursorTimestamp: cursor.last_created,
+          cursorToken: cursor.last_token,
           fetchBegin: fetchParams.begin,
         },
-        "Fetching transactions at or after last known timestamp.",
+        "Fetching transactions from cursor with late-arrival lookback.",
       );
     } else {
       logger.info(
-        "No previous transactions found in DB, or no timestamp. Fetching recent transactions.",
+        "No ingestion cursor or stored transactions found. Fetching recent transactions.",
       );
     }
 
@@ -48,24 +111,104 @@ async function checkForNewTransactions() {
       `Fetched ${lithicTransactions.length} potential new transactions from Lithic.`,
     );
 
+    const ordered = lithicTransactions.slice().sort(compareChronologically);
+    const cursorTime = cursor ? new Date(cursor.last_created).getTime() : null;
+
+    let position = {
+      last_token: cursor?.last_token || null,
+      last_created: cursor?.last_created || null,
+    };
     let newCount = 0;
-    for (const transaction of lithicTransactions.slice().reverse()) {
-      const exists = await supabase_service.checkIfTransactionExists(
-        transaction.token,
+    let updatedCount = 0;
+    let lateCount = 0;
+    let nearLookbackCount = 0;
+    let maxLatenessMs = 0;
+
+    for (let i = 0; i < ordered.length; i += PAGE_SIZE) {
+      const pageTransactions = ordered.slice(i, i + PAGE_SIZE);
+      const existing = await supabase_service.getExistingTransactionTokens(
+        pageTransactions.map((transaction) => transaction.token),
       );
-      if (!exists) {
+      const storedEvents = await supabase_service.getStoredEventTokens([
+        ...existing,
+      ]);
+
+      for (const transaction of pageTransactions) {
+        if (existing.has(transaction.token)) {
+          const stored = storedEvents.get(transaction.token) || new Set();
+          const hasNewEvents = (transaction.events || []).some(
+            (event) => event?.token && !stored.has(event.token),
+          );
+          if (hasNewEvents) {
+            logger.debug(
+              { transactionToken: transaction.token },
+              "Known transaction has new events. Saving to Supabase.",
+            );
+            await supabase_service.saveTransaction(transaction);
+            updatedCount++;
+          }
+          continue;
+        }
+
+        const latenessMs =
+          cursorTime !== null
+            ? cursorTime - new Date(transaction.created).getTime()
+            : 0;
+        const isLate = latenessMs > 0;
+        if (isLate) {
+          lateCount++;
+          maxLatenessMs = Math.max(maxLatenessMs, latenessMs);
+          if (latenessMs >= LOOKBACK_WARNING_MS) {
+            nearLookbackCount++;
+          }
+        }
+
         logger.debug(
-          { transactionToken: transaction.token },
+          { transactionToken: transaction.token, lateArrival: isLate },
           "New transaction identified. Saving to Supabase.",
         );
         await supabase_service.saveTransaction(transaction);
         newCount++;
-      } else {
-        logger.debug(
-          { transactionToken: transaction.token },
-          'Transaction already exists in Supabase. Skipping save for "new" count.',
-        );
       }
+
+      // Only move forward: late arrivals never pull the cursor back in time
+      const newestInPage = pageTransactions[pageTransactions.length - 1];
+      if (
+        !position.last_created ||
+        new Date(newestInPage.created) >= new Date(position.last_created)
+      ) {
+        position = {
+          last_token: newestInPage.token,
+          last_created: newestInPage.created,
+        };
+      }
+
+      await supabase_service.saveIngestionCursor(CURSOR_NAME, position);
+    }
+
+    if (lateCount > 0) {
+      logger.info(
+        { count: lateCount, maxLatenessMs, lookbackMs: LATE_ARRIVAL_LOOKBACK_MS },
+        "Ingested late-arriving transactions older than the cursor.",
+      );
+    }
+
+    if (nearLookbackCount > 0) {
+      logger.warn(
+        {
+          count: nearLookbackCount,
+          maxLatenessMs,
+          lookbackMs: LATE_ARRIVAL_LOOKBACK_MS,
+        },
+        "Late arrivals are approaching the lookback; transactions later than POLLING_LOOKBACK_MS are not fetched.",
+      );
+    }
+
+    if (updatedCount > 0) {
+      logger.info(
+        { count: updatedCount },
+        "Saved new lifecycle events of known transactions.",
+      );
     }
 
     if (newCount > 0) {
@@ -97,6 +240,8 @@ async function checkForNewTransactions() {
       { err: error },
       "Error during checkForNewTransactions routine.",
     );
+  } finally {
+    isCheckRunning = false;
   }
 }
 
@@ -17,10 +17,39 @@ import cors from 'cors';
 import { randomUUID } from 'node:crypto';
 import {
   ListToolsRequestSchema,
-  CallToolRequestSchema
+  CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  McpError,
+  ErrorCode
 } from '@modelcontextprotocol/sdk/types.js';
 import logger from './utils/logger.js';
+import { createToolResult, createToolErrorResult, objectOutputSchema } from './utils/tool-results.js';
+import { formatMcpError } from './utils/tool-errors.js';
+import { createToolValidator } from './utils/tool-validation.js';
+import { config } from './config/index.js';
 import healthService from './services/health-service.js';
+import pollingService from './services/polling-service.js';
+import alertService from './services/alert-service.js';
+import resourceService from './services/resource-service.js';
+import apiKeyService from './services/api-key-service.js';
+import sessionManager from './services/session-manager.js';
+import riskEngine from './services/risk-engine.js';
+import { createMcpAuthMiddleware } from './api/mcp-auth.js';
+import { createAdminSessionsRouter } from './api/admin-sessions.js';
+import {
+  createRateLimiter,
+  createRateLimitMiddleware,
+  createBodyErrorHandler,
+  sendJsonRpcError,
+  JSON_RPC_ERRORS
+} from './api/mcp-limits.js';
+import { getRequestContext } from './utils/request-context.js';
 
 // Import tool schemas and handlers
 import { cardToolSchemas } from './schemas/card-schemas.js';
@@ -29,17 +58,106 @@ import { transactionToolSchemas } from './schemas/transaction-schemas.js';
 import * as transactionHandlers from './handlers/transaction-handlers.js';
 import { patternAnalysisToolSchemas } from './schemas/pattern-analysis-schemas.js';
 import * as patternAnalysisHandlers from './handlers/pattern-analysis-handlers.js';
+import { campaignToolSchemas } from './schemas/campaign-schemas.js';
+import * as campaignHandlers from './handlers/campaign-handlers.js';
 import { realtimeIntelligenceToolSchemas } from './schemas/realtime-intelligence-schemas.js';
 import * as realtimeIntelligenceHandlers from './handlers/realtime-intelligence-handlers.js';
 import { pollingToolSchemas } from './schemas/polling-schemas.js';
 import * as pollingHandlers from './handlers/polling-handlers.js';
+import { auditToolSchemas } from './schemas/audit-schemas.js';
+import * as auditHandlers from './handlers/audit-handlers.js';
+import { sessionToolSchemas } from './schemas/session-schemas.js';
+import * as sessionHandlers from './handlers/session-handlers.js';
+import * as resourceHandlers from './handlers/resource-handlers.js';
+import * as promptHandlers from './handlers/prompt-handlers.js';
+import { parseResourceUri } from './utils/resource-uris.js';
+import {
+  WILDCARD_SCOPE,
+  RESOURCE_SCOPES,
+  PROMPT_SCOPE,
+  PROMPT_TRANSACTIONS_SCOPE,
+  hasScope,
+  requiredScopeForTool,
+  filterToolsByScopes,
+  assertScope
+} from './utils/tool-scopes.js';
+
+/**
+ * Health check tool definition (the other tools are defined in schemas/)
+ */
+const healthCheckSchema = {
+  name: "health_check",
+  description: "Comprehensive system health monitoring for MCP server and dependencies",
+  inputSchema: {
+    type: "object",
+    properties: {
+      includeDetails: {
+        type: "boolean",
+        description: "Include detailed check results for each component",
+        default: true
+      },
+      format: {
+        type: "string",
+        enum: ["summary", "detailed", "json"],
+        description: "Output format for health report",
+        default: "summary"
+      },
+      skipCache: {
+        type: "boolean", 
+        description: "Skip cached results and force fresh health check",
+        default: false
+      }
+    },
+    additionalProperties: false
+  },
+  outputSchema: objectOutputSchema({
+    timestamp: { type: "string" },
+    checkId: { type: "string" },
+    overallStatus: { type: "string" },
+    overallScore: { type: "number" },
+    responseTimeMs: { type: "number" },
+    summary: { type: "object", description: "Check counts, or a readable digest for the summary format" },
+    checks: { type: "object", description: "Per-component results (detailed and json formats)" }
+  }, ["timestamp", "overallStatus", "overallScore"])
+};
 
+/**
+ * Every tool the server offers, in discovery order
+ */
+const toolSchemas = [
+  healthCheckSchema,
+  ...cardToolSchemas,
+  ...transactionToolSchemas,
+  ...patternAnalysisToolSchemas,
+  ...campaignToolSchemas,
+  ...realtimeIntelligenceToolSchemas,
+  ...pollingToolSchemas,
+  ...auditToolSchemas,
+  ...sessionToolSchemas
+];
+
+const validateToolArguments = createToolValidator(toolSchemas);
+
+/**
+ * Capabilities every server instance advertises
+ */
+const serverCapabilities = {
+  tools: {},
+  resources: { subscribe: true },
+  prompts: {},
+  logging: {}
+};
 
 
 /**
  * Create and configure the MCP server
+ * @param {Object} [options] - Server options
+ * @param {string} [options.sessionId] - MCP session ID; alerts for subscriptions created in this session are pushed to it
+ * @param {Function} [options.onClose] - Called when the server's transport closes
+ * @param {boolean} [options.requireAuth=false] - Enforce the API key scopes in extra.authInfo;
+ *   without it (stdio, a local process) every scope is granted
  */
-function createMcpServer() {
+function createMcpServer({ sessionId = randomUUID(), onClose, requireAuth = false } = {}) {
   const server = new Server(
     {
       name: "honeypot-transaction-intelligence",
@@ -47,72 +165,129 @@ function createMcpServer() {
       description: "AI-powered fraud detection using Lithic honeypot cards for real-time scammer verification"
     },
     {
-      capabilities: {
-        tools: {},
-        resources: {},
-        prompts: {}
-      }
+      capabilities: serverCapabilities
+    }
+  );
+
+  // Aborted when the session closes so long-running tool calls (long-polls) stop waiting
+  const sessionAbort = new AbortController();
+  server.onclose = () => {
+    sessionAbort.abort(new Error('MCP session closed'));
+    alertService.removeMcpSession(sessionId);
+    resourceService.removeSession(sessionId);
+    sessionManager.remove(sessionId);
+    onClose?.();
+  };
+
+  // Push alerts queued for this session's subscriptions as logging notifications
+  // (delivered over the standalone GET /mcp stream for StreamableHTTP clients)
+  alertService.registerMcpSession(sessionId, (subscriptionId, alert) =>
+    server.sendLoggingMessage(formatAlertNotification(subscriptionId, alert))
+  );
+
+  // Send notifications/resources/updated for resources this session subscribed to
+  resourceService.registerSession(sessionId, uri => server.sendResourceUpdated({ uri }));
+
+  /**
+   * Scopes granted to the client making a request
+   */
+  const grantedScopes = (extra) => requireAuth ? (extra?.authInfo?.scopes || []) : [WILDCARD_SCOPE];
+
+  /**
+   * Refuse a request the client is not scoped for, logging the denial
+   */
+  const authorize = (extra, requiredScope, target) => {
+    try {
+      assertScope(grantedScopes(extra), requiredScope, target);
+    } catch (error) {
+      logger.warn({ clientId: extra?.authInfo?.clientId, requiredScope, target }, 'MCP request denied: insufficient scope');
+      throw error;
     }
+  };
+
+  /**
+   * Scope required to read a resource URI (null for unknown URIs, which the handlers reject)
+   */
+  const resourceScope = (uri) => {
+    const resource = parseResourceUri(uri);
+    return resource ? RESOURCE_SCOPES[resource.type] : null;
+  };
+
+  /**
+   * Name a resource for denial messages without echoing its (card) token
+   */
+  const describeResource = (uri) => parseResourceUri(uri)?.type || 'unknown';
+
+  /**
+   * Resource Endpoints
+   */
+  server.setRequestHandler(ListResourcesRequestSchema, async (request, extra) => {
+    const { resources } = await resourceHandlers.handleListResources(createRequestId(), { mcpSessionId: sessionId });
+    return { resources: resources.filter(resource => hasScope(grantedScopes(extra), resourceScope(resource.uri))) };
+  });
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () =>
+    resourceHandlers.handleListResourceTemplates()
+  );
+  server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => {
+    authorize(extra, resourceScope(request.params.uri), `${describeResource(request.params.uri)} resource`);
+    return resourceHandlers.handleReadResource(request.params, createRequestId(), { mcpSessionId: sessionId });
+  });
+  server.setRequestHandler(SubscribeRequestSchema, async (request, extra) => {
+    authorize(extra, resourceScope(request.params.uri), `${describeResource(request.params.uri)} resource`);
+    return resourceHandlers.handleSubscribeResource(request.params, createRequestId(), { mcpSessionId: sessionId });
+  });
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) =>
+    resourceHandlers.handleUnsubscribeResource(request.params, createRequestId(), { mcpSessionId: sessionId })
   );
 
+  /**
+   * Prompt Endpoints
+   */
+  server.setRequestHandler(ListPromptsRequestSchema, async (request, extra) =>
+    hasScope(grantedScopes(extra), PROMPT_SCOPE) ? promptHandlers.handleListPrompts() : { prompts: [] }
+  );
+  server.setRequestHandler(GetPromptRequestSchema, async (request, extra) => {
+    authorize(extra, PROMPT_SCOPE, `prompt '${request.params.name}'`);
+    return promptHandlers.handleGetPrompt(request.params, createRequestId(), {
+      includeTransactions: hasScope(grantedScopes(extra), PROMPT_TRANSACTIONS_SCOPE)
+    });
+  });
+
   /**
    * Tool Discovery Endpoint
    */
-  server.setRequestHandler(ListToolsRequestSchema, async () => {
+  server.setRequestHandler(ListToolsRequestSchema, async (request, extra) => {
     logger.info('MCP tool discovery requested');
     
     return {
-      tools: [
-        {
-          name: "health_check",
-          description: "Comprehensive system health monitoring for MCP server and dependencies",
-          inputSchema: {
-            type: "object",
-            properties: {
-              includeDetails: {
-                type: "boolean",
-                description: "Include detailed check results for each component",
-                default: true
-              },
-              format: {
-                type: "string",
-                enum: ["summary", "detailed", "json"],
-                description: "Output format for health report",
-                default: "summary"
-              },
-              skipCache: {
-                type: "boolean", 
-                description: "Skip cached results and force fresh health check",
-                default: false
-              }
-            },
-            additionalProperties: false
-          }
-        },
-        
-        ...cardToolSchemas,
-        ...transactionToolSchemas,
-        ...patternAnalysisToolSchemas,
-        ...realtimeIntelligenceToolSchemas,
-        ...pollingToolSchemas
-      ]
+      tools: filterToolsByScopes(toolSchemas, grantedScopes(extra))
     };
   });
 
   /**
    * Tool Execution Endpoint
    */
-  server.setRequestHandler(CallToolRequestSchema, async (request) => {
-    const { name, arguments: args } = request.params;
-    const requestId = `mcp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const { name, arguments: rawArgs } = request.params;
+    const requestId = createRequestId();
+    const signal = AbortSignal.any([extra.signal, sessionAbort.signal]);
     
     logger.info({ 
       requestId, 
       toolName: name, 
-      args: sanitizeArgs(args) 
+      args: sanitizeArgs(rawArgs) 
     }, 'MCP tool execution requested');
 
+    // Identifies the client in the audit log
+    const caller = { clientId: extra?.authInfo?.clientId || 'local', mcpSessionId: sessionId };
+
     try {
+      authorize(extra, requiredScopeForTool(name), `tool '${name}'`);
+      sessionManager.recordToolCall(sessionId, name);
+
+      // Enforce the advertised inputSchema and apply its defaults
+      const args = validateToolArguments(name, rawArgs);
+
       switch (name) {
         case 'health_check':
           return await handleHealthCheck(args, requestId);
@@ -121,13 +296,13 @@ function createMcpServer() {
         case 'list_available_cards':
           return await cardHandlers.handleListAvailableCards(args, requestId);
         case 'get_card_details':
-          return await cardHandlers.handleGetCardDetails(args, requestId);
+          return await cardHandlers.handleGetCardDetails(args, requestId, { caller });
         case 'create_honeypot_card':
-          return await cardHandlers.handleCreateHoneypotCard(args, requestId);
+          return await cardHandlers.handleCreateHoneypotCard(args, requestId, { caller });
         case 'update_card_limits':
-          return await cardHandlers.handleUpdateCardLimits(args, requestId);
+          return await cardHandlers.handleUpdateCardLimits(args, requestId, { caller });
         case 'toggle_card_state':
-          return await cardHandlers.handleToggleCardState(args, requestId);
+          return await cardHandlers.handleToggleCardState(args, requestId, { caller });
           
         // Transaction Query Tools
         case 'get_transaction':
@@ -141,15 +316,35 @@ function createMcpServer() {
         case 'get_transaction_details':
           return await transactionHandlers.handleGetTransactionDetails(args, requestId);
           
+        // Pattern Analysis Tools
+        case 'analyze_card_patterns':
+          return await patternAnalysisHandlers.handleAnalyzeCardPatterns(args, requestId);
+        case 'detect_velocity_anomalies':
+          return await patternAnalysisHandlers.handleDetectVelocityAnomalies(args, requestId);
+        case 'compare_merchant_behavior':
+          return await patternAnalysisHandlers.handleCompareMerchantBehavior(args, requestId);
+        case 'get_entity_graph':
+          return await patternAnalysisHandlers.handleGetEntityGraph(args, requestId);
+          
+        // Campaign Tools
+        case 'create_campaign':
+          return await campaignHandlers.handleCreateCampaign(args, requestId);
+        case 'record_card_leak':
+          return await campaignHandlers.handleRecordCardLeak(args, requestId);
+        case 'get_campaign_report':
+          return await campaignHandlers.handleGetCampaignReport(args, requestId);
+          
         // Real-time Intelligence Tools
         case 'subscribe_to_alerts':
-          return await realtimeIntelligenceHandlers.handleSubscribeToAlerts(args, requestId);
+          return await realtimeIntelligenceHandlers.handleSubscribeToAlerts(args, requestId, { mcpSessionId: sessionId });
         case 'get_live_transaction_feed':
           return await realtimeIntelligenceHandlers.handleGetLiveTransactionFeed(args, requestId);
           
         // Real-time Polling Tools
         case 'poll_subscription_alerts':
-          return await pollingHandlers.handlePollSubscriptionAlerts(args, requestId);
+          return await pollingHandlers.handlePollSubscriptionAlerts(args, requestId, { signal });
+        case 'ack_alerts':
+          return await pollingHandlers.handleAckAlerts(args, requestId);
         case 'get_subscription_status':
           return await pollingHandlers.handleGetSubscriptionStatus(args, requestId);
         case 'poll_live_feed':
@@ -157,21 +352,40 @@ function createMcpServer() {
         case 'get_polling_metrics':
           return await pollingHandlers.handleGetPollingMetrics(args, requestId);
           
+        // Audit Tools
+        case 'get_audit_log':
+          return await auditHandlers.handleGetAuditLog(args, requestId);
+          
+        // Session Administration Tools
+        case 'list_sessions':
+          return await sessionHandlers.handleListSessions(args, requestId, { mcpSessionId: sessionId });
+        case 'terminate_session':
+          return await sessionHandlers.handleTerminateSession(args, requestId, { mcpSessionId: sessionId });
+          
         default:
-          const error = new Error(`Unknown tool: ${name}`);
+          const error = new McpError(ErrorCode.InvalidParams, `Unknown tool: ${name}`);
           logger.error({ requestId, toolName: name }, error.message);
           throw error;
       }
       
     } catch (error) {
+      // Unknown tools stay protocol errors; tool failures (including denied scopes)
+      // become isError results the agent can act on
+      if (error instanceof McpError && error.data?.reason !== 'insufficient_scope') {
+        throw error;
+      }
+
+      const toolError = formatMcpError(error, name, requestId);
       logger.error({ 
         requestId, 
         toolName: name, 
+        code: toolError.code,
+        retryable: toolError.retryable,
         error: error.message,
         stack: error.stack 
       }, 'MCP tool execution failed');
       
-      throw error;
+      return createToolErrorResult(toolError, { toolName: name, requestId });
     }
   });
 
@@ -194,27 +408,22 @@ async function handleHealthCheck(args, requestId) {
     
     const formattedReport = healthService.formatHealthReport(healthResult, format);
     
-    const response = {
-      content: [
-        {
-          type: "text",
-          text: `# System Health Check Report\n\n` +
-                `**Overall Status:** ${formattedReport.overallStatus}\n` +
-                `**Health Score:** ${formattedReport.overallScore}/100\n` +
-                `**Response Time:** ${formattedReport.responseTimeMs}ms\n` +
-                `**Timestamp:** ${formattedReport.timestamp}\n\n` +
-                (format === 'summary' ? 
-                  `**Summary:**\n` +
-                  `- Status: ${formattedReport.summary.status}\n` +
-                  `- Score: ${formattedReport.summary.score}\n` +
-                  `- Response Time: ${formattedReport.summary.responseTime}\n` +
-                  `- Checks: ${formattedReport.summary.checks}\n` +
-                  `- Issues: ${formattedReport.summary.issues}\n` :
-                  `**Detailed Results:**\n\`\`\`json\n${JSON.stringify(formattedReport, null, 2)}\n\`\`\``
-                )
-        }
-      ]
-    };
+    const response = createToolResult(formattedReport, {
+      text: `# System Health Check Report\n\n` +
+            `**Overall Status:** ${formattedReport.overallStatus}\n` +
+            `**Health Score:** ${formattedReport.overallScore}/100\n` +
+            `**Response Time:** ${formattedReport.responseTimeMs}ms\n` +
+            `**Timestamp:** ${formattedReport.timestamp}\n\n` +
+            (format === 'summary' ? 
+              `**Summary:**\n` +
+              `- Status: ${formattedReport.summary.status}\n` +
+              `- Score: ${formattedReport.summary.score}\n` +
+              `- Response Time: ${formattedReport.summary.responseTime}\n` +
+              `- Checks: ${formattedReport.summary.checks}\n` +
+              `- Issues: ${formattedReport.summary.issues}\n` :
+              `**Detailed Results:**\n\`\`\`json\n${JSON.stringify(formattedReport, null, 2)}\n\`\`\``
+            )
+    });
     
     logger.info({ 
       requestId, 
@@ -232,17 +441,7 @@ async function handleHealthCheck(args, requestId) {
       stack: error.stack 
     }, 'Health check tool execution failed');
     
-    return {
-      content: [
-        {
-          type: "text",
-          text: `# Health Check Failed\n\n` +
-                `**Error:** ${error.message}\n` +
-                `**Timestamp:** ${new Date().toISOString()}\n\n` +
-                `The health check could not be completed. Please check the server logs for more details.`
-        }
-      ]
-    };
+    throw formatMcpError(error, 'health_check', requestId);
   }
 }
 
@@ -267,6 +466,42 @@ function sanitizeArgs(args) {
   return sanitized;
 }
 
+/**
+ * Generate a request ID for logging and performance measurement
+ * @returns {string} Request ID (mcp_<timestamp>_<random>)
+ */
+function createRequestId() {
+  return `mcp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Format a queued alert as a notifications/message payload
+ * @param {string} subscriptionId - Subscription the alert was queued for
+ * @param {Object} alert - Queued alert
+ * @returns {Object} Logging message params
+ */
+function formatAlertNotification(subscriptionId, alert) {
+  const { fraud, highRisk } = riskEngine.getThresholds();
+  let level = 'notice';
+  if (alert.riskScore >= fraud) {
+    level = 'alert';
+  } else if (alert.riskScore >= highRisk) {
+    level = 'warning';
+  }
+  
+  return {
+    level,
+    logger: 'honeypot-alerts',
+    data: {
+      subscriptionId,
+      alert: {
+        ...alert,
+        cardToken: alert.cardToken ? `${alert.cardToken.substring(0, 8)}***` : undefined
+      }
+    }
+  };
+}
+
 /**
  * Main server startup function
  */
@@ -274,12 +509,18 @@ async function main() {
   try {
     logger.info('Starting Honeypot MCP Server...');
     
+    // Restore polling subscriptions, alert queues and feeds saved before the last restart
+    await pollingService.initialize();
+    
     const isHttpMode = process.env.NODE_ENV === 'production' || process.env.MCP_TRANSPORT === 'http';
     
     if (isHttpMode) {
       // HTTP mode for deployment (Railway, Heroku, etc.)
       const app = express();
       
+      // Needed behind a reverse proxy (Railway, Heroku) so req.ip is the client, not the proxy
+      app.set('trust proxy', config.http.trustProxy);
+      
       // Enhanced CORS configuration for MCP
       app.use(cors({
         origin: '*',
@@ -297,7 +538,15 @@ async function main() {
         credentials: false
       }));
       
-      app.use(express.json());
+      // Per-IP limit runs before authentication and body parsing so floods and key guessing stay cheap
+      app.use('/mcp', createRateLimitMiddleware({
+        limiter: createRateLimiter({ windowMs: config.http.rateLimitWindowMs, max: config.http.rateLimitPerIp }),
+        scope: 'ip',
+        keyFor: req => req.ip
+      }));
+      
+      app.use(express.json({ limit: config.http.maxBodyBytes }));
+      app.use(createBodyErrorHandler(config.http.maxBodyBytes));
       
       // Additional logging for all requests (moved before routes)
       app.use((req, res, next) => {
@@ -338,8 +587,48 @@ async function main() {
         });
       });
       
-      // Store transports by session ID for StreamableHTTP
-      const transports = {};
+      // Every /mcp request must carry a valid API key (checked per request so revocation is immediate)
+      try {
+        await apiKeyService.refresh();
+      } catch (error) {
+        logger.error({ error: error.message }, 'Failed to load API keys');
+      }
+      if (apiKeyService.getMetrics().activeKeys === 0) {
+        logger.warn({ filePath: apiKeyService.filePath }, 'No active API keys configured - all /mcp requests will be rejected');
+      }
+      app.use('/mcp', createMcpAuthMiddleware());
+      app.use('/mcp', createRateLimitMiddleware({
+        limiter: createRateLimiter({ windowMs: config.http.rateLimitWindowMs, max: config.http.rateLimitPerKey }),
+        scope: 'api_key',
+        keyFor: req => req.apiKey?.id
+      }));
+      
+      // Close sessions abandoned without a DELETE
+      sessionManager.start();
+      
+      // Session introspection and termination for keys with the sessions:admin scope
+      app.use('/admin', createMcpAuthMiddleware(), createAdminSessionsRouter());
+      
+      /**
+       * Reject a new session when the server or the API key is at its session limit
+       * @returns {boolean} Whether the session may be created (otherwise a 503 was sent)
+       */
+      const checkSessionCapacity = (req, res) => {
+        const apiKeySessions = sessionManager.count(req.apiKey.id);
+        const scope = sessionManager.count() >= config.http.maxSessions ? 'server'
+          : apiKeySessions >= config.http.maxSessionsPerKey ? 'api_key' : null;
+        if (!scope) {
+          return true;
+        }
+        
+        logger.warn({ scope, activeSessions: sessionManager.count(), apiKeySessions }, 'Rejected new MCP session: session limit reached');
+        sendJsonRpcError(req, res, 503, JSON_RPC_ERRORS.SERVER_ERROR, 'Too many active sessions', {
+          reason: 'session_limit',
+          scope,
+          limit: scope === 'server' ? config.http.maxSessions : config.http.maxSessionsPerKey
+        });
+        return false;
+      };
       
       // Handle OPTIONS requests for CORS preflight
       app.options('/mcp', (req, res) => {
@@ -370,26 +659,20 @@ async function main() {
           res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
           res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, mcp-session-id, Accept');
           
-          // Optional: Handle authorization header if present (but don't require it)
-          const authHeader = req.headers.authorization;
-          if (authHeader) {
-            logger.info('Authorization header received (but not validated)', {
-              hasAuth: true,
-              authType: authHeader.split(' ')[0] || 'unknown'
-            });
-            // Note: We log but don't validate the token since server doesn't require auth
-          }
-          
           // StreamableHTTP handling
           const sessionId = req.headers['mcp-session-id'];
           let transport;
+          let activeSessionId = sessionId;
 
-          if (sessionId && transports[sessionId]) {
+          if (sessionId && sessionManager.getTransport(sessionId)) {
             // Reuse existing transport
-            transport = transports[sessionId];
+            transport = sessionManager.getTransport(sessionId);
             logger.info(`Reusing existing transport for session ${sessionId}`);
           } else {
             // Create new transport for any request without valid session
+            if (!checkSessionCapacity(req, res)) {
+              return;
+            }
             logger.info('Creating new StreamableHTTP transport', { 
               hasSessionId: !!sessionId, 
               method: req.body?.method 
@@ -404,21 +687,26 @@ async function main() {
             });
 
             // Create and connect server to transport BEFORE handling any requests
-            const server = createMcpServer();
+            // (the server owns transport.onclose, so cleanup goes through onClose)
+            const server = createMcpServer({
+              sessionId: newSessionId,
+              requireAuth: true,
+              onClose: () => logger.info(`Transport closed for session ${newSessionId}`)
+            });
             await server.connect(transport);
             
-            // Store the transport immediately with the session ID
-            transports[newSessionId] = transport;
+            // Register the session immediately, bound to the creating API key
+            sessionManager.register(newSessionId, {
+              clientId: req.apiKey.id,
+              transport,
+              close: () => server.close()
+            });
+            activeSessionId = newSessionId;
+            getRequestContext().mcpSessionId = newSessionId;
             logger.info(`Transport created and stored with session ID: ${newSessionId}`);
 
             // Set the session ID header in the response
             res.setHeader('mcp-session-id', newSessionId);
-
-            // Clean up transport when closed
-            transport.onclose = () => {
-              logger.info(`Transport closed for session ${newSessionId}`);
-              delete transports[newSessionId];
-            };
           }
 
           // Ensure transport is ready before handling request
@@ -435,6 +723,8 @@ async function main() {
             return;
           }
 
+          sessionManager.touch(activeSessionId, res);
+          
           // Handle the request with proper error handling
           logger.info('About to call transport.handleRequest', {
             sessionId: transport.sessionId || 'unknown',
@@ -489,12 +779,15 @@ async function main() {
             });
           }
           
-          let transport = transports[sessionId];
+          let transport = sessionManager.getTransport(sessionId);
           
           if (!transport) {
+            if (!checkSessionCapacity(req, res)) {
+              return;
+            }
             logger.info('Creating new transport for session', { 
               sessionId: sessionId ? `${sessionId.substring(0, 8)}...` : 'none',
-              availableSessions: Object.keys(transports).length
+              availableSessions: sessionManager.count()
             });
             
             // Create a new transport for this session
@@ -502,21 +795,26 @@ async function main() {
               sessionIdGenerator: () => sessionId
             });
 
-            const server = createMcpServer();
+            const server = createMcpServer({
+              sessionId,
+              requireAuth: true,
+              onClose: () => logger.info(`Transport closed for session ${sessionId.substring(0, 8)}...`)
+            });
             await server.connect(transport);
             
-            transports[sessionId] = transport;
+            sessionManager.register(sessionId, {
+              clientId: req.apiKey.id,
+              transport,
+              close: () => server.close()
+            });
+            getRequestContext().mcpSessionId = sessionId;
             logger.info(`New transport created and stored for session: ${sessionId.substring(0, 8)}...`);
 
             // Set session ID header for client tracking
             res.setHeader('mcp-session-id', sessionId);
-
-            transport.onclose = () => {
-              logger.info(`Transport closed for session ${sessionId.substring(0, 8)}...`);
-              delete transports[sessionId];
-            };
           }
           
+          sessionManager.touch(sessionId, res);
           await transport.handleRequest(req, res);
           
         } catch (error) {
@@ -538,13 +836,13 @@ async function main() {
           logger.info('Received DELETE request to /mcp for StreamableHTTP session termination');
           
           const sessionId = req.headers['mcp-session-id'];
-          if (!sessionId || !transports[sessionId]) {
+          const transport = sessionManager.getTransport(sessionId);
+          if (!sessionId || !transport) {
             logger.warn('Invalid or missing session ID for DELETE request');
             res.status(400).send('Invalid or missing session ID');
             return;
           }
           
-          const transport = transports[sessionId];
           await transport.handleRequest(req, res);
           
         } catch (error) {
@@ -562,8 +860,8 @@ async function main() {
         logger.info({
           serverName: "honeypot-transaction-intelligence",
           version: "1.0.0",
-          capabilities: ["tools"],
-          toolCount: 13,
+          capabilities: Object.keys(serverCapabilities),
+          toolCount: toolSchemas.length,
           transport: "http",
           port: port,
           endpoints: {
@@ -576,15 +874,17 @@ async function main() {
       });
     } else {
       // Stdio mode for local development
-      const server = createMcpServer();
+      const sessionId = randomUUID();
+      const server = createMcpServer({ sessionId });
       const transport = new StdioServerTransport();
       await server.connect(transport);
+      sessionManager.register(sessionId, { clientId: 'local', transportType: 'stdio', transport });
       
       logger.info({
         serverName: "honeypot-transaction-intelligence",
         version: "1.0.0",
-        capabilities: ["tools"],
-        toolCount: 13,
+        capabilities: Object.keys(serverCapabilities),
+        toolCount: toolSchemas.length,
         transport: "stdio"
       }, 'Honeypot MCP Server started successfully');
     }
@@ -600,13 +900,15 @@ async function main() {
 }
 
 // Handle graceful shutdown
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   logger.info('Received SIGINT, shutting down MCP server gracefully');
+  await pollingService.shutdown();
   process.exit(0);
 });
 
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   logger.info('Received SIGTERM, shutting down MCP server gracefully');
+  await pollingService.shutdown();
   process.exit(0);
 });
 
@@ -0,0 +1,83 @@
+/**
+ * Audit Tool Schemas - MCP tool definitions for the audit trail
+ *
+ * Tools defined:
+ * - get_audit_log: Query PAN disclosures and card changes by card or time window
+ */
+
+import { AUDIT_ACTIONS } from '../services/audit-service.js';
+import { objectOutputSchema, metadataOutputSchema } from '../utils/tool-results.js';
+
+/**
+ * Get Audit Log Tool Schema
+ *
+ * Lets investigators see who disclosed a card number or changed a card, when,
+ * from which session and for what stated reason, and whether the log is intact.
+ */
+export const getAuditLogSchema = {
+  name: "get_audit_log",
+  description: "Query the tamper-evident audit log of PAN disclosures and card changes (creation, limits, pause/resume). Filter by card token and/or time window. Each entry records the client, MCP session, tool, reason and time; the response also reports whether the hash chain is intact.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      cardToken: {
+        type: "string",
+        description: "Only return entries for this card token",
+        minLength: 1,
+        maxLength: 100
+      },
+      startTime: {
+        type: "string",
+        format: "date-time",
+        description: "Only return entries at or after this ISO 8601 timestamp"
+      },
+      endTime: {
+        type: "string",
+        format: "date-time",
+        description: "Only return entries at or before this ISO 8601 timestamp"
+      },
+      action: {
+        type: "string",
+        enum: AUDIT_ACTIONS,
+        description: "Only return entries for this action"
+      },
+      limit: {
+        type: "number",
+        description: "Maximum number of entries to return, most recent matches first (default: 100)",
+        minimum: 1,
+        maximum: 1000,
+        default: 100
+      },
+      verifyChain: {
+        type: "boolean",
+        description: "Verify the hash chain over the whole log (default: true)",
+        default: true
+      }
+    },
+    additionalProperties: false,
+    examples: [
+      {
+        cardToken: "7ef7d65c-9023-4da3-b113-3b8583fd7951",
+        action: "pan_disclosed"
+      },
+      {
+        startTime: "2026-01-01T00:00:00Z",
+        endTime: "2026-01-02T00:00:00Z"
+      }
+    ]
+  },
+  outputSchema: objectOutputSchema({
+    auditLog: { type: "object", description: "Matching entries newest first, with match counts" },
+    chainVerification: { description: "Hash chain verification result, or null when verifyChain is false" },
+    filters: { type: "object", description: "Filters applied to the query" },
+    metadata: metadataOutputSchema
+  }, ["auditLog", "filters", "metadata"])
+};
+
+/**
+ * Array of all audit tool schemas for easy import
+ * Used by the MCP server for tool registration and discovery
+ */
+export const auditToolSchemas = [
+  getAuditLogSchema
+];
@@ -0,0 +1,157 @@
+/**
+ * Campaign Tool Schemas - MCP tool definitions for honeypot campaigns
+ *
+ * Tools defined:
+ * - create_campaign: Create a campaign with default leak channel, persona and region
+ * - record_card_leak: Link a card to a campaign with where, when and by whom it was leaked
+ * - get_campaign_report: Time to first use, transaction counts and merchant spread per campaign
+ */
+
+import { LEAK_CHANNELS } from '../utils/campaign-metrics.js';
+import { objectOutputSchema, metadataOutputSchema } from '../utils/tool-results.js';
+import { LITHIC_TOKEN_PATTERN } from './common-schemas.js';
+
+/**
+ * Leak detail properties shared by create_honeypot_card metadata and record_card_leak
+ */
+export const leakDetailProperties = {
+  leakChannel: {
+    type: "string",
+    enum: LEAK_CHANNELS,
+    description: "Where the card was leaked"
+  },
+  leakedAt: {
+    type: "string",
+    format: "date-time",
+    description: "When the card was leaked, ISO 8601 (default: now)"
+  },
+  persona: {
+    type: "string",
+    description: "Persona that leaked the card",
+    maxLength: 100
+  }
+};
+
+/**
+ * Create Campaign Tool Schema
+ */
+export const createCampaignSchema = {
+  name: "create_campaign",
+  description: "Create a honeypot campaign: a named way of seeding cards with a default leak channel (scam call, phishing form, forum, ...), persona and region. Cards are linked to it with record_card_leak or create_honeypot_card metadata.campaign.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      name: {
+        type: "string",
+        description: "Unique campaign name",
+        minLength: 1,
+        maxLength: 100
+      },
+      leakChannel: leakDetailProperties.leakChannel,
+      persona: leakDetailProperties.persona,
+      region: {
+        type: "string",
+        description: "Region the campaign targets",
+        maxLength: 50
+      },
+      purpose: {
+        type: "string",
+        description: "What the campaign is for",
+        maxLength: 500
+      },
+      notes: {
+        type: "string",
+        maxLength: 2000
+      }
+    },
+    required: ["name"],
+    additionalProperties: false,
+    examples: [
+      {
+        name: "tech-support-calls-2026-03",
+        leakChannel: "scam_call",
+        persona: "Margaret",
+        region: "US"
+      }
+    ]
+  },
+  outputSchema: objectOutputSchema({
+    campaign: { type: "object", description: "Created campaign" },
+    metadata: metadataOutputSchema
+  }, ["campaign", "metadata"])
+};
+
+/**
+ * Record Card Leak Tool Schema
+ */
+export const recordCardLeakSchema = {
+  name: "record_card_leak",
+  description: "Link a honeypot card to a campaign and record where, when and by which persona it was leaked. The campaign is created if it does not exist; relinking moves the card to the new campaign.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      cardToken: {
+        type: "string",
+        description: "Card that was leaked (UUID format)",
+        pattern: LITHIC_TOKEN_PATTERN
+      },
+      campaign: {
+        type: "string",
+        description: "Campaign name or ID",
+        minLength: 1,
+        maxLength: 100
+      },
+      ...leakDetailProperties,
+      notes: {
+        type: "string",
+        maxLength: 2000
+      }
+    },
+    required: ["cardToken", "campaign"],
+    additionalProperties: false
+  },
+  outputSchema: objectOutputSchema({
+    campaign: { type: "object", description: "Campaign the card is linked to" },
+    card: { type: "object", description: "Recorded leak details of the card" },
+    campaignCreated: { type: "boolean" },
+    metadata: metadataOutputSchema
+  }, ["campaign", "card", "campaignCreated", "metadata"])
+};
+
+/**
+ * Get Campaign Report Tool Schema
+ */
+export const getCampaignReportSchema = {
+  name: "get_campaign_report",
+  description: "Report how leaked cards were used per campaign: time from leak to first use, transaction counts, merchant spread (merchants, acceptors, countries, MCCs, merchants shared by several cards) and a breakdown by leak channel. Omit campaign to compare every campaign.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      campaign: {
+        type: "string",
+        description: "Campaign name or ID (default: every campaign)",
+        minLength: 1,
+        maxLength: 100
+      },
+      includeCards: {
+        type: "boolean",
+        description: "Include per-card rows (default: true for one campaign, false for all)"
+      }
+    },
+    additionalProperties: false
+  },
+  outputSchema: objectOutputSchema({
+    campaignReport: { type: "object", description: "Campaign reports, most transactions first" },
+    metadata: metadataOutputSchema
+  }, ["campaignReport", "metadata"])
+};
+
+/**
+ * Array of all campaign tool schemas for easy import
+ * Used by the MCP server for tool registration and discovery
+ */
+export const campaignToolSchemas = [
+  createCampaignSchema,
+  recordCardLeakSchema,
+  getCampaignReportSchema
+];
@@ -5,6 +5,10 @@
  * SECURITY CRITICAL: Some tools handle sensitive PAN data
  */
 
+import { objectOutputSchema } from '../utils/tool-results.js';
+import { LITHIC_TOKEN_PATTERN } from './common-schemas.js';
+import { leakDetailProperties } from './campaign-schemas.js';
+
 export const listAvailableCardsSchema = {
   name: "list_available_cards",
   description: "Get available honeypot cards for scammer testing scenarios",
@@ -29,7 +33,14 @@ export const listAvailableCardsSchema = {
       }
     },
     additionalProperties: false
-  }
+  },
+  outputSchema: objectOutputSchema({
+    queryType: { type: "string" },
+    cardCount: { type: "number" },
+    cards: { type: "array", items: { type: "object" }, description: "Card summaries" },
+    timestamp: { type: "string" },
+    requestId: { type: "string" }
+  }, ["queryType", "cardCount", "cards", "timestamp", "requestId"])
 };
 
 export const getCardDetailsSchema = {
@@ -41,7 +52,7 @@ export const getCardDetailsSchema = {
       cardToken: {
         type: "string",
         description: "Your card token (UUID format)",
-        pattern: "^[a-fA-F0-9]{8}-[a-fA-F0-9]{4}-[a-fA-F0-9]{4}-[a-fA-F0-9]{4}-[a-fA-F0-9]{12}$"
+        pattern: LITHIC_TOKEN_PATTERN
       },
       includePan: {
         type: "boolean",
@@ -56,7 +67,14 @@ export const getCardDetailsSchema = {
     },
     required: ["cardToken"],
     additionalProperties: false
-  }
+  },
+  outputSchema: objectOutputSchema({
+    queryType: { type: "string" },
+    cardToken: { description: "Card token, or null when the card was not found" },
+    cardDetails: { description: "Card details (pan only when disclosed), or null when the card was not found" },
+    timestamp: { type: "string" },
+    requestId: { type: "string" }
+  }, ["queryType", "timestamp", "requestId"])
 };
 
 export const createHoneypotCardSchema = {
@@ -83,16 +101,27 @@ export const createHoneypotCardSchema = {
       },
       metadata: {
         type: "object",
+        description: "Campaign the card is leaked in; the card is linked to it (created if missing) with the leak details",
         properties: {
           purpose: { type: "string" },
           region: { type: "string" },
-          campaign: { type: "string" }
+          campaign: { type: "string", description: "Campaign name or ID", minLength: 1, maxLength: 100 },
+          ...leakDetailProperties
         },
         additionalProperties: false
       }
     },
     additionalProperties: false
-  }
+  },
+  outputSchema: objectOutputSchema({
+    success: { type: "boolean" },
+    cardToken: { type: "string" },
+    cardDetails: { type: "object", description: "Created card as returned by Lithic" },
+    campaign: { description: "Campaign and leak details the card is linked to, or null without metadata.campaign" },
+    warnings: { type: "array", items: { type: "string" } },
+    timestamp: { type: "string" },
+    requestId: { type: "string" }
+  }, ["success", "cardDetails", "timestamp", "requestId"])
 };
 
 export const updateCardLimitsSchema = {
@@ -104,7 +133,7 @@ export const updateCardLimitsSchema = {
       cardToken: {
         type: "string",
         description: "Lithic card token (UUID format)",
-        pattern: "^[a-fA-F0-9]{8}-[a-fA-F0-9]{4}-[a-fA-F0-9]{4}-[a-fA-F0-9]{4}-[a-fA-F0-9]{12}$"
+        pattern: LITHIC_TOKEN_PATTERN
       },
       spendLimit: {
         type: "number",
@@ -117,7 +146,14 @@ export const updateCardLimitsSchema = {
     },
     required: ["cardToken"],
     additionalProperties: false
-  }
+  },
+  outputSchema: objectOutputSchema({
+    success: { type: "boolean" },
+    cardToken: { type: "string", description: "Masked card token" },
+    updatedLimits: { description: "Updated card as returned by Lithic" },
+    timestamp: { type: "string" },
+    requestId: { type: "string" }
+  }, ["success", "cardToken", "timestamp", "requestId"])
 };
 
 export const toggleCardStateSchema = {
@@ -129,7 +165,7 @@ export const toggleCardStateSchema = {
       cardToken: {
         type: "string",
         description: "Lithic card token (UUID format)",
-        pattern: "^[a-fA-F0-9]{8}-[a-fA-F0-9]{4}-[a-fA-F0-9]{4}-[a-fA-F0-9]{4}-[a-fA-F0-9]{12}$"
+        pattern: LITHIC_TOKEN_PATTERN
       },
       state: {
         type: "string",
@@ -143,7 +179,15 @@ export const toggleCardStateSchema = {
     },
     required: ["cardToken", "state"],
     additionalProperties: false
-  }
+  },
+  outputSchema: objectOutputSchema({
+    success: { type: "boolean" },
+    cardToken: { type: "string" },
+    newState: { type: "string", description: "Requested card state" },
+    result: { description: "Updated card as returned by Lithic" },
+    timestamp: { type: "string" },
+    requestId: { type: "string" }
+  }, ["success", "cardToken", "newState", "timestamp", "requestId"])
 };
 
 // Export all card tool schemas
@@ -0,0 +1,12 @@
+/**
+ * Common Schema Fragments
+ * Identifier formats shared by the tool schemas
+ *
+ * Lithic identifies cards and transactions with UUID tokens
+ * (e.g. "7ef7d65c-9023-4da3-b113-3b8583fd7951") - there is no card_ or txn_ prefix.
+ */
+
+/**
+ * Lithic card or transaction token
+ */
+export const LITHIC_TOKEN_PATTERN = "^[a-fA-F0-9]{8}-[a-fA-F0-9]{4}-[a-fA-F0-9]{4}-[a-fA-F0-9]{4}-[a-fA-F0-9]{12}$";
@@ -1,10 +1,194 @@
 /**
  * Pattern Analysis Tool Schemas
  * MCP tool definitions for advanced fraud detection and analysis operations
- * 
- * NOTE: All pattern analysis tools have been removed.
- * This file is preserved for potential future use.
+ *
+ * Uses existing reporting and MCC services for business logic
  */
 
-// No schemas exported - all pattern analysis tools removed
-export const patternAnalysisToolSchemas = []; 
\ No newline at end of file
+import { objectOutputSchema, metadataOutputSchema } from '../utils/tool-results.js';
+import { LITHIC_TOKEN_PATTERN } from './common-schemas.js';
+
+export const analyzeCardPatternsSchema = {
+  name: "analyze_card_patterns",
+  description: "Analyze spending patterns on a honeypot card (timing, merchants, categories, locations, amounts) and return actionable findings",
+  inputSchema: {
+    type: "object",
+    properties: {
+      cardToken: {
+        type: "string",
+        description: "Card token to analyze (UUID format)",
+        pattern: LITHIC_TOKEN_PATTERN
+      },
+      days: {
+        type: "number",
+        description: "Number of days of history to analyze",
+        default: 30,
+        minimum: 1,
+        maximum: 365
+      },
+      limit: {
+        type: "number",
+        description: "Maximum number of transactions to analyze",
+        default: 500,
+        minimum: 1,
+        maximum: 1000
+      }
+    },
+    required: ["cardToken"],
+    additionalProperties: false
+  },
+  outputSchema: objectOutputSchema({
+    cardPatterns: { type: "object", description: "Temporal, merchant, category, location and amount patterns with findings" },
+    metadata: metadataOutputSchema
+  }, ["cardPatterns", "metadata"])
+};
+
+export const detectVelocityAnomaliesSchema = {
+  name: "detect_velocity_anomalies",
+  description: "Detect bursts of activity on a card (transaction velocity, merchant and country hopping, decline bursts, amount ramp-up, rapid succession) that indicate card testing, using the same checks as velocity_breach alerts",
+  inputSchema: {
+    type: "object",
+    properties: {
+      cardToken: {
+        type: "string",
+        description: "Card token to analyze (UUID format)",
+        pattern: LITHIC_TOKEN_PATTERN
+      },
+      windowMinutes: {
+        type: "number",
+        description: "Sliding window size in minutes (defaults to the velocity_breach alert window, VELOCITY_WINDOW_MINUTES)",
+        minimum: 1,
+        maximum: 1440
+      },
+      transactionThreshold: {
+        type: "number",
+        description: "Transactions within one window that flag it (defaults to the velocity_breach alert threshold, VELOCITY_TRANSACTION_THRESHOLD)",
+        minimum: 1,
+        maximum: 100
+      },
+      rapidSuccessionSeconds: {
+        type: "number",
+        description: "Consecutive transactions closer than this are flagged as rapid succession",
+        default: 60,
+        minimum: 1,
+        maximum: 3600
+      },
+      days: {
+        type: "number",
+        description: "Number of days of history to scan",
+        default: 7,
+        minimum: 1,
+        maximum: 90
+      }
+    },
+    required: ["cardToken"],
+    additionalProperties: false
+  },
+  outputSchema: objectOutputSchema({
+    velocityAnalysis: { type: "object", description: "Flagged velocity windows, rapid-succession pairs and findings" },
+    metadata: metadataOutputSchema
+  }, ["velocityAnalysis", "metadata"])
+};
+
+export const compareMerchantBehaviorSchema = {
+  name: "compare_merchant_behavior",
+  description: "Compare a merchant's activity against a card's baseline or the overall honeypot population to spot outlier behavior",
+  inputSchema: {
+    type: "object",
+    properties: {
+      merchantDescriptor: {
+        type: "string",
+        description: "Merchant name or descriptor (partial match)",
+        minLength: 2,
+        maxLength: 100
+      },
+      cardToken: {
+        type: "string",
+        description: "Optional card to use as the baseline instead of the overall population",
+        pattern: LITHIC_TOKEN_PATTERN
+      },
+      days: {
+        type: "number",
+        description: "Number of days of history to compare",
+        default: 90,
+        minimum: 1,
+        maximum: 365
+      }
+    },
+    required: ["merchantDescriptor"],
+    additionalProperties: false
+  },
+  outputSchema: objectOutputSchema({
+    merchantComparison: { type: "object", description: "Merchant profile compared against the baseline, with deviations and findings" },
+    metadata: metadataOutputSchema
+  }, ["merchantComparison", "metadata"])
+};
+
+export const getEntityGraphSchema = {
+  name: "get_entity_graph",
+  description: "Build the attribution graph of cards, merchants, acceptor IDs, networks and locations from stored transactions; return a node's neighborhood, cards linked by shared merchants, and connected components ranked by size",
+  inputSchema: {
+    type: "object",
+    properties: {
+      cardToken: {
+        type: "string",
+        description: "Card to center the neighborhood on (UUID format)",
+        pattern: LITHIC_TOKEN_PATTERN
+      },
+      nodeId: {
+        type: "string",
+        description: "Node to center the neighborhood on instead of a card, e.g. \"merchant:<id>\" or \"acceptor:<id>\"",
+        pattern: "^(card|merchant|acceptor|network|location):.+$",
+        maxLength: 200
+      },
+      depth: {
+        type: "number",
+        description: "Neighborhood radius in hops",
+        default: 2,
+        minimum: 1,
+        maximum: 4
+      },
+      days: {
+        type: "number",
+        description: "Number of days of transactions to build the graph from",
+        default: 90,
+        minimum: 1,
+        maximum: 365
+      },
+      limit: {
+        type: "number",
+        description: "Maximum number of transactions to build the graph from (newest first)",
+        default: 2000,
+        minimum: 1,
+        maximum: 5000
+      },
+      maxComponents: {
+        type: "number",
+        description: "Maximum connected components to return",
+        default: 10,
+        minimum: 1,
+        maximum: 50
+      },
+      maxLinks: {
+        type: "number",
+        description: "Maximum shared-merchant card pairs to return",
+        default: 50,
+        minimum: 1,
+        maximum: 200
+      }
+    },
+    additionalProperties: false
+  },
+  outputSchema: objectOutputSchema({
+    entityGraph: { type: "object", description: "Graph summary, neighborhood (when centered), shared-merchant card links and ranked connected components" },
+    metadata: metadataOutputSchema
+  }, ["entityGraph", "metadata"])
+};
+
+// Export all pattern analysis tool schemas
+export const patternAnalysisToolSchemas = [
+  analyzeCardPatternsSchema,
+  detectVelocityAnomaliesSchema,
+  compareMerchantBehaviorSchema,
+  getEntityGraphSchema
+];
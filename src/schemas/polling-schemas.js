@@ -7,19 +7,23 @@
  * 
  * Tools defined:
  * - poll_subscription_alerts: Poll an active alert subscription for new alerts
+ * - ack_alerts: Acknowledge polled alerts
  * - get_subscription_status: Get status and metadata for an alert subscription
- * - poll_live_feed: Poll a live transaction feed (future enhancement)
+ * - poll_live_feed: Poll a live transaction feed for new transactions
  */
 
+import { objectOutputSchema, metadataOutputSchema } from '../utils/tool-results.js';
+
 /**
  * Poll Subscription Alerts Tool Schema
  * 
  * Enables AI agents to poll an active alert subscription for new transaction alerts.
- * Uses a consume pattern - retrieved alerts are removed from the queue.
+ * Uses a lease pattern - retrieved alerts are hidden until acknowledged with ack_alerts
+ * or until the visibility timeout lapses, when they are delivered again.
  */
 export const pollSubscriptionAlertsSchema = {
   name: "poll_subscription_alerts",
-  description: "Poll an active alert subscription for new transaction alerts. Retrieved alerts are removed from the queue (consume pattern). Essential for real-time fraud monitoring by AI agents.",
+  description: "Poll an active alert subscription for new transaction alerts. Retrieved alerts are leased: confirm them with ack_alerts, otherwise they are redelivered after the visibility timeout. Essential for real-time fraud monitoring by AI agents.",
   inputSchema: {
     type: "object",
     properties: {
@@ -36,6 +40,20 @@ export const pollSubscriptionAlertsSchema = {
         minimum: 1,
         maximum: 100,
         default: 50
+      },
+      visibilityTimeoutSeconds: {
+        type: "number",
+        description: "Seconds returned alerts stay hidden before being redelivered if not acknowledged (default: 60)",
+        minimum: 5,
+        maximum: 900,
+        default: 60
+      },
+      waitSeconds: {
+        type: "number",
+        description: "Long-poll: when no alerts are queued, wait up to this many seconds for one to arrive instead of returning immediately (default: 0)",
+        minimum: 0,
+        maximum: 60,
+        default: 0
       }
     },
     required: ["subscriptionId"],
@@ -43,13 +61,67 @@ export const pollSubscriptionAlertsSchema = {
     examples: [
       {
         subscriptionId: "alert_sub_1703123456789_abc123def456",
-        maxAlerts: 25
+        maxAlerts: 25,
+        visibilityTimeoutSeconds: 120
+      },
+      {
+        subscriptionId: "alert_sub_1703123456789_abc123def456",
+        waitSeconds: 30
       },
       {
         subscriptionId: "alert_sub_1703123456789_xyz789uvw012"
       }
     ]
-  }
+  },
+  outputSchema: objectOutputSchema({
+    pollingResult: { type: "object", description: "Leased alerts with their alertIds, lease expiry and subscription state" },
+    metadata: metadataOutputSchema
+  }, ["pollingResult", "metadata"])
+};
+
+/**
+ * Ack Alerts Tool Schema
+ * 
+ * Confirms alerts returned by poll_subscription_alerts. Acknowledged alerts are
+ * removed from the queue; unacknowledged ones are redelivered and, after repeated
+ * failed deliveries, moved to the subscription's dead-letter list.
+ */
+export const ackAlertsSchema = {
+  name: "ack_alerts",
+  description: "Acknowledge alerts returned by poll_subscription_alerts so they are not delivered again. Call after the alerts have been processed.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      subscriptionId: {
+        type: "string",
+        description: "Subscription ID the alerts were polled from",
+        pattern: "^alert_sub_[0-9]+_[a-zA-Z0-9]+$",
+        minLength: 20,
+        maxLength: 100
+      },
+      alertIds: {
+        type: "array",
+        items: {
+          type: "string"
+        },
+        description: "alertId values from the poll_subscription_alerts response",
+        minItems: 1,
+        maxItems: 100
+      }
+    },
+    required: ["subscriptionId", "alertIds"],
+    additionalProperties: false,
+    examples: [
+      {
+        subscriptionId: "alert_sub_1703123456789_abc123def456",
+        alertIds: ["0b6f8a52-3c1e-4e0f-9b1d-2f7c9e4a1d35"]
+      }
+    ]
+  },
+  outputSchema: objectOutputSchema({
+    ackResult: { type: "object", description: "Acknowledged and unknown alert IDs with the remaining queue depth" },
+    metadata: metadataOutputSchema
+  }, ["ackResult", "metadata"])
 };
 
 /**
@@ -89,18 +161,23 @@ export const getSubscriptionStatusSchema = {
         includeQueueSample: false
       }
     ]
-  }
+  },
+  outputSchema: objectOutputSchema({
+    subscriptionStatus: { type: "object", description: "Subscription health, lifecycle, activity, configuration and dead letters" },
+    metadata: metadataOutputSchema
+  }, ["subscriptionStatus", "metadata"])
 };
 
 /**
- * Poll Live Feed Tool Schema (Future Enhancement)
+ * Poll Live Feed Tool Schema
  * 
- * Placeholder schema for future live transaction feed polling capability.
- * This will enable AI agents to poll real-time transaction streams.
+ * Polls a feed registered by get_live_transaction_feed. Each poll returns
+ * transactions the feed has not delivered yet, subject to the feed's
+ * per-minute rate limit.
  */
 export const pollLiveFeedSchema = {
   name: "poll_live_feed",
-  description: "Poll a live transaction feed for new transactions. [FUTURE ENHANCEMENT - Currently returns not implemented message]",
+  description: "Poll a live transaction feed for transactions that arrived since the last poll. Honors the feed's card filter, transaction types and per-minute rate limit.",
   inputSchema: {
     type: "object",
     properties: {
@@ -128,12 +205,16 @@ export const pollLiveFeedSchema = {
     additionalProperties: false,
     examples: [
       {
-        feedId: "feed_1703123456789_live_001",
+        feedId: "feed_1703123456789_k3j9x2m1q",
         maxTransactions: 10,
         includeMetadata: true
       }
     ]
-  }
+  },
+  outputSchema: objectOutputSchema({
+    liveFeedResult: { type: "object", description: "New transactions since the cursor, next cursor and rate limit state" },
+    metadata: metadataOutputSchema
+  }, ["liveFeedResult", "metadata"])
 };
 
 /**
@@ -170,7 +251,11 @@ export const getPollingMetricsSchema = {
         format: "summary"
       }
     ]
-  }
+  },
+  outputSchema: objectOutputSchema({
+    pollingMetrics: { type: "object", description: "Polling service, subscription and feed metrics" },
+    metadata: metadataOutputSchema
+  }, ["pollingMetrics", "metadata"])
 };
 
 /**
@@ -179,6 +264,7 @@ export const getPollingMetricsSchema = {
  */
 export const pollingToolSchemas = [
   pollSubscriptionAlertsSchema,
+  ackAlertsSchema,
   getSubscriptionStatusSchema,
   pollLiveFeedSchema,
   getPollingMetricsSchema
@@ -217,6 +303,8 @@ export const pollingValidationPatterns = {
  */
 export const pollingDefaults = {
   maxAlerts: 50,
+  visibilityTimeoutSeconds: 60,
+  waitSeconds: 0,
   maxTransactions: 20,
   includeMetadata: true,
   includeQueueSample: true,
@@ -242,6 +330,22 @@ export const pollingExamples = {
     },
     description: "Limited alert polling with custom max alerts"
   },
+  longPolling: {
+    tool: "poll_subscription_alerts",
+    args: {
+      subscriptionId: "alert_sub_1703123456789_example123",
+      waitSeconds: 30
+    },
+    description: "Wait up to 30 seconds for the next alert instead of polling in a loop"
+  },
+  acknowledge: {
+    tool: "ack_alerts",
+    args: {
+      subscriptionId: "alert_sub_1703123456789_example123",
+      alertIds: ["0b6f8a52-3c1e-4e0f-9b1d-2f7c9e4a1d35"]
+    },
+    description: "Acknowledge processed alerts so they are not redelivered"
+  },
   statusCheck: {
     tool: "get_subscription_status",
     args: {
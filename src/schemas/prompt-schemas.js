@@ -0,0 +1,83 @@
+/**
+ * Prompt Schemas - MCP prompt definitions for voice agents talking to scam callers
+ *
+ * These schemas define the parameterized prompt templates served by prompts/list
+ * and prompts/get. Prompt arguments are always strings; the prompt handlers
+ * validate them and fill the templates with live card and transaction context.
+ *
+ * Prompts defined:
+ * - elderly_persona: System prompt for the vulnerable elderly persona
+ * - verify_caller_charge: Script for checking a charge a caller mentions against real transactions
+ * - stall_scammer: Script for keeping a scammer on the line while the card is watched
+ */
+
+const cardTokenArgument = {
+  name: "cardToken",
+  description: "Honeypot card token the persona owns; live card state and recent transactions are included",
+  required: true
+};
+
+const personaNameArgument = {
+  name: "personaName",
+  description: "Name the persona uses on the call (default: Margaret)",
+  required: false
+};
+
+const regionArgument = {
+  name: "region",
+  description: "Caller region for currency, agencies and phrasing: US, UK, CA or AU (default: US)",
+  required: false
+};
+
+/**
+ * Elderly Persona Prompt Schema
+ *
+ * System prompt for a voice agent playing a trusting elderly cardholder, with the
+ * honeypot card's current state and recent activity.
+ */
+export const elderlyPersonaPromptSchema = {
+  name: "elderly_persona",
+  description: "System prompt for a voice agent playing a trusting elderly cardholder who owns the given honeypot card",
+  arguments: [cardTokenArgument, personaNameArgument, regionArgument]
+};
+
+/**
+ * Verify Caller Charge Prompt Schema
+ *
+ * Script for checking whether a charge a caller mentions matches a real transaction
+ * on the honeypot card, which links the caller to the merchant that charged it.
+ */
+export const verifyCallerChargePromptSchema = {
+  name: "verify_caller_charge",
+  description: "Script for verifying a charge mentioned by a caller against the honeypot card's real transactions",
+  arguments: [
+    cardTokenArgument,
+    {
+      name: "claimedCharge",
+      description: "What the caller said was charged, e.g. '$1.00 at Amazon' (optional)",
+      required: false
+    },
+    personaNameArgument,
+    regionArgument
+  ]
+};
+
+/**
+ * Stall Scammer Prompt Schema
+ *
+ * Script for keeping a scammer engaged while transactions on the card are observed.
+ */
+export const stallScammerPromptSchema = {
+  name: "stall_scammer",
+  description: "Script for keeping a scam caller on the line while transactions on the honeypot card are monitored",
+  arguments: [cardTokenArgument, personaNameArgument, regionArgument]
+};
+
+/**
+ * Export all prompt schemas for registration
+ */
+export const promptSchemas = [
+  elderlyPersonaPromptSchema,
+  verifyCallerChargePromptSchema,
+  stallScammerPromptSchema
+];
@@ -5,6 +5,9 @@
  * Uses: alertService.js and reportingService.js for real-time business logic
  */
 
+import { objectOutputSchema, metadataOutputSchema } from '../utils/tool-results.js';
+import { LITHIC_TOKEN_PATTERN } from './common-schemas.js';
+
 export const subscribeToAlertsSchema = {
   name: "subscribe_to_alerts",
   description: "Subscribe to real-time transaction alerts and fraud notifications (MCP-adapted)",
@@ -15,7 +18,7 @@ export const subscribeToAlertsSchema = {
         type: "array",
         items: {
           type: "string",
-          pattern: "^card_[a-zA-Z0-9]+$"
+          pattern: LITHIC_TOKEN_PATTERN
         },
         description: "Specific cards to monitor (empty for all cards)",
         maxItems: 50
@@ -56,7 +59,11 @@ export const subscribeToAlertsSchema = {
       }
     },
     additionalProperties: false
-  }
+  },
+  outputSchema: objectOutputSchema({
+    alertSubscription: { type: "object", description: "Created subscription with its ID, filters and expiry" },
+    metadata: metadataOutputSchema
+  }, ["alertSubscription", "metadata"])
 };
 
 export const getLiveTransactionFeedSchema = {
@@ -69,7 +76,7 @@ export const getLiveTransactionFeedSchema = {
         type: "array",
         items: {
           type: "string",
-          pattern: "^card_[a-zA-Z0-9]+$"
+          pattern: LITHIC_TOKEN_PATTERN
         },
         description: "Filter for specific cards (empty for all)",
         maxItems: 20
@@ -108,7 +115,11 @@ export const getLiveTransactionFeedSchema = {
       }
     },
     additionalProperties: false
-  }
+  },
+  outputSchema: objectOutputSchema({
+    liveTransactionFeed: { type: "object", description: "Created feed with its ID, filters and initial transactions" },
+    metadata: metadataOutputSchema
+  }, ["liveTransactionFeed", "metadata"])
 };
 
 // Export all real-time intelligence tool schemas (2 remaining after cleanup)
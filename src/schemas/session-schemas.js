@@ -0,0 +1,87 @@
+/**
+ * Session Tool Schemas - MCP tool definitions for session administration
+ *
+ * Tools defined:
+ * - list_sessions: List open MCP sessions with their client, activity and tool usage
+ * - terminate_session: Close another MCP session and remove its alert subscriptions
+ */
+
+import { objectOutputSchema, metadataOutputSchema } from '../utils/tool-results.js';
+
+/**
+ * List Sessions Tool Schema
+ *
+ * Administrative tool for seeing which clients are connected, how active they are
+ * and which alert subscriptions they hold.
+ */
+export const listSessionsSchema = {
+  name: "list_sessions",
+  description: "List open MCP sessions with the client (API key) that owns each, creation time, last activity, idle expiry, tool-call counts and alert subscriptions. Administrative tool.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      clientId: {
+        type: "string",
+        description: "Only list sessions owned by this API key ID",
+        minLength: 1,
+        maxLength: 64
+      }
+    },
+    additionalProperties: false,
+    examples: [
+      {},
+      { clientId: "vapi-prod" }
+    ]
+  },
+  outputSchema: objectOutputSchema({
+    sessions: { type: "array", items: { type: "object" }, description: "Session summaries; the calling session has current: true" },
+    totalSessions: { type: "number" },
+    metrics: { type: "object", description: "Session manager counters" },
+    metadata: metadataOutputSchema
+  }, ["sessions", "totalSessions", "metrics", "metadata"])
+};
+
+/**
+ * Terminate Session Tool Schema
+ *
+ * Administrative tool for closing a stuck or misbehaving client's session.
+ */
+export const terminateSessionSchema = {
+  name: "terminate_session",
+  description: "Close another MCP session immediately. By default its alert subscriptions are removed too. The calling session cannot terminate itself (send DELETE /mcp instead). Administrative tool.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      sessionId: {
+        type: "string",
+        description: "Session ID returned by list_sessions",
+        minLength: 1,
+        maxLength: 100
+      },
+      removeSubscriptions: {
+        type: "boolean",
+        description: "Also remove the alert subscriptions the session created (default: true)",
+        default: true
+      }
+    },
+    required: ["sessionId"],
+    additionalProperties: false,
+    examples: [
+      { sessionId: "3f1c2a9e-5b7d-4e8f-9a0b-1c2d3e4f5a6b" }
+    ]
+  },
+  outputSchema: objectOutputSchema({
+    terminated: { type: "boolean" },
+    session: { type: "object", description: "Summary of the terminated session, including removedSubscriptions" },
+    metadata: metadataOutputSchema
+  }, ["terminated", "session", "metadata"])
+};
+
+/**
+ * Array of all session tool schemas for easy import
+ * Used by the MCP server for tool registration and discovery
+ */
+export const sessionToolSchemas = [
+  listSessionsSchema,
+  terminateSessionSchema
+];
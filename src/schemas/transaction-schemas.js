@@ -5,6 +5,9 @@
  * Uses existing reporting and supabase services for business logic
  */
 
+import { objectOutputSchema, metadataOutputSchema } from '../utils/tool-results.js';
+import { LITHIC_TOKEN_PATTERN } from './common-schemas.js';
+
 export const getTransactionSchema = {
   name: "get_transaction",
   description: "Retrieve single transaction by ID",
@@ -13,8 +16,8 @@ export const getTransactionSchema = {
     properties: {
       transactionToken: {
         type: "string",
-        description: "Lithic transaction token",
-        pattern: "^txn_[a-zA-Z0-9]+$"
+        description: "Lithic transaction token (UUID format)",
+        pattern: LITHIC_TOKEN_PATTERN
       },
       includeMetadata: {
         type: "boolean",
@@ -24,7 +27,11 @@ export const getTransactionSchema = {
     },
     required: ["transactionToken"],
     additionalProperties: false
-  }
+  },
+  outputSchema: objectOutputSchema({
+    transaction: { description: "Transaction record, or null when not found" },
+    metadata: metadataOutputSchema
+  }, ["metadata"])
 };
 
 export const searchTransactionsSchema = {
@@ -35,8 +42,8 @@ export const searchTransactionsSchema = {
     properties: {
       cardToken: {
         type: "string",
-        description: "Filter by specific card token",
-        pattern: "^card_[a-zA-Z0-9]+$"
+        description: "Filter by specific card token (UUID format)",
+        pattern: LITHIC_TOKEN_PATTERN
       },
       startDate: {
         type: "string",
@@ -92,7 +99,11 @@ export const searchTransactionsSchema = {
       }
     },
     additionalProperties: false
-  }
+  },
+  outputSchema: objectOutputSchema({
+    searchResults: { type: "object", description: "Matching transactions, total count and the applied search parameters" },
+    metadata: metadataOutputSchema
+  }, ["searchResults", "metadata"])
 };
 
 export const getRecentTransactionsSchema = {
@@ -103,8 +114,8 @@ export const getRecentTransactionsSchema = {
     properties: {
       cardToken: {
         type: "string",
-        description: "Lithic card token",
-        pattern: "^card_[a-zA-Z0-9]+$"
+        description: "Lithic card token (UUID format)",
+        pattern: LITHIC_TOKEN_PATTERN
       },
       limit: {
         type: "number",
@@ -120,7 +131,11 @@ export const getRecentTransactionsSchema = {
     },
     required: ["cardToken"],
     additionalProperties: false
-  }
+  },
+  outputSchema: objectOutputSchema({
+    recentTransactions: { type: "object", description: "Most recent transactions for one card or all cards" },
+    metadata: metadataOutputSchema
+  }, ["recentTransactions", "metadata"])
 };
 
 export const getTransactionsByMerchantSchema = {
@@ -153,7 +168,11 @@ export const getTransactionsByMerchantSchema = {
     },
     required: ["merchantDescriptor"],
     additionalProperties: false
-  }
+  },
+  outputSchema: objectOutputSchema({
+    merchantTransactions: { type: "object", description: "Transactions at the merchant within the timeframe" },
+    metadata: metadataOutputSchema
+  }, ["merchantTransactions", "metadata"])
 };
 
 export const getTransactionDetailsSchema = {
@@ -164,8 +183,8 @@ export const getTransactionDetailsSchema = {
     properties: {
       transactionToken: {
         type: "string",
-        description: "Lithic transaction token",
-        pattern: "^txn_[a-zA-Z0-9]+$"
+        description: "Lithic transaction token (UUID format)",
+        pattern: LITHIC_TOKEN_PATTERN
       },
       analysisLevel: {
         type: "string",
@@ -182,11 +201,20 @@ export const getTransactionDetailsSchema = {
         type: "boolean",
         description: "Include merchant intelligence data",
         default: true
+      },
+      includeLifecycle: {
+        type: "boolean",
+        description: "Include lifecycle events (authorization, clearing, void, return) and current state",
+        default: true
       }
     },
     required: ["transactionToken"],
     additionalProperties: false
-  }
+  },
+  outputSchema: objectOutputSchema({
+    transactionDetails: { type: "object", description: "Transaction with risk analysis (0-1 riskScore, riskLevel and a per-rule explanation), risk factors and merchant intelligence" },
+    metadata: metadataOutputSchema
+  }, ["transactionDetails", "metadata"])
 };
 
 // Export all transaction tool schemas
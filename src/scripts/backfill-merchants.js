@@ -0,0 +1,44 @@
+/**
+ * Merchant backfill CLI
+ *
+ * Usage:
+ *   npm run merchants:backfill                      Merge duplicate merchant rows into canonical merchants
+ *   npm run merchants:backfill -- --dry-run         Print the clusters that would be merged, write nothing
+ *   npm run merchants:backfill -- --threshold 0.9   Override MERCHANT_SIMILARITY_THRESHOLD for this run
+ *
+ * Requires SUPABASE_URL and SUPABASE_SERVICE_KEY. Safe to re-run: merged rows are skipped.
+ */
+
+import { runMerchantBackfill } from '../jobs/merchant-backfill.js';
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const thresholdFlag = args.indexOf('--threshold');
+const threshold = thresholdFlag === -1 ? undefined : parseFloat(args[thresholdFlag + 1]);
+
+async function run() {
+  if (threshold !== undefined && !(threshold > 0 && threshold <= 1)) {
+    throw new Error('Usage: backfill-merchants.js [--dry-run] [--threshold <0-1>]');
+  }
+
+  const summary = await runMerchantBackfill({ dryRun, threshold });
+
+  for (const cluster of summary.plan) {
+    console.log(`${cluster.canonicalMerchantId} ${cluster.descriptor}`);
+    for (const duplicate of cluster.duplicates) {
+      console.log(`  <- ${duplicate.merchantId} ${duplicate.descriptor}`);
+    }
+  }
+  console.log(
+    `${dryRun ? 'Dry run: ' : ''}${summary.merchantsScanned} merchants scanned, ${summary.clusters} clusters, ` +
+    `${summary.merged} merged, ${summary.linksMoved} transaction links moved, ${summary.errors} errors`
+  );
+  if (summary.errors > 0) {
+    process.exitCode = 1;
+  }
+}
+
+run().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
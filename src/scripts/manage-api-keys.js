@@ -0,0 +1,55 @@
+/**
+ * API key management CLI
+ *
+ * Usage:
+ *   npm run api-keys -- create <id> [name] [--scopes a,b]   Create a key; the plaintext key is printed once
+ *   npm run api-keys -- scopes <id> <a,b>                   Replace a key's scopes
+ *   npm run api-keys -- revoke <id>                         Revoke a key; a running server rejects it on the next request
+ *   npm run api-keys -- list                                List keys, their scopes and status
+ *   npm run api-keys -- list-scopes                         List available scopes
+ *
+ * Keys are stored as digests in MCP_API_KEYS_FILE (default: data/api-keys.json).
+ */
+
+import apiKeyService from '../services/api-key-service.js';
+import { SCOPES } from '../utils/tool-scopes.js';
+
+const args = process.argv.slice(2);
+const scopesFlag = args.indexOf('--scopes');
+const flagScopes = scopesFlag === -1 ? [] : args.splice(scopesFlag, 2)[1]?.split(',').filter(Boolean) || [];
+const [command, id, ...rest] = args;
+
+async function run() {
+  switch (command) {
+    case 'create': {
+      const created = await apiKeyService.createKey(id, rest.join(' ') || undefined, flagScopes);
+      console.log(`Created API key for ${created.id}. Store it now, it cannot be shown again:\n\n${created.key}\n`);
+      break;
+    }
+    case 'scopes':
+      if (!(await apiKeyService.setScopes(id, rest[0]?.split(',').filter(Boolean) || []))) {
+        throw new Error(`No API key with id ${id}`);
+      }
+      console.log(`Updated scopes for API key ${id}`);
+      break;
+    case 'revoke':
+      if (!(await apiKeyService.revokeKey(id))) {
+        throw new Error(`No active API key with id ${id}`);
+      }
+      console.log(`Revoked API key ${id}`);
+      break;
+    case 'list':
+      console.table((await apiKeyService.listKeys()).map(entry => ({ ...entry, scopes: (entry.scopes || []).join(',') })));
+      break;
+    case 'list-scopes':
+      console.table(SCOPES);
+      break;
+    default:
+      throw new Error('Usage: manage-api-keys.js create <id> [name] [--scopes a,b] | scopes <id> <a,b> | revoke <id> | list | list-scopes');
+  }
+}
+
+run().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -7,11 +7,14 @@
  * - Connection health monitoring and cleanup
  * - Alert formatting for AI consumption
  * - Real-time polling integration for subscription-based alerts
+ * - Alert routing: risk scoring, taxonomy mapping and per-subscription rate limits
+ * - Push delivery of subscription alerts to MCP sessions as server notifications
  */
 
 import EventEmitter from 'events';
 import logger from '../utils/logger.js';
 import pollingService from './polling-service.js';
+import { routeAlert, createTokenBucket, takeToken } from '../utils/alert-routing.js';
 
 class AlertService extends EventEmitter {
   constructor() {
@@ -29,14 +32,36 @@ class AlertService extends EventEmitter {
     // Connection health tracking
     this.connectionHealth = new Map();
     
+    // Rate limit token buckets for polling subscriptions: Map<subscriptionId, bucket>
+    this.subscriptionBuckets = new Map();
+    
+    // MCP session notifiers: Map<mcpSessionId, (subscriptionId, alert) => Promise>
+    this.mcpSessions = new Map();
+    
     // Performance metrics
     this.metrics = {
       totalConnections: 0,
       totalAlertsSent: 0,
       failedDeliveries: 0,
-      activeConnections: 0
+      activeConnections: 0,
+      alertsFilteredForPolling: 0,
+      alertsRateLimitedForPolling: 0,
+      mcpNotificationsSent: 0,
+      mcpNotificationsFailed: 0
     };
     
+    // Drop rate limit state along with the subscription
+    for (const event of ['subscription:expired', 'subscription:removed']) {
+      pollingService.on(event, ({ subscriptionId }) => {
+        this.subscriptionBuckets.delete(subscriptionId);
+      });
+    }
+    
+    // Push every alert queued for a subscription to the MCP session that created it
+    pollingService.on('alert:queued', ({ subscriptionId, alert }) => {
+      this.notifyMcpSession(subscriptionId, alert);
+    });
+    
     // Start health check interval
     this.startHealthCheck();
   }
@@ -95,6 +120,59 @@ class AlertService extends EventEmitter {
     }
   }
   
+  /**
+   * Register an MCP session so alerts for its subscriptions are pushed as notifications
+   * @param {string} mcpSessionId - MCP session identifier
+   * @param {Function} notify - Sends one alert to the session: (subscriptionId, alert) => Promise
+   */
+  registerMcpSession(mcpSessionId, notify) {
+    this.mcpSessions.set(mcpSessionId, notify);
+    logger.debug({ mcpSessionId, mcpSessions: this.mcpSessions.size }, 'MCP session registered for alert notifications');
+  }
+  
+  /**
+   * Stop pushing alerts to a closed MCP session
+   * @param {string} mcpSessionId - MCP session identifier
+   * @returns {boolean} Whether the session was registered
+   */
+  removeMcpSession(mcpSessionId) {
+    const removed = this.mcpSessions.delete(mcpSessionId);
+    if (removed) {
+      logger.debug({ mcpSessionId, mcpSessions: this.mcpSessions.size }, 'MCP session removed from alert notifications');
+    }
+    return removed;
+  }
+  
+  /**
+   * Push a queued alert to the MCP session that owns the subscription, if it is connected.
+   * The alert stays queued, so it is still delivered by polling if the notification is missed.
+   * @param {string} subscriptionId - Subscription the alert was queued for
+   * @param {Object} alert - Queued alert
+   * @returns {Promise<boolean>} Whether a notification was sent
+   */
+  async notifyMcpSession(subscriptionId, alert) {
+    const mcpSessionId = pollingService.subscriptions.get(subscriptionId)?.mcpSessionId;
+    const notify = mcpSessionId && this.mcpSessions.get(mcpSessionId);
+    if (!notify) {
+      return false;
+    }
+    
+    try {
+      await notify(subscriptionId, alert);
+      this.metrics.mcpNotificationsSent++;
+      return true;
+    } catch (error) {
+      this.metrics.mcpNotificationsFailed++;
+      logger.warn({
+        error: error.message,
+        mcpSessionId,
+        subscriptionId,
+        alertId: alert.alertId
+      }, 'Failed to push alert notification to MCP session');
+      return false;
+    }
+  }
+  
   /**
    * Broadcast alert to all agents monitoring a specific card
    * @param {string} cardToken - Card token that triggered the alert
@@ -109,13 +187,6 @@ class AlertService extends EventEmitter {
     };
     
     try {
-      // Get all sessions monitoring this card
-      const sessions = this.cardSessions.get(cardToken);
-      if (!sessions || sessions.size === 0) {
-        logger.debug({ cardToken }, 'No active sessions for card');
-        return result;
-      }
-      
       // Check if alert is already formatted (has alertType, immediate, verification, intelligence)
       // or if it's raw transaction data that needs formatting
       let formattedAlert;
@@ -135,6 +206,30 @@ class AlertService extends EventEmitter {
         }, 'Formatting raw transaction data for alert');
       }
       
+      // Score and categorize once so sessions and subscriptions see the same alert
+      formattedAlert = routeAlert(formattedAlert);
+      
+      // Let listeners (e.g. MCP resource subscriptions) react to the saved transaction
+      this.emit('alert:broadcast', { cardToken, alert: formattedAlert });
+      
+      // Queue for polling subscriptions, which do not depend on a live connection
+      try {
+        this.queueAlertsForPolling(cardToken, formattedAlert);
+      } catch (pollingError) {
+        logger.warn({ 
+          error: pollingError.message, 
+          cardToken,
+          alertType: formattedAlert.alertType 
+        }, 'Failed to queue alert for polling subscriptions');
+      }
+      
+      // Get all sessions monitoring this card
+      const sessions = this.cardSessions.get(cardToken);
+      if (!sessions || sessions.size === 0) {
+        logger.debug({ cardToken }, 'No active sessions for card');
+        return result;
+      }
+      
       // Broadcast to all connected sessions
       for (const sessionId of sessions) {
         const connectionInfo = this.connections.get(sessionId);
@@ -175,17 +270,6 @@ class AlertService extends EventEmitter {
       // Update metrics
       this.metrics.totalAlertsSent += result.successful;
       
-      // NEW: Also queue alerts for polling subscriptions
-      try {
-        this.queueAlertsForPolling(cardToken, formattedAlert);
-      } catch (pollingError) {
-        logger.warn({ 
-          error: pollingError.message, 
-          cardToken,
-          alertType: formattedAlert.alertType 
-        }, 'Failed to queue alert for polling subscriptions');
-      }
-      
       logger.info({
         cardToken,
         successful: result.successful,
@@ -333,6 +417,7 @@ class AlertService extends EventEmitter {
         },
         verification: {
           mccCode: transactionData.merchant?.mcc || '',
+          merchantCountry: transactionData.merchant?.country || null,
           merchantType: transactionData.merchant_info?.mcc_description || 'Unknown',
           merchantCategory: transactionData.merchant_info?.mcc_category || 'Unknown',
           authorizationCode: transactionData.authorization_code || '',
@@ -502,34 +587,56 @@ class AlertService extends EventEmitter {
   }
   
   /**
-   * Queue alerts for relevant polling subscriptions
+   * Queue alerts for relevant polling subscriptions.
+   * The alert is scored and categorized (unless already routed), then queued for every
+   * subscription whose filters match and whose rate limit has a token left.
    * @param {string} cardToken - Card token that triggered the alert
    * @param {Object} alert - Formatted alert data
+   * @returns {{queued: number, filtered: number, rateLimited: number}} Routing outcome counts
    */
   queueAlertsForPolling(cardToken, alert) {
     try {
-      let queuedCount = 0;
+      const routedAlert = alert.alertCategories ? alert : routeAlert(alert);
+      const outcome = { queued: 0, filtered: 0, rateLimited: 0 };
       
       for (const [subscriptionId, subscription] of pollingService.subscriptions) {
         if (!subscription.isActive) continue;
         
-        const shouldReceive = this.shouldReceiveAlert(subscription, cardToken, alert);
-        if (shouldReceive) {
-          const success = pollingService.queueAlert(subscriptionId, alert);
-          if (success) {
-            queuedCount++;
-          }
+        if (!this.shouldReceiveAlert(subscription, cardToken, routedAlert)) {
+          outcome.filtered++;
+          continue;
+        }
+        
+        if (!this.takeSubscriptionToken(subscription)) {
+          outcome.rateLimited++;
+          logger.debug({ 
+            subscriptionId, 
+            transactionId: routedAlert.transactionId,
+            maxAlertsPerMinute: subscription.maxAlertsPerMinute
+          }, 'Alert dropped by subscription rate limit');
+          continue;
+        }
+        
+        if (pollingService.queueAlert(subscriptionId, routedAlert)) {
+          outcome.queued++;
         }
       }
       
-      if (queuedCount > 0) {
+      this.metrics.alertsFilteredForPolling += outcome.filtered;
+      this.metrics.alertsRateLimitedForPolling += outcome.rateLimited;
+      
+      if (outcome.queued > 0 || outcome.rateLimited > 0) {
         logger.debug({ 
           cardToken, 
-          alertType: alert.alertType,
-          queuedCount,
+          alertType: routedAlert.alertType,
+          alertCategories: routedAlert.alertCategories,
+          riskScore: routedAlert.riskScore,
+          ...outcome,
           totalSubscriptions: pollingService.subscriptions.size
-        }, 'Alert queued for polling subscriptions');
+        }, 'Alert routed to polling subscriptions');
       }
+      
+      return outcome;
     } catch (error) {
       logger.error({ 
         error: error.message, 
@@ -544,7 +651,7 @@ class AlertService extends EventEmitter {
    * Determine if a subscription should receive an alert
    * @param {Object} subscription - Subscription configuration
    * @param {string} cardToken - Card token that triggered the alert
-   * @param {Object} alert - Alert data
+   * @param {Object} alert - Routed alert data (with riskScore and alertCategories)
    * @returns {boolean} Whether subscription should receive alert
    */
   shouldReceiveAlert(subscription, cardToken, alert) {
@@ -556,16 +663,17 @@ class AlertService extends EventEmitter {
         }
       }
       
-      // Check alert type filter
+      // Check alert type filter against every taxonomy category the alert belongs to
       if (subscription.alertTypes && subscription.alertTypes.length > 0) {
-        if (!subscription.alertTypes.includes(alert.alertType)) {
+        const categories = alert.alertCategories || [alert.alertType];
+        if (!categories.some(category => subscription.alertTypes.includes(category))) {
           return false;
         }
       }
       
-      // Check risk threshold (if applicable and alert has risk score)
-      if (subscription.riskThreshold && alert.riskScore !== undefined) {
-        if (alert.riskScore < subscription.riskThreshold) {
+      // Check risk threshold - unscored alerts count as zero risk
+      if (typeof subscription.riskThreshold === 'number') {
+        if ((alert.riskScore ?? 0) < subscription.riskThreshold) {
           return false;
         }
       }
@@ -581,6 +689,26 @@ class AlertService extends EventEmitter {
       return false;
     }
   }
+  
+  /**
+   * Take a token from a subscription's maxAlertsPerMinute bucket
+   * @private
+   * @param {Object} subscription - Subscription configuration
+   * @returns {boolean} Whether the alert may be queued
+   */
+  takeSubscriptionToken(subscription) {
+    if (!subscription.maxAlertsPerMinute) {
+      return true;
+    }
+    
+    let bucket = this.subscriptionBuckets.get(subscription.subscriptionId);
+    if (!bucket) {
+      bucket = createTokenBucket(subscription.maxAlertsPerMinute);
+      this.subscriptionBuckets.set(subscription.subscriptionId, bucket);
+    }
+    
+    return takeToken(bucket);
+  }
 
   /**
    * Get service metrics including polling integration stats
@@ -591,6 +719,7 @@ class AlertService extends EventEmitter {
       ...this.metrics,
       queuedMessages: Array.from(this.messageQueue.values())
         .reduce((sum, queue) => sum + queue.length, 0),
+      mcpSessions: this.mcpSessions.size,
       pollingIntegration: {
         activeSubscriptions: pollingService.subscriptions.size,
         totalQueuedAlerts: pollingService.getMetrics().totalQueuedAlerts
@@ -0,0 +1,247 @@
+/**
+ * API Key Service - Validates per-client API keys for the HTTP transport
+ *
+ * Keys are kept in a JSON file as digests, one entry per client:
+ *
+ *   { "keys": [{ "id": "vapi-prod", "name": "Vapi production", "hash": "sha256:...",
+ *                "scopes": ["cards:read", "transactions:read"],
+ *                "createdAt": "2026-01-01T00:00:00.000Z", "revokedAt": null }] }
+ *
+ * The file is re-read whenever its modification time changes, so adding or revoking
+ * a key (setting revokedAt or deleting the entry) or changing its scopes takes effect
+ * on the next request without a restart. A missing file means no valid keys: every
+ * request is rejected. Entries without scopes can only call unscoped tools.
+ *
+ * Manage keys with: npm run api-keys -- create|scopes|revoke|list
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config/index.js';
+import { generateApiKey, hashApiKey, parseBearerToken } from '../utils/api-keys.js';
+import { findUnknownScopes } from '../utils/tool-scopes.js';
+import logger from '../utils/logger.js';
+
+class ApiKeyService {
+  /**
+   * @param {string} filePath - Path of the JSON key file
+   */
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+
+    // Active keys by digest: Map<hash, { id, name, scopes }>
+    this.keysByHash = new Map();
+
+    // Modification time of the loaded file, or null if none was loaded
+    this.loadedMtimeMs = null;
+
+    this.metrics = {
+      authenticated: 0,
+      rejected: 0,
+      reloads: 0
+    };
+  }
+
+  /**
+   * Reload the key file if it changed since the last load
+   * @returns {Promise<boolean>} Whether keys were reloaded
+   */
+  async refresh() {
+    let stats;
+    try {
+      stats = await fs.stat(this.filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read API key file ${this.filePath}: ${error.message}`);
+      }
+      if (this.loadedMtimeMs !== null || this.keysByHash.size > 0) {
+        logger.warn({ filePath: this.filePath }, 'API key file removed, rejecting all requests');
+      }
+      this.keysByHash.clear();
+      this.loadedMtimeMs = null;
+      return false;
+    }
+
+    if (stats.mtimeMs === this.loadedMtimeMs) {
+      return false;
+    }
+
+    const contents = await this.readKeyFile();
+    const keysByHash = new Map();
+    let revoked = 0;
+
+    for (const entry of contents.keys) {
+      if (!entry.id || !entry.hash) {
+        logger.warn({ keyId: entry.id || null }, 'Skipping API key entry without id or hash');
+        continue;
+      }
+      if (entry.revokedAt) {
+        revoked++;
+        continue;
+      }
+      keysByHash.set(entry.hash, { id: entry.id, name: entry.name || entry.id, scopes: entry.scopes || [] });
+    }
+
+    this.keysByHash = keysByHash;
+    this.loadedMtimeMs = stats.mtimeMs;
+    this.metrics.reloads++;
+
+    logger.info({ filePath: this.filePath, activeKeys: keysByHash.size, revokedKeys: revoked }, 'API keys loaded');
+    return true;
+  }
+
+  /**
+   * Authenticate a request by its Authorization header
+   * @param {string|undefined} authorizationHeader - Authorization header value
+   * @returns {Promise<{valid: boolean, apiKey?: {id: string, name: string, scopes: Array<string>}, error?: string}>} Authentication result
+   */
+  async authenticate(authorizationHeader) {
+    const token = parseBearerToken(authorizationHeader);
+    if (!token) {
+      this.metrics.rejected++;
+      return { valid: false, error: 'Missing or malformed Bearer token' };
+    }
+
+    await this.refresh();
+
+    const apiKey = this.keysByHash.get(hashApiKey(token));
+    if (!apiKey) {
+      this.metrics.rejected++;
+      return { valid: false, error: 'Unknown or revoked API key' };
+    }
+
+    this.metrics.authenticated++;
+    return { valid: true, apiKey };
+  }
+
+  /**
+   * Create a key for a client and add it to the key file
+   * @param {string} id - Unique client identifier, shown in logs
+   * @param {string} [name] - Human-readable client name
+   * @param {Array<string>} [scopes=[]] - Scopes granted to the client
+   * @returns {Promise<{id: string, key: string}>} Client ID and plaintext key (only shown once)
+   */
+  async createKey(id, name, scopes = []) {
+    if (!id || !/^[a-zA-Z0-9_.-]{1,64}$/.test(id)) {
+      throw new Error('Key id must be 1-64 letters, digits, dots, dashes or underscores');
+    }
+    validateScopes(scopes);
+
+    const contents = await this.readKeyFile();
+    if (contents.keys.some(entry => entry.id === id)) {
+      throw new Error(`API key ${id} already exists`);
+    }
+
+    const { key, hash } = generateApiKey();
+    contents.keys.push({ id, name: name || id, hash, scopes, createdAt: new Date().toISOString(), revokedAt: null });
+    await this.writeKeyFile(contents);
+
+    logger.info({ keyId: id, scopes }, 'API key created');
+    return { id, key };
+  }
+
+  /**
+   * Replace the scopes granted to a client's key; takes effect on the next request
+   * @param {string} id - Client identifier
+   * @param {Array<string>} scopes - Scopes to grant
+   * @returns {Promise<boolean>} Whether the key exists
+   */
+  async setScopes(id, scopes) {
+    validateScopes(scopes);
+
+    const contents = await this.readKeyFile();
+    const entry = contents.keys.find(candidate => candidate.id === id);
+    if (!entry) {
+      return false;
+    }
+
+    entry.scopes = scopes;
+    await this.writeKeyFile(contents);
+
+    logger.info({ keyId: id, scopes }, 'API key scopes updated');
+    return true;
+  }
+
+  /**
+   * Revoke a client's key; takes effect on the next request
+   * @param {string} id - Client identifier
+   * @returns {Promise<boolean>} Whether an active key was revoked
+   */
+  async revokeKey(id) {
+    const contents = await this.readKeyFile();
+    const entry = contents.keys.find(candidate => candidate.id === id);
+    if (!entry || entry.revokedAt) {
+      return false;
+    }
+
+    entry.revokedAt = new Date().toISOString();
+    await this.writeKeyFile(contents);
+
+    logger.info({ keyId: id }, 'API key revoked');
+    return true;
+  }
+
+  /**
+   * List key entries without their digests
+   * @returns {Promise<Array>} Key metadata
+   */
+  async listKeys() {
+    const { keys } = await this.readKeyFile();
+    return keys.map(({ hash, ...entry }) => entry);
+  }
+
+  /**
+   * Read the key file for editing
+   * @returns {Promise<Object>} File contents ({ keys: [] } if missing)
+   */
+  async readKeyFile() {
+    try {
+      const contents = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      return { ...contents, keys: contents.keys || [] };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { keys: [] };
+      }
+      throw new Error(`Failed to load API keys from ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace the key file atomically so the server never reads a partial file
+   * @param {Object} contents - File contents
+   */
+  async writeKeyFile(contents) {
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(contents, null, 2), { encoding: 'utf8', mode: 0o600 });
+    await fs.rename(tempPath, this.filePath);
+  }
+
+  /**
+   * Get service metrics
+   * @returns {Object} Current metrics
+   */
+  getMetrics() {
+    return {
+      ...this.metrics,
+      activeKeys: this.keysByHash.size,
+      filePath: this.filePath
+    };
+  }
+}
+
+/**
+ * Reject unknown scope names so typos do not silently grant nothing
+ * @param {Array<string>} scopes - Scopes to validate
+ */
+function validateScopes(scopes) {
+  const unknown = findUnknownScopes(scopes);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown scopes: ${unknown.join(', ')}`);
+  }
+}
+
+// Export singleton instance
+const apiKeyService = new ApiKeyService(config.auth.apiKeysFile);
+export default apiKeyService;
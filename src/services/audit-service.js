@@ -0,0 +1,251 @@
+/**
+ * Audit Service - Tamper-evident audit trail of PAN disclosures and card mutations
+ *
+ * Entries are appended to a JSON Lines file, one entry per line, and never rewritten:
+ *
+ *   { "sequence": 1, "timestamp": "...", "action": "pan_disclosed", "tool": "get_card_details",
+ *     "cardToken": "...", "clientId": "vapi-prod", "mcpSessionId": "...", "reason": "caller_verification",
+ *     "requestId": "...", "details": {}, "previousHash": "000...", "hash": "..." }
+ *
+ * Each entry's hash is the SHA-256 of its previous hash and its own fields, so editing,
+ * removing or reordering any line breaks the chain from that point on; verify() reports
+ * the first broken entry. The PAN itself is never written to the log.
+ *
+ * Appends are serialized within the process, so the server must be the only writer.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'node:crypto';
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+
+export const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Actions recorded in the audit log
+ */
+export const AUDIT_ACTIONS = [
+  'pan_disclosed',
+  'card_created',
+  'card_limits_updated',
+  'card_state_changed'
+];
+
+class AuditService {
+  /**
+   * @param {string} filePath - Path of the JSON Lines audit file
+   */
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+
+    // Tail of the chain, loaded from the file before the first append
+    this.lastSequence = null;
+    this.lastHash = null;
+
+    // Appends run one at a time so sequence numbers and hashes stay linear
+    this.writeQueue = Promise.resolve();
+
+    this.metrics = {
+      entriesWritten: 0,
+      writeFailures: 0,
+      queries: 0
+    };
+  }
+
+  /**
+   * Append an entry to the audit log
+   * @param {Object} event - Audited event
+   * @param {string} event.action - One of AUDIT_ACTIONS
+   * @param {string} event.tool - MCP tool that caused the event
+   * @param {string} event.cardToken - Card affected
+   * @param {string} [event.clientId] - API key ID of the caller ('local' for stdio)
+   * @param {string} [event.mcpSessionId] - MCP session of the caller
+   * @param {string} [event.reason] - Reason given by the caller
+   * @param {string} [event.requestId] - MCP request identifier
+   * @param {Object} [event.details] - Action-specific details (never the PAN)
+   * @returns {Promise<Object>} The written entry
+   */
+  async record(event) {
+    if (!AUDIT_ACTIONS.includes(event.action)) {
+      throw new Error(`Unknown audit action: ${event.action}`);
+    }
+
+    const write = this.writeQueue.then(() => this.append(event));
+    // Keep the queue usable after a failed write
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Build the next chained entry and write it (called through the write queue)
+   * @param {Object} event - Audited event
+   * @returns {Promise<Object>} The written entry
+   */
+  async append(event) {
+    try {
+      if (this.lastHash === null) {
+        const entries = await this.readEntries();
+        const last = entries[entries.length - 1];
+        this.lastSequence = last ? last.sequence : 0;
+        this.lastHash = last ? last.hash : GENESIS_HASH;
+      }
+
+      const entry = {
+        sequence: this.lastSequence + 1,
+        timestamp: new Date().toISOString(),
+        action: event.action,
+        tool: event.tool,
+        cardToken: event.cardToken,
+        clientId: event.clientId || null,
+        mcpSessionId: event.mcpSessionId || null,
+        reason: event.reason || null,
+        requestId: event.requestId || null,
+        details: event.details || {},
+        previousHash: this.lastHash
+      };
+      entry.hash = hashEntry(entry);
+
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.appendFile(this.filePath, JSON.stringify(entry) + '\n', { encoding: 'utf8', mode: 0o600 });
+
+      this.lastSequence = entry.sequence;
+      this.lastHash = entry.hash;
+      this.metrics.entriesWritten++;
+
+      return entry;
+    } catch (error) {
+      this.metrics.writeFailures++;
+      // Re-read the tail on the next append in case the file was partially written
+      this.lastHash = null;
+      logger.error({ action: event.action, tool: event.tool, error: error.message }, 'Failed to write audit entry');
+      throw new Error(`Failed to write audit entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Query audit entries, oldest first
+   * @param {Object} [filters] - Query filters
+   * @param {string} [filters.cardToken] - Only entries for this card
+   * @param {string} [filters.action] - Only entries with this action
+   * @param {string} [filters.startTime] - ISO timestamp; only entries at or after it
+   * @param {string} [filters.endTime] - ISO timestamp; only entries at or before it
+   * @param {number} [filters.limit=100] - Maximum entries to return (the most recent matches)
+   * @returns {Promise<{entries: Array, totalMatches: number}>} Matching entries
+   */
+  async query({ cardToken, action, startTime, endTime, limit = 100 } = {}) {
+    this.metrics.queries++;
+
+    const start = startTime ? Date.parse(startTime) : null;
+    const end = endTime ? Date.parse(endTime) : null;
+
+    const matches = (await this.readEntries()).filter(entry => {
+      const time = Date.parse(entry.timestamp);
+      return (!cardToken || entry.cardToken === cardToken) &&
+        (!action || entry.action === action) &&
+        (start === null || time >= start) &&
+        (end === null || time <= end);
+    });
+
+    return {
+      entries: matches.slice(-limit),
+      totalMatches: matches.length
+    };
+  }
+
+  /**
+   * Recompute the hash chain over the whole log
+   * @returns {Promise<{valid: boolean, entriesChecked: number, brokenAtSequence: number|null, error: string|null}>} Verification result
+   */
+  async verify() {
+    let entries;
+    try {
+      entries = await this.readEntries();
+    } catch (error) {
+      return { valid: false, entriesChecked: 0, brokenAtSequence: null, error: error.message };
+    }
+
+    let previousHash = GENESIS_HASH;
+    for (let index = 0; index < entries.length; index++) {
+      const entry = entries[index];
+      let error = null;
+
+      if (entry.sequence !== index + 1) {
+        error = `Expected sequence ${index + 1}`;
+      } else if (entry.previousHash !== previousHash) {
+        error = 'Previous hash does not match the preceding entry';
+      } else if (entry.hash !== hashEntry(entry)) {
+        error = 'Entry hash does not match its contents';
+      }
+
+      if (error) {
+        logger.warn({ filePath: this.filePath, sequence: entry.sequence, error }, 'Audit log chain verification failed');
+        return { valid: false, entriesChecked: index, brokenAtSequence: entry.sequence ?? index + 1, error };
+      }
+      previousHash = entry.hash;
+    }
+
+    return { valid: true, entriesChecked: entries.length, brokenAtSequence: null, error: null };
+  }
+
+  /**
+   * Read and parse every entry in the audit file
+   * @returns {Promise<Array>} Entries in file order ([] if the file does not exist)
+   */
+  async readEntries() {
+    let contents;
+    try {
+      contents = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw new Error(`Failed to read audit log ${this.filePath}: ${error.message}`);
+    }
+
+    return contents.split('\n').filter(line => line.trim()).map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Audit log line ${index + 1} is not valid JSON`);
+      }
+    });
+  }
+
+  /**
+   * Get service metrics
+   * @returns {Object} Current metrics
+   */
+  getMetrics() {
+    return {
+      ...this.metrics,
+      lastSequence: this.lastSequence,
+      filePath: this.filePath
+    };
+  }
+}
+
+/**
+ * Hash an entry's fields (excluding its own hash) in a fixed order
+ * @param {Object} entry - Audit entry
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashEntry(entry) {
+  const canonical = JSON.stringify([
+    entry.sequence,
+    entry.timestamp,
+    entry.action,
+    entry.tool,
+    entry.cardToken,
+    entry.clientId,
+    entry.mcpSessionId,
+    entry.reason,
+    entry.requestId,
+    entry.details
+  ]);
+  return createHash('sha256').update(entry.previousHash + canonical).digest('hex');
+}
+
+// Export singleton instance
+const auditService = new AuditService(config.audit.logPath);
+export default auditService;
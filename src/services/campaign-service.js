@@ -0,0 +1,298 @@
+/**
+ * Campaign Service - Honeypot campaigns and the cards leaked in them
+ *
+ * A campaign is one way of seeding honeypot cards: a leak channel (scam call,
+ * phishing form, forum, ...), a persona and a region. Each card is linked to at most
+ * one campaign together with how, when and by which persona it was leaked; a card's
+ * own leak details override the campaign defaults.
+ *
+ * Tables:
+ * - `campaigns`: `id` (uuid, default gen_random_uuid()), `name` (text, unique),
+ *   `leak_channel` (text), `persona` (text), `region` (text), `purpose` (text),
+ *   `notes` (text), `created_at` (timestamptz, default now()).
+ * - `campaign_cards`: `card_token` (text, primary key), `campaign_id` (uuid, references
+ *   campaigns.id), `leak_channel` (text), `leaked_at` (timestamptz), `persona` (text),
+ *   `notes` (text), `linked_at` (timestamptz, default now()).
+ */
+
+import { supabase_client } from "../config/supabase-client.js";
+import { getCardTransactionHistory } from "./reporting-service.js";
+import { summarizeCampaign } from "../utils/campaign-metrics.js";
+import { ToolError, TOOL_ERROR_CODES } from "../utils/tool-errors.js";
+import logger from "../utils/logger.js";
+
+// Transactions analyzed per campaign; reports over it are flagged as truncated
+const REPORT_TRANSACTION_LIMIT = 10000;
+
+// campaign_cards rows read per request
+const CARD_PAGE_SIZE = 1000;
+
+/**
+ * Create a campaign.
+ * @param {Object} campaign - Campaign details.
+ * @param {string} campaign.name - Unique campaign name.
+ * @param {string} [campaign.leakChannel] - Default leak channel (see LEAK_CHANNELS in campaign-metrics).
+ * @param {string} [campaign.persona] - Default persona the cards are leaked by.
+ * @param {string} [campaign.region] - Region the campaign targets.
+ * @param {string} [campaign.purpose] - What the campaign is for.
+ * @param {string} [campaign.notes] - Free-form notes.
+ * @returns {Promise<Object>} The created campaigns row.
+ * @throws {Error} If the name is taken or inserting into Supabase fails.
+ */
+export async function createCampaign({ name, leakChannel, persona, region, purpose, notes }) {
+  const { data, error } = await supabase_client
+    .from("campaigns")
+    .insert([
+      {
+        name,
+        leak_channel: leakChannel || null,
+        persona: persona || null,
+        region: region || null,
+        purpose: purpose || null,
+        notes: notes || null,
+      },
+    ])
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === "23505") {
+      throw new ToolError(
+        TOOL_ERROR_CODES.VALIDATION_ERROR,
+        `Campaign "${name}" already exists; campaign names must be unique`,
+        { cause: error },
+      );
+    }
+    logger.error({ err: error, name }, "Error creating campaign.");
+    throw error;
+  }
+
+  logger.info({ campaignId: data.id, name }, "Campaign created.");
+  return data;
+}
+
+/**
+ * Get a campaign by name or ID.
+ * @param {string} campaignRef - Campaign name or ID.
+ * @returns {Promise<Object|null>} campaigns row, or null if there is none.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function getCampaign(campaignRef) {
+  for (const column of ["name", "id"]) {
+    // Only UUIDs can match the id column
+    if (column === "id" && !/^[0-9a-f-]{36}$/i.test(campaignRef)) continue;
+
+    const { data, error } = await supabase_client
+      .from("campaigns")
+      .select("*")
+      .eq(column, campaignRef)
+      .maybeSingle();
+
+    if (error) {
+      logger.error({ err: error, campaignRef }, "Error fetching campaign.");
+      throw error;
+    }
+    if (data) return data;
+  }
+  return null;
+}
+
+/**
+ * List every campaign, newest first.
+ * @returns {Promise<Array<Object>>} campaigns rows.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function listCampaigns() {
+  const { data, error } = await supabase_client
+    .from("campaigns")
+    .select("*")
+    .order("created_at", { ascending: false });
+
+  if (error) {
+    logger.error({ err: error }, "Error listing campaigns.");
+    throw error;
+  }
+  return data || [];
+}
+
+/**
+ * Link a card to a campaign and record how it was leaked. The campaign is created
+ * (with the leak details as its defaults) if no campaign has that name or ID; if a
+ * concurrent call creates it first, the card is linked to that campaign instead.
+ * Relinking a card moves it to the new campaign.
+ * @param {string} cardToken - Card token.
+ * @param {string} campaignRef - Campaign name or ID.
+ * @param {Object} [leak={}] - Leak details.
+ * @param {string} [leak.leakChannel] - Where the card was leaked (see LEAK_CHANNELS in campaign-metrics).
+ * @param {string} [leak.leakedAt] - ISO timestamp of the leak (default: now).
+ * @param {string} [leak.persona] - Persona that leaked the card.
+ * @param {string} [leak.region] - Region, used only when the campaign is created.
+ * @param {string} [leak.purpose] - Purpose, used only when the campaign is created.
+ * @param {string} [leak.notes] - Free-form notes.
+ * @returns {Promise<{campaign: Object, card: Object, campaignCreated: boolean}>} Campaign and campaign_cards row.
+ * @throws {Error} If writing to Supabase fails.
+ */
+export async function recordCardLeak(cardToken, campaignRef, leak = {}) {
+  let campaign = await getCampaign(campaignRef);
+  let campaignCreated = false;
+  if (!campaign) {
+    try {
+      campaign = await createCampaign({
+        name: campaignRef,
+        leakChannel: leak.leakChannel,
+        persona: leak.persona,
+        region: leak.region,
+        purpose: leak.purpose,
+      });
+      campaignCreated = true;
+    } catch (error) {
+      // Another leak for the same new campaign inserted it between our lookup and insert
+      if (error.cause?.code !== "23505") throw error;
+      campaign = await getCampaign(campaignRef);
+      if (!campaign) throw error;
+      logger.info(
+        { campaignId: campaign.id, name: campaignRef },
+        "Campaign created concurrently; linking card to it.",
+      );
+    }
+  }
+
+  const { data: card, error } = await supabase_client
+    .from("campaign_cards")
+    .upsert(
+      {
+        card_token: cardToken,
+        campaign_id: campaign.id,
+        leak_channel: leak.leakChannel || campaign.leak_channel || null,
+        leaked_at: leak.leakedAt || new Date().toISOString(),
+        persona: leak.persona || campaign.persona || null,
+        notes: leak.notes || null,
+      },
+      { onConflict: "card_token" },
+    )
+    .select()
+    .single();
+
+  if (error) {
+    logger.error(
+      { err: error, cardToken: `${cardToken.substring(0, 8)}...`, campaignId: campaign.id },
+      "Error linking card to campaign.",
+    );
+    throw error;
+  }
+
+  logger.info(
+    {
+      cardToken: `${cardToken.substring(0, 8)}...`,
+      campaignId: campaign.id,
+      leakChannel: card.leak_channel,
+      campaignCreated,
+    },
+    "Card linked to campaign.",
+  );
+  return { campaign, card, campaignCreated };
+}
+
+/**
+ * Get the campaign links of a set of cards.
+ * @param {Array<string>} cardTokens - Card tokens.
+ * @returns {Promise<Array<{card_token: string, campaign_id: string, campaign_name: string}>>}
+ *   One entry per linked card.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function getCampaignsForCards(cardTokens) {
+  if (cardTokens.length === 0) return [];
+
+  const { data: links, error } = await supabase_client
+    .from("campaign_cards")
+    .select("card_token, campaign_id")
+    .in("card_token", cardTokens);
+
+  if (error) {
+    logger.error({ err: error }, "Error fetching campaign links for cards.");
+    throw error;
+  }
+  if (!links || links.length === 0) return [];
+
+  const { data: campaigns, error: campaignError } = await supabase_client
+    .from("campaigns")
+    .select("id, name")
+    .in("id", [...new Set(links.map((link) => link.campaign_id))]);
+
+  if (campaignError) {
+    logger.error({ err: campaignError }, "Error fetching campaigns for cards.");
+    throw campaignError;
+  }
+
+  const names = new Map((campaigns || []).map((campaign) => [campaign.id, campaign.name]));
+  return links.map((link) => ({ ...link, campaign_name: names.get(link.campaign_id) || null }));
+}
+
+/**
+ * Build campaign reports: time to first use, transaction counts and merchant spread.
+ * Each campaign reads its cards' transactions oldest first; a campaign with more than
+ * REPORT_TRANSACTION_LIMIT transactions is summarized from the oldest ones and flagged
+ * with `truncated`.
+ * @param {string} [campaignRef] - Campaign name or ID; every campaign when omitted.
+ * @returns {Promise<Array<Object>>} One report per campaign (see summarizeCampaign) plus `truncated`.
+ * @throws {Error} If the campaign does not exist or fetching from Supabase fails.
+ */
+export async function getCampaignReports(campaignRef) {
+  let campaigns;
+  if (campaignRef) {
+    const campaign = await getCampaign(campaignRef);
+    if (!campaign) {
+      throw new ToolError(TOOL_ERROR_CODES.NOT_FOUND, `Campaign not found: ${campaignRef}`);
+    }
+    campaigns = [campaign];
+  } else {
+    campaigns = await listCampaigns();
+  }
+
+  const reports = [];
+  for (const campaign of campaigns) {
+    const cards = await getCampaignCards(campaign.id);
+    const { transactions, truncated } = cards.length > 0
+      ? await getCardTransactionHistory(
+        cards.map((card) => card.card_token),
+        { maxRows: REPORT_TRANSACTION_LIMIT },
+      )
+      : { transactions: [], truncated: false };
+
+    if (truncated) {
+      logger.warn(
+        { campaignId: campaign.id, limit: REPORT_TRANSACTION_LIMIT },
+        "Campaign report truncated to the oldest transactions.",
+      );
+    }
+    reports.push({ ...summarizeCampaign(campaign, cards, transactions), truncated });
+  }
+  return reports;
+}
+
+/**
+ * Get every card linked to a campaign, paging past Supabase's per-response row cap.
+ * @param {string} campaignId - Campaign ID.
+ * @returns {Promise<Array<Object>>} campaign_cards rows.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+async function getCampaignCards(campaignId) {
+  const cards = [];
+
+  for (let from = 0; ; from += CARD_PAGE_SIZE) {
+    const { data, error } = await supabase_client
+      .from("campaign_cards")
+      .select("*")
+      .eq("campaign_id", campaignId)
+      .order("card_token", { ascending: true })
+      .range(from, from + CARD_PAGE_SIZE - 1);
+
+    if (error) {
+      logger.error({ err: error, campaignId }, "Error fetching campaign cards.");
+      throw error;
+    }
+
+    cards.push(...(data || []));
+    if (!data || data.length < CARD_PAGE_SIZE) return cards;
+  }
+}
@@ -1,5 +1,6 @@
 import { lithic_client } from "../config/lithic-client.js";
 import logger from "../utils/logger.js";
+import { ToolError, TOOL_ERROR_CODES } from "../utils/tool-errors.js";
 
 // Analytics tracking for card access monitoring
 const cardAccessMetrics = {
@@ -245,11 +246,11 @@ export async function updateCardLimit(cardToken, newLimit, duration = "TRANSACTI
   // Validate inputs
   const validation = validateCardToken(cardToken);
   if (!validation.valid) {
-    throw new Error(validation.error);
+    throw new ToolError(TOOL_ERROR_CODES.VALIDATION_ERROR, validation.error);
   }
 
   if (typeof newLimit !== 'number' || newLimit < 0) {
-    throw new Error('New limit must be a non-negative number');
+    throw new ToolError(TOOL_ERROR_CODES.VALIDATION_ERROR, 'New limit must be a non-negative number');
   }
 
   return executeCardOperation(
@@ -278,7 +279,7 @@ export async function toggleCardState(cardToken, pause = true) {
   // Validate inputs
   const validation = validateCardToken(cardToken);
   if (!validation.valid) {
-    throw new Error(validation.error);
+    throw new ToolError(TOOL_ERROR_CODES.VALIDATION_ERROR, validation.error);
   }
 
   const newState = pause ? "PAUSED" : "OPEN";
@@ -307,7 +308,7 @@ export async function getCardDetails(cardToken) {
   // Validate input
   const validation = validateCardToken(cardToken);
   if (!validation.valid) {
-    throw new Error(validation.error);
+    throw new ToolError(TOOL_ERROR_CODES.VALIDATION_ERROR, validation.error);
   }
 
   return executeCardOperation(
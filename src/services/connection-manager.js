@@ -11,6 +11,7 @@
 import { v4 as uuidv4 } from 'uuid';
 import logger from '../utils/logger.js';
 import alertService from './alert-service.js';
+import apiKeyService from './api-key-service.js';
 
 class ConnectionManager {
   constructor() {
@@ -174,26 +175,17 @@ class ConnectionManager {
   
   /**
    * Authenticate connection with provided credentials
-   * @param {string} token - Authentication token
+   * @param {string} token - Authorization header value (Bearer API key)
    * @param {Object} context - Additional authentication context
    * @returns {boolean} Authentication result
    */
   async authenticateConnection(token, context = {}) {
     try {
-      // TODO: Implement actual authentication logic
-      // For now, basic token validation
-      if (!token || typeof token !== 'string') {
-        return false;
+      const result = await apiKeyService.authenticate(token);
+      if (!result.valid) {
+        logger.warn({ reason: result.error, context }, 'Connection authentication rejected');
       }
-      
-      // Validate token format (example: Bearer token)
-      if (token.startsWith('Bearer ')) {
-        const authToken = token.substring(7);
-        // Add your token validation logic here
-        return authToken.length > 0;
-      }
-      
-      return false;
+      return result.valid;
     } catch (error) {
       logger.error({
         error: error.message,
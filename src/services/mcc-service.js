@@ -12,6 +12,19 @@ const __dirname = path.dirname(__filename);
 // Cache for MCC lookups to reduce database calls
 const mccCache = new Map();
 
+// MCC ranges commonly associated with fraud
+const SUSPICIOUS_MCC_RANGES = [
+  { start: 5960, end: 5969, risk: 'HIGH', reason: 'Direct Marketing/Telemarketing' },
+  { start: 4829, end: 4829, risk: 'HIGH', reason: 'Money Transfer' },
+  { start: 6010, end: 6012, risk: 'MEDIUM', reason: 'Financial Institution Cash' },
+  { start: 6051, end: 6051, risk: 'HIGH', reason: 'Quasi-cash merchants' },
+  { start: 7273, end: 7273, risk: 'MEDIUM', reason: 'Dating services' },
+  { start: 7276, end: 7278, risk: 'MEDIUM', reason: 'Counseling services' },
+  { start: 7321, end: 7321, risk: 'MEDIUM', reason: 'Credit reporting' },
+  { start: 7800, end: 7802, risk: 'HIGH', reason: 'Government gambling' },
+  { start: 7995, end: 7996, risk: 'HIGH', reason: 'Gambling/Fortune telling' }
+];
+
 // In-memory store for CSV MCC data
 let csvMccData = new Map();
 let csvDataLoaded = false;
@@ -255,23 +268,26 @@ export async function getMccCodesByCategory(category) {
   return codes.sort((a, b) => a.mcc_code.localeCompare(b.mcc_code));
 }
 
+/**
+ * Get the fraud risk level of a single MCC code without loading MCC data
+ * @param {string} mccCode - The MCC code to check
+ * @returns {{riskLevel: string, reason: string} | null} Risk info, or null if the code is not suspicious
+ */
+export function getMccRiskLevel(mccCode) {
+  const numericCode = parseInt(mccCode);
+  if (isNaN(numericCode)) {
+    return null;
+  }
+  
+  const range = SUSPICIOUS_MCC_RANGES.find(r => numericCode >= r.start && numericCode <= r.end);
+  return range ? { riskLevel: range.risk, reason: range.reason } : null;
+}
+
 /**
  * Get suspicious MCC codes (commonly associated with fraud)
  * @returns {Promise<Array<{mcc_code: string, description: string, category: string, riskLevel: string}>>}
  */
 export async function getSuspiciousMccCodes() {
-  const suspiciousRanges = [
-    { start: 5960, end: 5969, risk: 'HIGH', reason: 'Direct Marketing/Telemarketing' },
-    { start: 4829, end: 4829, risk: 'HIGH', reason: 'Money Transfer' },
-    { start: 6010, end: 6012, risk: 'MEDIUM', reason: 'Financial Institution Cash' },
-    { start: 6051, end: 6051, risk: 'HIGH', reason: 'Quasi-cash merchants' },
-    { start: 7273, end: 7273, risk: 'MEDIUM', reason: 'Dating services' },
-    { start: 7276, end: 7278, risk: 'MEDIUM', reason: 'Counseling services' },
-    { start: 7321, end: 7321, risk: 'MEDIUM', reason: 'Credit reporting' },
-    { start: 7800, end: 7802, risk: 'HIGH', reason: 'Government gambling' },
-    { start: 7995, end: 7996, risk: 'HIGH', reason: 'Gambling/Fortune telling' }
-  ];
-  
   if (!csvDataLoaded) {
     await loadMccDataFromCsv();
   }
@@ -281,7 +297,7 @@ export async function getSuspiciousMccCodes() {
   for (const [mccCode, data] of csvMccData.entries()) {
     const numericCode = parseInt(mccCode);
     
-    for (const range of suspiciousRanges) {
+    for (const range of SUSPICIOUS_MCC_RANGES) {
       if (numericCode >= range.start && numericCode <= range.end) {
         suspiciousCodes.push({
           mcc_code: mccCode,
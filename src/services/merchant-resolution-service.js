@@ -0,0 +1,425 @@
+/**
+ * Merchant Resolution Service - Canonical merchant IDs for incoming transactions
+ *
+ * Resolves the merchant of a transaction to one canonical `merchants` row, so
+ * descriptor variants of the same merchant ("AMZN MKTP US*2K3", "AMZN Mktp US*9Q1")
+ * share an ID. Resolution order:
+ * 1. acceptor_id of a merchant row, or of a recorded alias
+ * 2. normalized descriptor of a recorded alias (same country and MCC when known)
+ * 3. fuzzy match against canonical merchants (config.merchants.similarityThreshold),
+ *    never across chain branches with different acceptor IDs and cities
+ * 4. otherwise a new canonical merchant is created
+ * Every descriptor seen is recorded as an alias of the canonical merchant.
+ *
+ * Tables:
+ * - `merchants` gains `normalized_descriptor` (text) and `canonical_merchant_id`
+ *   (nullable, references merchants.id; set on rows merged into another merchant).
+ * - `merchant_aliases`: `merchant_id` (canonical merchants.id), `descriptor` (text),
+ *   `normalized_descriptor` (text), `acceptor_id` (text), `country` (text), `mcc` (text),
+ *   `first_seen_at` (timestamptz, default now()), `last_seen_at` (timestamptz);
+ *   unique on (merchant_id, descriptor).
+ * - `transaction_merchants` gains `acceptor_id` (text): the acceptor ID the transaction
+ *   itself reported, which may differ from the canonical merchant's.
+ *
+ * Rows stored before resolution existed are merged by the merchant backfill job
+ * (npm run merchants:backfill).
+ */
+
+import { supabase_client } from "../config/supabase-client.js";
+import { config } from "../config/index.js";
+import { lookupMCC } from "./mcc-service.js";
+import {
+  normalizeDescriptor,
+  findBestMatch,
+  areMerchantsCompatible,
+} from "../utils/merchant-normalization.js";
+import logger from "../utils/logger.js";
+
+// Canonical merchants compared per fuzzy lookup
+const FUZZY_CANDIDATE_LIMIT = 200;
+
+/**
+ * Resolve the canonical merchant for a transaction, creating it if needed.
+ * @param {Object} merchantInfo - Parsed merchant ({ acceptor_id, descriptor, city, state, country, mcc }).
+ * @param {string} transactionToken - Transaction being saved, for logging.
+ * @returns {Promise<{merchantId: (string|number|null), matchedBy: (string|null), similarity?: number}>}
+ *   Canonical merchant ID and how it was found ('acceptor_id', 'alias', 'fuzzy' or
+ *   'created'); merchantId is null when the transaction has no acceptor_id or descriptor.
+ * @throws {Error} If a Supabase query fails.
+ */
+export async function resolveMerchant(merchantInfo, transactionToken) {
+  const normalized = normalizeDescriptor(merchantInfo.descriptor);
+  let resolution = null;
+
+  if (merchantInfo.acceptor_id) {
+    resolution = await resolveByAcceptorId(merchantInfo, normalized, transactionToken);
+  }
+
+  if (!resolution && normalized) {
+    resolution =
+      (await resolveByAlias(merchantInfo, normalized)) ||
+      (await resolveByFuzzyMatch(merchantInfo, normalized));
+  }
+
+  if (!resolution && merchantInfo.descriptor) {
+    resolution = await createMerchant(merchantInfo, normalized, transactionToken);
+  }
+
+  if (!resolution) {
+    return { merchantId: null, matchedBy: null };
+  }
+
+  logger.debug(
+    { transactionToken, ...resolution, normalizedDescriptor: normalized },
+    "Merchant resolved.",
+  );
+
+  if (merchantInfo.descriptor) {
+    await recordAlias(resolution.merchantId, merchantInfo, normalized);
+  }
+  return resolution;
+}
+
+/**
+ * Record a descriptor as an alias of a canonical merchant.
+ * Failures are logged and ignored: the alias only speeds up later resolution.
+ * @param {string|number} merchantId - Canonical merchant ID.
+ * @param {Object} merchantInfo - Merchant ({ descriptor, acceptor_id, country, mcc }).
+ * @param {string|null} normalized - Normalized descriptor.
+ * @returns {Promise<boolean>} Whether the alias was saved.
+ */
+export async function recordAlias(merchantId, merchantInfo, normalized) {
+  const { error } = await supabase_client.from("merchant_aliases").upsert(
+    {
+      merchant_id: merchantId,
+      descriptor: merchantInfo.descriptor,
+      normalized_descriptor: normalized,
+      acceptor_id: merchantInfo.acceptor_id || null,
+      country: merchantInfo.country || null,
+      mcc: merchantInfo.mcc || null,
+      last_seen_at: new Date().toISOString(),
+    },
+    { onConflict: "merchant_id,descriptor" },
+  );
+
+  if (error) {
+    logger.warn(
+      { err: error, merchantId, descriptor: merchantInfo.descriptor },
+      "Could not record merchant alias.",
+    );
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Get every canonical merchant (rows not merged into another), oldest first.
+ * @returns {Promise<Array<Object>>} Merchant rows.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function getCanonicalMerchants() {
+  const PAGE_SIZE = 1000;
+  const merchants = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase_client
+      .from("merchants")
+      .select("id, acceptor_id, descriptor, city, state, country, mcc, normalized_descriptor, created_at")
+      .is("canonical_merchant_id", null)
+      .order("created_at", { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      logger.error({ err: error, from }, "Error fetching canonical merchants.");
+      throw error;
+    }
+
+    merchants.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) {
+      return merchants;
+    }
+  }
+}
+
+/**
+ * Merge duplicate merchant rows into a canonical one: move their transaction links,
+ * mark them with canonical_merchant_id and keep their descriptors as aliases.
+ * @param {Object} canonical - Canonical merchant row (with normalized_descriptor).
+ * @param {Array<Object>} members - Duplicate rows (with normalized_descriptor).
+ * @returns {Promise<{merged: number, linksMoved: number, errors: number}>} Merge counts.
+ */
+export async function mergeMerchants(canonical, members) {
+  const outcome = { merged: 0, linksMoved: 0, errors: 0 };
+
+  for (const member of members) {
+    try {
+      // Links stored before acceptor IDs were kept per transaction came from this row's acceptor
+      if (member.acceptor_id) {
+        const { error: acceptorError } = await supabase_client
+          .from("transaction_merchants")
+          .update({ acceptor_id: member.acceptor_id })
+          .eq("merchant_id", member.id)
+          .is("acceptor_id", null);
+
+        if (acceptorError) throw acceptorError;
+      }
+
+      const { data: moved, error: linkError } = await supabase_client
+        .from("transaction_merchants")
+        .update({ merchant_id: canonical.id })
+        .eq("merchant_id", member.id)
+        .select("transaction_token");
+
+      if (linkError) throw linkError;
+
+      const { error: mergeError } = await supabase_client
+        .from("merchants")
+        .update({
+          canonical_merchant_id: canonical.id,
+          normalized_descriptor: member.normalized_descriptor,
+        })
+        .eq("id", member.id);
+
+      if (mergeError) throw mergeError;
+
+      await recordAlias(canonical.id, member, member.normalized_descriptor);
+
+      outcome.merged++;
+      outcome.linksMoved += moved?.length || 0;
+      logger.info(
+        {
+          merchantId: member.id,
+          canonicalMerchantId: canonical.id,
+          descriptor: member.descriptor,
+          linksMoved: moved?.length || 0,
+        },
+        "Merchant merged into canonical merchant.",
+      );
+    } catch (error) {
+      outcome.errors++;
+      logger.error(
+        { err: error, merchantId: member.id, canonicalMerchantId: canonical.id },
+        "Error merging merchant.",
+      );
+    }
+  }
+
+  return outcome;
+}
+
+/**
+ * Store the normalized descriptor of a canonical merchant and record it as an alias.
+ * @param {Object} merchant - Canonical merchant row (with normalized_descriptor).
+ * @returns {Promise<boolean>} Whether the row was updated.
+ */
+export async function normalizeMerchant(merchant) {
+  const { error } = await supabase_client
+    .from("merchants")
+    .update({ normalized_descriptor: merchant.normalized_descriptor })
+    .eq("id", merchant.id);
+
+  if (error) {
+    logger.error({ err: error, merchantId: merchant.id }, "Error normalizing merchant.");
+    return false;
+  }
+
+  await recordAlias(merchant.id, merchant, merchant.normalized_descriptor);
+  return true;
+}
+
+/**
+ * Match on acceptor_id: a merchant row (following a merge to its canonical row)
+ * or a recorded alias. Updates the canonical row when its details changed.
+ */
+async function resolveByAcceptorId(merchantInfo, normalized, transactionToken) {
+  const { data: merchants, error } = await supabase_client
+    .from("merchants")
+    .select("*")
+    .eq("acceptor_id", merchantInfo.acceptor_id)
+    .order("created_at", { ascending: true })
+    .limit(1);
+
+  if (error) {
+    logger.error(
+      { err: error, transactionToken, acceptorId: merchantInfo.acceptor_id },
+      "Error selecting merchant by acceptor_id.",
+    );
+    throw error;
+  }
+
+  const merchant = merchants?.[0];
+  if (merchant) {
+    if (!merchant.canonical_merchant_id && areMerchantDetailsDifferent(merchant, merchantInfo, normalized)) {
+      await updateMerchantDetails(merchant.id, merchantInfo, normalized, transactionToken);
+    }
+    return { merchantId: merchant.canonical_merchant_id || merchant.id, matchedBy: "acceptor_id" };
+  }
+
+  const { data: aliases, error: aliasError } = await supabase_client
+    .from("merchant_aliases")
+    .select("merchant_id")
+    .eq("acceptor_id", merchantInfo.acceptor_id)
+    .limit(1);
+
+  if (aliasError) {
+    logger.error(
+      { err: aliasError, transactionToken, acceptorId: merchantInfo.acceptor_id },
+      "Error selecting merchant alias by acceptor_id.",
+    );
+    throw aliasError;
+  }
+
+  return aliases?.[0] ? { merchantId: aliases[0].merchant_id, matchedBy: "acceptor_id" } : null;
+}
+
+/**
+ * Match on the normalized descriptor of a recorded alias.
+ */
+async function resolveByAlias(merchantInfo, normalized) {
+  const { data: aliases, error } = await supabase_client
+    .from("merchant_aliases")
+    .select("merchant_id, country, mcc")
+    .eq("normalized_descriptor", normalized);
+
+  if (error) {
+    logger.error({ err: error, normalizedDescriptor: normalized }, "Error selecting merchant aliases.");
+    throw error;
+  }
+
+  const alias = (aliases || []).find((candidate) => areMerchantsCompatible(merchantInfo, candidate));
+  return alias ? { merchantId: alias.merchant_id, matchedBy: "alias" } : null;
+}
+
+/**
+ * Match on descriptor similarity against canonical merchants that start alike.
+ */
+async function resolveByFuzzyMatch(merchantInfo, normalized) {
+  const { data: candidates, error } = await supabase_client
+    .from("merchants")
+    .select("id, acceptor_id, normalized_descriptor, city, state, country, mcc")
+    .is("canonical_merchant_id", null)
+    .like("normalized_descriptor", `${normalized.slice(0, 3)}%`)
+    .limit(FUZZY_CANDIDATE_LIMIT);
+
+  if (error) {
+    logger.error({ err: error, normalizedDescriptor: normalized }, "Error selecting merchant candidates.");
+    throw error;
+  }
+
+  const match = findBestMatch(
+    { ...merchantInfo, normalized_descriptor: normalized },
+    candidates || [],
+    config.merchants.similarityThreshold,
+  );
+  return match
+    ? { merchantId: match.candidate.id, matchedBy: "fuzzy", similarity: match.similarity }
+    : null;
+}
+
+/**
+ * Create a canonical merchant enriched with MCC details.
+ */
+async function createMerchant(merchantInfo, normalized, transactionToken) {
+  logger.info(
+    { transactionToken, merchantInfo },
+    "Creating new merchant as no existing match was found.",
+  );
+
+  const { data: newMerchant, error } = await supabase_client
+    .from("merchants")
+    .insert([{ ...(await enrichMerchantWithMCC(merchantInfo)), normalized_descriptor: normalized }])
+    .select("id")
+    .single();
+
+  if (error) {
+    logger.error(
+      { err: error, transactionToken, merchantInfo },
+      "Error inserting new merchant.",
+    );
+    throw error;
+  }
+
+  logger.info({ transactionToken, newMerchantId: newMerchant.id }, "New merchant created successfully.");
+  return { merchantId: newMerchant.id, matchedBy: "created" };
+}
+
+/**
+ * Update a merchant whose acceptor now reports different details.
+ * Update failures are logged; the transaction still links to the merchant.
+ */
+async function updateMerchantDetails(merchantId, merchantInfo, normalized, transactionToken) {
+  logger.info({ transactionToken, merchantId }, "Merchant details differ, attempting update.");
+
+  const enrichedMerchantInfo = await enrichMerchantWithMCC(merchantInfo);
+  const detailsToUpdate = {
+    descriptor: enrichedMerchantInfo.descriptor,
+    normalized_descriptor: normalized,
+    city: enrichedMerchantInfo.city || null,
+    state: enrichedMerchantInfo.state || null,
+    country: enrichedMerchantInfo.country || null,
+    mcc: enrichedMerchantInfo.mcc || null,
+    mcc_description: enrichedMerchantInfo.mcc_description,
+    mcc_category: enrichedMerchantInfo.mcc_category,
+  };
+
+  const { error } = await supabase_client
+    .from("merchants")
+    .update(detailsToUpdate)
+    .eq("id", merchantId);
+
+  if (error) {
+    logger.error(
+      { err: error, transactionToken, merchantId, detailsToUpdate },
+      "Could not update existing merchant details.",
+    );
+  } else {
+    logger.info({ transactionToken, merchantId }, "Merchant details updated successfully.");
+  }
+}
+
+/**
+ * Whether incoming details differ from the stored merchant. Descriptors are compared
+ * normalized, so a new reference suffix alone does not rewrite the merchant.
+ */
+function areMerchantDetailsDifferent(existing, incoming, normalized) {
+  return (
+    (existing.normalized_descriptor || normalizeDescriptor(existing.descriptor)) !== normalized ||
+    existing.city !== (incoming.city || null) ||
+    existing.state !== (incoming.state || null) ||
+    existing.country !== (incoming.country || null) ||
+    existing.mcc !== (incoming.mcc || null)
+  );
+}
+
+/**
+ * Helper function to enrich merchant data with MCC information.
+ * @param {Object} merchantInfo - Basic merchant information
+ * @returns {Promise<Object>} Enriched merchant information with MCC details
+ */
+async function enrichMerchantWithMCC(merchantInfo) {
+  const enrichedMerchant = { ...merchantInfo };
+  
+  if (merchantInfo.mcc) {
+    try {
+      const mccDetails = await lookupMCC(merchantInfo.mcc);
+      if (mccDetails) {
+        enrichedMerchant.mcc_description = mccDetails.description;
+        enrichedMerchant.mcc_category = mccDetails.category;
+        logger.debug(`MCC enrichment successful for ${merchantInfo.mcc}: ${mccDetails.description}`);
+      } else {
+        logger.warn(`MCC ${merchantInfo.mcc} not found in database`);
+        enrichedMerchant.mcc_description = null;
+        enrichedMerchant.mcc_category = null;
+      }
+    } catch (error) {
+      logger.error(`Error looking up MCC ${merchantInfo.mcc}:`, error);
+      enrichedMerchant.mcc_description = null;
+      enrichedMerchant.mcc_category = null;
+    }
+  } else {
+    enrichedMerchant.mcc_description = null;
+    enrichedMerchant.mcc_category = null;
+  }
+  
+  return enrichedMerchant;
+}
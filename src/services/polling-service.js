@@ -7,25 +7,63 @@
  * Key Features:
  * - In-memory subscription storage with O(1) lookups
  * - Per-subscription alert queues with size limits
- * - Automatic cleanup of expired subscriptions
+ * - Lease/ack delivery: polled alerts stay queued until acknowledged, with a dead-letter list
+ * - Long-poll support: pollers can wait for the next alert instead of polling in a loop
+ * - Live transaction feeds with per-feed cursors and rate limits
+ * - Automatic cleanup of expired subscriptions and feeds
+ * - Optional persistence across restarts through a pluggable store (see polling-store.js)
  * - Event emission for loose coupling
  * - Comprehensive metrics and monitoring
  */
 
 import EventEmitter from 'events';
+import { randomUUID } from 'node:crypto';
 import logger from '../utils/logger.js';
+import { ToolError, TOOL_ERROR_CODES } from '../utils/tool-errors.js';
+import { config } from '../config/index.js';
+import { createPollingStore } from './polling-store.js';
+
+// Feeds re-scan this far behind their cursor so transactions ingested late
+// (with an older created_at) are still delivered exactly once
+const FEED_LOOKBACK_MS = 5 * 60 * 1000;
+
+// Per-subscription alert queue cap; oldest alerts are dropped beyond this
+const MAX_QUEUE_SIZE = 1000;
+
+// Polled alerts stay invisible for this long; unacknowledged ones are then redelivered
+const DEFAULT_VISIBILITY_TIMEOUT_MS = 60 * 1000;
+
+// Alerts whose lease lapses this many times are moved to the dead-letter list
+const MAX_DELIVERY_ATTEMPTS = 5;
+const MAX_DEAD_LETTERS = 100;
+
+// State changes are batched into one store write per interval
+const PERSIST_DEBOUNCE_MS = 1000;
+
+const SNAPSHOT_VERSION = 1;
 
 class PollingService extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} [store] - Persistence backend from polling-store.js (defaults to in-memory)
+   */
+  constructor(store = createPollingStore()) {
     super();
     
+    // Persistence backend and pending write timer
+    this.store = store;
+    this.persistTimer = null;
+    
     // Core state storage using Maps for performance
     // subscriptions: Map<subscriptionId, subscriptionData>
     this.subscriptions = new Map();
     
     // alertQueues: Map<subscriptionId, Array<alertData>>
+    // Polled alerts remain here with a leaseExpiresAt until acknowledged
     this.alertQueues = new Map();
     
+    // deadLetters: Map<subscriptionId, Array<alertData>> - alerts that exhausted their delivery attempts
+    this.deadLetters = new Map();
+    
     // feeds: Map<feedId, feedData> - for live transaction feeds
     this.feeds = new Map();
     
@@ -35,10 +73,19 @@ class PollingService extends EventEmitter {
       activeSubscriptions: 0,
       totalAlertsQueued: 0,
       totalAlertsPolled: 0,
+      totalAlertsAcked: 0,
+      totalAlertsDeadLettered: 0,
       averageQueueSize: 0,
-      cleanupCycles: 0
+      cleanupCycles: 0,
+      totalFeeds: 0,
+      totalFeedTransactionsDelivered: 0,
+      lastPersistedAt: null,
+      persistFailures: 0
     };
     
+    // Every long-poll waiter holds one alert:queued listener while it waits
+    this.setMaxListeners(0);
+    
     // Cleanup runs every minute to remove expired subscriptions
     // This prevents memory leaks in production
     this.cleanupInterval = setInterval(() => this.cleanup(), 60000);
@@ -46,6 +93,143 @@ class PollingService extends EventEmitter {
     logger.info('PollingService initialized successfully');
   }
 
+  /**
+   * Restore subscriptions, alert queues and feeds saved by the store.
+   * Expired entries are dropped and queues are trimmed to the queue cap.
+   * @returns {Promise<Object>} Counts of restored subscriptions, alerts and feeds
+   */
+  async initialize() {
+    const snapshot = await this.store.load();
+    if (!snapshot) {
+      return { subscriptions: 0, alerts: 0, feeds: 0 };
+    }
+    
+    const restored = this.restoreSnapshot(snapshot);
+    
+    logger.info({ 
+      store: this.store.name,
+      savedAt: snapshot.savedAt,
+      ...restored
+    }, 'Polling state restored from store');
+    
+    return restored;
+  }
+
+  /**
+   * Load a snapshot into memory, skipping anything that expired while the service was down
+   * @param {Object} snapshot - Snapshot produced by toSnapshot()
+   * @returns {Object} Counts of restored subscriptions, alerts and feeds
+   */
+  restoreSnapshot(snapshot) {
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported polling snapshot version: ${snapshot.version}`);
+    }
+    
+    const now = new Date();
+    const restored = { subscriptions: 0, alerts: 0, feeds: 0, expired: 0 };
+    
+    for (const saved of snapshot.subscriptions || []) {
+      const subscription = {
+        ...saved,
+        createdAt: new Date(saved.createdAt),
+        expiresAt: new Date(saved.expiresAt),
+        lastPolled: saved.lastPolled ? new Date(saved.lastPolled) : null
+      };
+      
+      if (subscription.expiresAt < now) {
+        restored.expired++;
+        continue;
+      }
+      
+      const queue = (snapshot.alertQueues?.[subscription.subscriptionId] || []).slice(-MAX_QUEUE_SIZE);
+      this.subscriptions.set(subscription.subscriptionId, subscription);
+      this.alertQueues.set(subscription.subscriptionId, queue);
+      this.deadLetters.set(subscription.subscriptionId, snapshot.deadLetters?.[subscription.subscriptionId] || []);
+      restored.subscriptions++;
+      restored.alerts += queue.length;
+    }
+    
+    for (const saved of snapshot.feeds || []) {
+      const feed = {
+        ...saved,
+        createdAt: new Date(saved.createdAt),
+        expiresAt: new Date(saved.expiresAt),
+        lastPolled: saved.lastPolled ? new Date(saved.lastPolled) : null,
+        cursor: {
+          lastCreatedAt: saved.cursor.lastCreatedAt,
+          readFrom: saved.cursor.readFrom || null,
+          deliveredTokens: new Map(Object.entries(saved.cursor.deliveredTokens || {}))
+        }
+      };
+      
+      if (feed.expiresAt < now) {
+        restored.expired++;
+        continue;
+      }
+      
+      this.feeds.set(feed.feedId, feed);
+      restored.feeds++;
+    }
+    
+    this.metrics.activeSubscriptions = this.subscriptions.size;
+    this.updateAverageQueueSize();
+    
+    return restored;
+  }
+
+  /**
+   * Serialize subscriptions, alert queues and feeds for the store
+   * @returns {Object} JSON-serializable snapshot
+   */
+  toSnapshot() {
+    return {
+      version: SNAPSHOT_VERSION,
+      savedAt: new Date().toISOString(),
+      subscriptions: Array.from(this.subscriptions.values()),
+      alertQueues: Object.fromEntries(this.alertQueues),
+      deadLetters: Object.fromEntries(this.deadLetters),
+      feeds: Array.from(this.feeds.values()).map(feed => ({
+        ...feed,
+        cursor: {
+          lastCreatedAt: feed.cursor.lastCreatedAt,
+          readFrom: feed.cursor.readFrom,
+          deliveredTokens: Object.fromEntries(feed.cursor.deliveredTokens)
+        }
+      }))
+    };
+  }
+
+  /**
+   * Schedule a store write; changes within the debounce window share one write
+   */
+  schedulePersist() {
+    if (this.persistTimer) return;
+    
+    this.persistTimer = setTimeout(() => this.flush(), PERSIST_DEBOUNCE_MS);
+    this.persistTimer.unref?.();
+  }
+
+  /**
+   * Write the current state to the store immediately
+   * @returns {Promise<boolean>} Whether the write succeeded
+   */
+  async flush() {
+    if (this.persistTimer) {
+      clearTimeout(this.persistTimer);
+      this.persistTimer = null;
+    }
+    
+    try {
+      await this.store.save(this.toSnapshot());
+      this.metrics.lastPersistedAt = new Date().toISOString();
+      return true;
+    } catch (error) {
+      this.metrics.persistFailures++;
+      logger.error({ store: this.store.name, error: error.message }, 'Failed to persist polling state');
+      return false;
+    }
+  }
+
   /**
    * Store a new subscription with configuration and expiration
    * @param {string} subscriptionId - Unique subscription identifier
@@ -71,6 +255,7 @@ class PollingService extends EventEmitter {
       // Store subscription and initialize empty alert queue
       this.subscriptions.set(subscriptionId, subscriptionData);
       this.alertQueues.set(subscriptionId, []);
+      this.deadLetters.set(subscriptionId, []);
       
       // Update metrics
       this.metrics.totalSubscriptions++;
@@ -83,6 +268,8 @@ class PollingService extends EventEmitter {
         alertTypes: config.alertTypes?.length || 0
       }, 'Subscription stored successfully');
       
+      this.schedulePersist();
+      
       // Emit event for monitoring
       this.emit('subscription:created', { subscriptionId, config: subscriptionData });
       
@@ -113,19 +300,21 @@ class PollingService extends EventEmitter {
         return false;
       }
 
-      // Add queue metadata
+      // Add queue and delivery metadata
       const queuedAlert = { 
         ...alert, 
+        alertId: randomUUID(),
         queuedAt: new Date().toISOString(),
         subscriptionId,
-        queuePosition: queue.length + 1
+        queuePosition: queue.length + 1,
+        deliveryAttempts: 0,
+        leaseExpiresAt: null
       };
       
       queue.push(queuedAlert);
       
       // Implement queue size limit to prevent memory issues
-      const maxQueueSize = 1000;
-      if (queue.length > maxQueueSize) {
+      if (queue.length > MAX_QUEUE_SIZE) {
         const removedAlert = queue.shift();
         logger.warn({ 
           subscriptionId, 
@@ -137,6 +326,7 @@ class PollingService extends EventEmitter {
       // Update subscription metrics
       subscription.totalAlertsReceived++;
       this.metrics.totalAlertsQueued++;
+      this.schedulePersist();
       
       logger.debug({ 
         subscriptionId, 
@@ -156,35 +346,45 @@ class PollingService extends EventEmitter {
   }
 
   /**
-   * Poll alerts for a subscription (consume pattern - clears queue)
+   * Poll alerts for a subscription (lease pattern).
+   * Returned alerts stay queued but invisible until acknowledged with ackAlerts or
+   * until the visibility timeout lapses, after which they are delivered again.
    * @param {string} subscriptionId - Subscription to poll
    * @param {number} maxAlerts - Maximum alerts to return (default: 50)
-   * @returns {Array} Array of queued alerts
+   * @param {number} [visibilityTimeoutMs] - How long returned alerts stay invisible
+   * @returns {Array} Array of leased alerts
    */
-  pollAlerts(subscriptionId, maxAlerts = 50) {
+  pollAlerts(subscriptionId, maxAlerts = 50, visibilityTimeoutMs = DEFAULT_VISIBILITY_TIMEOUT_MS) {
     try {
       const subscription = this.subscriptions.get(subscriptionId);
       if (!subscription) {
-        throw new Error(`Subscription ${subscriptionId} not found`);
+        throw new ToolError(TOOL_ERROR_CODES.NOT_FOUND, `Subscription ${subscriptionId} not found`, { details: { subscriptionId } });
       }
       
       if (!subscription.isActive) {
-        throw new Error(`Subscription ${subscriptionId} is inactive`);
+        throw new ToolError(TOOL_ERROR_CODES.SUBSCRIPTION_EXPIRED, `Subscription ${subscriptionId} is inactive`, { details: { subscriptionId } });
       }
 
       const now = new Date();
       if (subscription.expiresAt < now) {
         subscription.isActive = false;
-        throw new Error(`Subscription ${subscriptionId} has expired`);
+        throw new ToolError(TOOL_ERROR_CODES.SUBSCRIPTION_EXPIRED, `Subscription ${subscriptionId} has expired`, { details: { subscriptionId } });
       }
 
-      const queue = this.alertQueues.get(subscriptionId) || [];
+      // Make lapsed leases visible again (or dead-letter them) before choosing alerts
+      this.releaseExpiredLeases(subscriptionId, now);
       
-      // Apply maxAlerts limit
-      const alertsToReturn = queue.slice(0, maxAlerts);
+      const queue = this.alertQueues.get(subscriptionId) || [];
+      const leaseExpiresAt = new Date(now.getTime() + visibilityTimeoutMs).toISOString();
       
-      // Clear the consumed alerts from queue (consume pattern)
-      this.alertQueues.set(subscriptionId, queue.slice(maxAlerts));
+      // Apply maxAlerts limit to alerts that are not already in flight
+      const alertsToLease = queue.filter(alert => !alert.leaseExpiresAt).slice(0, maxAlerts);
+      for (const alert of alertsToLease) {
+        alert.deliveryAttempts++;
+        alert.leaseExpiresAt = leaseExpiresAt;
+      }
+      const alertsToReturn = alertsToLease.map(alert => ({ ...alert }));
+      const remainingInQueue = queue.filter(alert => !alert.leaseExpiresAt).length;
       
       // Update subscription metadata
       subscription.lastPolled = now;
@@ -193,20 +393,22 @@ class PollingService extends EventEmitter {
       // Update metrics
       this.metrics.totalAlertsPolled += alertsToReturn.length;
       this.updateAverageQueueSize();
+      this.schedulePersist();
       
       logger.info({ 
         subscriptionId, 
         alertCount: alertsToReturn.length,
-        remainingInQueue: queue.length - maxAlerts,
+        remainingInQueue,
+        leaseExpiresAt,
         lastPolled: subscription.lastPolled,
         pollCount: subscription.pollCount
-      }, 'Alerts polled and queue updated');
+      }, 'Alerts leased to poller');
       
       // Emit event for monitoring
       this.emit('subscription:polled', { 
         subscriptionId, 
         alertCount: alertsToReturn.length, 
-        remainingInQueue: Math.max(0, queue.length - maxAlerts)
+        remainingInQueue
       });
       
       return alertsToReturn;
@@ -216,6 +418,180 @@ class PollingService extends EventEmitter {
     }
   }
 
+  /**
+   * Wait until an alert is queued for a subscription (long-poll support).
+   * Resolves early if the subscription already has deliverable alerts.
+   * @param {string} subscriptionId - Subscription to wait on
+   * @param {number} timeoutMs - Maximum time to wait
+   * @param {AbortSignal} [signal] - Aborts the wait, e.g. when the MCP session closes
+   * @returns {Promise<boolean>} True if an alert arrived, false on timeout, expiry or removal
+   */
+  waitForAlerts(subscriptionId, timeoutMs, signal) {
+    if (!this.subscriptions.has(subscriptionId)) {
+      return Promise.reject(
+        new ToolError(TOOL_ERROR_CODES.NOT_FOUND, `Subscription ${subscriptionId} not found`, { details: { subscriptionId } })
+      );
+    }
+    
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason || new Error('Wait aborted'));
+    }
+    
+    this.releaseExpiredLeases(subscriptionId);
+    const queue = this.alertQueues.get(subscriptionId) || [];
+    if (queue.some(alert => !alert.leaseExpiresAt)) {
+      return Promise.resolve(true);
+    }
+    
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      
+      const finish = (settle, value) => {
+        clearTimeout(timer);
+        this.off('alert:queued', onQueued);
+        this.off('subscription:expired', onExpired);
+        this.off('subscription:removed', onExpired);
+        signal?.removeEventListener('abort', onAbort);
+        settle(value);
+      };
+      const onQueued = (event) => {
+        if (event.subscriptionId === subscriptionId) finish(resolve, true);
+      };
+      const onExpired = (event) => {
+        if (event.subscriptionId === subscriptionId) finish(resolve, false);
+      };
+      const onAbort = () => finish(reject, signal.reason || new Error('Wait aborted'));
+      
+      // Wake no later than the earliest lease lapse, when an alert becomes deliverable again
+      const nextLeaseLapse = Math.min(...queue.map(alert => new Date(alert.leaseExpiresAt).getTime()));
+      const waitMs = Math.max(0, Math.min(timeoutMs, nextLeaseLapse - Date.now()));
+      
+      timer = setTimeout(() => finish(resolve, false), waitMs);
+      this.on('alert:queued', onQueued);
+      this.on('subscription:expired', onExpired);
+      this.on('subscription:removed', onExpired);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Acknowledge leased alerts, removing them from the subscription queue
+   * @param {string} subscriptionId - Subscription the alerts belong to
+   * @param {Array<string>} alertIds - alertId values returned by pollAlerts
+   * @returns {{acknowledged: Array<string>, unknown: Array<string>}} Acked IDs and IDs not in the queue
+   */
+  ackAlerts(subscriptionId, alertIds) {
+    try {
+      const subscription = this.subscriptions.get(subscriptionId);
+      if (!subscription) {
+        throw new ToolError(TOOL_ERROR_CODES.NOT_FOUND, `Subscription ${subscriptionId} not found`, { details: { subscriptionId } });
+      }
+      
+      const queue = this.alertQueues.get(subscriptionId) || [];
+      const requested = new Set(alertIds);
+      const acknowledged = [];
+      
+      this.alertQueues.set(subscriptionId, queue.filter(alert => {
+        if (requested.has(alert.alertId)) {
+          acknowledged.push(alert.alertId);
+          return false;
+        }
+        return true;
+      }));
+      
+      const acked = new Set(acknowledged);
+      const unknown = alertIds.filter(alertId => !acked.has(alertId));
+      
+      this.metrics.totalAlertsAcked += acknowledged.length;
+      this.updateAverageQueueSize();
+      this.schedulePersist();
+      
+      logger.info({ 
+        subscriptionId, 
+        acknowledgedCount: acknowledged.length,
+        unknownCount: unknown.length
+      }, 'Alerts acknowledged');
+      
+      this.emit('alerts:acked', { subscriptionId, alertIds: acknowledged });
+      
+      return { acknowledged, unknown };
+    } catch (error) {
+      logger.error({ subscriptionId, error: error.message }, 'Failed to acknowledge alerts');
+      throw error;
+    }
+  }
+
+  /**
+   * Return alerts whose lease lapsed to the queue, or move them to the dead-letter
+   * list once they have used up their delivery attempts
+   * @param {string} subscriptionId - Subscription to check
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {number} Number of alerts dead-lettered
+   */
+  releaseExpiredLeases(subscriptionId, now = new Date()) {
+    const queue = this.alertQueues.get(subscriptionId);
+    if (!queue) return 0;
+    
+    const deadLetters = this.deadLetters.get(subscriptionId) || [];
+    const remaining = [];
+    let deadLettered = 0;
+    
+    for (const alert of queue) {
+      const leaseLapsed = alert.leaseExpiresAt && new Date(alert.leaseExpiresAt) <= now;
+      
+      if (leaseLapsed && alert.deliveryAttempts >= MAX_DELIVERY_ATTEMPTS) {
+        deadLetters.push({ ...alert, leaseExpiresAt: null, deadLetteredAt: now.toISOString() });
+        deadLettered++;
+        continue;
+      }
+      
+      if (leaseLapsed) {
+        alert.leaseExpiresAt = null;
+      }
+      remaining.push(alert);
+    }
+    
+    if (deadLettered > 0) {
+      this.alertQueues.set(subscriptionId, remaining);
+      this.deadLetters.set(subscriptionId, deadLetters.slice(-MAX_DEAD_LETTERS));
+      this.metrics.totalAlertsDeadLettered += deadLettered;
+      this.schedulePersist();
+      
+      logger.warn({ 
+        subscriptionId, 
+        deadLettered,
+        maxDeliveryAttempts: MAX_DELIVERY_ATTEMPTS
+      }, 'Unacknowledged alerts moved to dead-letter list');
+    }
+    
+    return deadLettered;
+  }
+
+  /**
+   * Remove a subscription before it expires, dropping its queued and dead-lettered alerts
+   * @param {string} subscriptionId - Subscription to remove
+   * @param {string} [reason='removed'] - Why it was removed, for logs and listeners
+   * @returns {boolean} Whether the subscription existed
+   */
+  removeSubscription(subscriptionId, reason = 'removed') {
+    const subscription = this.subscriptions.get(subscriptionId);
+    if (!subscription) {
+      return false;
+    }
+
+    const droppedAlerts = this.alertQueues.get(subscriptionId)?.length || 0;
+    this.subscriptions.delete(subscriptionId);
+    this.alertQueues.delete(subscriptionId);
+    this.deadLetters.delete(subscriptionId);
+    this.metrics.activeSubscriptions = this.subscriptions.size;
+
+    logger.info({ subscriptionId, reason, droppedAlerts }, 'Subscription removed');
+
+    this.schedulePersist();
+    this.emit('subscription:removed', { subscriptionId, subscription, reason });
+    return true;
+  }
+
   /**
    * Get detailed subscription status and metadata
    * @param {string} subscriptionId - Subscription to check
@@ -225,15 +601,25 @@ class PollingService extends EventEmitter {
     try {
       const subscription = this.subscriptions.get(subscriptionId);
       if (!subscription) {
-        throw new Error(`Subscription ${subscriptionId} not found`);
+        throw new ToolError(TOOL_ERROR_CODES.NOT_FOUND, `Subscription ${subscriptionId} not found`, { details: { subscriptionId } });
       }
 
       const queue = this.alertQueues.get(subscriptionId) || [];
+      const deadLetters = this.deadLetters.get(subscriptionId) || [];
       const now = new Date();
+      const inFlightAlerts = queue.filter(alert => alert.leaseExpiresAt && new Date(alert.leaseExpiresAt) > now).length;
       
       return {
         ...subscription,
-        queuedAlerts: queue.length,
+        queuedAlerts: queue.length - inFlightAlerts,
+        inFlightAlerts,
+        deadLetterCount: deadLetters.length,
+        deadLetterSample: deadLetters.slice(-3).map(alert => ({
+          alertId: alert.alertId,
+          alertType: alert.alertType,
+          deliveryAttempts: alert.deliveryAttempts,
+          deadLetteredAt: alert.deadLetteredAt
+        })),
         timeRemaining: Math.max(0, subscription.expiresAt.getTime() - now.getTime()),
         timeRemainingHuman: this.formatDuration(subscription.expiresAt.getTime() - now.getTime()),
         isExpired: subscription.expiresAt < now,
@@ -249,6 +635,203 @@ class PollingService extends EventEmitter {
     }
   }
 
+  /**
+   * Register a live transaction feed with its filters, rate limit and starting cursor
+   * @param {string} feedId - Unique feed identifier
+   * @param {Object} config - Feed configuration
+   * @param {Array<string>} [config.cardTokenFilter=[]] - Cards to include (empty for all)
+   * @param {Array<string>} [config.transactionTypes] - Types to include (authorization, settlement, decline, reversal)
+   * @param {number} [config.maxTransactionsPerMinute=20] - Delivery rate limit
+   * @param {string} [config.feedDuration='15m'] - Feed lifetime
+   * @param {Object} [config.cursor] - Starting cursor ({ lastCreatedAt, deliveredTokens })
+   * @returns {Object} Stored feed data
+   */
+  storeFeed(feedId, config) {
+    try {
+      const expirationMs = this.parseDuration(config.feedDuration || '15m');
+      const now = new Date();
+      
+      const feedData = {
+        ...config,
+        feedId,
+        cardTokenFilter: config.cardTokenFilter || [],
+        transactionTypes: config.transactionTypes || ['authorization', 'settlement'],
+        maxTransactionsPerMinute: config.maxTransactionsPerMinute || 20,
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + expirationMs),
+        lastPolled: null,
+        isActive: true,
+        pollCount: 0,
+        totalTransactionsDelivered: 0,
+        // Cursor: newest created_at scanned plus tokens delivered inside the lookback window;
+        // readFrom replaces the lookback after a full scan page (see pollFeed)
+        cursor: {
+          lastCreatedAt: config.cursor?.lastCreatedAt || now.toISOString(),
+          readFrom: null,
+          deliveredTokens: new Map(Object.entries(config.cursor?.deliveredTokens || {}))
+        },
+        // Delivery timestamps within the last minute, used for rate limiting
+        recentDeliveries: []
+      };
+      
+      this.feeds.set(feedId, feedData);
+      this.metrics.totalFeeds++;
+      this.schedulePersist();
+      
+      logger.info({ 
+        feedId, 
+        expiresIn: `${expirationMs/1000/60} minutes`,
+        cardFilterCount: feedData.cardTokenFilter.length,
+        transactionTypes: feedData.transactionTypes,
+        maxTransactionsPerMinute: feedData.maxTransactionsPerMinute
+      }, 'Live feed stored successfully');
+      
+      this.emit('feed:created', { feedId, config: feedData });
+      
+      return feedData;
+    } catch (error) {
+      logger.error({ feedId, error: error.message }, 'Failed to store live feed');
+      throw new Error(`Failed to store live feed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get an active feed, failing if it is unknown or expired
+   * @param {string} feedId - Feed to look up
+   * @returns {Object} Feed data
+   */
+  getFeed(feedId) {
+    const feed = this.feeds.get(feedId);
+    if (!feed) {
+      throw new ToolError(TOOL_ERROR_CODES.NOT_FOUND, `Feed ${feedId} not found`, { details: { feedId } });
+    }
+    
+    if (feed.expiresAt < new Date()) {
+      feed.isActive = false;
+      throw new ToolError(TOOL_ERROR_CODES.SUBSCRIPTION_EXPIRED, `Feed ${feedId} has expired`, { details: { feedId } });
+    }
+    
+    return feed;
+  }
+
+  /**
+   * Timestamp the next poll should read from (cursor minus lookback, or the cursor
+   * itself after a full scan page so a dense lookback window cannot stall the feed)
+   * @param {string} feedId - Feed to look up
+   * @returns {string} ISO timestamp
+   */
+  getFeedReadPosition(feedId) {
+    const feed = this.getFeed(feedId);
+    if (feed.cursor.readFrom) {
+      return feed.cursor.readFrom;
+    }
+    return new Date(new Date(feed.cursor.lastCreatedAt).getTime() - FEED_LOOKBACK_MS).toISOString();
+  }
+
+  /**
+   * Deliver new transactions for a feed and advance its cursor.
+   * Candidates must be ordered oldest first; anything already delivered, filtered out,
+   * or over the per-minute rate limit is withheld. The cursor advances over every row
+   * scanned before the first withheld match, so rows the filters reject are not re-read
+   * forever.
+   * @param {string} feedId - Feed to poll
+   * @param {Array<Object>} candidates - Stored transactions read from the feed's read position
+   * @param {number} [maxTransactions=20] - Maximum transactions to deliver in this poll
+   * @param {number} [scanLimit] - Row limit of the read; a page this full means more rows
+   *   follow, so the next read starts at the cursor instead of behind it
+   * @returns {Object} Delivered transactions, remaining count and rate limit state
+   */
+  pollFeed(feedId, candidates, maxTransactions = 20, scanLimit = null) {
+    try {
+      const feed = this.getFeed(feedId);
+      const now = Date.now();
+      
+      // Rate limit: sliding one-minute window of deliveries
+      feed.recentDeliveries = feed.recentDeliveries.filter(ts => now - ts < 60000);
+      const rateLimitRemaining = Math.max(0, feed.maxTransactionsPerMinute - feed.recentDeliveries.length);
+      
+      const isPending = transaction =>
+        !feed.cursor.deliveredTokens.has(transaction.token) &&
+        (feed.cardTokenFilter.length === 0 || feed.cardTokenFilter.includes(transaction.card_token)) &&
+        feed.transactionTypes.includes(this.classifyFeedTransaction(transaction));
+      const pending = candidates.filter(isPending);
+      
+      const deliverCount = Math.min(maxTransactions, rateLimitRemaining, pending.length);
+      const delivered = pending.slice(0, deliverCount);
+      
+      for (const transaction of delivered) {
+        feed.cursor.deliveredTokens.set(transaction.token, new Date(transaction.created_at).getTime());
+        feed.recentDeliveries.push(now);
+      }
+      
+      // Advance over delivered and rejected rows up to the first match still withheld
+      const withheld = new Set(pending.slice(deliverCount).map(transaction => transaction.token));
+      for (const transaction of candidates) {
+        if (withheld.has(transaction.token)) break;
+        if (new Date(transaction.created_at).getTime() > new Date(feed.cursor.lastCreatedAt).getTime()) {
+          feed.cursor.lastCreatedAt = transaction.created_at;
+        }
+      }
+      feed.cursor.readFrom = scanLimit && candidates.length >= scanLimit ? feed.cursor.lastCreatedAt : null;
+      
+      // Tokens older than the lookback window can no longer be re-read, so forget them
+      const horizon = new Date(feed.cursor.lastCreatedAt).getTime() - FEED_LOOKBACK_MS;
+      for (const [token, createdMs] of feed.cursor.deliveredTokens) {
+        if (createdMs < horizon) feed.cursor.deliveredTokens.delete(token);
+      }
+      
+      feed.lastPolled = new Date(now);
+      feed.pollCount++;
+      feed.totalTransactionsDelivered += delivered.length;
+      this.metrics.totalFeedTransactionsDelivered += delivered.length;
+      this.schedulePersist();
+      
+      const rateLimited = pending.length > delivered.length && delivered.length === rateLimitRemaining;
+      const oldestDelivery = feed.recentDeliveries[0];
+      
+      logger.info({ 
+        feedId, 
+        deliveredCount: delivered.length,
+        remaining: pending.length - delivered.length,
+        rateLimited,
+        pollCount: feed.pollCount
+      }, 'Live feed polled and cursor advanced');
+      
+      this.emit('feed:polled', { feedId, deliveredCount: delivered.length });
+      
+      return {
+        transactions: delivered,
+        remaining: pending.length - delivered.length,
+        cursor: feed.cursor.lastCreatedAt,
+        rateLimit: {
+          maxTransactionsPerMinute: feed.maxTransactionsPerMinute,
+          deliveredLastMinute: feed.recentDeliveries.length,
+          rateLimited,
+          retryAfterSeconds: rateLimited && oldestDelivery
+            ? Math.ceil((60000 - (now - oldestDelivery)) / 1000)
+            : 0
+        }
+      };
+    } catch (error) {
+      logger.error({ feedId, error: error.message }, 'Failed to poll live feed');
+      throw error;
+    }
+  }
+
+  /**
+   * Map a stored transaction to the feed transaction type vocabulary
+   * @param {Object} transaction - Transaction history row
+   * @returns {string} One of authorization, settlement, decline, reversal
+   */
+  classifyFeedTransaction(transaction) {
+    if (!transaction.is_approved) return 'decline';
+    
+    const state = transaction.lifecycle_state || transaction.status;
+    if (state === 'VOIDED' || state === 'RETURNED') return 'reversal';
+    if (state === 'SETTLED') return 'settlement';
+    return 'authorization';
+  }
+
   /**
    * Get queue size for a subscription
    * @param {string} subscriptionId - Subscription to check
@@ -310,6 +893,7 @@ class PollingService extends EventEmitter {
         if (subscription.expiresAt < now) {
           this.subscriptions.delete(id);
           this.alertQueues.delete(id);
+          this.deadLetters.delete(id);
           cleanedCount++;
           
           logger.info({ 
@@ -321,6 +905,25 @@ class PollingService extends EventEmitter {
           
           // Emit cleanup event
           this.emit('subscription:expired', { subscriptionId: id, subscription });
+        } else {
+          // Dead-letter alerts whose poller stopped acknowledging them
+          this.releaseExpiredLeases(id, now);
+        }
+      }
+      
+      for (const [id, feed] of this.feeds) {
+        if (feed.expiresAt < now) {
+          this.feeds.delete(id);
+          cleanedCount++;
+          
+          logger.info({ 
+            feedId: id,
+            lifespan: now.getTime() - feed.createdAt.getTime(),
+            totalTransactionsDelivered: feed.totalTransactionsDelivered,
+            pollCount: feed.pollCount
+          }, 'Expired live feed cleaned up');
+          
+          this.emit('feed:expired', { feedId: id, feed });
         }
       }
       
@@ -330,9 +933,11 @@ class PollingService extends EventEmitter {
       this.updateAverageQueueSize();
       
       if (cleanedCount > 0) {
+        this.schedulePersist();
         logger.info({ 
           cleanedCount, 
           activeSubscriptions: this.metrics.activeSubscriptions,
+          activeFeeds: this.feeds.size,
           cleanupCycle: this.metrics.cleanupCycles
         }, 'Subscription cleanup completed');
       }
@@ -369,7 +974,9 @@ class PollingService extends EventEmitter {
     return {
       ...this.metrics,
       activeSubscriptions: this.subscriptions.size,
+      activeFeeds: this.feeds.size,
       totalQueuedAlerts,
+      store: this.store.name,
       memoryUsage: {
         heapUsed: process.memoryUsage().heapUsed,
         heapTotal: process.memoryUsage().heapTotal,
@@ -381,14 +988,16 @@ class PollingService extends EventEmitter {
   }
 
   /**
-   * Graceful shutdown - cleanup intervals and emit shutdown event
+   * Graceful shutdown - cleanup intervals, persist state and emit shutdown event
    */
-  shutdown() {
+  async shutdown() {
     try {
       if (this.cleanupInterval) {
         clearInterval(this.cleanupInterval);
       }
       
+      await this.flush();
+      
       const finalMetrics = this.getMetrics();
       logger.info({ finalMetrics }, 'PollingService shutdown initiated');
       
@@ -403,4 +1012,4 @@ class PollingService extends EventEmitter {
 }
 
 // Export singleton instance
-export default new PollingService();
\ No newline at end of file
+export default new PollingService(createPollingStore(config.polling.store));
\ No newline at end of file
@@ -0,0 +1,126 @@
+/**
+ * Polling Store - Pluggable persistence backends for PollingService state
+ *
+ * PollingService keeps subscriptions, alert queues and feeds in memory and hands a
+ * JSON-serializable snapshot to its store whenever that state changes. Stores only
+ * load and save snapshots; reviving dates, honoring expirations and queue caps is
+ * left to PollingService so every backend behaves the same.
+ *
+ * Backends:
+ * - memory: keeps nothing across restarts (default)
+ * - file: writes the snapshot to a JSON file, replacing it atomically
+ *
+ * Store interface:
+ * - name: backend identifier used in logs and metrics
+ * - load(): Promise<Object|null> - last saved snapshot, or null if none
+ * - save(snapshot): Promise<void> - persist a snapshot, replacing the previous one
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import logger from '../utils/logger.js';
+
+/**
+ * In-memory store - state lives only as long as the process
+ */
+export class MemoryPollingStore {
+  constructor() {
+    this.name = 'memory';
+    this.snapshot = null;
+  }
+
+  /**
+   * Load the last saved snapshot
+   * @returns {Promise<Object|null>} Snapshot or null
+   */
+  async load() {
+    return this.snapshot;
+  }
+
+  /**
+   * Save a snapshot
+   * @param {Object} snapshot - Serialized polling state
+   */
+  async save(snapshot) {
+    this.snapshot = snapshot;
+  }
+}
+
+/**
+ * File-backed store - snapshot is written to a temp file and renamed into place
+ * so a crash mid-write never leaves a truncated state file
+ */
+export class FilePollingStore {
+  /**
+   * @param {string} filePath - Path of the JSON state file
+   */
+  constructor(filePath) {
+    this.name = 'file';
+    this.filePath = path.resolve(filePath);
+
+    // Saves run one at a time: they share the temp file, and the newest snapshot lands last
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load the last saved snapshot
+   * @returns {Promise<Object|null>} Snapshot, or null if the file does not exist yet
+   */
+  async load() {
+    try {
+      const contents = await fs.readFile(this.filePath, 'utf8');
+      return JSON.parse(contents);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.info({ filePath: this.filePath }, 'No polling state file found, starting empty');
+        return null;
+      }
+      throw new Error(`Failed to load polling state from ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save a snapshot, replacing the previous file atomically
+   * @param {Object} snapshot - Serialized polling state
+   * @returns {Promise<void>} Resolves once this snapshot is on disk
+   */
+  save(snapshot) {
+    const write = this.writeQueue.then(() => this.write(snapshot));
+    // Keep the queue usable after a failed write
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Write a snapshot to the temp file and rename it into place (called through the write queue)
+   * @param {Object} snapshot - Serialized polling state
+   */
+  async write(snapshot) {
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(snapshot), 'utf8');
+    await fs.rename(tempPath, this.filePath);
+  }
+}
+
+/**
+ * Create a polling store from configuration
+ * @param {Object} options - Store options
+ * @param {string} [options.type='memory'] - Backend type: memory or file
+ * @param {string} [options.filePath] - State file path (file backend)
+ * @returns {MemoryPollingStore|FilePollingStore} Store instance
+ */
+export function createPollingStore({ type = 'memory', filePath } = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryPollingStore();
+    case 'file':
+      if (!filePath) {
+        throw new Error('filePath is required for the file polling store');
+      }
+      return new FilePollingStore(filePath);
+    default:
+      throw new Error(`Unknown polling store type: ${type}`);
+  }
+}
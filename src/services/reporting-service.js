@@ -317,6 +317,291 @@ export async function getTransactionStats() {
   }
 }
 
+/**
+ * Get transaction history with raw timestamps and numeric amounts for pattern analysis.
+ * Unlike getRecentTransactionsForAgent, rows are not display-formatted and are
+ * returned oldest first so callers can walk them chronologically.
+ * @param {Object} [options={}] - Query options.
+ * @param {string} [options.cardToken] - Restrict to a single card.
+ * @param {Array<string>} [options.cardTokens] - Restrict to a set of cards.
+ * @param {string} [options.merchantName] - Case-insensitive partial merchant name match.
+ * @param {string} [options.since] - ISO timestamp lower bound (inclusive).
+ * @param {number} [options.limit=500] - Maximum number of transactions to fetch.
+ * @param {boolean} [options.fromStart=false] - Take the limit from the oldest end of the range
+ *   instead of the newest (used by cursors reading forward from `since`).
+ * @returns {Promise<Array>} Array of normalized transaction rows.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function getTransactionHistory({
+  cardToken = null,
+  cardTokens = null,
+  merchantName = null,
+  since = null,
+  limit = 500,
+  fromStart = false,
+} = {}) {
+  try {
+    logger.debug(
+      {
+        cardToken: cardToken ? `${cardToken.substring(0, 8)}...` : null,
+        merchantName,
+        since,
+        limit,
+      },
+      "Fetching transaction history for pattern analysis.",
+    );
+
+    let query = supabase_client
+      .from("transaction_details")
+      .select("*")
+      .order("created_at", { ascending: fromStart })
+      .limit(limit);
+
+    if (cardToken) {
+      query = query.eq("card_token", cardToken);
+    }
+    if (cardTokens) {
+      query = query.in("card_token", cardTokens);
+    }
+    if (merchantName) {
+      query = query.ilike("merchant_name", `%${merchantName}%`);
+    }
+    if (since) {
+      query = query.gte("created_at", since);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      logger.error("Error fetching transaction history:", error);
+      throw error;
+    }
+
+    if (!data) return [];
+
+    const rows = data.map(toHistoryRow);
+
+    return fromStart ? rows : rows.reverse();
+  } catch (error) {
+    logger.error("Unhandled error fetching transaction history:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get every transaction of a set of cards, oldest first, for per-card metrics such
+ * as time to first use. Cards are queried in chunks and each chunk is paged, so long
+ * card lists and Supabase's per-response row cap do not drop rows silently.
+ * @param {Array<string>} cardTokens - Card tokens.
+ * @param {Object} [options={}] - Query options.
+ * @param {number} [options.maxRows=10000] - Stop reading after this many transactions.
+ * @returns {Promise<{transactions: Array, truncated: boolean}>} History rows (see
+ *   getTransactionHistory), oldest first per chunk of cards, and whether maxRows was hit.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function getCardTransactionHistory(cardTokens, { maxRows = 10000 } = {}) {
+  const CHUNK_SIZE = 200;
+  const PAGE_SIZE = 1000;
+  const transactions = [];
+
+  for (let i = 0; i < cardTokens.length; i += CHUNK_SIZE) {
+    const chunk = cardTokens.slice(i, i + CHUNK_SIZE);
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await supabase_client
+        .from("transaction_details")
+        .select("*")
+        .in("card_token", chunk)
+        .order("created_at", { ascending: true })
+        .order("token", { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) {
+        logger.error({ err: error }, "Error fetching card transaction history.");
+        throw error;
+      }
+
+      const rows = data || [];
+      transactions.push(...rows.map(toHistoryRow));
+
+      if (transactions.length > maxRows) {
+        logger.warn(
+          { cardCount: cardTokens.length, maxRows },
+          "Card transaction history truncated.",
+        );
+        return { transactions: transactions.slice(0, maxRows), truncated: true };
+      }
+      if (rows.length < PAGE_SIZE) break;
+    }
+  }
+
+  return { transactions, truncated: false };
+}
+
+/**
+ * Normalize a transaction_details row for pattern analysis.
+ * @param {Object} t - transaction_details row.
+ * @returns {Object} History row with raw timestamp, numeric amount and merchant fields.
+ */
+function toHistoryRow(t) {
+  return {
+    token: t.token,
+    card_token: t.card_token,
+    created_at: t.created_at,
+    amount_usd: t.cardholder_amount_usd || 0,
+    currency: t.cardholder_currency,
+    result: t.result,
+    is_approved: t.result === "APPROVED",
+    status: t.status ?? null,
+    lifecycle_state: t.lifecycle_state ?? null,
+    merchant: t.merchant_name || "Unknown Merchant",
+    merchant_acceptor_id: t.merchant_acceptor_id ?? null,
+    merchant_mcc: t.merchant_mcc_code || null,
+    city: t.merchant_city || null,
+    state: t.merchant_state || null,
+    country: t.merchant_country || null,
+    location:
+      [t.merchant_city, t.merchant_state, t.merchant_country]
+        .filter(Boolean)
+        .join(", ") || "Unknown Location",
+  };
+}
+
+/**
+ * Get the rows the entity graph is built from: transactions, their merchant links
+ * (with the acceptor ID each transaction reported), the linked merchants (plus rows
+ * merged into them), the acceptor IDs recorded on merchant aliases and the campaigns
+ * the cards were leaked in.
+ * @param {Object} [options={}] - Query options.
+ * @param {string} [options.since] - ISO timestamp lower bound (inclusive).
+ * @param {number} [options.limit=1000] - Maximum number of transactions, newest first.
+ * @returns {Promise<{transactions: Array, links: Array, merchants: Array, aliases: Array, campaignCards: Array}>}
+ *   Raw rows.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function getEntityGraphData({ since = null, limit = 1000 } = {}) {
+  logger.debug({ since, limit }, "Fetching entity graph data.");
+
+  let query = supabase_client
+    .from("transactions")
+    .select("token, card_token, network, network_type, result, created_at")
+    .order("created_at", { ascending: false })
+    .limit(limit);
+
+  if (since) {
+    query = query.gte("created_at", since);
+  }
+
+  const { data: transactions, error } = await query;
+
+  if (error) {
+    logger.error({ err: error }, "Error fetching transactions for entity graph.");
+    throw error;
+  }
+
+  const links = await selectIn(
+    "transaction_merchants",
+    "transaction_token, merchant_id, acceptor_id",
+    "transaction_token",
+    (transactions || []).map((t) => t.token),
+  );
+
+  const linkedIds = [...new Set(links.map((link) => link.merchant_id))];
+  const merchantColumns =
+    "id, acceptor_id, descriptor, city, state, country, mcc, canonical_merchant_id";
+  const [linkedMerchants, mergedMerchants] = await Promise.all([
+    selectIn("merchants", merchantColumns, "id", linkedIds),
+    selectIn("merchants", merchantColumns, "canonical_merchant_id", linkedIds),
+  ]);
+
+  // Links made before a backfill may point at merged rows; load their canonical rows too
+  const loadedIds = new Set(
+    [...linkedMerchants, ...mergedMerchants].map((merchant) => String(merchant.id)),
+  );
+  const missingCanonicalIds = [
+    ...new Set(
+      linkedMerchants
+        .map((merchant) => merchant.canonical_merchant_id)
+        .filter((id) => id != null && !loadedIds.has(String(id))),
+    ),
+  ];
+  const canonicalMerchants = await selectIn(
+    "merchants",
+    merchantColumns,
+    "id",
+    missingCanonicalIds,
+  );
+
+  const merchants = new Map(
+    [...linkedMerchants, ...mergedMerchants, ...canonicalMerchants].map((merchant) => [
+      String(merchant.id),
+      merchant,
+    ]),
+  );
+
+  // Acceptor IDs seen on descriptors resolved by alias or fuzzy match
+  const aliases = (
+    await selectIn("merchant_aliases", "merchant_id, acceptor_id", "merchant_id", [
+      ...merchants.keys(),
+    ])
+  ).filter((alias) => alias.acceptor_id);
+
+  // Campaigns the cards were leaked in
+  const campaignCards = await selectIn(
+    "campaign_cards",
+    "card_token, campaign_id",
+    "card_token",
+    [...new Set((transactions || []).map((t) => t.card_token).filter(Boolean))],
+  );
+  const campaigns = await selectIn(
+    "campaigns",
+    "id, name",
+    "id",
+    [...new Set(campaignCards.map((card) => card.campaign_id))],
+  );
+  const campaignNames = new Map(campaigns.map((campaign) => [campaign.id, campaign.name]));
+
+  return {
+    transactions: transactions || [],
+    links,
+    merchants: [...merchants.values()],
+    aliases,
+    campaignCards: campaignCards.map((card) => ({
+      ...card,
+      campaign_name: campaignNames.get(card.campaign_id) || null,
+    })),
+  };
+}
+
+/**
+ * Select rows whose column is in a list of values, in chunks to keep URLs short.
+ * @param {string} table - Table name.
+ * @param {string} columns - Columns to select.
+ * @param {string} column - Column to filter on.
+ * @param {Array} values - Values to match.
+ * @returns {Promise<Array>} Matching rows.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+async function selectIn(table, columns, column, values) {
+  const CHUNK_SIZE = 200;
+  const rows = [];
+
+  for (let i = 0; i < values.length; i += CHUNK_SIZE) {
+    const { data, error } = await supabase_client
+      .from(table)
+      .select(columns)
+      .in(column, values.slice(i, i + CHUNK_SIZE));
+
+    if (error) {
+      logger.error({ err: error, table, column }, "Error fetching rows for entity graph.");
+      throw error;
+    }
+    rows.push(...(data || []));
+  }
+
+  return rows;
+}
+
 /**
  * Classify query type based on keywords (moved from controller)
  * @param {string} query - Natural language query
@@ -0,0 +1,156 @@
+/**
+ * Resource Service - Tracks MCP resource subscriptions and pushes update notifications
+ *
+ * This service handles:
+ * - Registry of MCP sessions and the resource URIs each has subscribed to
+ * - Mapping service events onto the resources they change
+ * - notifications/resources/updated delivery to subscribed sessions
+ *
+ * Change sources:
+ * - alertService 'alert:broadcast': a transaction was saved, so its transaction and card resources changed
+ * - pollingService queue events: a subscription's queue or status changed
+ * - card tools: card state or limits changed (via notifyResourceUpdated)
+ */
+
+import EventEmitter from 'events';
+import logger from '../utils/logger.js';
+import alertService from './alert-service.js';
+import pollingService from './polling-service.js';
+import { cardUri, transactionUri, subscriptionUri } from '../utils/resource-uris.js';
+
+class ResourceService extends EventEmitter {
+  constructor() {
+    super();
+
+    // MCP sessions: Map<mcpSessionId, { notify: (uri) => Promise, uris: Set<uri> }>
+    this.sessions = new Map();
+
+    // Performance metrics
+    this.metrics = {
+      totalSubscriptions: 0,
+      updatesSent: 0,
+      updatesFailed: 0
+    };
+
+    alertService.on('alert:broadcast', ({ cardToken, alert }) => {
+      if (alert.transactionId) {
+        this.notifyResourceUpdated(transactionUri(alert.transactionId));
+      }
+      if (cardToken) {
+        this.notifyResourceUpdated(cardUri(cardToken));
+      }
+    });
+
+    for (const event of ['alert:queued', 'alerts:acked', 'subscription:polled', 'subscription:expired', 'subscription:removed']) {
+      pollingService.on(event, ({ subscriptionId }) => {
+        this.notifyResourceUpdated(subscriptionUri(subscriptionId));
+      });
+    }
+  }
+
+  /**
+   * Register an MCP session that can subscribe to resources
+   * @param {string} mcpSessionId - MCP session identifier
+   * @param {Function} notify - Sends a resource-updated notification: (uri) => Promise
+   */
+  registerSession(mcpSessionId, notify) {
+    this.sessions.set(mcpSessionId, { notify, uris: new Set() });
+    logger.debug({ mcpSessionId, sessions: this.sessions.size }, 'MCP session registered for resource updates');
+  }
+
+  /**
+   * Remove a closed MCP session and all of its resource subscriptions
+   * @param {string} mcpSessionId - MCP session identifier
+   * @returns {boolean} Whether the session was registered
+   */
+  removeSession(mcpSessionId) {
+    const removed = this.sessions.delete(mcpSessionId);
+    if (removed) {
+      logger.debug({ mcpSessionId, sessions: this.sessions.size }, 'MCP session removed from resource updates');
+    }
+    return removed;
+  }
+
+  /**
+   * Subscribe a session to updates for a resource
+   * @param {string} mcpSessionId - MCP session identifier
+   * @param {string} uri - Resource URI
+   */
+  subscribe(mcpSessionId, uri) {
+    const session = this.sessions.get(mcpSessionId);
+    if (!session) {
+      throw new Error(`MCP session ${mcpSessionId} is not registered for resource updates`);
+    }
+
+    if (!session.uris.has(uri)) {
+      session.uris.add(uri);
+      this.metrics.totalSubscriptions++;
+    }
+
+    logger.info({ mcpSessionId, uri, subscribedResources: session.uris.size }, 'Resource subscription added');
+  }
+
+  /**
+   * Unsubscribe a session from updates for a resource
+   * @param {string} mcpSessionId - MCP session identifier
+   * @param {string} uri - Resource URI
+   * @returns {boolean} Whether the session was subscribed
+   */
+  unsubscribe(mcpSessionId, uri) {
+    const removed = this.sessions.get(mcpSessionId)?.uris.delete(uri) || false;
+    if (removed) {
+      logger.info({ mcpSessionId, uri }, 'Resource subscription removed');
+    }
+    return removed;
+  }
+
+  /**
+   * Notify every session subscribed to a resource that it changed
+   * @param {string} uri - Resource URI
+   * @returns {Promise<number>} Number of sessions notified
+   */
+  async notifyResourceUpdated(uri) {
+    let notified = 0;
+
+    for (const [mcpSessionId, session] of this.sessions) {
+      if (!session.uris.has(uri)) {
+        continue;
+      }
+
+      try {
+        await session.notify(uri);
+        this.metrics.updatesSent++;
+        notified++;
+      } catch (error) {
+        this.metrics.updatesFailed++;
+        logger.warn({
+          error: error.message,
+          mcpSessionId,
+          uri
+        }, 'Failed to send resource update notification');
+      }
+    }
+
+    if (notified > 0) {
+      this.emit('resource:updated', { uri, notified });
+    }
+    return notified;
+  }
+
+  /**
+   * Get service metrics
+   * @returns {Object} Current metrics
+   */
+  getMetrics() {
+    return {
+      ...this.metrics,
+      sessions: this.sessions.size,
+      activeSubscriptions: Array.from(this.sessions.values())
+        .reduce((sum, session) => sum + session.uris.size, 0)
+    };
+  }
+}
+
+// Export singleton instance
+const resourceService = new ResourceService();
+export default resourceService;
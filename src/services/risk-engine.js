@@ -0,0 +1,527 @@
+/**
+ * Risk Engine - Configurable, explainable transaction risk scoring
+ *
+ * Every risk score in the server (tool results and routed alerts) comes from this
+ * engine. Scores run from 0 to 1: a base score for the kind of event plus the weight
+ * of every matching rule. Rules are loaded from a JSON file (config.risk.rulesPath):
+ *
+ *   { "baseScores": { "transaction": 0.5, "NEW_TRANSACTION": 0.5, "default": 0.3 },
+ *     "thresholds": { "fraud": 0.8, "highRisk": 0.6, "elevated": 0.4 },
+ *     "velocityWindowMinutes": 60,
+ *     "findingWeights": { "high": 0.6, "medium": 0.4, "low": 0.1 },
+ *     "rules": [{ "id": "card_testing_amount", "type": "amount", "below": 5,
+ *                 "weight": 0.2, "category": "unusual_pattern" }, ...] }
+ *
+ * Rule types: amount (below / atLeast USD), mcc_risk (riskLevel from the suspicious
+ * MCC ranges in mcc-service), geography (homeCountries), velocity (minTransactions
+ * within velocityWindowMinutes), declined, repeated_declines (minDeclines within the
+ * window), new_merchant, time_of_day (startHour-endHour in timeZone) and reversal.
+ *
+ * Each score carries an explanation entry per rule, including rules that did not
+ * match or could not be evaluated because the input lacked the data.
+ *
+ * Findings of the pattern-analysis tools are scored the same way: the
+ * pattern_analysis base score plus the findingWeights entry of each finding's severity.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Rule evaluators by type
+ * Each returns { evaluated, matched, reason } for a rule and normalized facts.
+ */
+const RULE_EVALUATORS = {
+  amount: (rule, facts) => {
+    if (facts.amount === null) {
+      return notEvaluated('Amount unavailable');
+    }
+    const amount = formatUsd(facts.amount);
+    if (rule.below !== undefined && facts.amount < rule.below) {
+      return matched(`Small ${amount} charge typical of card testing (below ${formatUsd(rule.below)})`);
+    }
+    if (rule.atLeast !== undefined && facts.amount >= rule.atLeast) {
+      return matched(`Large ${amount} charge (at least ${formatUsd(rule.atLeast)})`);
+    }
+    return notMatched(`Amount ${amount} is within the rule's range`);
+  },
+
+  mcc_risk: (rule, facts) => {
+    if (!facts.mccCode) {
+      return notEvaluated('Merchant category unavailable');
+    }
+    if (facts.mccRiskLevel === rule.riskLevel) {
+      const label = rule.riskLevel === 'HIGH' ? 'High-risk' : 'Elevated-risk';
+      return matched(`${label} merchant category (MCC ${facts.mccCode})`);
+    }
+    return notMatched(`MCC ${facts.mccCode} risk level is ${facts.mccRiskLevel || 'not suspicious'}`);
+  },
+
+  geography: (rule, facts) => {
+    // An unknown country is not evidence of a foreign transaction
+    if (!facts.country) {
+      return notEvaluated('Merchant country unknown');
+    }
+    if (!rule.homeCountries.includes(facts.country)) {
+      return matched(`Transaction outside the home country (${facts.country})`);
+    }
+    return notMatched(`Merchant country ${facts.country} is a home country`);
+  },
+
+  velocity: (rule, facts, { velocityWindowMinutes }) => {
+    if (facts.recentTransactionCount === null) {
+      return notEvaluated('Recent card activity unavailable');
+    }
+    const count = facts.recentTransactionCount + 1;
+    const summary = `${count} transaction(s) on this card within ${velocityWindowMinutes} minutes`;
+    return count >= rule.minTransactions
+      ? matched(summary)
+      : notMatched(`${summary} (threshold ${rule.minTransactions})`);
+  },
+
+  declined: (rule, facts) => {
+    if (!facts.status) {
+      return notEvaluated('Transaction result unavailable');
+    }
+    return isDeclined(facts.status)
+      ? matched(`Transaction declined (${facts.status})`)
+      : notMatched(`Transaction ${facts.status}`);
+  },
+
+  repeated_declines: (rule, facts, { velocityWindowMinutes }) => {
+    if (facts.recentDeclineCount === null) {
+      return notEvaluated('Recent card activity unavailable');
+    }
+    const count = facts.recentDeclineCount + (isDeclined(facts.status) ? 1 : 0);
+    const summary = `${count} decline(s) on this card within ${velocityWindowMinutes} minutes`;
+    return count >= rule.minDeclines
+      ? matched(summary)
+      : notMatched(`${summary} (threshold ${rule.minDeclines})`);
+  },
+
+  new_merchant: (rule, facts) => {
+    if (facts.newMerchant === null) {
+      return notEvaluated('Merchant history unavailable');
+    }
+    return facts.newMerchant
+      ? matched('First transaction with this merchant')
+      : notMatched('Card has transacted with this merchant before');
+  },
+
+  time_of_day: (rule, facts) => {
+    if (!facts.timestamp) {
+      return notEvaluated('Transaction time unavailable');
+    }
+    const hour = localHour(facts.timestamp, rule.timeZone);
+    if (hour === null) {
+      return notEvaluated('Transaction time unavailable');
+    }
+    const window = `${rule.startHour}:00-${rule.endHour}:00 ${rule.timeZone}`;
+    return hour >= rule.startHour && hour < rule.endHour
+      ? matched(`Transaction at ${hour}:00 ${rule.timeZone}, within off-hours ${window}`)
+      : notMatched(`Transaction at ${hour}:00 ${rule.timeZone}, outside ${window}`);
+  },
+
+  reversal: (rule, facts) => {
+    const reversal = facts.transitions.find(t => t.to === 'VOIDED' || t.to === 'RETURNED');
+    return reversal
+      ? matched(facts.lifecycleSummary || 'Transaction was reversed')
+      : notMatched('No void or return');
+  }
+};
+
+/**
+ * Required numeric parameters per rule type
+ */
+const RULE_PARAMETERS = {
+  velocity: ['minTransactions'],
+  repeated_declines: ['minDeclines'],
+  time_of_day: ['startHour', 'endHour']
+};
+
+class RiskEngine {
+  /**
+   * @param {string} rulesPath - Path of the JSON rules file
+   */
+  constructor(rulesPath) {
+    this.rulesPath = path.resolve(rulesPath);
+
+    // Loaded rules configuration, or null until first use
+    this.rules = null;
+  }
+
+  /**
+   * Read and validate the rules file
+   *
+   * Scoring runs synchronously inside alert routing, so the file is read
+   * synchronously; it is loaded once, on first use, and again on reload().
+   * @returns {Object} Rules configuration
+   * @throws {Error} If the file is missing or invalid
+   */
+  reload() {
+    let contents;
+    try {
+      contents = JSON.parse(fs.readFileSync(this.rulesPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read risk rules file ${this.rulesPath}: ${error.message}`);
+    }
+
+    this.rules = validateRules(contents, this.rulesPath);
+    logger.info({ rulesPath: this.rulesPath, rules: this.rules.rules.length }, 'Risk rules loaded');
+    return this.rules;
+  }
+
+  /**
+   * Get the rules configuration, loading it on first use
+   * @returns {Object} Rules configuration
+   */
+  getRules() {
+    return this.rules || this.reload();
+  }
+
+  /**
+   * Score thresholds: fraud, highRisk and elevated
+   * @returns {{fraud: number, highRisk: number, elevated: number}} Minimum score for each level
+   */
+  getThresholds() {
+    return this.getRules().thresholds;
+  }
+
+  /**
+   * Minutes of card history the velocity rules look at
+   * @returns {number} Window length in minutes
+   */
+  getVelocityWindowMinutes() {
+    return this.getRules().velocityWindowMinutes;
+  }
+
+  /**
+   * Card-testing amount limit of the amount rules
+   * @returns {number|null} Smallest `below` (USD) of the amount rules, or null if none sets one
+   */
+  getCardTestingAmount() {
+    const limits = this.getRules().rules
+      .filter(rule => rule.type === 'amount' && rule.below !== undefined)
+      .map(rule => rule.below);
+    return limits.length > 0 ? Math.min(...limits) : null;
+  }
+
+  /**
+   * Off-hours window of the time_of_day rule
+   * @returns {{startHour: number, endHour: number, timeZone: string}|null} Window, or null if no rule sets one
+   */
+  getOffHours() {
+    const rule = this.getRules().rules.find(entry => entry.type === 'time_of_day');
+    return rule ? { startHour: rule.startHour, endHour: rule.endHour, timeZone: rule.timeZone } : null;
+  }
+
+  /**
+   * Hour of day of a timestamp, as the time_of_day rules read it
+   * @param {string} timestamp - ISO 8601 timestamp
+   * @param {string} timeZone - IANA time zone
+   * @returns {number|null} Hour (0-23), or null if the timestamp is invalid
+   */
+  hourOf(timestamp, timeZone) {
+    return localHour(timestamp, timeZone);
+  }
+
+  /**
+   * Map a score onto a risk level
+   * @param {number} score - Score from 0 to 1
+   * @returns {string} 'critical', 'high', 'medium' or 'low'
+   */
+  levelFor(score) {
+    const { fraud, highRisk, elevated } = this.getThresholds();
+    if (score >= fraud) return 'critical';
+    if (score >= highRisk) return 'high';
+    if (score >= elevated) return 'medium';
+    return 'low';
+  }
+
+  /**
+   * Score a formatted transaction alert (as built by saveTransaction)
+   * @param {Object} alert - Formatted transaction alert
+   * @returns {Object} Risk assessment (see evaluate)
+   */
+  scoreAlert(alert) {
+    return this.evaluate(factsFromAlert(alert), alert.alertType);
+  }
+
+  /**
+   * Score a stored transaction (a transaction_details row)
+   * @param {Object} transaction - Transaction row
+   * @param {Object} [context] - Data not on the row
+   * @param {string} [context.mccRiskLevel] - Risk level of the merchant's MCC
+   * @param {number} [context.recentTransactionCount] - Other card transactions in the velocity window
+   * @param {number} [context.recentDeclineCount] - Other card declines in the velocity window
+   * @param {boolean} [context.newMerchant] - Whether this is the card's first transaction with the merchant
+   * @param {Object} [context.lifecycle] - Lifecycle with transitions
+   * @returns {Object} Risk assessment (see evaluate)
+   */
+  scoreTransaction(transaction, context = {}) {
+    return this.evaluate(factsFromTransaction(transaction, context), 'transaction');
+  }
+
+  /**
+   * Score the findings of a pattern-analysis tool
+   * @param {Array<Object>} findings - Findings ({ type, severity: 'high'|'medium'|'low', description })
+   * @returns {{score: number, level: string, baseScore: number, factors: Array<Object>}}
+   *   Score, level and a factor per finding
+   */
+  scoreFindings(findings) {
+    const rules = this.getRules();
+    const baseScore = rules.baseScores.pattern_analysis ?? rules.baseScores.default;
+
+    const factors = findings.map(finding => ({
+      factor: finding.type,
+      weight: rules.findingWeights[finding.severity] ?? 0,
+      category: 'pattern_analysis',
+      description: finding.description
+    }));
+
+    const total = factors.reduce((sum, factor) => sum + factor.weight, baseScore);
+    const score = Math.round(Math.min(1, total) * 100) / 100;
+
+    return {
+      score,
+      level: this.levelFor(score),
+      baseScore,
+      factors
+    };
+  }
+
+  /**
+   * Run every rule against normalized facts
+   * @param {Object} facts - Normalized transaction facts
+   * @param {string} [baseKey] - Key of the base score (alert type or 'transaction')
+   * @returns {{score: number, level: string, baseScore: number, factors: Array<Object>, explanation: Array<Object>}}
+   *   Score, level, matched factors ({ factor, weight, category, description }) and an
+   *   explanation entry for every rule
+   */
+  evaluate(facts, baseKey) {
+    const rules = this.getRules();
+    const baseScore = rules.baseScores[baseKey] ?? rules.baseScores.default;
+
+    const explanation = rules.rules.map(rule => {
+      const outcome = RULE_EVALUATORS[rule.type](rule, facts, rules);
+      return {
+        rule: rule.id,
+        type: rule.type,
+        category: rule.category,
+        weight: rule.weight,
+        evaluated: outcome.evaluated,
+        matched: outcome.matched,
+        contribution: outcome.matched ? rule.weight : 0,
+        reason: outcome.reason
+      };
+    });
+
+    const factors = explanation
+      .filter(entry => entry.matched)
+      .map(entry => ({
+        factor: entry.rule,
+        weight: entry.weight,
+        category: entry.category,
+        description: entry.reason
+      }));
+
+    const total = factors.reduce((sum, factor) => sum + factor.weight, baseScore);
+    const score = Math.round(Math.min(1, total) * 100) / 100;
+
+    return {
+      score,
+      level: this.levelFor(score),
+      baseScore,
+      factors,
+      explanation
+    };
+  }
+}
+
+/**
+ * Check a parsed rules file and fill in defaults
+ * @param {Object} contents - Parsed JSON
+ * @param {string} rulesPath - File path, for error messages
+ * @returns {Object} Validated rules configuration
+ * @throws {Error} If a rule is malformed or of an unknown type
+ */
+function validateRules(contents, rulesPath) {
+  if (!Array.isArray(contents?.rules)) {
+    throw new Error(`Risk rules file ${rulesPath} must contain a rules array`);
+  }
+
+  const ids = new Set();
+  for (const rule of contents.rules) {
+    if (!rule.id || ids.has(rule.id)) {
+      throw new Error(`Risk rules file ${rulesPath}: every rule needs a unique id`);
+    }
+    ids.add(rule.id);
+
+    if (!RULE_EVALUATORS[rule.type]) {
+      throw new Error(`Risk rule ${rule.id} has unsupported type "${rule.type}"`);
+    }
+    if (typeof rule.weight !== 'number') {
+      throw new Error(`Risk rule ${rule.id} must have a numeric weight`);
+    }
+    for (const parameter of RULE_PARAMETERS[rule.type] || []) {
+      if (typeof rule[parameter] !== 'number') {
+        throw new Error(`Risk rule ${rule.id} must have a numeric ${parameter}`);
+      }
+    }
+    if (rule.type === 'amount' && rule.below === undefined && rule.atLeast === undefined) {
+      throw new Error(`Risk rule ${rule.id} must set below or atLeast`);
+    }
+    if (rule.timeZone !== undefined && !isValidTimeZone(rule.timeZone)) {
+      throw new Error(`Risk rule ${rule.id} has invalid timeZone "${rule.timeZone}"`);
+    }
+  }
+
+  const findingWeights = { high: 0.6, medium: 0.4, low: 0.1, ...contents.findingWeights };
+  for (const [severity, weight] of Object.entries(findingWeights)) {
+    if (typeof weight !== 'number') {
+      throw new Error(`Risk rules file ${rulesPath}: finding weight "${severity}" must be a number`);
+    }
+  }
+
+  return {
+    baseScores: { default: 0.3, ...contents.baseScores },
+    thresholds: { fraud: 0.8, highRisk: 0.6, elevated: 0.4, ...contents.thresholds },
+    velocityWindowMinutes: contents.velocityWindowMinutes ?? 60,
+    findingWeights,
+    rules: contents.rules.map(rule => ({
+      ...rule,
+      homeCountries: (rule.homeCountries || ['USA', 'US']).map(country => country.toUpperCase()),
+      timeZone: rule.timeZone || 'UTC'
+    }))
+  };
+}
+
+/**
+ * Check that a time zone is a name Intl accepts, so a typo fails at load
+ * instead of with a RangeError while scoring
+ * @param {*} timeZone - Configured time zone
+ * @returns {boolean} True if the zone is a valid IANA name
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Normalize a formatted alert into rule facts
+ * @param {Object} alert - Formatted transaction alert
+ * @returns {Object} Facts
+ */
+function factsFromAlert(alert) {
+  const recentActivity = alert.intelligence?.recentActivity;
+
+  return {
+    amount: parseUsd(alert.immediate?.amount),
+    status: alert.immediate?.status || null,
+    timestamp: alert.immediate?.created || null,
+    mccCode: alert.verification?.mccCode || null,
+    mccRiskLevel: alert.verification?.mccRiskLevel || null,
+    country: normalizeCountry(alert.verification?.merchantCountry),
+    newMerchant: typeof alert.intelligence?.newMerchant === 'boolean' ? alert.intelligence.newMerchant : null,
+    recentTransactionCount: recentActivity?.transactionCount ?? null,
+    recentDeclineCount: recentActivity?.declineCount ?? null,
+    transitions: alert.lifecycle?.transitions || [],
+    lifecycleSummary: alert.lifecycle?.summary || null
+  };
+}
+
+/**
+ * Normalize a transaction_details row into rule facts
+ * @param {Object} transaction - Transaction row
+ * @param {Object} context - See RiskEngine.scoreTransaction
+ * @returns {Object} Facts
+ */
+function factsFromTransaction(transaction, context) {
+  const amount = transaction.cardholder_amount_usd;
+
+  return {
+    amount: typeof amount === 'number' && !isNaN(amount) ? amount : null,
+    status: transaction.result || null,
+    timestamp: transaction.created_at || null,
+    mccCode: transaction.merchant_mcc_code || null,
+    mccRiskLevel: context.mccRiskLevel || null,
+    country: normalizeCountry(transaction.merchant_country),
+    newMerchant: typeof context.newMerchant === 'boolean' ? context.newMerchant : null,
+    recentTransactionCount: context.recentTransactionCount ?? null,
+    recentDeclineCount: context.recentDeclineCount ?? null,
+    transitions: context.lifecycle?.transitions || [],
+    lifecycleSummary: null
+  };
+}
+
+function matched(reason) {
+  return { evaluated: true, matched: true, reason };
+}
+
+function notMatched(reason) {
+  return { evaluated: true, matched: false, reason };
+}
+
+function notEvaluated(reason) {
+  return { evaluated: false, matched: false, reason };
+}
+
+/**
+ * Parse a dollar amount ("$12.34")
+ * @param {string} amount - Formatted amount
+ * @returns {number|null} Amount in USD, or null if unavailable
+ */
+function parseUsd(amount) {
+  if (typeof amount !== 'string') return null;
+
+  const value = parseFloat(amount.replace(/[$,]/g, ''));
+  return isNaN(value) ? null : value;
+}
+
+function formatUsd(amount) {
+  return `$${amount.toFixed(2)}`;
+}
+
+/**
+ * @param {string} country - Merchant country
+ * @returns {string|null} Uppercased country code, or null if unknown
+ */
+function normalizeCountry(country) {
+  return typeof country === 'string' && country.trim() ? country.trim().toUpperCase() : null;
+}
+
+/**
+ * Whether a transaction result represents a decline
+ * @param {string} status - Transaction result
+ * @returns {boolean} True for any result other than approved/pending
+ */
+function isDeclined(status) {
+  return Boolean(status) && status !== 'APPROVED' && status !== 'PENDING';
+}
+
+/**
+ * Hour of day (0-23) of a timestamp in a time zone
+ * @param {string} timestamp - ISO 8601 timestamp
+ * @param {string} timeZone - IANA time zone
+ * @returns {number|null} Hour, or null if the timestamp is invalid
+ */
+function localHour(timestamp, timeZone) {
+  const date = new Date(timestamp);
+  if (isNaN(date.getTime())) return null;
+
+  const hour = new Intl.DateTimeFormat('en-US', { hour: 'numeric', hourCycle: 'h23', timeZone }).format(date);
+  return parseInt(hour, 10);
+}
+
+// Export singleton instance
+const riskEngine = new RiskEngine(config.risk.rulesPath);
+export default riskEngine;
@@ -0,0 +1,332 @@
+/**
+ * Session Manager - Lifecycle and introspection for MCP sessions
+ *
+ * This service handles:
+ * - Registry of open MCP sessions: transport, owning client, creation time and activity
+ * - Per-session tool-call counts and the alert subscriptions each session created
+ * - Closing sessions left idle (no request in progress and none for the idle timeout;
+ *   an open GET stream counts as a request in progress)
+ * - Admin termination of sessions (list_sessions / terminate_session, /admin/sessions)
+ *
+ * Expired and terminated sessions also lose their alert subscriptions, since nobody is
+ * left to poll them. A session the client closes itself (DELETE /mcp) keeps them, so a
+ * client can reconnect and keep polling until they expire.
+ *
+ * Events: 'session:created', 'session:closed' ({ sessionId, session, reason })
+ */
+
+import EventEmitter from 'events';
+import { config } from '../config/index.js';
+import pollingService from './polling-service.js';
+import logger from '../utils/logger.js';
+
+class SessionManager extends EventEmitter {
+  /**
+   * @param {Object} [options] - Manager options
+   * @param {number} [options.idleTimeoutMs] - Idle time before a session is closed
+   */
+  constructor({ idleTimeoutMs = config.http.sessionIdleTimeoutMs } = {}) {
+    super();
+
+    this.idleTimeoutMs = idleTimeoutMs;
+
+    // Open sessions: Map<sessionId, session>
+    this.sessions = new Map();
+
+    // Reason recorded by terminate() for sessions it is closing
+    this.closeReasons = new Map();
+
+    this.sweepInterval = null;
+
+    this.metrics = {
+      sessionsCreated: 0,
+      sessionsClosed: 0,
+      sessionsExpired: 0,
+      sessionsTerminated: 0,
+      subscriptionsRemoved: 0,
+      toolCalls: 0
+    };
+  }
+
+  /**
+   * Register a newly connected session
+   * @param {string} sessionId - MCP session identifier
+   * @param {Object} options - Session details
+   * @param {string} options.clientId - API key ID of the client ('local' for stdio)
+   * @param {string} [options.transportType='http'] - 'http' or 'stdio'; only HTTP sessions expire
+   * @param {Object} [options.transport] - Transport that handles the session's requests
+   * @param {Function} [options.close] - Closes the session; must lead to remove(sessionId)
+   * @returns {Object} Session summary
+   */
+  register(sessionId, { clientId, transportType = 'http', transport = null, close = null }) {
+    const now = Date.now();
+    const session = {
+      sessionId,
+      clientId,
+      transportType,
+      transport,
+      close,
+      createdAt: now,
+      lastActivity: now,
+      openRequests: 0,
+      toolCalls: { total: 0, byTool: {} }
+    };
+
+    this.sessions.set(sessionId, session);
+    this.metrics.sessionsCreated++;
+
+    logger.info({ mcpSessionId: sessionId, clientId, transportType, activeSessions: this.sessions.size }, 'MCP session registered');
+    this.emit('session:created', { sessionId, session: this.summarize(session) });
+    return this.summarize(session);
+  }
+
+  /**
+   * Forget a closed session (called when its server closes)
+   * @param {string} sessionId - MCP session identifier
+   * @returns {boolean} Whether the session was registered
+   */
+  remove(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return false;
+    }
+
+    const reason = this.closeReasons.get(sessionId) || 'closed';
+    this.closeReasons.delete(sessionId);
+    this.sessions.delete(sessionId);
+    this.metrics.sessionsClosed++;
+
+    logger.info({
+      mcpSessionId: sessionId,
+      clientId: session.clientId,
+      reason,
+      lifetimeMs: Date.now() - session.createdAt,
+      toolCalls: session.toolCalls.total
+    }, 'MCP session closed');
+    this.emit('session:closed', { sessionId, session: this.summarize(session), reason });
+    return true;
+  }
+
+  /**
+   * Get the transport handling a session
+   * @param {string} sessionId - MCP session identifier
+   * @returns {Object|undefined} Transport, if the session is open
+   */
+  getTransport(sessionId) {
+    return this.sessions.get(sessionId)?.transport || undefined;
+  }
+
+  /**
+   * Get the client that owns a session
+   * @param {string} sessionId - MCP session identifier
+   * @returns {string|undefined} API key ID, if the session is open
+   */
+  getClientId(sessionId) {
+    return this.sessions.get(sessionId)?.clientId;
+  }
+
+  /**
+   * Count open sessions, optionally for one client
+   * @param {string} [clientId] - Only count this client's sessions
+   * @returns {number} Open sessions
+   */
+  count(clientId) {
+    if (!clientId) {
+      return this.sessions.size;
+    }
+    let count = 0;
+    for (const session of this.sessions.values()) {
+      if (session.clientId === clientId) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Record a request to a session; it stays active until the response closes
+   * @param {string} sessionId - MCP session identifier
+   * @param {Object} res - HTTP response for the request
+   */
+  touch(sessionId, res) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+
+    session.lastActivity = Date.now();
+    session.openRequests++;
+    res.on('close', () => {
+      session.openRequests--;
+      session.lastActivity = Date.now();
+    });
+  }
+
+  /**
+   * Count a tool call made in a session
+   * @param {string} sessionId - MCP session identifier
+   * @param {string} toolName - Tool called
+   */
+  recordToolCall(sessionId, toolName) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+
+    session.toolCalls.total++;
+    session.toolCalls.byTool[toolName] = (session.toolCalls.byTool[toolName] || 0) + 1;
+    session.lastActivity = Date.now();
+    this.metrics.toolCalls++;
+  }
+
+  /**
+   * Get the alert subscriptions created in a session
+   * @param {string} sessionId - MCP session identifier
+   * @returns {Array<string>} Subscription IDs
+   */
+  getSubscriptionIds(sessionId) {
+    const subscriptionIds = [];
+    for (const [subscriptionId, subscription] of pollingService.subscriptions) {
+      if (subscription.mcpSessionId === sessionId) {
+        subscriptionIds.push(subscriptionId);
+      }
+    }
+    return subscriptionIds;
+  }
+
+  /**
+   * Close a session and remove its alert subscriptions
+   * @param {string} sessionId - MCP session identifier
+   * @param {Object} [options] - Termination options
+   * @param {string} [options.reason='terminated'] - Recorded reason ('terminated' or 'idle')
+   * @param {boolean} [options.removeSubscriptions=true] - Also remove the session's alert subscriptions
+   * @returns {Promise<Object|null>} Summary of the closed session, or null if it was not open
+   */
+  async terminate(sessionId, { reason = 'terminated', removeSubscriptions = true } = {}) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    const summary = this.summarize(session);
+    const removedSubscriptions = removeSubscriptions
+      ? summary.subscriptionIds.filter(subscriptionId => pollingService.removeSubscription(subscriptionId, `session_${reason}`))
+      : [];
+    this.metrics.subscriptionsRemoved += removedSubscriptions.length;
+    this.metrics[reason === 'idle' ? 'sessionsExpired' : 'sessionsTerminated']++;
+
+    this.closeReasons.set(sessionId, reason);
+    try {
+      if (session.close) {
+        await session.close();
+      }
+    } finally {
+      // Sessions without a close function (or whose close failed) are dropped here
+      this.remove(sessionId);
+    }
+
+    return { ...summary, removedSubscriptions };
+  }
+
+  /**
+   * Close HTTP sessions idle for longer than the idle timeout
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {Promise<Array<string>>} Closed session IDs
+   */
+  async expireIdleSessions(now = Date.now()) {
+    const idle = [];
+    for (const session of this.sessions.values()) {
+      if (session.transportType === 'http' && session.openRequests <= 0 && now - session.lastActivity >= this.idleTimeoutMs) {
+        idle.push(session.sessionId);
+      }
+    }
+
+    for (const sessionId of idle) {
+      logger.info({ mcpSessionId: sessionId, idleTimeoutMs: this.idleTimeoutMs }, 'Closing idle MCP session');
+      try {
+        await this.terminate(sessionId, { reason: 'idle' });
+      } catch (error) {
+        logger.error({ mcpSessionId: sessionId, error: error.message }, 'Failed to close idle MCP session');
+      }
+    }
+    return idle;
+  }
+
+  /**
+   * Start closing idle sessions periodically
+   */
+  start() {
+    if (!this.sweepInterval) {
+      this.sweepInterval = setInterval(() => this.expireIdleSessions(), Math.min(this.idleTimeoutMs, 60000));
+      this.sweepInterval.unref();
+    }
+  }
+
+  /**
+   * Stop the idle sweep
+   */
+  stop() {
+    clearInterval(this.sweepInterval);
+    this.sweepInterval = null;
+  }
+
+  /**
+   * List open sessions, oldest first
+   * @param {Object} [filters] - List filters
+   * @param {string} [filters.clientId] - Only this client's sessions
+   * @returns {Array<Object>} Session summaries
+   */
+  list({ clientId } = {}) {
+    return Array.from(this.sessions.values())
+      .filter(session => !clientId || session.clientId === clientId)
+      .map(session => this.summarize(session));
+  }
+
+  /**
+   * Get one open session
+   * @param {string} sessionId - MCP session identifier
+   * @returns {Object|null} Session summary
+   */
+  get(sessionId) {
+    const session = this.sessions.get(sessionId);
+    return session ? this.summarize(session) : null;
+  }
+
+  /**
+   * Describe a session without its transport
+   * @param {Object} session - Internal session record
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {Object} Session summary
+   */
+  summarize(session, now = Date.now()) {
+    const expires = session.transportType === 'http';
+    return {
+      sessionId: session.sessionId,
+      clientId: session.clientId,
+      transportType: session.transportType,
+      createdAt: new Date(session.createdAt).toISOString(),
+      lastActivity: new Date(session.lastActivity).toISOString(),
+      idleSeconds: session.openRequests > 0 ? 0 : Math.floor((now - session.lastActivity) / 1000),
+      openRequests: session.openRequests,
+      expiresAt: expires && session.openRequests <= 0
+        ? new Date(session.lastActivity + this.idleTimeoutMs).toISOString()
+        : null,
+      toolCalls: { total: session.toolCalls.total, byTool: { ...session.toolCalls.byTool } },
+      subscriptionIds: this.getSubscriptionIds(session.sessionId)
+    };
+  }
+
+  /**
+   * Get service metrics
+   * @returns {Object} Current metrics
+   */
+  getMetrics() {
+    return {
+      ...this.metrics,
+      activeSessions: this.sessions.size,
+      idleTimeoutMs: this.idleTimeoutMs
+    };
+  }
+}
+
+// Export singleton instance
+const sessionManager = new SessionManager();
+export default sessionManager;
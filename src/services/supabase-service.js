@@ -1,66 +1,98 @@
+/**
+ * Supabase Service - Transaction storage and lookups
+ *
+ * Stores Lithic transactions with their canonical merchant and every lifecycle event,
+ * broadcasts alerts for new transactions and lifecycle changes, and serves the reads
+ * the ingestion jobs need.
+ *
+ * Tables:
+ * - `transactions` gains `lifecycle_state` (text, one of LIFECYCLE_STATES), derived
+ *   from the transaction's events on every save.
+ * - `transaction_events`: `token` (text, primary key), `transaction_token` (text,
+ *   references transactions.token), `card_token` (text), `event_type` (text),
+ *   `result` (text), `amount` (integer, cents), `currency` (text),
+ *   `detailed_results` (jsonb), `created_at` (timestamptz), `raw_data` (jsonb);
+ *   indexed on transaction_token.
+ * - `ingestion_cursors`: `name` (text, primary key), `last_token` (text),
+ *   `last_created` (timestamptz), `updated_at` (timestamptz); one row per
+ *   ingestion job.
+ */
+
 import { supabase_client } from "../config/supabase-client.js";
 import {
   parseTransactionDetails,
+  parseTransactionEvents,
   parseMerchantInfo,
 } from "../utils/parsers.js";
-import { lookupMCC } from "./mcc-service.js";
+import {
+  deriveLifecycle,
+  describeTransition,
+  transitionsSince,
+} from "../utils/transaction-lifecycle.js";
+import { lookupMCC, getMccRiskLevel } from "./mcc-service.js";
 import alertService from "./alert-service.js";
+import riskEngine from "./risk-engine.js";
+import velocityDetector from "./velocity-detector.js";
+import { resolveMerchant } from "./merchant-resolution-service.js";
 import logger from "../utils/logger.js";
 
 /**
- * Helper function to determine if incoming merchant details differ from existing ones.
- * @param {Object} existingDetails - The current merchant details from the DB.
- * @param {Object} incomingDetails - The new merchant details from the transaction.
- * @returns {boolean} True if details are different, false otherwise.
+ * Fetch the stored row of a transaction, if it has been saved before.
+ * @param {string} transactionToken - Transaction token.
+ * @returns {Promise<Object|null>} Stored row ({ token, lifecycle_state }) or null.
  */
-function areMerchantDetailsDifferent(existingDetails, incomingDetails) {
-  if (!existingDetails) return true;
-
-  return (
-    existingDetails.descriptor !== incomingDetails.descriptor ||
-    existingDetails.city !== (incomingDetails.city || null) ||
-    existingDetails.state !== (incomingDetails.state || null) ||
-    existingDetails.country !== (incomingDetails.country || null) ||
-    existingDetails.mcc !== (incomingDetails.mcc || null)
-  );
+async function fetchStoredTransaction(transactionToken) {
+  const { data, error } = await supabase_client
+    .from("transactions")
+    .select("token, lifecycle_state")
+    .eq("token", transactionToken)
+    .maybeSingle();
+
+  if (error) {
+    logger.error(
+      { err: error, transactionToken },
+      "Error fetching stored transaction.",
+    );
+    throw error;
+  }
+
+  return data || null;
 }
 
 /**
- * Helper function to enrich merchant data with MCC information.
- * @param {Object} merchantInfo - Basic merchant information
- * @returns {Promise<Object>} Enriched merchant information with MCC details
+ * Fetch lifecycle events already stored for a transaction.
+ * @param {string} transactionToken - Parent transaction token.
+ * @returns {Promise<Array<Object>>} Stored events in Lithic event shape ({ token, type, result, amount, created }).
  */
-async function enrichMerchantWithMCC(merchantInfo) {
-  const enrichedMerchant = { ...merchantInfo };
-  
-  if (merchantInfo.mcc) {
-    try {
-      const mccDetails = await lookupMCC(merchantInfo.mcc);
-      if (mccDetails) {
-        enrichedMerchant.mcc_description = mccDetails.description;
-        enrichedMerchant.mcc_category = mccDetails.category;
-        logger.debug(`MCC enrichment successful for ${merchantInfo.mcc}: ${mccDetails.description}`);
-      } else {
-        logger.warn(`MCC ${merchantInfo.mcc} not found in database`);
-        enrichedMerchant.mcc_description = null;
-        enrichedMerchant.mcc_category = null;
-      }
-    } catch (error) {
-      logger.error(`Error looking up MCC ${merchantInfo.mcc}:`, error);
-      enrichedMerchant.mcc_description = null;
-      enrichedMerchant.mcc_category = null;
-    }
-  } else {
-    enrichedMerchant.mcc_description = null;
-    enrichedMerchant.mcc_category = null;
+async function fetchStoredTransactionEvents(transactionToken) {
+  const { data, error } = await supabase_client
+    .from("transaction_events")
+    .select("token, event_type, result, amount, created_at")
+    .eq("transaction_token", transactionToken);
+
+  if (error) {
+    logger.error(
+      { err: error, transactionToken },
+      "Error fetching stored transaction events.",
+    );
+    throw error;
   }
-  
-  return enrichedMerchant;
+
+  return (data || []).map((row) => ({
+    token: row.token,
+    type: row.event_type,
+    result: row.result,
+    amount: row.amount,
+    created: row.created_at,
+  }));
 }
 
 /**
  * Save a Lithic transaction to Supabase, including merchant details.
- * Implements robust merchant finding and updating.
+ * The merchant is resolved to its canonical ID (see merchant-resolution-service).
+ * Every Lithic event is stored as its own `transaction_events` row; alerts are only
+ * broadcast for a transaction without a stored row or when new events move the
+ * lifecycle state.
  * @param {Object} lithicTransaction - The raw Lithic transaction object.
  * @returns {Promise<Object>} Object indicating success and stored tokens/IDs.
  * @throws {Error} If saving to Supabase fails.
@@ -75,207 +107,25 @@ export async function saveTransaction(lithicTransaction) {
 
     const transactionDetailsToSave = parseTransactionDetails(lithicTransaction);
     const merchantInfoToParse = parseMerchantInfo(lithicTransaction);
+    const eventsToSave = parseTransactionEvents(lithicTransaction);
 
-    let merchantId = null;
-    let existingMerchantFullDetails = null;
-
-    // Merchant Handling Logic
-
-    // Try to find merchant by acceptor_id if available
-    if (merchantInfoToParse.acceptor_id) {
-      logger.debug(
-        { transactionToken, acceptorId: merchantInfoToParse.acceptor_id },
-        "Attempting to find merchant by acceptor_id.",
-      );
-      const { data, error } = await supabase_client
-        .from("merchants")
-        .select("*") // Fetch all fields for comparison and potential update
-        .eq("acceptor_id", merchantInfoToParse.acceptor_id)
-        .maybeSingle(); // Handles 0 or 1 row without erroring on 0
-
-      if (error) {
-        logger.error(
-          {
-            err: error,
-            transactionToken,
-            acceptorId: merchantInfoToParse.acceptor_id,
-          },
-          "Error selecting merchant by acceptor_id.",
-        );
-        throw error;
-      }
-      if (data) {
-        existingMerchantFullDetails = data;
-        merchantId = existingMerchantFullDetails.id;
-        logger.debug(
-          { transactionToken, merchantId },
-          "Merchant found by acceptor_id.",
-        );
-      }
-    }
-
-    // If not found by acceptor_id (or acceptor_id was null), AND descriptor is present, try by combination
-    if (!merchantId && merchantInfoToParse.descriptor) {
-      logger.debug(
-        { transactionToken, details: merchantInfoToParse },
-        "Acceptor_id match failed or N/A. Attempting to find merchant by combination (descriptor, city, state, mcc).",
-      );
-
-      let query = supabase_client.from("merchants").select("*");
-      query = query.eq("descriptor", merchantInfoToParse.descriptor);
-
-      // Handle potentially null city, state, country, mcc for precise matching
-      if (merchantInfoToParse.city)
-        query = query.eq("city", merchantInfoToParse.city);
-      else query = query.is("city", null);
-
-      if (merchantInfoToParse.state)
-        query = query.eq("state", merchantInfoToParse.state);
-      else query = query.is("state", null);
-
-      if (merchantInfoToParse.country)
-        query = query.eq("country", merchantInfoToParse.country);
-      else query = query.is("country", null);
-
-      if (merchantInfoToParse.mcc)
-        query = query.eq("mcc", merchantInfoToParse.mcc);
-      else query = query.is("mcc", null);
-
-      const { data: matchedMerchants, error: comboSelectError } = await query;
-
-      if (comboSelectError) {
-        logger.error(
-          {
-            err: comboSelectError,
-            transactionToken,
-            details: merchantInfoToParse,
-          },
-          "Error selecting merchant by combination.",
-        );
-        throw comboSelectError;
-      }
-
-      if (matchedMerchants && matchedMerchants.length === 1) {
-        existingMerchantFullDetails = matchedMerchants[0];
-        merchantId = existingMerchantFullDetails.id;
-        logger.debug(
-          { transactionToken, merchantId },
-          "Unique merchant found by combination.",
-        );
-      } else if (matchedMerchants && matchedMerchants.length > 1) {
-        logger.warn(
-          {
-            transactionToken,
-            count: matchedMerchants.length,
-            details: merchantInfoToParse,
-          },
-          "Multiple merchants found by combination. Will proceed to create a new merchant if descriptor is present.",
-        );
-      } else {
-        logger.debug(
-          { transactionToken, details: merchantInfoToParse },
-          "No merchant found by combination.",
-        );
-      }
-    }
-
-    // If an existing merchant was identified (by acceptor_id or combination), update if details changed
-    if (merchantId && existingMerchantFullDetails) {
-      if (
-        areMerchantDetailsDifferent(
-          existingMerchantFullDetails,
-          merchantInfoToParse,
-        )
-      ) {
-        logger.info(
-          { transactionToken, merchantId },
-          "Merchant details differ, attempting update.",
-        );
-        
-        // Enrich with MCC details before updating
-        const enrichedMerchantInfo = await enrichMerchantWithMCC(merchantInfoToParse);
-        
-        const detailsToUpdate = {
-          descriptor: enrichedMerchantInfo.descriptor,
-          city: enrichedMerchantInfo.city || null,
-          state: enrichedMerchantInfo.state || null,
-          country: enrichedMerchantInfo.country || null,
-          mcc: enrichedMerchantInfo.mcc || null,
-          mcc_description: enrichedMerchantInfo.mcc_description,
-          mcc_category: enrichedMerchantInfo.mcc_category,
-        };
-        
-        if (enrichedMerchantInfo.acceptor_id) {
-          detailsToUpdate.acceptor_id = enrichedMerchantInfo.acceptor_id;
-        }
-
-        const { error: updateError } = await supabase_client
-          .from("merchants")
-          .update(detailsToUpdate)
-          .eq("id", merchantId);
-
-        if (updateError) {
-          logger.error(
-            { err: updateError, transactionToken, merchantId, detailsToUpdate },
-            "Could not update existing merchant details.",
-          );
-        } else {
-          logger.info(
-            { transactionToken, merchantId },
-            "Merchant details updated successfully.",
-          );
-        }
-      } else {
-        logger.debug(
-          { transactionToken, merchantId },
-          "Existing merchant details match. No update needed.",
-        );
-      }
-    }
-    // If no existing merchant was conclusively identified, and we have a descriptor, create a new one.
-    else if (!merchantId && merchantInfoToParse.descriptor) {
-      // This block is reached if:
-      // - acceptor_id was null OR acceptor_id search yielded no results
-      // - AND combo search (if descriptor was present) yielded no unique result
-      logger.info(
-        { transactionToken, merchantInfo: merchantInfoToParse },
-        "Creating new merchant as no definitive existing match was found.",
-      );
-      
-      // Enrich with MCC details before creating
-      const enrichedMerchantInfo = await enrichMerchantWithMCC(merchantInfoToParse);
-      
-      const { data: newMerchant, error: insertError } = await supabase_client
-        .from("merchants")
-        .insert([enrichedMerchantInfo])
-        .select("id")
-        .single();
+    // Resolve the merchant to its canonical ID (acceptor_id, alias, fuzzy match or new)
+    const { merchantId, matchedBy } = await resolveMerchant(
+      merchantInfoToParse,
+      transactionToken,
+    );
 
-      if (insertError) {
-        logger.error(
-          {
-            err: insertError,
-            transactionToken,
-            merchantInfo: merchantInfoToParse,
-          },
-          "Error inserting new merchant.",
-        );
-        throw insertError;
-      }
-      merchantId = newMerchant.id;
-      logger.info(
-        { transactionToken, newMerchantId: merchantId },
-        "New merchant created successfully.",
-      );
-    }
-    // If still no merchantId
-    else if (!merchantId) {
+    if (!merchantId) {
       logger.warn(
         { transactionToken, merchantInfo: merchantInfoToParse },
-        "Could not identify or create a merchant (e.g., missing descriptor for new, or ambiguous match without acceptor_id). Transaction will not be linked to a specific merchant record by this process.",
+        "Could not identify or create a merchant (missing acceptor_id and descriptor). Transaction will not be linked to a specific merchant record by this process.",
       );
     }
 
+    // Snapshot the stored row and lifecycle before upserting so new events can be told apart
+    const storedTransaction = await fetchStoredTransaction(transactionToken);
+    const storedEvents = await fetchStoredTransactionEvents(transactionToken);
+
     logger.debug({ transactionToken }, "Upserting transaction details.");
     const { error: transactionError } = await supabase_client
       .from("transactions")
@@ -299,6 +149,41 @@ export async function saveTransaction(lithicTransaction) {
       "Transaction details upserted successfully.",
     );
 
+    if (eventsToSave.length > 0) {
+      const { error: eventsError } = await supabase_client
+        .from("transaction_events")
+        .upsert(eventsToSave, { onConflict: "token" });
+
+      if (eventsError) {
+        logger.error(
+          { err: eventsError, transactionToken, eventCount: eventsToSave.length },
+          "Error upserting transaction events.",
+        );
+        throw eventsError;
+      }
+      logger.debug(
+        { transactionToken, eventCount: eventsToSave.length },
+        "Transaction events upserted successfully.",
+      );
+    }
+
+    const storedEventTokens = new Set(storedEvents.map((event) => event.token));
+    const isKnownTransaction = Boolean(storedTransaction);
+    const currentLifecycle = deriveLifecycle(lithicTransaction.events || []);
+
+    // Rows saved before their events were only carry the state they had reached
+    let previousState = null;
+    let newTransitions = currentLifecycle.transitions;
+    if (storedEvents.length > 0) {
+      previousState = deriveLifecycle(storedEvents).state;
+      newTransitions = currentLifecycle.transitions.filter(
+        (transition) => !storedEventTokens.has(transition.eventToken),
+      );
+    } else if (isKnownTransaction) {
+      previousState = storedTransaction.lifecycle_state || null;
+      newTransitions = transitionsSince(currentLifecycle.transitions, previousState);
+    }
+
     if (merchantId) {
       logger.debug(
         { transactionToken, merchantId },
@@ -310,6 +195,7 @@ export async function saveTransaction(lithicTransaction) {
           {
             transaction_token: transactionToken,
             merchant_id: merchantId,
+            acceptor_id: merchantInfoToParse.acceptor_id || null,
           },
           {
             onConflict: "transaction_token,merchant_id",
@@ -338,6 +224,7 @@ export async function saveTransaction(lithicTransaction) {
       {
         transactionToken,
         merchantId,
+        merchantMatchedBy: matchedBy,
         amount: transactionDetailsToSave.cardholder_amount,
         currency: transactionDetailsToSave.cardholder_currency,
         result: transactionDetailsToSave.result,
@@ -345,6 +232,26 @@ export async function saveTransaction(lithicTransaction) {
       "Transaction processed and saved successfully to Supabase.",
     );
 
+    const result = {
+      success: true,
+      transaction_token: transactionToken,
+      merchant_id: merchantId,
+      details: transactionDetailsToSave,
+      lifecycle: {
+        previous_state: previousState,
+        current_state: currentLifecycle.state,
+        new_events: eventsToSave.filter((event) => !storedEventTokens.has(event.token)).length,
+      },
+    };
+
+    if (isKnownTransaction && newTransitions.length === 0) {
+      logger.debug(
+        { transactionToken, lifecycleState: currentLifecycle.state },
+        "No lifecycle change for known transaction. Skipping alert broadcast.",
+      );
+      return result;
+    }
+
     // NEW: Trigger real-time alert after successful transaction save
     try {
       // Calculate amount with proper fallbacks
@@ -482,16 +389,37 @@ export async function saveTransaction(lithicTransaction) {
         }
       }
 
+      // Recent card activity for the risk engine's velocity and decline rules
+      let recentActivity = null;
+      try {
+        const windowMinutes = riskEngine.getVelocityWindowMinutes();
+        const riskContext = await getCardRiskContext(transactionDetailsToSave, windowMinutes);
+        recentActivity = {
+          windowMinutes,
+          transactionCount: riskContext.recentTransactionCount,
+          declineCount: riskContext.recentDeclineCount
+        };
+      } catch (activityError) {
+        logger.warn({ 
+          err: activityError, 
+          cardToken: transactionDetailsToSave.card_token 
+        }, 'Failed to get recent card activity for alert');
+      }
+
+      const merchantName = merchantInfoToParse.descriptor || 'Unknown Merchant';
+      const latestTransition = newTransitions[newTransitions.length - 1];
+
       const alertData = {
-        alertType: 'NEW_TRANSACTION',
+        alertType: isKnownTransaction ? 'TRANSACTION_UPDATE' : 'NEW_TRANSACTION',
         timestamp: new Date().toISOString(),
         transactionId: transactionDetailsToSave.token,
         cardToken: transactionDetailsToSave.card_token,
         immediate: {
           amount: formattedAmount,
-          merchant: merchantInfoToParse.descriptor || 'Unknown Merchant',
+          merchant: merchantName,
           location: formattedLocation,
           status: transactionDetailsToSave.result || 'PENDING',
+          created: transactionDetailsToSave.created_at || null,
           network: networkInfo,
           networkTransactionID: transactionDetailsToSave.network_transaction_id || ''
         },
@@ -499,6 +427,8 @@ export async function saveTransaction(lithicTransaction) {
           mccCode: merchantInfoToParse.mcc || '',
           merchantType: mccDetails?.description || 'Unknown',
           merchantCategory: mccDetails?.category || 'Unknown',
+          mccRiskLevel: getMccRiskLevel(merchantInfoToParse.mcc)?.riskLevel || null,
+          merchantCountry: merchantInfoToParse.country || null,
           authorizationCode: transactionDetailsToSave.authorization_code || '',
           retrievalReference: transactionDetailsToSave.retrieval_reference_number || ''
         },
@@ -507,7 +437,16 @@ export async function saveTransaction(lithicTransaction) {
           newMerchant: merchantIntelligence.newMerchant,
           amountRange: (typeof rawAmount === 'number' && rawAmount < 500) ? 'small' : 'normal',
           merchantHistory: merchantIntelligence.merchantHistory,
-          geographicPattern: merchantIntelligence.geographicPattern
+          geographicPattern: merchantIntelligence.geographicPattern,
+          recentActivity
+        },
+        lifecycle: {
+          previousState,
+          currentState: currentLifecycle.state,
+          transitions: newTransitions,
+          summary: latestTransition
+            ? describeTransition(latestTransition, { amount: formattedAmount, merchant: merchantName })
+            : null
         }
       };
 
@@ -519,6 +458,14 @@ export async function saveTransaction(lithicTransaction) {
       }, 'Generated alert data for broadcast');
 
       await alertService.broadcastAlert(transactionDetailsToSave.card_token, alertData);
+
+      // Card-testing detection: a burst of activity raises its own velocity_breach alert
+      const velocityAlert = velocityDetector.observe(alertData, {
+        amountUsd: typeof rawAmount === "number" && !isNaN(rawAmount) ? rawAmount / 100 : null,
+      });
+      if (velocityAlert) {
+        await alertService.broadcastAlert(transactionDetailsToSave.card_token, velocityAlert);
+      }
       
       logger.info({ 
         transactionToken,
@@ -534,12 +481,7 @@ export async function saveTransaction(lithicTransaction) {
       }, 'Alert broadcast failed after successful transaction save');
     }
 
-    return {
-      success: true,
-      transaction_token: transactionToken,
-      merchant_id: merchantId,
-      details: transactionDetailsToSave,
-    };
+    return result;
   } catch (error) {
     logger.error(
       {
@@ -615,6 +557,100 @@ export async function getTransactionDetails(transactionToken) {
   }
 }
 
+/**
+ * Get the stored lifecycle events for a transaction, oldest first.
+ * @param {string} transactionToken - The token of the parent transaction.
+ * @returns {Promise<Object>} Lifecycle with current state, transitions and event rows.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function getTransactionEvents(transactionToken) {
+  try {
+    logger.debug({ transactionToken }, "Fetching transaction events from DB.");
+    const events = await fetchStoredTransactionEvents(transactionToken);
+    const lifecycle = deriveLifecycle(events);
+
+    return {
+      state: lifecycle.state,
+      transitions: lifecycle.transitions,
+      events: events.sort((a, b) => new Date(a.created) - new Date(b.created)),
+    };
+  } catch (error) {
+    logger.error(
+      { err: error, transactionToken },
+      "Unhandled error fetching transaction events from DB.",
+    );
+    throw error;
+  }
+}
+
+/**
+ * Get a card's activity leading up to a transaction, for risk scoring.
+ * @param {Object} transaction - Transaction with token, card_token and created_at.
+ * @param {string} [transaction.merchant_acceptor_id] - When set, merchant history is checked too.
+ * @param {number} windowMinutes - How far back to count transactions and declines.
+ * @returns {Promise<{recentTransactionCount: number, recentDeclineCount: number, newMerchant: boolean|null}>}
+ *   Other transactions and declines on the card within the window, and whether this is
+ *   the card's first transaction with the acceptor (null when no acceptor ID is given).
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function getCardRiskContext(transaction, windowMinutes) {
+  try {
+    const until = new Date(transaction.created_at || Date.now());
+    const since = new Date(until.getTime() - windowMinutes * 60 * 1000);
+
+    const { data: recent, error } = await supabase_client
+      .from("transactions")
+      .select("token, result")
+      .eq("card_token", transaction.card_token)
+      .gte("created_at", since.toISOString())
+      .lte("created_at", until.toISOString())
+      .neq("token", transaction.token);
+
+    if (error) {
+      logger.error(
+        { err: error, transactionToken: transaction.token },
+        "Error fetching recent card activity from DB.",
+      );
+      throw error;
+    }
+
+    let newMerchant = null;
+    if (transaction.merchant_acceptor_id) {
+      const { data: previous, error: merchantError } = await supabase_client
+        .from("transaction_details")
+        .select("token")
+        .eq("card_token", transaction.card_token)
+        .eq("merchant_acceptor_id", transaction.merchant_acceptor_id)
+        .lt("created_at", until.toISOString())
+        .limit(1);
+
+      if (merchantError) {
+        logger.error(
+          { err: merchantError, transactionToken: transaction.token },
+          "Error fetching card merchant history from DB.",
+        );
+        throw merchantError;
+      }
+      newMerchant = !previous || previous.length === 0;
+    }
+
+    const rows = recent || [];
+    return {
+      recentTransactionCount: rows.length,
+      recentDeclineCount: rows.filter(
+        (row) => row.result && row.result !== "APPROVED" && row.result !== "PENDING",
+      ).length,
+      newMerchant,
+    };
+  } catch (error) {
+    logger.error(
+      { err: error, transactionToken: transaction?.token },
+      "Unhandled error fetching card risk context from DB.",
+    );
+    throw error;
+  }
+}
+
 /**
  * Get the timestamp of the latest transaction stored in the database.
  * @returns {Promise<Object|null>} Object with created_at or null if no transactions.
@@ -681,6 +717,173 @@ export async function checkIfTransactionExists(transactionToken) {
   }
 }
 
+/**
+ * Returns the subset of the given transaction tokens that already exist in the database.
+ * Tokens are checked in chunks so a full Lithic page costs a single round-trip.
+ * @param {Array<string>} transactionTokens - Tokens to check.
+ * @returns {Promise<Set<string>>} Set of tokens already stored.
+ */
+export async function getExistingTransactionTokens(transactionTokens) {
+  const existing = new Set();
+  if (!transactionTokens || transactionTokens.length === 0) {
+    return existing;
+  }
+
+  const CHUNK_SIZE = 100;
+  try {
+    for (let i = 0; i < transactionTokens.length; i += CHUNK_SIZE) {
+      const chunk = transactionTokens.slice(i, i + CHUNK_SIZE);
+      const { data, error } = await supabase_client
+        .from("transactions")
+        .select("token")
+        .in("token", chunk);
+
+      if (error) {
+        logger.error(
+          { err: error, count: chunk.length },
+          "Error batch-checking transaction existence:",
+        );
+        throw error;
+      }
+
+      for (const row of data || []) {
+        existing.add(row.token);
+      }
+    }
+
+    logger.debug(
+      { checked: transactionTokens.length, existing: existing.size },
+      "Batch-checked transaction existence in DB.",
+    );
+    return existing;
+  } catch (error) {
+    logger.error(
+      { err: error, count: transactionTokens.length },
+      "Unhandled error batch-checking transaction existence:",
+    );
+    throw error;
+  }
+}
+
+/**
+ * Returns the stored event tokens of the given transactions.
+ * Lithic appends later events (clearing, void, return) to the same transaction token,
+ * so a known transaction is only up to date if all of its events are stored.
+ * @param {Array<string>} transactionTokens - Tokens of stored transactions.
+ * @returns {Promise<Map<string, Set<string>>>} Event tokens by transaction token.
+ */
+export async function getStoredEventTokens(transactionTokens) {
+  const stored = new Map();
+  if (!transactionTokens || transactionTokens.length === 0) {
+    return stored;
+  }
+
+  const CHUNK_SIZE = 100;
+  try {
+    for (let i = 0; i < transactionTokens.length; i += CHUNK_SIZE) {
+      const chunk = transactionTokens.slice(i, i + CHUNK_SIZE);
+      const { data, error } = await supabase_client
+        .from("transaction_events")
+        .select("token, transaction_token")
+        .in("transaction_token", chunk);
+
+      if (error) {
+        logger.error(
+          { err: error, count: chunk.length },
+          "Error batch-fetching stored transaction events:",
+        );
+        throw error;
+      }
+
+      for (const row of data || []) {
+        if (!stored.has(row.transaction_token)) {
+          stored.set(row.transaction_token, new Set());
+        }
+        stored.get(row.transaction_token).add(row.token);
+      }
+    }
+
+    return stored;
+  } catch (error) {
+    logger.error(
+      { err: error, count: transactionTokens.length },
+      "Unhandled error batch-fetching stored transaction events:",
+    );
+    throw error;
+  }
+}
+
+/**
+ * Load a persisted ingestion cursor (see `ingestion_cursors` above).
+ * @param {string} name - Cursor name (one per ingestion job).
+ * @returns {Promise<Object|null>} Cursor row or null if none has been saved yet.
+ */
+export async function getIngestionCursor(name) {
+  try {
+    logger.debug({ cursor: name }, "Fetching ingestion cursor from DB.");
+    const { data, error } = await supabase_client
+      .from("ingestion_cursors")
+      .select("name, last_token, last_created, updated_at")
+      .eq("name", name)
+      .maybeSingle();
+
+    if (error) {
+      logger.error({ err: error, cursor: name }, "Error fetching ingestion cursor:");
+      throw error;
+    }
+    return data;
+  } catch (error) {
+    logger.error(
+      { err: error, cursor: name },
+      "Unhandled error fetching ingestion cursor:",
+    );
+    throw error;
+  }
+}
+
+/**
+ * Persist an ingestion cursor (insert or update by name).
+ * @param {string} name - Cursor name.
+ * @param {Object} cursor - Cursor position.
+ * @param {string} cursor.last_token - Token of the last transaction committed.
+ * @param {string} cursor.last_created - `created` timestamp of the newest transaction committed.
+ * @returns {Promise<Object>} Saved cursor row.
+ */
+export async function saveIngestionCursor(name, { last_token, last_created }) {
+  try {
+    const { data, error } = await supabase_client
+      .from("ingestion_cursors")
+      .upsert(
+        {
+          name,
+          last_token,
+          last_created,
+          updated_at: new Date().toISOString(),
+        },
+        { onConflict: "name" },
+      )
+      .select()
+      .single();
+
+    if (error) {
+      logger.error({ err: error, cursor: name }, "Error saving ingestion cursor:");
+      throw error;
+    }
+
+    logger.debug(
+      { cursor: name, lastToken: last_token, lastCreated: last_created },
+      "Ingestion cursor saved.",
+    );
+    return data;
+  } catch (error) {
+    logger.error(
+      { err: error, cursor: name },
+      "Unhandled error saving ingestion cursor:",
+    );
+    throw error;
+  }
+}
+
 /**
  * Update existing merchants that are missing MCC descriptions and categories.
  * This is a utility function to backfill data for merchants created before MCC enrichment.
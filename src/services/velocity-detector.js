@@ -0,0 +1,375 @@
+/**
+ * Velocity Detector - Card-testing detection over per-card sliding windows
+ *
+ * Scammers who obtain a honeypot PAN typically fire many small authorizations across
+ * merchants to test it. saveTransaction feeds every transaction alert it builds into
+ * observe(); for each card the detector keeps the transactions of the last
+ * windowMinutes (by transaction time) and checks the window for:
+ * - transaction count (transactionThreshold)
+ * - distinct merchants (merchantThreshold)
+ * - distinct merchant countries (countryThreshold)
+ * - decline ratio (declineRatioThreshold, once the window holds minTransactions)
+ * - amount ramp-up: minTransactions rising amounts ending at least rampUpFactor times
+ *   above the smallest amount in the window (probe first, then the real charge)
+ *
+ * When a check breaches that has not already been alerted for the card within the
+ * window, observe() returns a velocity_breach alert with the triggering window
+ * attached. findBreachWindows() runs the same checks over a stored history, so
+ * detect_velocity_anomalies flags what these alerts would. Windows live in memory and refill as transactions arrive after a restart;
+ * transactions older than the window (e.g. from a backfill) update windows but never
+ * raise alerts.
+ */
+
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+
+// Upper bound on transactions kept per card, whatever the window length
+const MAX_TRANSACTIONS_PER_CARD = 500;
+
+class VelocityDetector {
+  /**
+   * @param {Object} options - Window length and breach thresholds (see config.velocity)
+   */
+  constructor(options) {
+    this.options = options;
+    this.windowMs = options.windowMinutes * 60 * 1000;
+
+    // Per-card windows: Map<cardToken, { transactions, alerted: Map<check, alertedAtMs>, updatedAt }>
+    this.cards = new Map();
+
+    // Wall-clock time of the last sweep of idle cards
+    this.lastSweepAt = Date.now();
+
+    this.metrics = {
+      transactionsObserved: 0,
+      breachesDetected: 0,
+      alertsRaised: 0
+    };
+  }
+
+  /**
+   * Record a transaction and check its card's window
+   * @param {Object} transactionAlert - Formatted transaction alert built by saveTransaction
+   * @param {Object} [options]
+   * @param {number|null} [options.amountUsd=null] - Transaction amount in USD (the alert only carries a display string)
+   * @param {number} [options.now=Date.now()] - Current time in ms
+   * @returns {Object|null} velocity_breach alert, or null if nothing new breached
+   */
+  observe(transactionAlert, { amountUsd = null, now = Date.now() } = {}) {
+    const observation = toObservation(transactionAlert, amountUsd, now);
+    if (!transactionAlert.cardToken || !observation.token) {
+      return null;
+    }
+
+    this.sweepIdleCards(now);
+    this.metrics.transactionsObserved++;
+
+    const card = this.getCard(transactionAlert.cardToken);
+    card.updatedAt = now;
+
+    // Lifecycle updates replace the earlier observation of the same transaction
+    const existing = card.transactions.findIndex(t => t.token === observation.token);
+    if (existing >= 0) {
+      card.transactions[existing] = { ...observation, timestamp: card.transactions[existing].timestamp };
+    } else {
+      card.transactions.push(observation);
+      card.transactions.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    const latest = card.transactions[card.transactions.length - 1].timestamp;
+    card.transactions = card.transactions
+      .filter(t => t.timestamp >= latest - this.windowMs)
+      .slice(-MAX_TRANSACTIONS_PER_CARD);
+
+    const windowEnd = card.transactions.find(t => t.token === observation.token)?.timestamp ?? observation.timestamp;
+    const window = summarizeWindow(
+      card.transactions.filter(t => t.timestamp >= windowEnd - this.windowMs && t.timestamp <= windowEnd),
+      this.options.windowMinutes
+    );
+    const breaches = evaluateWindow(window, this.options);
+    if (breaches.length === 0) {
+      return null;
+    }
+    this.metrics.breachesDetected++;
+
+    if (now - windowEnd > this.windowMs) {
+      logger.debug({
+        cardToken: transactionAlert.cardToken,
+        transactionId: observation.token,
+        breaches: breaches.map(b => b.check)
+      }, 'Velocity breach in a past window, not alerting');
+      return null;
+    }
+
+    // Alert once per check per window
+    const newBreaches = breaches.filter(breach => {
+      const alertedAt = card.alerted.get(breach.check);
+      return alertedAt === undefined || Math.abs(windowEnd - alertedAt) > this.windowMs;
+    });
+    if (newBreaches.length === 0) {
+      return null;
+    }
+    for (const breach of newBreaches) {
+      card.alerted.set(breach.check, windowEnd);
+    }
+
+    this.metrics.alertsRaised++;
+    logger.info({
+      cardToken: transactionAlert.cardToken,
+      transactionId: observation.token,
+      breaches: newBreaches.map(b => b.check),
+      transactionCount: window.transactionCount
+    }, 'Velocity breach detected');
+
+    return {
+      alertType: 'velocity_breach',
+      timestamp: new Date(now).toISOString(),
+      transactionId: observation.token,
+      cardToken: transactionAlert.cardToken,
+      immediate: transactionAlert.immediate,
+      verification: transactionAlert.verification,
+      intelligence: transactionAlert.intelligence,
+      velocity: {
+        summary: newBreaches.map(b => b.description).join('; '),
+        breaches: newBreaches,
+        window
+      }
+    };
+  }
+
+  /**
+   * Get the current window for a card
+   * @param {string} cardToken - Card token
+   * @returns {Object|null} Window summary, or null if the card has no recent transactions
+   */
+  getWindow(cardToken) {
+    const card = this.cards.get(cardToken);
+    return card && card.transactions.length > 0 ? summarizeWindow(card.transactions, this.options.windowMinutes) : null;
+  }
+
+  /**
+   * Get detector metrics
+   * @returns {Object} Observation and alert counts plus tracked cards
+   */
+  getMetrics() {
+    return {
+      ...this.metrics,
+      trackedCards: this.cards.size
+    };
+  }
+
+  /**
+   * Forget every window
+   */
+  clear() {
+    this.cards.clear();
+  }
+
+  /**
+   * @private
+   */
+  getCard(cardToken) {
+    let card = this.cards.get(cardToken);
+    if (!card) {
+      card = { transactions: [], alerted: new Map(), updatedAt: Date.now() };
+      this.cards.set(cardToken, card);
+    }
+    return card;
+  }
+
+  /**
+   * Drop cards that have seen no transactions for two windows
+   * @private
+   */
+  sweepIdleCards(now) {
+    if (now - this.lastSweepAt < this.windowMs) {
+      return;
+    }
+    this.lastSweepAt = now;
+
+    for (const [cardToken, card] of this.cards) {
+      if (now - card.updatedAt > this.windowMs * 2) {
+        this.cards.delete(cardToken);
+      }
+    }
+  }
+
+}
+
+/**
+ * Find the windows of a card's history that breach the velocity checks
+ * Every transaction closes a window of the windowMinutes before it; overlapping
+ * breached windows are merged, keeping the largest value seen for each check.
+ * @param {Array<Object>} observations - Observations ({ token, timestamp, merchant, country, declined, amount }), oldest first
+ * @param {Object} [options=config.velocity] - Window length and breach thresholds
+ * @returns {Array<{window: Object, breaches: Array<Object>}>} Breached windows, oldest first
+ */
+export function findBreachWindows(observations, options = config.velocity) {
+  const windowMs = options.windowMinutes * 60 * 1000;
+  const flagged = [];
+  let start = 0;
+  let current = null;
+
+  for (let end = 0; end < observations.length; end++) {
+    while (observations[end].timestamp - observations[start].timestamp > windowMs) {
+      start++;
+    }
+
+    const breaches = evaluateWindow(summarizeWindow(observations.slice(start, end + 1), options.windowMinutes), options);
+    if (breaches.length === 0) continue;
+
+    // Extend the open window while breaches overlap, otherwise start a new one
+    if (!current || start > current.endIndex) {
+      current = { startIndex: start, endIndex: end, breaches: new Map() };
+      flagged.push(current);
+    }
+    current.endIndex = end;
+    for (const breach of breaches) {
+      const seen = current.breaches.get(breach.check);
+      if (!seen || breach.value > seen.value) {
+        current.breaches.set(breach.check, breach);
+      }
+    }
+  }
+
+  return flagged.map(({ startIndex, endIndex, breaches }) => ({
+    window: summarizeWindow(observations.slice(startIndex, endIndex + 1), options.windowMinutes),
+    breaches: [...breaches.values()]
+  }));
+}
+
+/**
+ * Summarize the transactions of one window, oldest first
+ * @param {Array<Object>} transactions - Observations in the window
+ * @param {number} windowMinutes - Window length, reported with the summary
+ * @returns {Object} Window summary
+ */
+function summarizeWindow(transactions, windowMinutes) {
+  const merchants = [...new Set(transactions.map(t => t.merchant).filter(Boolean))];
+  const countries = [...new Set(transactions.map(t => t.country).filter(Boolean))];
+  const declineCount = transactions.filter(t => t.declined).length;
+  const amounts = transactions.map(t => t.amount);
+
+  return {
+    start: new Date(transactions[0].timestamp).toISOString(),
+    end: new Date(transactions[transactions.length - 1].timestamp).toISOString(),
+    windowMinutes,
+    transactionCount: transactions.length,
+    distinctMerchants: merchants.length,
+    merchants,
+    distinctCountries: countries.length,
+    countries,
+    declineCount,
+    declineRatio: Math.round((declineCount / transactions.length) * 100) / 100,
+    amounts,
+    totalAmount: Number(amounts.reduce((sum, amount) => sum + (amount || 0), 0).toFixed(2)),
+    transactionTokens: transactions.map(t => t.token)
+  };
+}
+
+/**
+ * Check a window against the thresholds
+ * @param {Object} window - Window summary
+ * @param {Object} options - Detector options
+ * @returns {Array<{check: string, value: number, threshold: number, description: string}>} Breached checks
+ */
+function evaluateWindow(window, options) {
+  const breaches = [];
+  const minutes = options.windowMinutes;
+
+  if (window.transactionCount >= options.transactionThreshold) {
+    breaches.push({
+      check: 'transaction_count',
+      value: window.transactionCount,
+      threshold: options.transactionThreshold,
+      description: `${window.transactionCount} transactions within ${minutes} minutes`
+    });
+  }
+
+  if (window.distinctMerchants >= options.merchantThreshold) {
+    breaches.push({
+      check: 'distinct_merchants',
+      value: window.distinctMerchants,
+      threshold: options.merchantThreshold,
+      description: `${window.distinctMerchants} different merchants within ${minutes} minutes`
+    });
+  }
+
+  if (window.distinctCountries >= options.countryThreshold) {
+    breaches.push({
+      check: 'distinct_countries',
+      value: window.distinctCountries,
+      threshold: options.countryThreshold,
+      description: `Merchants in ${window.distinctCountries} countries within ${minutes} minutes (${window.countries.join(', ')})`
+    });
+  }
+
+  if (window.transactionCount >= options.minTransactions && window.declineRatio >= options.declineRatioThreshold) {
+    breaches.push({
+      check: 'decline_ratio',
+      value: window.declineRatio,
+      threshold: options.declineRatioThreshold,
+      description: `${window.declineCount} of ${window.transactionCount} transactions declined within ${minutes} minutes`
+    });
+  }
+
+  const rampUp = measureRampUp(window.amounts, options.minTransactions);
+  if (rampUp !== null && rampUp >= options.rampUpFactor) {
+    breaches.push({
+      check: 'amount_ramp_up',
+      value: rampUp,
+      threshold: options.rampUpFactor,
+      description: `Amounts rising to ${rampUp}x the smallest charge within ${minutes} minutes`
+    });
+  }
+
+  return breaches;
+}
+
+/**
+ * Ratio of the latest amount to the smallest, when the last `length` amounts rise
+ * @param {Array<number|null>} amounts - Window amounts, oldest first
+ * @param {number} length - Number of rising amounts required
+ * @returns {number|null} Ratio rounded to one decimal, or null if the amounts do not ramp up
+ */
+function measureRampUp(amounts, length) {
+  const known = amounts.filter(amount => typeof amount === 'number' && amount > 0);
+  if (known.length < length) {
+    return null;
+  }
+
+  const tail = known.slice(-length);
+  for (let i = 1; i < tail.length; i++) {
+    if (tail[i] <= tail[i - 1]) {
+      return null;
+    }
+  }
+
+  return Math.round((tail[tail.length - 1] / Math.min(...known)) * 10) / 10;
+}
+
+/**
+ * Reduce a formatted transaction alert to what the windows need
+ * @param {Object} alert - Formatted transaction alert
+ * @param {number|null} amountUsd - Transaction amount in USD, if known
+ * @param {number} now - Current time in ms, used when the transaction time is unknown
+ * @returns {Object} Observation
+ */
+function toObservation(alert, amountUsd, now) {
+  const created = Date.parse(alert.immediate?.created);
+  const country = alert.verification?.merchantCountry;
+  const status = alert.immediate?.status;
+
+  return {
+    token: alert.transactionId,
+    timestamp: isNaN(created) ? now : created,
+    merchant: alert.immediate?.merchant || null,
+    country: typeof country === 'string' && country.trim() ? country.trim().toUpperCase() : null,
+    declined: Boolean(status) && status !== 'APPROVED' && status !== 'PENDING',
+    amount: Number.isFinite(amountUsd) ? amountUsd : null
+  };
+}
+
+// Export singleton instance
+const velocityDetector = new VelocityDetector(config.velocity);
+export default velocityDetector;
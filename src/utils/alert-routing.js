@@ -0,0 +1,110 @@
+/**
+ * Alert routing: risk scoring, alert taxonomy and per-subscription rate limiting.
+ *
+ * Saved transactions produce NEW_TRANSACTION / TRANSACTION_UPDATE alerts, while
+ * `subscribe_to_alerts` filters on a taxonomy (fraud_detected, high_risk_transaction,
+ * ...) and a minimum risk score. Before an alert is queued for polling it is scored
+ * (0-1) by the risk engine and mapped onto every taxonomy category it belongs to, so
+ * subscription filters have something to match against.
+ */
+
+import riskEngine from "../services/risk-engine.js";
+
+export const ALERT_CATEGORIES = {
+  FRAUD_DETECTED: "fraud_detected",
+  HIGH_RISK_TRANSACTION: "high_risk_transaction",
+  UNUSUAL_PATTERN: "unusual_pattern",
+  MERCHANT_ALERT: "merchant_alert",
+  VELOCITY_BREACH: "velocity_breach",
+};
+
+const { FRAUD_DETECTED, HIGH_RISK_TRANSACTION } = ALERT_CATEGORIES;
+
+/**
+ * Score an alert from 0 to 1 and explain which rules contributed.
+ * @param {Object} alert - Formatted transaction alert.
+ * @returns {{riskScore: number, riskLevel: string, riskFactors: Array<Object>, riskExplanation: Array<Object>}}
+ *   Score, level, matching factors and the outcome of every risk rule.
+ */
+export function scoreAlert(alert) {
+  const assessment = riskEngine.scoreAlert(alert);
+
+  return {
+    riskScore: assessment.score,
+    riskLevel: assessment.level,
+    riskFactors: assessment.factors,
+    riskExplanation: assessment.explanation,
+  };
+}
+
+/**
+ * Map a scored alert onto the subscription taxonomy.
+ * Alerts raised directly in a taxonomy category (e.g. by a detector) keep only it.
+ * @param {Object} alert - Alert with riskScore and (optionally) riskFactors.
+ * @returns {Array<string>} Taxonomy categories the alert belongs to.
+ */
+export function categorizeAlert(alert) {
+  if (Object.values(ALERT_CATEGORIES).includes(alert.alertType)) {
+    return [alert.alertType];
+  }
+
+  const { fraud, highRisk } = riskEngine.getThresholds();
+  const categories = new Set();
+  if (alert.riskScore >= fraud) categories.add(FRAUD_DETECTED);
+  if (alert.riskScore >= highRisk) categories.add(HIGH_RISK_TRANSACTION);
+  for (const factor of alert.riskFactors || []) {
+    categories.add(factor.category);
+  }
+
+  return [...categories];
+}
+
+/**
+ * Score and categorize an alert for routing. Alerts that already carry a
+ * riskScore keep it.
+ * @param {Object} alert - Formatted transaction alert.
+ * @returns {Object} Alert with riskScore, riskLevel, riskFactors and alertCategories
+ * (plus riskExplanation when scored here).
+ */
+export function routeAlert(alert) {
+  const scored =
+    typeof alert.riskScore === "number"
+      ? {
+          riskScore: alert.riskScore,
+          riskLevel: alert.riskLevel || riskEngine.levelFor(alert.riskScore),
+          riskFactors: alert.riskFactors || [],
+        }
+      : scoreAlert(alert);
+
+  const routed = { ...alert, ...scored };
+  routed.alertCategories = categorizeAlert(routed);
+  return routed;
+}
+
+/**
+ * Create a token bucket that allows `perMinute` alerts with bursts up to that size.
+ * @param {number} perMinute - Refill rate and capacity.
+ * @param {number} [now=Date.now()] - Current time in ms.
+ * @returns {Object} Token bucket state.
+ */
+export function createTokenBucket(perMinute, now = Date.now()) {
+  return { capacity: perMinute, tokens: perMinute, refillPerMs: perMinute / 60000, updatedAt: now };
+}
+
+/**
+ * Refill the bucket for elapsed time and take one token if available.
+ * @param {Object} bucket - Token bucket from createTokenBucket.
+ * @param {number} [now=Date.now()] - Current time in ms.
+ * @returns {boolean} Whether a token was taken.
+ */
+export function takeToken(bucket, now = Date.now()) {
+  const elapsed = Math.max(0, now - bucket.updatedAt);
+  bucket.tokens = Math.min(bucket.capacity, bucket.tokens + elapsed * bucket.refillPerMs);
+  bucket.updatedAt = now;
+
+  if (bucket.tokens < 1) {
+    return false;
+  }
+  bucket.tokens -= 1;
+  return true;
+}
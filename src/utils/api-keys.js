@@ -0,0 +1,43 @@
+/**
+ * API key helpers for authenticating MCP clients over HTTP
+ *
+ * Keys look like `hpk_<43 base64url chars>` and are only ever shown once, when
+ * created. The server stores `sha256:<hex>` digests; keys carry 256 bits of
+ * randomness, so a plain digest is enough to make a leaked key file useless.
+ */
+
+import crypto from 'crypto';
+
+export const API_KEY_PREFIX = 'hpk_';
+
+/**
+ * Generate a new API key and its stored digest
+ * @returns {{key: string, hash: string}} Plaintext key (show once) and digest (store)
+ */
+export function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, hash: hashApiKey(key) };
+}
+
+/**
+ * Compute the stored digest of an API key
+ * @param {string} key - Plaintext API key
+ * @returns {string} Digest in `sha256:<hex>` form
+ */
+export function hashApiKey(key) {
+  return `sha256:${crypto.createHash('sha256').update(key, 'utf8').digest('hex')}`;
+}
+
+/**
+ * Extract the API key from an Authorization header
+ * @param {string|undefined} header - Authorization header value
+ * @returns {string|null} API key, or null if the header is not a Bearer token
+ */
+export function parseBearerToken(header) {
+  if (!header || typeof header !== 'string') {
+    return null;
+  }
+
+  const match = header.match(/^Bearer\s+(\S+)\s*$/i);
+  return match ? match[1] : null;
+}
@@ -0,0 +1,40 @@
+/**
+ * Campaign formatting: campaigns and campaign_cards rows as tool output.
+ *
+ * Shared by the campaign tools and create_honeypot_card, which links new cards to
+ * a campaign, so both return campaigns and leak details in the same shape.
+ */
+
+/**
+ * Format a campaigns row for tool output
+ * @param {Object} campaign - campaigns row
+ * @returns {Object} Campaign
+ */
+export function formatCampaign(campaign) {
+  return {
+    id: campaign.id,
+    name: campaign.name,
+    leakChannel: campaign.leak_channel || null,
+    persona: campaign.persona || null,
+    region: campaign.region || null,
+    purpose: campaign.purpose || null,
+    notes: campaign.notes || null,
+    createdAt: campaign.created_at || null
+  };
+}
+
+/**
+ * Format a campaign_cards row for tool output
+ * @param {Object} card - campaign_cards row
+ * @returns {Object} Leak details of the card
+ */
+export function formatCampaignCard(card) {
+  return {
+    cardToken: card.card_token,
+    campaignId: card.campaign_id,
+    leakChannel: card.leak_channel || null,
+    leakedAt: card.leaked_at || null,
+    persona: card.persona || null,
+    notes: card.notes || null
+  };
+}
@@ -0,0 +1,191 @@
+/**
+ * Campaign metrics: how fast and how widely leaked honeypot cards get used.
+ *
+ * A campaign groups cards leaked the same way (scam call, phishing form, forum, ...).
+ * For each card the time to first use runs from when it was leaked to its first
+ * transaction at or after the leak; merchant spread counts the merchants, acceptors,
+ * countries and MCCs the campaign's cards reached, and the merchants hit by more than
+ * one of its cards. Transactions made before a card was leaked (verification charges,
+ * a leak recorded late) are reported separately as pre-leak activity.
+ */
+
+/**
+ * Where a honeypot card can be leaked
+ */
+export const LEAK_CHANNELS = ["scam_call", "phishing_form", "forum", "marketplace", "social_media", "other"];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Merchants listed in topMerchants
+const TOP_MERCHANT_COUNT = 5;
+
+/**
+ * Summarize a campaign's cards and their transactions.
+ * @param {Object} campaign - campaigns row ({ id, name, leak_channel, persona, region, purpose, created_at }).
+ * @param {Array<Object>} cards - campaign_cards rows ({ card_token, leak_channel, leaked_at, persona }).
+ * @param {Array<Object>} transactions - Transactions of those cards ({ token, card_token, created_at, result,
+ *   amount_usd, merchant, merchant_acceptor_id, country, merchant_mcc }).
+ * @returns {Object} Campaign report: campaign, cardCount, usedCardCount, transactions, timeToFirstUse,
+ *   merchantSpread, preLeakActivity, byLeakChannel and per-card rows. Only transactions at or after
+ *   each card's leak count towards usage, transactions and merchant spread.
+ */
+export function summarizeCampaign(campaign, cards, transactions) {
+  const transactionsByCard = new Map(cards.map((card) => [card.card_token, []]));
+  for (const transaction of transactions) {
+    transactionsByCard.get(transaction.card_token)?.push(transaction);
+  }
+
+  const usageByCard = new Map();
+  const preLeakByCard = new Map();
+  const cardRows = cards.map((card) => {
+    const leakedMs = new Date(card.leaked_at).getTime();
+    const cardTransactions = (transactionsByCard.get(card.card_token) || [])
+      .slice()
+      .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+    // Without a valid leak time every transaction counts as use
+    const isPreLeak = (t) => !isNaN(leakedMs) && new Date(t.created_at).getTime() < leakedMs;
+    const preLeak = cardTransactions.filter(isPreLeak);
+    const usage = cardTransactions.filter((t) => !isPreLeak(t));
+    const firstUsedAt = usage[0]?.created_at || null;
+    usageByCard.set(card.card_token, usage);
+    preLeakByCard.set(card.card_token, preLeak);
+
+    return {
+      cardToken: card.card_token,
+      leakChannel: card.leak_channel || campaign.leak_channel || null,
+      leakedAt: card.leaked_at || null,
+      persona: card.persona || campaign.persona || null,
+      firstUsedAt,
+      timeToFirstUseHours: hoursBetween(card.leaked_at, firstUsedAt),
+      transactionCount: usage.length,
+      distinctMerchants: new Set(usage.map(merchantKey)).size,
+      preLeakTransactionCount: preLeak.length,
+      lastPreLeakAt: preLeak[preLeak.length - 1]?.created_at || null,
+    };
+  });
+
+  const campaignTransactions = cards.flatMap((card) => usageByCard.get(card.card_token));
+  const preLeakTransactions = cards.flatMap((card) => preLeakByCard.get(card.card_token));
+  const byLeakChannel = {};
+  for (const row of cardRows) {
+    const channel = row.leakChannel || "unknown";
+    (byLeakChannel[channel] ||= []).push(row);
+  }
+
+  return {
+    campaign: {
+      id: campaign.id,
+      name: campaign.name,
+      leakChannel: campaign.leak_channel || null,
+      persona: campaign.persona || null,
+      region: campaign.region || null,
+      purpose: campaign.purpose || null,
+      createdAt: campaign.created_at || null,
+    },
+    cardCount: cardRows.length,
+    usedCardCount: cardRows.filter((row) => row.transactionCount > 0).length,
+    transactions: summarizeTransactions(campaignTransactions),
+    timeToFirstUse: summarizeTimeToFirstUse(cardRows),
+    merchantSpread: summarizeMerchantSpread(campaignTransactions),
+    preLeakActivity: {
+      cardCount: cardRows.filter((row) => row.preLeakTransactionCount > 0).length,
+      ...summarizeTransactions(preLeakTransactions),
+    },
+    byLeakChannel: Object.fromEntries(
+      Object.entries(byLeakChannel).map(([channel, rows]) => [
+        channel,
+        {
+          cardCount: rows.length,
+          usedCardCount: rows.filter((row) => row.transactionCount > 0).length,
+          transactionCount: rows.reduce((sum, row) => sum + row.transactionCount, 0),
+          medianTimeToFirstUseHours: summarizeTimeToFirstUse(rows).medianHours,
+        },
+      ]),
+    ),
+    cards: cardRows,
+  };
+}
+
+/**
+ * Hours from leak to first use, across the cards that were used.
+ */
+function summarizeTimeToFirstUse(cardRows) {
+  const hours = cardRows
+    .map((row) => row.timeToFirstUseHours)
+    .filter((value) => value !== null)
+    .sort((a, b) => a - b);
+
+  if (hours.length === 0) {
+    return { measuredCards: 0, minHours: null, medianHours: null, averageHours: null, maxHours: null };
+  }
+
+  const middle = Math.floor(hours.length / 2);
+  const median = hours.length % 2 === 0 ? (hours[middle - 1] + hours[middle]) / 2 : hours[middle];
+
+  return {
+    measuredCards: hours.length,
+    minHours: hours[0],
+    medianHours: round(median),
+    averageHours: round(hours.reduce((sum, value) => sum + value, 0) / hours.length),
+    maxHours: hours[hours.length - 1],
+  };
+}
+
+function summarizeTransactions(transactions) {
+  const timestamps = transactions.map((t) => t.created_at).filter(Boolean).sort();
+  const approved = transactions.filter((t) => t.result === "APPROVED").length;
+
+  return {
+    count: transactions.length,
+    approvedCount: approved,
+    declinedCount: transactions.length - approved,
+    totalAmountUsd: round(transactions.reduce((sum, t) => sum + (t.amount_usd || 0), 0)),
+    firstAt: timestamps[0] || null,
+    lastAt: timestamps[timestamps.length - 1] || null,
+  };
+}
+
+function summarizeMerchantSpread(transactions) {
+  const merchants = new Map();
+  for (const transaction of transactions) {
+    const key = merchantKey(transaction);
+    if (!merchants.has(key)) {
+      merchants.set(key, { merchant: transaction.merchant || key, transactionCount: 0, cards: new Set() });
+    }
+    const entry = merchants.get(key);
+    entry.transactionCount++;
+    entry.cards.add(transaction.card_token);
+  }
+
+  const ranked = [...merchants.values()]
+    .map((entry) => ({ merchant: entry.merchant, transactionCount: entry.transactionCount, cardCount: entry.cards.size }))
+    .sort((a, b) => b.cardCount - a.cardCount || b.transactionCount - a.transactionCount);
+  const distinct = (field) => new Set(transactions.map((t) => t[field]).filter(Boolean)).size;
+
+  return {
+    distinctMerchants: merchants.size,
+    distinctAcceptors: distinct("merchant_acceptor_id"),
+    distinctCountries: distinct("country"),
+    distinctMccs: distinct("merchant_mcc"),
+    sharedMerchants: ranked.filter((entry) => entry.cardCount > 1),
+    topMerchants: ranked.slice(0, TOP_MERCHANT_COUNT),
+  };
+}
+
+/**
+ * Acceptor ID when known, otherwise the merchant name
+ */
+function merchantKey(transaction) {
+  return transaction.merchant_acceptor_id || transaction.merchant || "Unknown Merchant";
+}
+
+function hoursBetween(start, end) {
+  if (!start || !end) return null;
+  const diff = new Date(end).getTime() - new Date(start).getTime();
+  if (isNaN(diff)) return null;
+  return round(diff / HOUR_MS);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,382 @@
+/**
+ * Entity graph for scammer attribution.
+ *
+ * Built from stored transactions, their merchant links, merchant rows and the acceptor
+ * IDs recorded on merchant aliases:
+ *
+ *   card ──transacted_at──▶ merchant ──identified_by──▶ acceptor
+ *     │  └──transacted_via──────────────────────────────▶ acceptor
+ *     └──uses_network──▶ network    merchant ──located_in──▶ location
+ *
+ * Cards, merchants and acceptors are attribution nodes: two cards hit by the same
+ * merchant, or through the same acceptor ID (even under different merchants), end up
+ * in one connected component. transacted_via links a card to the acceptor its
+ * transaction reported.
+ * Networks and locations are context nodes; a handful of them touch every card, so they
+ * are shown in neighborhoods but never connect components or extend a traversal.
+ * Node IDs are "<type>:<key>" (e.g. "card:<token>", "merchant:<id>", "acceptor:<id>").
+ * Card nodes carry the campaign the card was leaked in, so components show when one
+ * merchant cluster reached cards from several campaigns.
+ */
+
+export const NODE_TYPES = {
+  CARD: "card",
+  MERCHANT: "merchant",
+  ACCEPTOR: "acceptor",
+  NETWORK: "network",
+  LOCATION: "location",
+};
+
+const ATTRIBUTION_TYPES = new Set([NODE_TYPES.CARD, NODE_TYPES.MERCHANT, NODE_TYPES.ACCEPTOR]);
+
+/**
+ * Build the entity graph.
+ * @param {Object} data - Rows fetched by reportingService.getEntityGraphData().
+ * @param {Array<Object>} data.transactions - Transactions ({ token, card_token, network_type, network, result, created_at }).
+ * @param {Array<Object>} data.links - transaction_merchants rows ({ transaction_token, merchant_id, acceptor_id }).
+ * @param {Array<Object>} data.merchants - merchants rows, including rows merged into a canonical merchant.
+ * @param {Array<Object>} [data.aliases] - merchant_aliases rows with an acceptor ID ({ merchant_id, acceptor_id }).
+ * @param {Array<Object>} [data.campaignCards] - Campaign links ({ card_token, campaign_id, campaign_name }).
+ * @returns {{nodes: Map<string, Object>, edges: Map<string, Object>}} Nodes and edges keyed by ID.
+ *   Nodes and edges carry transactionCount, firstSeen and lastSeen.
+ */
+export function buildEntityGraph({ transactions = [], links = [], merchants = [], aliases = [], campaignCards = [] }) {
+  const graph = { nodes: new Map(), edges: new Map() };
+  const campaignsByCard = new Map(campaignCards.map((card) => [card.card_token, card]));
+
+  const merchantsById = new Map(merchants.map((merchant) => [String(merchant.id), merchant]));
+  const canonicalOf = (merchantId) => {
+    const merchant = merchantsById.get(String(merchantId));
+    return merchant?.canonical_merchant_id != null
+      ? merchantsById.get(String(merchant.canonical_merchant_id)) || merchant
+      : merchant;
+  };
+
+  // Acceptor IDs of merged rows and aliases belong to their canonical merchant
+  const acceptorsByMerchant = new Map();
+  const addAcceptor = (merchantId, acceptorId) => {
+    const merchant = canonicalOf(merchantId);
+    if (!merchant || !acceptorId) return;
+    const canonicalId = String(merchant.id);
+    if (!acceptorsByMerchant.has(canonicalId)) acceptorsByMerchant.set(canonicalId, new Set());
+    acceptorsByMerchant.get(canonicalId).add(acceptorId);
+  };
+  for (const merchant of merchants) addAcceptor(merchant.id, merchant.acceptor_id);
+  for (const alias of aliases) addAcceptor(alias.merchant_id, alias.acceptor_id);
+  for (const link of links) addAcceptor(link.merchant_id, link.acceptor_id);
+
+  const merchantsByTransaction = new Map();
+  const acceptorsByTransaction = new Map();
+  for (const link of links) {
+    if (link.acceptor_id) {
+      if (!acceptorsByTransaction.has(link.transaction_token)) {
+        acceptorsByTransaction.set(link.transaction_token, new Set());
+      }
+      acceptorsByTransaction.get(link.transaction_token).add(link.acceptor_id);
+    }
+    const merchant = canonicalOf(link.merchant_id);
+    if (!merchant) continue;
+    if (!merchantsByTransaction.has(link.transaction_token)) {
+      merchantsByTransaction.set(link.transaction_token, new Map());
+    }
+    merchantsByTransaction.get(link.transaction_token).set(String(merchant.id), merchant);
+  }
+
+  for (const transaction of transactions) {
+    if (!transaction.card_token) continue;
+    const seen = transaction.created_at || null;
+
+    const campaign = campaignsByCard.get(transaction.card_token);
+    const cardId = touchNode(graph, NODE_TYPES.CARD, transaction.card_token, seen, {
+      label: transaction.card_token,
+      campaignId: campaign?.campaign_id ?? null,
+      campaign: campaign?.campaign_name ?? null,
+    });
+
+    const network = (transaction.network_type || transaction.network || "").toUpperCase();
+    if (network) {
+      const networkId = touchNode(graph, NODE_TYPES.NETWORK, network, seen, { label: network });
+      touchEdge(graph, cardId, networkId, "uses_network", seen);
+    }
+
+    for (const acceptorId of acceptorsByTransaction.get(transaction.token) || []) {
+      const acceptorNodeId = touchNode(graph, NODE_TYPES.ACCEPTOR, acceptorId, seen, { label: acceptorId });
+      touchEdge(graph, cardId, acceptorNodeId, "transacted_via", seen);
+    }
+
+    for (const merchant of merchantsByTransaction.get(transaction.token)?.values() || []) {
+      const merchantId = touchNode(graph, NODE_TYPES.MERCHANT, merchant.id, seen, {
+        label: merchant.descriptor || `Merchant ${merchant.id}`,
+        mcc: merchant.mcc || null,
+        country: merchant.country || null,
+      });
+      touchEdge(graph, cardId, merchantId, "transacted_at", seen);
+
+      for (const acceptorId of acceptorsByMerchant.get(String(merchant.id)) || []) {
+        const acceptorNodeId = touchNode(graph, NODE_TYPES.ACCEPTOR, acceptorId, seen, { label: acceptorId });
+        touchEdge(graph, merchantId, acceptorNodeId, "identified_by", seen);
+      }
+
+      const locationParts = [merchant.city, merchant.state, merchant.country].filter(Boolean);
+      if (locationParts.length > 0) {
+        const locationId = touchNode(
+          graph,
+          NODE_TYPES.LOCATION,
+          locationParts.join("|").toUpperCase(),
+          seen,
+          { label: locationParts.join(", ") },
+        );
+        touchEdge(graph, merchantId, locationId, "located_in", seen);
+      }
+    }
+  }
+
+  return graph;
+}
+
+/**
+ * Nodes and edges within `depth` hops of a node. Context nodes (networks, locations)
+ * are included but not traversed through.
+ * @param {Object} graph - Graph from buildEntityGraph().
+ * @param {string} centerId - Node ID to start from.
+ * @param {number} [depth=2] - Maximum hops.
+ * @returns {{center: string, depth: number, found: boolean, nodes: Array<Object>, edges: Array<Object>}}
+ *   Neighborhood; found is false (and nodes empty) when the node is not in the graph.
+ */
+export function getNeighborhood(graph, centerId, depth = 2) {
+  if (!graph.nodes.has(centerId)) {
+    return { center: centerId, depth, found: false, nodes: [], edges: [] };
+  }
+
+  const adjacency = buildAdjacency(graph, () => true);
+  const distances = new Map([[centerId, 0]]);
+  const queue = [centerId];
+
+  while (queue.length > 0) {
+    const nodeId = queue.shift();
+    const distance = distances.get(nodeId);
+    if (distance >= depth) continue;
+    if (nodeId !== centerId && !ATTRIBUTION_TYPES.has(graph.nodes.get(nodeId).type)) continue;
+
+    for (const neighborId of adjacency.get(nodeId) || []) {
+      if (!distances.has(neighborId)) {
+        distances.set(neighborId, distance + 1);
+        queue.push(neighborId);
+      }
+    }
+  }
+
+  return {
+    center: centerId,
+    depth,
+    found: true,
+    nodes: [...distances].map(([nodeId, distance]) => ({ ...graph.nodes.get(nodeId), distance })),
+    edges: [...graph.edges.values()].filter(
+      (edge) => distances.has(edge.source) && distances.has(edge.target),
+    ),
+  };
+}
+
+/**
+ * Pairs of cards that transacted at the same merchants, most shared merchants first.
+ * @param {Object} graph - Graph from buildEntityGraph().
+ * @param {number} [limit=50] - Maximum pairs returned.
+ * @returns {Array<{cards: Array<string>, campaigns: Array<string|null>, sharedMerchantCount: number, sharedMerchants: Array<Object>, transactionCount: number}>}
+ *   Card pairs (with each card's campaign) and the merchants they share and the transactions both cards made there.
+ */
+export function findSharedMerchantLinks(graph, limit = 50) {
+  const cardsByMerchant = new Map();
+  for (const edge of graph.edges.values()) {
+    if (edge.type !== "transacted_at") continue;
+    if (!cardsByMerchant.has(edge.target)) cardsByMerchant.set(edge.target, []);
+    cardsByMerchant.get(edge.target).push(edge);
+  }
+
+  const pairs = new Map();
+  for (const [merchantId, cardEdges] of cardsByMerchant) {
+    const sorted = [...cardEdges].sort((a, b) => a.source.localeCompare(b.source));
+    for (let i = 0; i < sorted.length; i++) {
+      for (let j = i + 1; j < sorted.length; j++) {
+        const key = `${sorted[i].source}|${sorted[j].source}`;
+        if (!pairs.has(key)) {
+          pairs.set(key, {
+            cards: [keyOf(sorted[i].source), keyOf(sorted[j].source)],
+            campaigns: [
+              graph.nodes.get(sorted[i].source).campaign ?? null,
+              graph.nodes.get(sorted[j].source).campaign ?? null,
+            ],
+            sharedMerchantCount: 0,
+            sharedMerchants: [],
+            transactionCount: 0,
+          });
+        }
+        const pair = pairs.get(key);
+        const merchant = graph.nodes.get(merchantId);
+        pair.sharedMerchantCount++;
+        pair.sharedMerchants.push({ id: merchantId, label: merchant.label });
+        pair.transactionCount += sorted[i].transactionCount + sorted[j].transactionCount;
+      }
+    }
+  }
+
+  return [...pairs.values()]
+    .sort(
+      (a, b) =>
+        b.sharedMerchantCount - a.sharedMerchantCount || b.transactionCount - a.transactionCount,
+    )
+    .slice(0, limit);
+}
+
+/**
+ * Connected components over attribution nodes, largest first.
+ * @param {Object} graph - Graph from buildEntityGraph().
+ * @param {number} [limit=10] - Maximum components returned.
+ * @returns {Array<Object>} Components ({ rank, size, cardCount, merchantCount, acceptorCount,
+ *   campaignCount, transactionCount, firstSeen, lastSeen, cards, campaigns, merchants, acceptors }).
+ */
+export function findConnectedComponents(graph, limit = 10) {
+  const adjacency = buildAdjacency(
+    graph,
+    (edge) =>
+      ATTRIBUTION_TYPES.has(graph.nodes.get(edge.source).type) &&
+      ATTRIBUTION_TYPES.has(graph.nodes.get(edge.target).type),
+  );
+
+  const visited = new Set();
+  const components = [];
+
+  for (const [nodeId, node] of graph.nodes) {
+    if (visited.has(nodeId) || !ATTRIBUTION_TYPES.has(node.type)) continue;
+
+    const members = [];
+    const stack = [nodeId];
+    visited.add(nodeId);
+    while (stack.length > 0) {
+      const current = stack.pop();
+      members.push(graph.nodes.get(current));
+      for (const neighborId of adjacency.get(current) || []) {
+        if (!visited.has(neighborId)) {
+          visited.add(neighborId);
+          stack.push(neighborId);
+        }
+      }
+    }
+
+    const ofType = (type) => members.filter((member) => member.type === type);
+    const cards = ofType(NODE_TYPES.CARD);
+    const merchants = ofType(NODE_TYPES.MERCHANT);
+    const acceptors = ofType(NODE_TYPES.ACCEPTOR);
+    const seen = members.flatMap((member) => [member.firstSeen, member.lastSeen]).filter(Boolean).sort();
+    const campaigns = [...new Set(cards.map((card) => card.campaign).filter(Boolean))];
+
+    components.push({
+      size: members.length,
+      cardCount: cards.length,
+      merchantCount: merchants.length,
+      acceptorCount: acceptors.length,
+      campaignCount: campaigns.length,
+      transactionCount: cards.reduce((sum, card) => sum + card.transactionCount, 0),
+      firstSeen: seen[0] || null,
+      lastSeen: seen[seen.length - 1] || null,
+      cards: cards.map((card) => card.key),
+      campaigns,
+      merchants: merchants.map((merchant) => ({ id: merchant.id, label: merchant.label })),
+      acceptors: acceptors.map((acceptor) => acceptor.key),
+    });
+  }
+
+  return components
+    .sort(
+      (a, b) =>
+        b.size - a.size || b.cardCount - a.cardCount || b.transactionCount - a.transactionCount,
+    )
+    .slice(0, limit)
+    .map((component, index) => ({ rank: index + 1, ...component }));
+}
+
+/**
+ * Node and edge counts by type.
+ * @param {Object} graph - Graph from buildEntityGraph().
+ * @returns {{nodeCount: number, edgeCount: number, nodesByType: Object, edgesByType: Object}}
+ */
+export function summarizeGraph(graph) {
+  const countBy = (items) =>
+    items.reduce((counts, item) => {
+      counts[item.type] = (counts[item.type] || 0) + 1;
+      return counts;
+    }, {});
+
+  return {
+    nodeCount: graph.nodes.size,
+    edgeCount: graph.edges.size,
+    nodesByType: countBy([...graph.nodes.values()]),
+    edgesByType: countBy([...graph.edges.values()]),
+  };
+}
+
+/**
+ * Build a node ID.
+ * @param {string} type - One of NODE_TYPES.
+ * @param {string|number} key - Card token, merchant ID, acceptor ID, network or location key.
+ * @returns {string} Node ID.
+ */
+export function nodeId(type, key) {
+  return `${type}:${key}`;
+}
+
+/**
+ * Add a node or count another transaction on it.
+ */
+function touchNode(graph, type, key, seen, attributes) {
+  const id = nodeId(type, key);
+  let node = graph.nodes.get(id);
+  if (!node) {
+    node = { id, type, key: String(key), ...attributes, transactionCount: 0, firstSeen: null, lastSeen: null };
+    graph.nodes.set(id, node);
+  }
+  recordSighting(node, seen);
+  return id;
+}
+
+/**
+ * Add an edge or count another transaction on it.
+ */
+function touchEdge(graph, source, target, type, seen) {
+  const id = `${source}->${target}`;
+  let edge = graph.edges.get(id);
+  if (!edge) {
+    edge = { source, target, type, transactionCount: 0, firstSeen: null, lastSeen: null };
+    graph.edges.set(id, edge);
+  }
+  recordSighting(edge, seen);
+}
+
+function recordSighting(item, seen) {
+  item.transactionCount++;
+  if (seen && (!item.firstSeen || seen < item.firstSeen)) item.firstSeen = seen;
+  if (seen && (!item.lastSeen || seen > item.lastSeen)) item.lastSeen = seen;
+}
+
+/**
+ * Undirected adjacency over the edges accepted by the filter.
+ */
+function buildAdjacency(graph, includeEdge) {
+  const adjacency = new Map();
+  const connect = (a, b) => {
+    if (!adjacency.has(a)) adjacency.set(a, new Set());
+    adjacency.get(a).add(b);
+  };
+  for (const edge of graph.edges.values()) {
+    if (!includeEdge(edge)) continue;
+    connect(edge.source, edge.target);
+    connect(edge.target, edge.source);
+  }
+  return adjacency;
+}
+
+/**
+ * Key part of a node ID.
+ */
+function keyOf(id) {
+  return id.slice(id.indexOf(":") + 1);
+}
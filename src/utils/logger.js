@@ -1,8 +1,11 @@
 import pino from 'pino';
 import { config } from '../config/index.js';
+import { getRequestContext } from './request-context.js';
 
 const logger = pino({
   level: config.server.nodeEnv === 'production' ? 'info' : 'debug',
+  // Tag log lines written while handling an HTTP request with its API key and session
+  mixin: getRequestContext,
   transport: config.server.nodeEnv !== 'production'
     ? {
         target: 'pino-pretty',
@@ -0,0 +1,203 @@
+/**
+ * Merchant normalization: descriptor cleanup, similarity and clustering.
+ *
+ * Card networks report the same merchant under many descriptors: processor
+ * prefixes ("SQ *BLUE BOTTLE"), per-order reference suffixes ("AMZN MKTP US*2K3")
+ * and store numbers ("CVS/PHARMACY #1234"). Normalizing strips those so variants
+ * compare equal; near-duplicates that still differ are matched by bigram similarity
+ * within the same country and MCC. Chain stores share a descriptor, so rows with
+ * different acceptor IDs in different cities are never matched.
+ */
+
+// Payment facilitator / POS prefixes that precede the real merchant name ("SQ *", "TST* ", "PAYPAL *")
+const PROCESSOR_PREFIX =
+  /^(?:SQ|TST|PAYPAL|PP|SP|GOOGLE|GGL|APL|IC|IN|PY|WPY|DNH|FS|BT|CKO|EB|ZTL|PAR|SUMUP|CLV|LS)\s*\*\s*/;
+
+// Reference after the last "*" when it contains a digit ("*2K3", "*MK1AB2CD0")
+const STAR_REFERENCE_SUFFIX = /\*\s*[A-Z0-9-]*\d[A-Z0-9-]*\s*$/;
+
+// Store or order number after "#" ("#1234", "# 00451")
+const HASH_REFERENCE_SUFFIX = /\s*#\s*[A-Z0-9-]+\s*$/;
+
+export const DEFAULT_SIMILARITY_THRESHOLD = 0.85;
+
+/**
+ * Normalize a merchant descriptor for matching.
+ * @param {string} descriptor - Raw card descriptor.
+ * @returns {string|null} Uppercased descriptor without processor prefix, reference
+ *   suffixes, store numbers or punctuation; null if nothing is left.
+ */
+export function normalizeDescriptor(descriptor) {
+  if (typeof descriptor !== "string") return null;
+
+  let normalized = descriptor.toUpperCase().trim();
+  normalized = normalized.replace(PROCESSOR_PREFIX, "");
+  normalized = normalized.replace(STAR_REFERENCE_SUFFIX, "");
+  normalized = normalized.replace(HASH_REFERENCE_SUFFIX, "");
+  normalized = normalized.replace(/[^A-Z0-9&]+/g, " ").trim();
+
+  // Trailing tokens with digits are store/terminal numbers; keep the first token ("7 ELEVEN")
+  const tokens = normalized.split(" ").filter(Boolean);
+  while (tokens.length > 1 && /\d/.test(tokens[tokens.length - 1])) {
+    tokens.pop();
+  }
+
+  return tokens.length > 0 ? tokens.join(" ") : null;
+}
+
+/**
+ * Similarity of two normalized descriptors (Dice coefficient over character bigrams).
+ * @param {string} a - Normalized descriptor.
+ * @param {string} b - Normalized descriptor.
+ * @returns {number} 0 (nothing in common) to 1 (identical).
+ */
+export function descriptorSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const bigramsA = bigrams(a);
+  const bigramsB = bigrams(b);
+  if (bigramsA.length === 0 || bigramsB.length === 0) return 0;
+
+  const counts = new Map();
+  for (const bigram of bigramsA) {
+    counts.set(bigram, (counts.get(bigram) || 0) + 1);
+  }
+
+  let shared = 0;
+  for (const bigram of bigramsB) {
+    const count = counts.get(bigram);
+    if (count) {
+      shared++;
+      counts.set(bigram, count - 1);
+    }
+  }
+
+  return (2 * shared) / (bigramsA.length + bigramsB.length);
+}
+
+/**
+ * Whether two merchant records may be the same merchant: country and MCC must
+ * agree when both are known, and two known acceptor IDs may only differ within
+ * the same city (an acquirer re-boarding one store), not across branches of a chain.
+ * @param {Object} a - Merchant ({ acceptor_id, city, state, country, mcc }).
+ * @param {Object} b - Merchant ({ acceptor_id, city, state, country, mcc }).
+ * @returns {boolean} True unless a known country or MCC differs, or both the
+ *   acceptor ID and the city or state differ.
+ */
+export function areMerchantsCompatible(a, b) {
+  const differs = (x, y) => Boolean(x) && Boolean(y) && String(x).toUpperCase() !== String(y).toUpperCase();
+  const otherLocation = differs(a.city, b.city) || differs(a.state, b.state);
+  return (
+    !differs(a.country, b.country) &&
+    !differs(a.mcc, b.mcc) &&
+    !(differs(a.acceptor_id, b.acceptor_id) && otherLocation)
+  );
+}
+
+/**
+ * Find the best fuzzy match for a merchant among candidates.
+ * @param {Object} merchant - Merchant with normalized_descriptor, acceptor_id, city, state, country and mcc.
+ * @param {Array<Object>} candidates - Merchants with the same fields.
+ * @param {number} [threshold=DEFAULT_SIMILARITY_THRESHOLD] - Minimum similarity.
+ * @returns {{candidate: Object, similarity: number}|null} Best compatible candidate at or above the threshold.
+ */
+export function findBestMatch(merchant, candidates, threshold = DEFAULT_SIMILARITY_THRESHOLD) {
+  let best = null;
+  for (const candidate of candidates) {
+    if (!areMerchantsCompatible(merchant, candidate)) continue;
+
+    const similarity = descriptorSimilarity(merchant.normalized_descriptor, candidate.normalized_descriptor);
+    if (similarity >= threshold && (!best || similarity > best.similarity)) {
+      best = { candidate, similarity: Math.round(similarity * 100) / 100 };
+    }
+  }
+  return best;
+}
+
+/**
+ * Group merchant rows into clusters of the same merchant.
+ * Rows join a cluster when their normalized descriptors are equal or similar above
+ * the threshold and they are compatible (see areMerchantsCompatible). The canonical row of a
+ * cluster is the one created first (lowest id on ties).
+ * @param {Array<Object>} merchants - Rows with id, descriptor, acceptor_id, city, state, country, mcc and created_at.
+ * @param {number} [threshold=DEFAULT_SIMILARITY_THRESHOLD] - Minimum fuzzy similarity.
+ * @returns {Array<{canonical: Object, members: Array<Object>}>} Clusters with more than one row;
+ *   members excludes the canonical row and carries normalized_descriptor.
+ */
+export function clusterMerchants(merchants, threshold = DEFAULT_SIMILARITY_THRESHOLD) {
+  const rows = merchants
+    .map((merchant) => ({
+      ...merchant,
+      normalized_descriptor: normalizeDescriptor(merchant.descriptor),
+    }))
+    .filter((merchant) => merchant.normalized_descriptor)
+    .sort(compareByAge);
+
+  const parent = rows.map((_, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    // The older row (lower index) stays the root, so it becomes canonical
+    if (rootA !== rootB) parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+  };
+
+  // Only compare rows whose descriptors start alike, instead of every pair
+  const blocks = new Map();
+  rows.forEach((row, index) => {
+    const key = row.normalized_descriptor.slice(0, 3);
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(index);
+  });
+
+  for (const indexes of blocks.values()) {
+    for (let i = 0; i < indexes.length; i++) {
+      for (let j = i + 1; j < indexes.length; j++) {
+        const a = rows[indexes[i]];
+        const b = rows[indexes[j]];
+        if (!areMerchantsCompatible(a, b)) continue;
+        if (descriptorSimilarity(a.normalized_descriptor, b.normalized_descriptor) >= threshold) {
+          union(indexes[i], indexes[j]);
+        }
+      }
+    }
+  }
+
+  const clusters = new Map();
+  rows.forEach((row, index) => {
+    const root = find(index);
+    if (!clusters.has(root)) clusters.set(root, { canonical: rows[root], members: [] });
+    if (root !== index) clusters.get(root).members.push(row);
+  });
+
+  return [...clusters.values()].filter((cluster) => cluster.members.length > 0);
+}
+
+/**
+ * Oldest first, then lowest id.
+ */
+function compareByAge(a, b) {
+  const timeA = a.created_at ? new Date(a.created_at).getTime() : Infinity;
+  const timeB = b.created_at ? new Date(b.created_at).getTime() : Infinity;
+  if (timeA !== timeB) return timeA - timeB;
+  return String(a.id).localeCompare(String(b.id), undefined, { numeric: true });
+}
+
+/**
+ * Character bigrams of a string, ignoring spaces.
+ */
+function bigrams(value) {
+  const compact = value.replace(/ /g, "");
+  const result = [];
+  for (let i = 0; i < compact.length - 1; i++) {
+    result.push(compact.slice(i, i + 2));
+  }
+  return result;
+}
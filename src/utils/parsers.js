@@ -1,10 +1,13 @@
+import { deriveLifecycle } from "./transaction-lifecycle.js";
+
 /**
  * Parse detailed transaction information from a Lithic transaction object.
  * @param {Object} transaction - Lithic transaction object.
  * @returns {Object} Parsed transaction data.
  */
 export function parseTransactionDetails(transaction) {
-  // Get the first event (most recent)
+  // Amounts and network data come from the first (opening) event; later
+  // lifecycle events are parsed separately by parseTransactionEvents
   const event = transaction.events && transaction.events[0] ? transaction.events[0] : {};
 
   // Parse amounts
@@ -76,6 +79,7 @@ export function parseTransactionDetails(transaction) {
 
     // Status
     status: transaction.status,
+    lifecycle_state: deriveLifecycle(transaction.events || []).state,
     created_at: transaction.created,
 
     // Store complete response for reference
@@ -83,6 +87,34 @@ export function parseTransactionDetails(transaction) {
   };
 }
 
+/**
+ * Parse every lifecycle event of a Lithic transaction into its own row.
+ * @param {Object} transaction - Lithic transaction object.
+ * @returns {Array<Object>} Parsed event rows linked to the parent transaction.
+ */
+export function parseTransactionEvents(transaction) {
+  const events = Array.isArray(transaction.events) ? transaction.events : [];
+
+  return events
+    .filter((event) => event && event.token)
+    .map((event) => {
+      const cardholderInfo = event.amounts?.cardholder || {};
+
+      return {
+        token: event.token,
+        transaction_token: transaction.token,
+        card_token: transaction.card_token,
+        event_type: event.type || "UNKNOWN",
+        result: event.result || "UNKNOWN",
+        amount: event.amount ?? cardholderInfo.amount ?? 0,
+        currency: cardholderInfo.currency || "USD",
+        detailed_results: event.detailed_results || [],
+        created_at: event.created,
+        raw_data: event,
+      };
+    });
+}
+
 /**
  * Parse merchant information from a Lithic transaction object.
  * @param {Object} transaction - Lithic transaction object.
@@ -0,0 +1,19 @@
+/**
+ * Request context - per-request identity that follows async work
+ *
+ * The HTTP transport runs each /mcp request inside requestContext.run() with the
+ * authenticated API key and MCP session, and the logger mixes the current context
+ * into every log line written while handling that request.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+export const requestContext = new AsyncLocalStorage();
+
+/**
+ * Get the context of the request being handled
+ * @returns {Object} Context fields (empty outside a request)
+ */
+export function getRequestContext() {
+  return requestContext.getStore() || {};
+}
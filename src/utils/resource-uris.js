@@ -0,0 +1,81 @@
+/**
+ * MCP Resource URIs
+ *
+ * Builds and parses the honeypot:// URIs used to expose cards, transactions and
+ * polling subscriptions as MCP resources:
+ * - honeypot://cards/{cardToken}
+ * - honeypot://transactions/{transactionToken}
+ * - honeypot://subscriptions/{subscriptionId}
+ */
+
+const URI_SCHEME = 'honeypot://';
+
+/**
+ * Resource types, keyed by the URI path segment
+ */
+export const RESOURCE_TYPES = {
+  cards: {
+    uriTemplate: 'honeypot://cards/{cardToken}',
+    name: 'Honeypot card',
+    description: 'Card state, limits and recent transactions for a honeypot card'
+  },
+  transactions: {
+    uriTemplate: 'honeypot://transactions/{transactionToken}',
+    name: 'Transaction',
+    description: 'Stored transaction details, including merchant, network and lifecycle data'
+  },
+  subscriptions: {
+    uriTemplate: 'honeypot://subscriptions/{subscriptionId}',
+    name: 'Alert subscription',
+    description: 'Polling subscription configuration, queue and dead-letter status'
+  }
+};
+
+/**
+ * Build a card resource URI
+ * @param {string} cardToken - Card token
+ * @returns {string} Resource URI
+ */
+export function cardUri(cardToken) {
+  return `${URI_SCHEME}cards/${encodeURIComponent(cardToken)}`;
+}
+
+/**
+ * Build a transaction resource URI
+ * @param {string} transactionToken - Transaction token
+ * @returns {string} Resource URI
+ */
+export function transactionUri(transactionToken) {
+  return `${URI_SCHEME}transactions/${encodeURIComponent(transactionToken)}`;
+}
+
+/**
+ * Build a subscription resource URI
+ * @param {string} subscriptionId - Polling subscription ID
+ * @returns {string} Resource URI
+ */
+export function subscriptionUri(subscriptionId) {
+  return `${URI_SCHEME}subscriptions/${encodeURIComponent(subscriptionId)}`;
+}
+
+/**
+ * Parse a honeypot:// resource URI
+ * @param {string} uri - Resource URI
+ * @returns {{type: string, id: string}|null} Resource type and identifier, or null if not a known resource URI
+ */
+export function parseResourceUri(uri) {
+  if (typeof uri !== 'string' || !uri.startsWith(URI_SCHEME)) {
+    return null;
+  }
+
+  const [type, id, ...rest] = uri.slice(URI_SCHEME.length).split('/');
+  if (!RESOURCE_TYPES[type] || !id || rest.length > 0) {
+    return null;
+  }
+
+  try {
+    return { type, id: decodeURIComponent(id) };
+  } catch {
+    return null;
+  }
+}
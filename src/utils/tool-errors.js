@@ -0,0 +1,173 @@
+/**
+ * Tool Errors - Shared error taxonomy for MCP tools
+ *
+ * Tool failures reach the client as isError results carrying a code, a retryable
+ * flag and a remediation hint, so agents can recover mid-call instead of seeing a
+ * generic protocol error. Handlers and services throw ToolError for failures the
+ * caller can act on (bad arguments, unknown IDs, expired subscriptions);
+ * classifyError maps upstream errors (Lithic SDK, Supabase, scope denials) onto the
+ * taxonomy and treats anything else, including plain Errors and JS runtime errors,
+ * as an internal error.
+ */
+
+export const TOOL_ERROR_CODES = {
+  VALIDATION_ERROR: 'VALIDATION_ERROR',
+  NOT_FOUND: 'NOT_FOUND',
+  LITHIC_ERROR: 'LITHIC_ERROR',
+  SUPABASE_ERROR: 'SUPABASE_ERROR',
+  RATE_LIMITED: 'RATE_LIMITED',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  SUBSCRIPTION_EXPIRED: 'SUBSCRIPTION_EXPIRED',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+/**
+ * Default retry behaviour and remediation hint for each code
+ */
+const ERROR_DEFAULTS = {
+  VALIDATION_ERROR: {
+    retryable: false,
+    remediation: 'Fix the arguments to match the tool input schema and call again'
+  },
+  NOT_FOUND: {
+    retryable: false,
+    remediation: 'Check the token or ID; list_available_cards and search_transactions return valid tokens'
+  },
+  LITHIC_ERROR: {
+    retryable: true,
+    remediation: 'The card processor request failed; retry shortly with the same arguments'
+  },
+  SUPABASE_ERROR: {
+    retryable: true,
+    remediation: 'The transaction database request failed; retry shortly with the same arguments'
+  },
+  RATE_LIMITED: {
+    retryable: true,
+    remediation: 'Wait before calling again (see details.retryAfterSeconds when present)'
+  },
+  UNAUTHORIZED: {
+    retryable: false,
+    remediation: 'This API key is not allowed to call the tool; use another tool or ask an operator to grant the scope'
+  },
+  SUBSCRIPTION_EXPIRED: {
+    retryable: false,
+    remediation: 'Create a new subscription with subscribe_to_alerts (or a new feed with get_live_transaction_feed)'
+  },
+  INTERNAL_ERROR: {
+    retryable: false,
+    remediation: 'Unexpected server error; report the requestId to the server operator'
+  }
+};
+
+/**
+ * Error with a taxonomy code, retry flag and remediation hint
+ */
+export class ToolError extends Error {
+  /**
+   * @param {string} code - One of TOOL_ERROR_CODES
+   * @param {string} message - Human-readable description
+   * @param {Object} [options] - Error options
+   * @param {boolean} [options.retryable] - Overrides the code's default
+   * @param {string} [options.remediation] - Overrides the code's default hint
+   * @param {Object} [options.details] - Machine-readable context for the client
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(code, message, { retryable, remediation, details, cause } = {}) {
+    super(message, { cause });
+    this.name = 'ToolError';
+    this.code = code;
+    this.retryable = retryable ?? ERROR_DEFAULTS[code].retryable;
+    this.remediation = remediation ?? ERROR_DEFAULTS[code].remediation;
+    this.details = details;
+  }
+}
+
+/**
+ * Map any error onto the taxonomy
+ * @param {Error} error - Error thrown by a handler or service
+ * @returns {ToolError} Classified error (the same instance if already a ToolError)
+ */
+export function classifyError(error) {
+  if (error instanceof ToolError) {
+    return error;
+  }
+
+  const message = error?.message || String(error);
+  const toolError = (code, options = {}) => new ToolError(code, message, { cause: error, ...options });
+
+  if (error?.data?.reason === 'insufficient_scope') {
+    return toolError(TOOL_ERROR_CODES.UNAUTHORIZED, {
+      details: { requiredScope: error.data.requiredScope }
+    });
+  }
+
+  if (isLithicError(error)) {
+    const status = error.status;
+    if (status === 404) return toolError(TOOL_ERROR_CODES.NOT_FOUND, { details: { upstream: 'lithic', status } });
+    if (status === 429) return toolError(TOOL_ERROR_CODES.RATE_LIMITED, { details: { upstream: 'lithic', status } });
+    if (status === 400 || status === 422) {
+      return toolError(TOOL_ERROR_CODES.VALIDATION_ERROR, { details: { upstream: 'lithic', status } });
+    }
+    // Connection failures have no status; 5xx are transient, other 4xx are not
+    return toolError(TOOL_ERROR_CODES.LITHIC_ERROR, {
+      retryable: status === undefined || status >= 500,
+      details: { upstream: 'lithic', status: status ?? null }
+    });
+  }
+
+  if (isSupabaseError(error)) {
+    if (error.code === 'PGRST116') {
+      return toolError(TOOL_ERROR_CODES.NOT_FOUND, { details: { upstream: 'supabase', code: error.code } });
+    }
+    return toolError(TOOL_ERROR_CODES.SUPABASE_ERROR, { details: { upstream: 'supabase', code: error.code } });
+  }
+
+  // Server bugs (TypeError, ReferenceError, ...) and untyped errors are never the caller's fault
+  return toolError(TOOL_ERROR_CODES.INTERNAL_ERROR, {
+    details: error?.name && error.name !== 'Error' ? { errorType: error.name } : undefined
+  });
+}
+
+/**
+ * Wrap a handler error for the MCP server, keeping its classification (errors
+ * already wrapped for the tool are returned as-is)
+ * @param {Error} error - Error thrown while running the tool
+ * @param {string} toolName - Tool name
+ * @param {string} requestId - MCP request identifier
+ * @returns {ToolError} Error with message "Tool '<name>' failed: <message>"
+ */
+export function formatMcpError(error, toolName, requestId) {
+  if (error instanceof ToolError && error.toolName === toolName) {
+    return error;
+  }
+
+  const classified = classifyError(error);
+  const mcpError = new ToolError(classified.code, `Tool '${toolName}' failed: ${classified.message}`, {
+    retryable: classified.retryable,
+    remediation: classified.remediation,
+    details: classified.details,
+    cause: error
+  });
+  mcpError.toolName = toolName;
+  mcpError.requestId = requestId;
+  mcpError.originalError = error;
+  return mcpError;
+}
+
+/**
+ * Whether an error comes from the Lithic SDK (APIError and its subclasses)
+ */
+function isLithicError(error) {
+  for (let proto = Object.getPrototypeOf(error ?? {}); proto; proto = Object.getPrototypeOf(proto)) {
+    if (proto.constructor?.name === 'LithicError') return true;
+  }
+  return false;
+}
+
+/**
+ * Whether an error is a PostgREST error returned by the Supabase client
+ */
+function isSupabaseError(error) {
+  return error?.name === 'PostgrestError' ||
+    (typeof error?.code === 'string' && 'details' in error && 'hint' in error);
+}
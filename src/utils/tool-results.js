@@ -0,0 +1,93 @@
+/**
+ * Tool Results - Shared builder for MCP tool results and their output schemas
+ *
+ * Every tool returns its result twice: as structuredContent, which clients can use
+ * directly and validate against the tool's outputSchema, and as a text block
+ * (pretty-printed JSON unless the tool supplies its own text) for LLM readability.
+ *
+ * Clients validate structuredContent with Ajv, possibly in strict mode, so schemas avoid
+ * `format` and union types; fields that may be null are left untyped.
+ */
+
+/**
+ * Build a tool result
+ * @param {Object} data - Structured result; must match the tool's outputSchema
+ * @param {Object} [options] - Result options
+ * @param {string} [options.text] - Text block to send instead of the JSON rendering of data
+ * @returns {{content: Array<Object>, structuredContent: Object}} MCP CallToolResult
+ */
+export function createToolResult(data, { text } = {}) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: text ?? JSON.stringify(data, null, 2)
+      }
+    ],
+    structuredContent: data
+  };
+}
+
+/**
+ * Build a tool error result
+ *
+ * Error results carry no structuredContent: clients validate it against the
+ * tool's outputSchema, which describes the success shape.
+ * @param {import('./tool-errors.js').ToolError} error - Classified tool error
+ * @param {Object} context - Request context
+ * @param {string} context.toolName - Tool name
+ * @param {string} context.requestId - MCP request identifier
+ * @returns {{content: Array<Object>, isError: true}} MCP CallToolResult
+ */
+export function createToolErrorResult(error, { toolName, requestId }) {
+  const body = {
+    error: {
+      code: error.code,
+      message: error.message,
+      retryable: error.retryable,
+      remediation: error.remediation,
+      details: error.details ?? null
+    },
+    metadata: {
+      tool: toolName,
+      requestId,
+      timestamp: new Date().toISOString()
+    }
+  };
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(body, null, 2)
+      }
+    ],
+    isError: true
+  };
+}
+
+/**
+ * Build an object output schema
+ * @param {Object} properties - JSON Schema for each top-level field
+ * @param {Array<string>} [required=[]] - Fields always present
+ * @returns {Object} JSON Schema for a tool's structuredContent
+ */
+export function objectOutputSchema(properties, required = []) {
+  return {
+    type: "object",
+    properties,
+    required
+  };
+}
+
+/**
+ * Schema for the metadata block most tools append (request ID and timestamp)
+ */
+export const metadataOutputSchema = {
+  type: "object",
+  description: "Request metadata",
+  properties: {
+    requestId: { type: "string" },
+    timestamp: { type: "string", description: "ISO 8601 timestamp" }
+  }
+};
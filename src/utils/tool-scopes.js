@@ -0,0 +1,143 @@
+/**
+ * Authorization scopes for MCP tools, resources and prompts
+ *
+ * HTTP clients are granted scopes through their API key. Each tool requires at
+ * most one scope; tools mapped to null are available to every authenticated
+ * client, and tools missing from the map require `*`, which grants everything.
+ */
+
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+
+export const WILDCARD_SCOPE = '*';
+
+/**
+ * Known scopes and what they allow
+ */
+export const SCOPES = {
+  'cards:read': 'List honeypot cards and read card state, limits and card-based prompts',
+  'cards:pan': 'Read full card numbers (get_card_details)',
+  'cards:write': 'Create cards, change limits and pause or resume cards',
+  'transactions:read': 'Query, analyze and stream transactions',
+  'alerts:subscribe': 'Create alert subscriptions and poll, acknowledge and inspect them',
+  'audit:read': 'Query the audit log of PAN disclosures and card changes',
+  'sessions:admin': 'List and terminate MCP sessions (tools and /admin/sessions)'
+};
+
+/**
+ * Scope required by each tool
+ */
+export const TOOL_SCOPES = {
+  health_check: null,
+
+  list_available_cards: 'cards:read',
+  get_card_details: 'cards:pan',
+  create_honeypot_card: 'cards:write',
+  update_card_limits: 'cards:write',
+  toggle_card_state: 'cards:write',
+  create_campaign: 'cards:write',
+  record_card_leak: 'cards:write',
+
+  get_transaction: 'transactions:read',
+  search_transactions: 'transactions:read',
+  get_recent_transactions: 'transactions:read',
+  get_transactions_by_merchant: 'transactions:read',
+  get_transaction_details: 'transactions:read',
+  analyze_card_patterns: 'transactions:read',
+  detect_velocity_anomalies: 'transactions:read',
+  compare_merchant_behavior: 'transactions:read',
+  get_entity_graph: 'transactions:read',
+  get_campaign_report: 'transactions:read',
+  get_live_transaction_feed: 'transactions:read',
+  poll_live_feed: 'transactions:read',
+
+  subscribe_to_alerts: 'alerts:subscribe',
+  poll_subscription_alerts: 'alerts:subscribe',
+  ack_alerts: 'alerts:subscribe',
+  get_subscription_status: 'alerts:subscribe',
+  get_polling_metrics: 'alerts:subscribe',
+
+  get_audit_log: 'audit:read',
+
+  list_sessions: 'sessions:admin',
+  terminate_session: 'sessions:admin'
+};
+
+/**
+ * Scope required to read each resource type (see resource-uris.js)
+ */
+export const RESOURCE_SCOPES = {
+  cards: 'cards:read',
+  transactions: 'transactions:read',
+  subscriptions: 'alerts:subscribe'
+};
+
+/**
+ * Scope required to get any prompt (prompts embed live card context)
+ */
+export const PROMPT_SCOPE = 'cards:read';
+
+/**
+ * Scope required for prompts to embed recent transactions; without it the
+ * transaction context is left out
+ */
+export const PROMPT_TRANSACTIONS_SCOPE = 'transactions:read';
+
+/**
+ * Check whether granted scopes include a required scope
+ * @param {Array<string>} grantedScopes - Scopes granted to the client
+ * @param {string|null} requiredScope - Scope to check, or null if none is required
+ * @returns {boolean} Whether access is allowed
+ */
+export function hasScope(grantedScopes, requiredScope) {
+  if (requiredScope === null) {
+    return true;
+  }
+  return grantedScopes.includes(WILDCARD_SCOPE) || grantedScopes.includes(requiredScope);
+}
+
+/**
+ * Validate a list of scope names
+ * @param {Array<string>} scopes - Scopes to validate
+ * @returns {Array<string>} Unknown scope names (empty if all are valid)
+ */
+export function findUnknownScopes(scopes) {
+  return scopes.filter(scope => scope !== WILDCARD_SCOPE && !SCOPES[scope]);
+}
+
+/**
+ * Get the scope required by a tool; unmapped tools require the wildcard scope
+ * @param {string} toolName - Tool name
+ * @returns {string|null} Required scope, or null if none is required
+ */
+export function requiredScopeForTool(toolName) {
+  return Object.hasOwn(TOOL_SCOPES, toolName) ? TOOL_SCOPES[toolName] : WILDCARD_SCOPE;
+}
+
+/**
+ * Keep only the tools a client may call
+ * @param {Array<Object>} tools - Tool schemas
+ * @param {Array<string>} grantedScopes - Scopes granted to the client
+ * @returns {Array<Object>} Permitted tool schemas
+ */
+export function filterToolsByScopes(tools, grantedScopes) {
+  return tools.filter(tool => hasScope(grantedScopes, requiredScopeForTool(tool.name)));
+}
+
+/**
+ * Throw a structured MCP error unless the client holds the required scope
+ * @param {Array<string>} grantedScopes - Scopes granted to the client
+ * @param {string|null} requiredScope - Scope required for the request
+ * @param {string} target - What was requested, e.g. "tool 'get_card_details'"
+ * @throws {McpError} InvalidRequest with data.reason 'insufficient_scope'
+ */
+export function assertScope(grantedScopes, requiredScope, target) {
+  if (hasScope(grantedScopes, requiredScope)) {
+    return;
+  }
+
+  throw new McpError(
+    ErrorCode.InvalidRequest,
+    `Insufficient scope: ${target} requires '${requiredScope}'`,
+    { reason: 'insufficient_scope', requiredScope, grantedScopes, target }
+  );
+}
@@ -0,0 +1,68 @@
+/**
+ * Tool Validation - Runtime enforcement of tool inputSchemas
+ *
+ * The MCP dispatcher validates every tool call against the inputSchema it
+ * advertises before the handler runs: schema defaults are applied, and calls that
+ * do not match fail with a VALIDATION_ERROR listing each offending field.
+ */
+
+import Ajv from 'ajv';
+import { ToolError, TOOL_ERROR_CODES } from './tool-errors.js';
+
+/**
+ * Create a validator for a set of tool schemas
+ * @param {Array<Object>} toolSchemas - Tool definitions with name and inputSchema
+ * @returns {function(string, Object): Object} validate(toolName, args) returning the
+ *   arguments with defaults applied; tools without a schema pass through unchanged
+ * @throws {ToolError} VALIDATION_ERROR with details.errors [{ field, message }]
+ */
+export function createToolValidator(toolSchemas) {
+  const ajv = new Ajv({ allErrors: true, useDefaults: true });
+  const validators = new Map(
+    toolSchemas.map(schema => [schema.name, ajv.compile(schema.inputSchema)])
+  );
+
+  return function validateToolArguments(toolName, args) {
+    const validate = validators.get(toolName);
+    if (!validate) {
+      return args;
+    }
+
+    // Defaults are written into the object being validated, so work on a copy
+    const validated = structuredClone(args ?? {});
+    if (validate(validated)) {
+      return validated;
+    }
+
+    const errors = validate.errors.map(formatValidationError);
+    throw new ToolError(
+      TOOL_ERROR_CODES.VALIDATION_ERROR,
+      `Invalid arguments: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`,
+      { details: { errors } }
+    );
+  };
+}
+
+/**
+ * Turn an Ajv error into a field-level error
+ * @param {Object} error - Ajv error object
+ * @returns {{field: string, message: string}} Field path (e.g. "cardTokens[0]") and problem
+ */
+function formatValidationError(error) {
+  const path = error.dataPath.replace(/^\./, '');
+
+  switch (error.keyword) {
+    case 'required':
+      return { field: joinPath(path, error.params.missingProperty), message: 'is required' };
+    case 'additionalProperties':
+      return { field: joinPath(path, error.params.additionalProperty), message: 'is not a recognized argument' };
+    case 'enum':
+      return { field: path, message: `must be one of: ${error.params.allowedValues.join(', ')}` };
+    default:
+      return { field: path || '(arguments)', message: error.message };
+  }
+}
+
+function joinPath(path, property) {
+  return path ? `${path}.${property}` : property;
+}
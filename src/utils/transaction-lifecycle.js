@@ -0,0 +1,153 @@
+/**
+ * Transaction lifecycle state machine.
+ *
+ * A Lithic transaction carries an `events` array (oldest first). Each event moves
+ * the transaction through the lifecycle:
+ *
+ *   PENDING ──AUTHORIZATION──▶ AUTHORIZED ──CLEARING──▶ SETTLED ──RETURN──▶ RETURNED
+ *      │                          │
+ *      └──(declined auth)──▶ DECLINED └──VOID / AUTHORIZATION_REVERSAL / AUTHORIZATION_EXPIRY──▶ VOIDED
+ *
+ * Events that are not valid from the current state are recorded but do not change it.
+ */
+
+export const LIFECYCLE_STATES = {
+  PENDING: "PENDING",
+  AUTHORIZED: "AUTHORIZED",
+  DECLINED: "DECLINED",
+  SETTLED: "SETTLED",
+  VOIDED: "VOIDED",
+  RETURNED: "RETURNED",
+};
+
+const { PENDING, AUTHORIZED, DECLINED, SETTLED, VOIDED, RETURNED } =
+  LIFECYCLE_STATES;
+
+// Lithic event type -> { from: allowed source states, to: target state }
+const EVENT_TRANSITIONS = {
+  AUTHORIZATION: { from: [PENDING], to: AUTHORIZED },
+  CREDIT_AUTHORIZATION: { from: [PENDING], to: AUTHORIZED },
+  FINANCIAL_AUTHORIZATION: { from: [PENDING], to: SETTLED },
+  FINANCIAL_CREDIT_AUTHORIZATION: { from: [PENDING], to: SETTLED },
+  AUTHORIZATION_ADVICE: { from: [PENDING, AUTHORIZED], to: AUTHORIZED },
+  CREDIT_AUTHORIZATION_ADVICE: { from: [PENDING, AUTHORIZED], to: AUTHORIZED },
+  CLEARING: { from: [PENDING, AUTHORIZED, SETTLED], to: SETTLED },
+  VOID: { from: [AUTHORIZED], to: VOIDED },
+  AUTHORIZATION_REVERSAL: { from: [AUTHORIZED], to: VOIDED },
+  AUTHORIZATION_EXPIRY: { from: [AUTHORIZED], to: VOIDED },
+  RETURN: { from: [SETTLED], to: RETURNED },
+  RETURN_REVERSAL: { from: [RETURNED], to: SETTLED },
+};
+
+// Event types that open a transaction and can therefore be declined
+const OPENING_EVENTS = new Set([
+  "AUTHORIZATION",
+  "CREDIT_AUTHORIZATION",
+  "FINANCIAL_AUTHORIZATION",
+  "FINANCIAL_CREDIT_AUTHORIZATION",
+]);
+
+const TRANSITION_VERBS = {
+  [`${PENDING}->${AUTHORIZED}`]: "was just authorized",
+  [`${PENDING}->${DECLINED}`]: "was just declined",
+  [`${PENDING}->${SETTLED}`]: "just posted",
+  [`${AUTHORIZED}->${SETTLED}`]: "just cleared",
+  [`${AUTHORIZED}->${VOIDED}`]: "was just reversed",
+  [`${SETTLED}->${RETURNED}`]: "was just refunded",
+  [`${RETURNED}->${SETTLED}`]: "had its refund reversed",
+};
+
+/**
+ * Apply a single Lithic event to a lifecycle state.
+ * @param {string} state - Current lifecycle state.
+ * @param {Object} event - Lithic event ({ type, result }).
+ * @returns {{state: string, changed: boolean, valid: boolean}} Resulting state.
+ */
+export function applyEvent(state, event) {
+  const transition = EVENT_TRANSITIONS[event?.type];
+  if (!transition || !transition.from.includes(state)) {
+    return { state, changed: false, valid: false };
+  }
+
+  let next = transition.to;
+  if (
+    OPENING_EVENTS.has(event.type) &&
+    event.result &&
+    event.result !== "APPROVED"
+  ) {
+    next = DECLINED;
+  }
+
+  return { state: next, changed: next !== state, valid: true };
+}
+
+/**
+ * Fold a list of Lithic events into a lifecycle state and the transitions taken.
+ * @param {Array<Object>} events - Lithic events in any order.
+ * @param {string} [initialState=PENDING] - State to start from.
+ * @returns {{state: string, transitions: Array<Object>, ignored: Array<Object>}} Lifecycle result.
+ */
+export function deriveLifecycle(events = [], initialState = PENDING) {
+  const ordered = [...events].sort(
+    (a, b) => new Date(a.created) - new Date(b.created),
+  );
+
+  let state = initialState;
+  const transitions = [];
+  const ignored = [];
+
+  for (const event of ordered) {
+    const result = applyEvent(state, event);
+    if (!result.valid) {
+      ignored.push({ eventToken: event.token, eventType: event.type, state });
+      continue;
+    }
+    if (result.changed) {
+      transitions.push({
+        from: state,
+        to: result.state,
+        eventType: event.type,
+        eventToken: event.token,
+        amount: event.amount ?? null,
+        created: event.created,
+      });
+    }
+    state = result.state;
+  }
+
+  return { state, transitions, ignored };
+}
+
+/**
+ * Transitions taken after a transaction last reached a known state.
+ * For rows whose state was stored without their events, so events cannot be matched
+ * by token; a state the transitions never reach yields none.
+ * @param {Array<Object>} transitions - Transitions from deriveLifecycle().
+ * @param {string|null} state - Stored state; null when it was never recorded.
+ * @returns {Array<Object>} Transitions after that state.
+ */
+export function transitionsSince(transitions, state) {
+  if (!state) return [];
+
+  const index = transitions.findLastIndex((transition) => transition.to === state);
+  if (index === -1 && state !== PENDING) return [];
+
+  return transitions.slice(index + 1);
+}
+
+/**
+ * Describe a lifecycle transition in plain language for alert consumers.
+ * @param {Object} transition - Transition from deriveLifecycle().
+ * @param {Object} context - Transaction context.
+ * @param {string} context.amount - Formatted amount (e.g. "$1.00").
+ * @param {string} context.merchant - Merchant descriptor.
+ * @returns {string} Human readable summary.
+ */
+export function describeTransition(transition, { amount, merchant }) {
+  const verb =
+    TRANSITION_VERBS[`${transition.from}->${transition.to}`] ||
+    `moved from ${transition.from} to ${transition.to}`;
+  const subject = transition.from === AUTHORIZED ? "authorization" : "charge";
+
+  return `The ${amount} ${subject} at ${merchant} ${verb} (${transition.eventType})`;
+}
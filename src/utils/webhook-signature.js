@@ -0,0 +1,119 @@
+import crypto from "crypto";
+
+/**
+ * Lithic signs webhooks following the Standard Webhooks scheme:
+ * - `webhook-id`: unique message id (stable across retries)
+ * - `webhook-timestamp`: unix seconds when the message was signed
+ * - `webhook-signature`: space-separated list of `v1,<base64 HMAC-SHA256>`
+ *
+ * The signed content is `${id}.${timestamp}.${rawBody}` and the key is the
+ * base64-decoded portion of the `whsec_` prefixed secret.
+ */
+
+const SECRET_PREFIX = "whsec_";
+
+/**
+ * Decode a webhook secret into the raw HMAC key.
+ * @param {string} secret - Webhook secret as provided by Lithic.
+ * @returns {Buffer} HMAC key.
+ */
+function decodeSecret(secret) {
+  if (secret.startsWith(SECRET_PREFIX)) {
+    return Buffer.from(secret.substring(SECRET_PREFIX.length), "base64");
+  }
+  return Buffer.from(secret, "utf8");
+}
+
+/**
+ * Read a header value from either a plain object or an Express request headers map.
+ * @param {Object} headers - Incoming request headers.
+ * @param {string} name - Header name (lowercase).
+ * @returns {string|null} Header value or null.
+ */
+function readHeader(headers, name) {
+  const value = headers?.[name];
+  if (Array.isArray(value)) return value[0] || null;
+  return value || null;
+}
+
+/**
+ * Compute the base64 signature for a webhook payload.
+ * @param {string} secret - Webhook secret.
+ * @param {string} webhookId - Value of the `webhook-id` header.
+ * @param {string|number} timestamp - Value of the `webhook-timestamp` header.
+ * @param {string|Buffer} payload - Raw request body.
+ * @returns {string} Base64 encoded HMAC-SHA256 signature.
+ */
+export function computeWebhookSignature(secret, webhookId, timestamp, payload) {
+  const body = Buffer.isBuffer(payload) ? payload.toString("utf8") : payload;
+  return crypto
+    .createHmac("sha256", decodeSecret(secret))
+    .update(`${webhookId}.${timestamp}.${body}`)
+    .digest("base64");
+}
+
+/**
+ * Verify a Lithic webhook signature and timestamp.
+ * @param {Object} params - Verification parameters.
+ * @param {string|Buffer} params.payload - Raw request body, exactly as received.
+ * @param {Object} params.headers - Request headers.
+ * @param {string} params.secret - Webhook secret (LITHIC_WEBHOOK_SECRET).
+ * @param {number} [params.toleranceSeconds=300] - Maximum allowed clock skew.
+ * @param {number} [params.now=Date.now()] - Current time in ms (for testing).
+ * @returns {{valid: boolean, error?: string, webhookId?: string, timestamp?: number}} Verification result.
+ */
+export function verifyWebhookSignature({
+  payload,
+  headers,
+  secret,
+  toleranceSeconds = 300,
+  now = Date.now(),
+}) {
+  if (!secret) {
+    return { valid: false, error: "Webhook secret is not configured" };
+  }
+
+  const webhookId = readHeader(headers, "webhook-id");
+  const timestampHeader = readHeader(headers, "webhook-timestamp");
+  const signatureHeader = readHeader(headers, "webhook-signature");
+
+  if (!webhookId || !timestampHeader || !signatureHeader) {
+    return { valid: false, error: "Missing webhook signature headers" };
+  }
+
+  const timestamp = parseInt(timestampHeader, 10);
+  if (Number.isNaN(timestamp)) {
+    return { valid: false, error: "Invalid webhook timestamp" };
+  }
+
+  const skewSeconds = Math.abs(Math.floor(now / 1000) - timestamp);
+  if (skewSeconds > toleranceSeconds) {
+    return {
+      valid: false,
+      error: `Webhook timestamp outside tolerance (${skewSeconds}s skew)`,
+    };
+  }
+
+  const expected = Buffer.from(
+    computeWebhookSignature(secret, webhookId, timestamp, payload),
+    "base64",
+  );
+
+  // Header may carry several signatures during secret rotation
+  const matches = signatureHeader.split(" ").some((entry) => {
+    const [version, signature] = entry.split(",");
+    if (version !== "v1" || !signature) return false;
+
+    const candidate = Buffer.from(signature, "base64");
+    return (
+      candidate.length === expected.length &&
+      crypto.timingSafeEqual(candidate, expected)
+    );
+  });
+
+  if (!matches) {
+    return { valid: false, error: "Webhook signature mismatch" };
+  }
+
+  return { valid: true, webhookId, timestamp };
+}
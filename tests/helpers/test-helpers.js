@@ -4,6 +4,24 @@
 
 import { v4 as uuidv4 } from 'uuid';
 
+/**
+ * Fill in a tool's inputSchema defaults, as the MCP dispatcher does before a
+ * handler runs, for tests that call handlers directly
+ * @param {Array<Object>} toolSchemas - Tool definitions with name and inputSchema
+ * @param {string} toolName - Tool whose defaults to apply
+ * @param {Object} [args={}] - Arguments under test
+ * @returns {Object} Arguments with missing defaults filled in
+ */
+export function withToolDefaults(toolSchemas, toolName, args = {}) {
+  const { properties = {} } = toolSchemas.find(schema => schema.name === toolName).inputSchema;
+  const defaults = Object.fromEntries(
+    Object.entries(properties)
+      .filter(([, property]) => property.default !== undefined)
+      .map(([name, property]) => [name, property.default])
+  );
+  return { ...defaults, ...args };
+}
+
 /**
  * Test results collector for custom test runner
  */
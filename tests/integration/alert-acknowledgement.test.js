@@ -0,0 +1,117 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+
+/**
+ * Integration Tests for Lease/Ack Alert Delivery
+ *
+ * Validates that polled alerts stay queued until acknowledged, are redelivered
+ * once their visibility timeout lapses, and move to the dead-letter list after
+ * repeated unacknowledged deliveries.
+ */
+
+vi.mock('../../src/utils/logger.js');
+
+import pollingService from '../../src/services/polling-service.js';
+import { handlePollSubscriptionAlerts, handleAckAlerts } from '../../src/handlers/polling-handlers.js';
+import { pollingToolSchemas } from '../../src/schemas/polling-schemas.js';
+import { withToolDefaults } from '../helpers/test-helpers.js';
+import logger from '../../src/utils/logger.js';
+
+const SUBSCRIPTION_ID = 'alert_sub_1703123456789_ackabc123';
+
+function parseResponse(response) {
+  return JSON.parse(response.content[0].text);
+}
+
+describe('Lease/Ack Alert Delivery', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-01-01T12:00:00Z'));
+
+    logger.info = vi.fn();
+    logger.error = vi.fn();
+    logger.warn = vi.fn();
+    logger.debug = vi.fn();
+
+    pollingService.subscriptions.clear();
+    pollingService.alertQueues.clear();
+    pollingService.deadLetters.clear();
+    pollingService.storeSubscription(SUBSCRIPTION_ID, { duration: '4h' });
+    pollingService.queueAlert(SUBSCRIPTION_ID, { alertType: 'fraud_detected', transactionId: 'txn_1' });
+    pollingService.queueAlert(SUBSCRIPTION_ID, { alertType: 'fraud_detected', transactionId: 'txn_2' });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  test('should hide leased alerts until the visibility timeout lapses', () => {
+    const first = pollingService.pollAlerts(SUBSCRIPTION_ID, 50, 60000);
+    const second = pollingService.pollAlerts(SUBSCRIPTION_ID, 50, 60000);
+
+    expect(first.map(a => a.transactionId)).toEqual(['txn_1', 'txn_2']);
+    expect(first[0].deliveryAttempts).toBe(1);
+    expect(second).toHaveLength(0);
+    expect(pollingService.getSubscriptionStatus(SUBSCRIPTION_ID).inFlightAlerts).toBe(2);
+
+    vi.setSystemTime(new Date('2026-01-01T12:01:01Z'));
+    const redelivered = pollingService.pollAlerts(SUBSCRIPTION_ID, 50, 60000);
+
+    expect(redelivered.map(a => a.alertId)).toEqual(first.map(a => a.alertId));
+    expect(redelivered[0].deliveryAttempts).toBe(2);
+  });
+
+  test('should remove acknowledged alerts from the queue', () => {
+    const [alert] = pollingService.pollAlerts(SUBSCRIPTION_ID, 1, 60000);
+
+    const result = pollingService.ackAlerts(SUBSCRIPTION_ID, [alert.alertId, 'unknown-id']);
+
+    expect(result).toEqual({ acknowledged: [alert.alertId], unknown: ['unknown-id'] });
+    expect(pollingService.getQueueSize(SUBSCRIPTION_ID)).toBe(1);
+
+    vi.setSystemTime(new Date('2026-01-01T12:05:00Z'));
+    const next = pollingService.pollAlerts(SUBSCRIPTION_ID, 50, 60000);
+    expect(next.map(a => a.transactionId)).toEqual(['txn_2']);
+  });
+
+  test('should dead-letter alerts after repeated unacknowledged deliveries', () => {
+    let now = Date.parse('2026-01-01T12:00:00Z');
+    for (let attempt = 0; attempt < 5; attempt++) {
+      pollingService.pollAlerts(SUBSCRIPTION_ID, 1, 1000);
+      now += 2000;
+      vi.setSystemTime(now);
+    }
+
+    pollingService.pollAlerts(SUBSCRIPTION_ID, 1, 1000);
+    const status = pollingService.getSubscriptionStatus(SUBSCRIPTION_ID);
+
+    expect(status.deadLetterCount).toBe(1);
+    expect(status.deadLetterSample[0].deliveryAttempts).toBe(5);
+    expect(pollingService.getQueueSize(SUBSCRIPTION_ID)).toBe(1);
+  });
+
+  test('should expose lease details and accept acks through the MCP tools', async () => {
+    const polled = parseResponse(
+      await handlePollSubscriptionAlerts(
+        withToolDefaults(pollingToolSchemas, 'poll_subscription_alerts', { subscriptionId: SUBSCRIPTION_ID, visibilityTimeoutSeconds: 30 }),
+        'req_1'
+      )
+    );
+
+    expect(polled.pollingResult.lease.alertIds).toHaveLength(2);
+    expect(polled.pollingResult.lease.leaseExpiresAt).toBe('2026-01-01T12:00:30.000Z');
+    expect(polled.pollingResult.subscription.inFlightAlerts).toBe(2);
+    expect(polled.pollingResult.hasMoreAlerts).toBe(false);
+
+    const acked = parseResponse(
+      await handleAckAlerts({ subscriptionId: SUBSCRIPTION_ID, alertIds: polled.pollingResult.lease.alertIds }, 'req_2')
+    );
+
+    expect(acked.ackResult.acknowledgedCount).toBe(2);
+    expect(acked.ackResult.subscription.inFlightAlerts).toBe(0);
+  });
+
+  test('should validate ack_alerts arguments', async () => {
+    await expect(handleAckAlerts({ subscriptionId: SUBSCRIPTION_ID, alertIds: [] }, 'req_1'))
+      .rejects.toThrow("Tool 'ack_alerts' failed: alertIds must be a non-empty array");
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+
+/**
+ * Integration Tests for MCP Alert Notifications
+ *
+ * Validates that alerts queued for a subscription are pushed to the MCP session
+ * that created it, stop once the session closes, and stay queued for polling
+ * when the push fails.
+ */
+
+vi.mock('../../src/utils/logger.js');
+
+import alertService from '../../src/services/alert-service.js';
+import pollingService from '../../src/services/polling-service.js';
+import { handleSubscribeToAlerts } from '../../src/handlers/realtime-intelligence-handlers.js';
+import logger from '../../src/utils/logger.js';
+
+const CARD = 'card_notify1234567';
+const SESSION_ID = 'session-notify-1';
+
+function parseResponse(response) {
+  return JSON.parse(response.content[0].text);
+}
+
+function transactionAlert() {
+  return {
+    alertType: 'NEW_TRANSACTION',
+    transactionId: `txn_${Math.random().toString(36).substr(2, 9)}`,
+    cardToken: CARD,
+    immediate: { amount: '$42.00', merchant: 'COFFEE SHOP', status: 'APPROVED' },
+    verification: { mccCode: '5814', mccRiskLevel: null, merchantCountry: 'USA' },
+    intelligence: { newMerchant: false }
+  };
+}
+
+describe('MCP Alert Notifications', () => {
+  beforeEach(() => {
+    logger.info = vi.fn();
+    logger.error = vi.fn();
+    logger.warn = vi.fn();
+    logger.debug = vi.fn();
+
+    pollingService.subscriptions.clear();
+    pollingService.alertQueues.clear();
+    pollingService.deadLetters.clear();
+    alertService.subscriptionBuckets.clear();
+    alertService.mcpSessions.clear();
+  });
+
+  test('should push alerts to the session that created the subscription', async () => {
+    const notify = vi.fn().mockResolvedValue();
+    alertService.registerMcpSession(SESSION_ID, notify);
+
+    const subscribed = parseResponse(await handleSubscribeToAlerts(
+      { cardTokens: [CARD], alertTypes: [], riskThreshold: 0 },
+      'req_1',
+      { mcpSessionId: SESSION_ID }
+    ));
+    const { subscriptionId, connectionDetails } = subscribed.alertSubscription;
+    expect(connectionDetails.push.method).toBe('notifications/message');
+
+    await alertService.broadcastAlert(CARD, transactionAlert());
+
+    expect(notify).toHaveBeenCalledTimes(1);
+    const [notifiedSubscriptionId, alert] = notify.mock.calls[0];
+    expect(notifiedSubscriptionId).toBe(subscriptionId);
+    expect(alert.alertId).toBeDefined();
+    // Pushed alerts remain queued until acknowledged
+    expect(pollingService.getQueueSize(subscriptionId)).toBe(1);
+  });
+
+  test('should not push to other sessions', async () => {
+    const notify = vi.fn().mockResolvedValue();
+    alertService.registerMcpSession('session-other', notify);
+    pollingService.storeSubscription('alert_sub_1_notify', {
+      cardTokens: [CARD], alertTypes: [], riskThreshold: 0, duration: '1h', mcpSessionId: SESSION_ID
+    });
+
+    await alertService.broadcastAlert(CARD, transactionAlert());
+
+    expect(notify).not.toHaveBeenCalled();
+    expect(pollingService.getQueueSize('alert_sub_1_notify')).toBe(1);
+  });
+
+  test('should stop pushing once the session is removed', async () => {
+    const notify = vi.fn().mockResolvedValue();
+    alertService.registerMcpSession(SESSION_ID, notify);
+    pollingService.storeSubscription('alert_sub_1_closed', {
+      cardTokens: [CARD], alertTypes: [], riskThreshold: 0, duration: '1h', mcpSessionId: SESSION_ID
+    });
+
+    expect(alertService.removeMcpSession(SESSION_ID)).toBe(true);
+    await alertService.broadcastAlert(CARD, transactionAlert());
+
+    expect(notify).not.toHaveBeenCalled();
+  });
+
+  test('should keep the alert queued when the push fails', async () => {
+    alertService.registerMcpSession(SESSION_ID, vi.fn().mockRejectedValue(new Error('Not connected')));
+    pollingService.storeSubscription('alert_sub_1_failing', {
+      cardTokens: [CARD], alertTypes: [], riskThreshold: 0, duration: '1h', mcpSessionId: SESSION_ID
+    });
+    pollingService.queueAlert('alert_sub_1_failing', transactionAlert());
+
+    await vi.waitFor(() => expect(logger.warn).toHaveBeenCalled());
+    expect(pollingService.getQueueSize('alert_sub_1_failing')).toBe(1);
+  });
+});
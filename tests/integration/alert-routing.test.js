@@ -0,0 +1,135 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+
+/**
+ * Integration Tests for Alert Routing
+ *
+ * Validates that saved-transaction alerts are scored, mapped onto the
+ * subscribe_to_alerts taxonomy and delivered only to subscriptions whose
+ * alertTypes, riskThreshold and maxAlertsPerMinute allow them.
+ */
+
+vi.mock('../../src/utils/logger.js');
+
+import alertService from '../../src/services/alert-service.js';
+import pollingService from '../../src/services/polling-service.js';
+import {
+  scoreAlert,
+  routeAlert,
+  createTokenBucket,
+  takeToken
+} from '../../src/utils/alert-routing.js';
+import logger from '../../src/utils/logger.js';
+
+const CARD = 'card_routing123456';
+
+function transactionAlert(overrides = {}) {
+  return {
+    alertType: 'NEW_TRANSACTION',
+    transactionId: `txn_${Math.random().toString(36).substr(2, 9)}`,
+    cardToken: CARD,
+    immediate: { amount: '$42.00', merchant: 'COFFEE SHOP', status: 'APPROVED' },
+    verification: { mccCode: '5814', mccRiskLevel: null, merchantCountry: 'USA' },
+    intelligence: { newMerchant: false },
+    ...overrides
+  };
+}
+
+function subscribe(subscriptionId, config) {
+  pollingService.storeSubscription(subscriptionId, {
+    cardTokens: [],
+    duration: '1h',
+    ...config
+  });
+}
+
+describe('Alert Routing', () => {
+  beforeEach(() => {
+    logger.info = vi.fn();
+    logger.error = vi.fn();
+    logger.warn = vi.fn();
+    logger.debug = vi.fn();
+
+    pollingService.subscriptions.clear();
+    pollingService.alertQueues.clear();
+    alertService.subscriptionBuckets.clear();
+  });
+
+  test('should score a card-testing probe at a high-risk merchant as fraud', () => {
+    const routed = routeAlert(transactionAlert({
+      immediate: { amount: '$1.00', merchant: 'CRYPTO ATM', status: 'APPROVED' },
+      verification: { mccCode: '6051', mccRiskLevel: 'HIGH', merchantCountry: 'USA' }
+    }));
+
+    expect(routed.riskScore).toBe(0.95);
+    expect(routed.riskFactors.map(f => f.factor)).toEqual(['card_testing_amount', 'high_risk_mcc']);
+    expect(routed.alertCategories).toEqual(
+      expect.arrayContaining(['fraud_detected', 'high_risk_transaction', 'unusual_pattern', 'merchant_alert'])
+    );
+  });
+
+  test('should not treat an unknown merchant country as foreign', () => {
+    const { riskFactors } = scoreAlert(transactionAlert({
+      verification: { mccCode: '5814', merchantCountry: null }
+    }));
+
+    expect(riskFactors).toEqual([]);
+  });
+
+  test('should keep the score and type of alerts raised in a taxonomy category', () => {
+    const routed = routeAlert({ alertType: 'velocity_breach', riskScore: 0.9 });
+
+    expect(routed.riskScore).toBe(0.9);
+    expect(routed.alertCategories).toEqual(['velocity_breach']);
+  });
+
+  test('should route by alertTypes and riskThreshold', () => {
+    subscribe('alert_sub_1_fraud', { alertTypes: ['fraud_detected'], riskThreshold: 0.8 });
+    subscribe('alert_sub_1_merchant', { alertTypes: ['merchant_alert'], riskThreshold: 0.5 });
+
+    const outcome = alertService.queueAlertsForPolling(CARD, transactionAlert({
+      intelligence: { newMerchant: true }
+    }));
+
+    // 0.5 base + 0.1 new merchant: a merchant_alert, but not fraud
+    expect(outcome).toEqual({ queued: 1, filtered: 1, rateLimited: 0 });
+    expect(pollingService.getQueueSize('alert_sub_1_merchant')).toBe(1);
+    expect(pollingService.getQueueSize('alert_sub_1_fraud')).toBe(0);
+  });
+
+  test('should honor a zero riskThreshold', () => {
+    subscribe('alert_sub_1_all', { alertTypes: [], riskThreshold: 0 });
+
+    alertService.queueAlertsForPolling(CARD, transactionAlert({ alertType: 'TRANSACTION_UPDATE' }));
+
+    expect(pollingService.getQueueSize('alert_sub_1_all')).toBe(1);
+  });
+
+  test('should enforce maxAlertsPerMinute per subscription', () => {
+    subscribe('alert_sub_1_limited', { alertTypes: [], riskThreshold: 0, maxAlertsPerMinute: 2 });
+    subscribe('alert_sub_1_open', { alertTypes: [], riskThreshold: 0, maxAlertsPerMinute: 10 });
+
+    for (let i = 0; i < 3; i++) {
+      alertService.queueAlertsForPolling(CARD, transactionAlert());
+    }
+
+    expect(pollingService.getQueueSize('alert_sub_1_limited')).toBe(2);
+    expect(pollingService.getQueueSize('alert_sub_1_open')).toBe(3);
+  });
+
+  test('should refill token buckets over time', () => {
+    const bucket = createTokenBucket(2, 0);
+
+    expect(takeToken(bucket, 0)).toBe(true);
+    expect(takeToken(bucket, 0)).toBe(true);
+    expect(takeToken(bucket, 1000)).toBe(false);
+    expect(takeToken(bucket, 30000)).toBe(true);
+  });
+
+  test('should queue for subscriptions even when no agent is connected', async () => {
+    subscribe('alert_sub_1_offline', { alertTypes: [], riskThreshold: 0 });
+
+    await alertService.broadcastAlert(CARD, transactionAlert());
+
+    expect(pollingService.getQueueSize('alert_sub_1_offline')).toBe(1);
+  });
+});
@@ -0,0 +1,358 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+
+/**
+ * Integration Tests for Campaign Tracking
+ *
+ * Validates campaign metrics (time to first use, transaction counts, merchant
+ * spread and the leak channel breakdown), linking cards to campaigns and the
+ * create_campaign, record_card_leak and get_campaign_report tools.
+ */
+
+const { tables } = vi.hoisted(() => ({ tables: {} }));
+
+// Minimal Supabase query builder over in-memory tables
+vi.mock('../../src/config/supabase-client.js', () => {
+  const from = (table) => {
+    const query = { filters: [], orders: [], range: null, single: false, write: null };
+    const run = () => {
+      const rows = (tables[table] ||= []);
+      if (query.write?.type === 'insert') {
+        const row = query.write.rows[0];
+        if (rows.some(existing => existing.name === row.name)) {
+          return { data: null, error: { code: '23505', message: 'duplicate key value' } };
+        }
+        const inserted = { id: `0000000${rows.length + 1}-0000-4000-8000-000000000000`, created_at: '2024-03-01T00:00:00Z', ...row };
+        rows.push(inserted);
+        return { data: inserted, error: null };
+      }
+      if (query.write?.type === 'upsert') {
+        const { values, onConflict } = query.write;
+        const index = rows.findIndex(row => row[onConflict] === values[onConflict]);
+        if (index >= 0) rows[index] = { ...rows[index], ...values };
+        else rows.push({ ...values });
+        return { data: rows[index >= 0 ? index : rows.length - 1], error: null };
+      }
+      const selected = rows
+        .filter(row => query.filters.every(([column, values]) => values.includes(row[column])))
+        .sort((a, b) => {
+          for (const [column, ascending] of query.orders) {
+            const order = String(a[column]).localeCompare(String(b[column]));
+            if (order !== 0) return ascending ? order : -order;
+          }
+          return 0;
+        });
+      const data = query.range ? selected.slice(query.range[0], query.range[1] + 1) : selected;
+      return { data: query.single ? data[0] ?? null : data, error: null };
+    };
+    const builder = {
+      select: () => builder,
+      eq: (column, value) => { query.filters.push([column, [value]]); return builder; },
+      in: (column, values) => { query.filters.push([column, values]); return builder; },
+      order: (column, { ascending }) => { query.orders.push([column, ascending]); return builder; },
+      range: (start, end) => { query.range = [start, end]; return builder; },
+      single: () => { query.single = true; return builder; },
+      maybeSingle: () => { query.single = true; return builder; },
+      insert: (rows) => { query.write = { type: 'insert', rows }; return builder; },
+      upsert: (values, { onConflict }) => { query.write = { type: 'upsert', values, onConflict }; return builder; },
+      then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject)
+    };
+    return builder;
+  };
+
+  return { supabase_client: { from } };
+});
+
+vi.mock('../../src/utils/logger.js');
+
+import { summarizeCampaign } from '../../src/utils/campaign-metrics.js';
+import * as campaignService from '../../src/services/campaign-service.js';
+import * as campaignHandlers from '../../src/handlers/campaign-handlers.js';
+import { getCardTransactionHistory } from '../../src/services/reporting-service.js';
+import logger from '../../src/utils/logger.js';
+
+const CARD_A = '7ef7d65c-9023-4da3-b113-3b8583fd7951';
+const CARD_B = '5a1c2e3f-4b5d-4e6f-8a7b-9c0d1e2f3a4b';
+const CARD_C = '9b8a7c6d-5e4f-4a3b-8c2d-1e0f9a8b7c6d';
+
+function transaction(cardToken, createdAt, merchant, extra = {}) {
+  return {
+    card_token: cardToken,
+    created_at: createdAt,
+    result: 'APPROVED',
+    amount_usd: 1,
+    merchant,
+    merchant_acceptor_id: `acc-${merchant}`,
+    country: 'US',
+    merchant_mcc: '5999',
+    ...extra
+  };
+}
+
+/**
+ * Store transactions as transaction_details rows
+ */
+function storeTransactions(...rows) {
+  (tables.transaction_details ||= []).push(...rows.map((t, i) => ({
+    token: t.token || `txn-${tables.transaction_details.length + i}`,
+    card_token: t.card_token,
+    created_at: t.created_at,
+    result: t.result,
+    cardholder_amount_usd: t.amount_usd,
+    merchant_name: t.merchant,
+    merchant_acceptor_id: t.merchant_acceptor_id,
+    merchant_country: t.country,
+    merchant_mcc_code: t.merchant_mcc
+  })));
+}
+
+function parse(result) {
+  return JSON.parse(result.content[0].text);
+}
+
+describe('Campaign Tracking', () => {
+  beforeEach(() => {
+    for (const table of Object.keys(tables)) delete tables[table];
+
+    logger.info = vi.fn();
+    logger.error = vi.fn();
+    logger.warn = vi.fn();
+    logger.debug = vi.fn();
+  });
+
+  describe('summarizeCampaign', () => {
+    const campaign = { id: 'c1', name: 'tech-support-calls', leak_channel: 'scam_call', persona: 'Margaret' };
+    const cards = [
+      { card_token: CARD_A, leaked_at: '2024-03-01T00:00:00Z' },
+      { card_token: CARD_B, leak_channel: 'phishing_form', leaked_at: '2024-03-01T00:00:00Z' },
+      { card_token: CARD_C, leaked_at: '2024-03-01T00:00:00Z' }
+    ];
+
+    test('should measure time from leak to first use per card', () => {
+      const report = summarizeCampaign(campaign, cards, [
+        transaction(CARD_A, '2024-03-01T06:00:00Z', 'STEAM'),
+        transaction(CARD_A, '2024-03-01T02:00:00Z', 'STEAM'),
+        transaction(CARD_B, '2024-03-01T10:00:00Z', 'STEAM', { result: 'DECLINED', amount_usd: 0 })
+      ]);
+
+      expect(report.cardCount).toBe(3);
+      expect(report.usedCardCount).toBe(2);
+      expect(report.cards[0]).toMatchObject({
+        leakChannel: 'scam_call',
+        persona: 'Margaret',
+        firstUsedAt: '2024-03-01T02:00:00Z',
+        timeToFirstUseHours: 2,
+        transactionCount: 2
+      });
+      expect(report.cards[2].timeToFirstUseHours).toBeNull();
+      expect(report.timeToFirstUse).toEqual({
+        measuredCards: 2,
+        minHours: 2,
+        medianHours: 6,
+        averageHours: 6,
+        maxHours: 10
+      });
+      expect(report.transactions).toMatchObject({ count: 3, approvedCount: 2, declinedCount: 1, totalAmountUsd: 2 });
+    });
+
+    test('should report merchant spread and merchants shared by several cards', () => {
+      const report = summarizeCampaign(campaign, cards, [
+        transaction(CARD_A, '2024-03-01T01:00:00Z', 'STEAM'),
+        transaction(CARD_B, '2024-03-01T02:00:00Z', 'STEAM'),
+        transaction(CARD_C, '2024-03-01T03:00:00Z', 'STEAM'),
+        transaction(CARD_C, '2024-03-01T04:00:00Z', 'NETFLIX', { country: 'GB', merchant_mcc: '4899' })
+      ]);
+
+      expect(report.merchantSpread).toMatchObject({
+        distinctMerchants: 2,
+        distinctAcceptors: 2,
+        distinctCountries: 2,
+        distinctMccs: 2
+      });
+      expect(report.merchantSpread.sharedMerchants).toEqual([
+        { merchant: 'STEAM', transactionCount: 3, cardCount: 3 }
+      ]);
+      expect(report.byLeakChannel).toEqual({
+        scam_call: { cardCount: 2, usedCardCount: 2, transactionCount: 3, medianTimeToFirstUseHours: 2 },
+        phishing_form: { cardCount: 1, usedCardCount: 1, transactionCount: 1, medianTimeToFirstUseHours: 2 }
+      });
+    });
+
+    test('should measure first use from the leak and report earlier activity separately', () => {
+      const report = summarizeCampaign(campaign, [{ card_token: CARD_A, leaked_at: '2024-03-01T12:00:00Z' }], [
+        transaction(CARD_A, '2024-03-01T09:00:00Z', 'VERIFY', { amount_usd: 0 }),
+        transaction(CARD_A, '2024-03-01T15:00:00Z', 'STEAM')
+      ]);
+
+      expect(report.cards[0]).toMatchObject({
+        firstUsedAt: '2024-03-01T15:00:00Z',
+        timeToFirstUseHours: 3,
+        transactionCount: 1,
+        preLeakTransactionCount: 1,
+        lastPreLeakAt: '2024-03-01T09:00:00Z'
+      });
+      expect(report.transactions.count).toBe(1);
+      expect(report.merchantSpread.distinctMerchants).toBe(1);
+      expect(report.preLeakActivity).toMatchObject({ cardCount: 1, count: 1, firstAt: '2024-03-01T09:00:00Z' });
+    });
+
+    test('should not count a card only used before its leak as used', () => {
+      const report = summarizeCampaign(campaign, [{ card_token: CARD_A, leaked_at: '2024-03-02T00:00:00Z' }], [
+        transaction(CARD_A, '2024-03-01T09:00:00Z', 'VERIFY')
+      ]);
+
+      expect(report.usedCardCount).toBe(0);
+      expect(report.cards[0].timeToFirstUseHours).toBeNull();
+      expect(report.timeToFirstUse.measuredCards).toBe(0);
+    });
+
+    test('should ignore transactions of cards outside the campaign', () => {
+      const report = summarizeCampaign(campaign, [cards[0]], [
+        transaction(CARD_A, '2024-03-01T01:00:00Z', 'STEAM'),
+        transaction(CARD_B, '2024-03-01T02:00:00Z', 'NETFLIX')
+      ]);
+
+      expect(report.transactions.count).toBe(1);
+      expect(report.merchantSpread.distinctMerchants).toBe(1);
+    });
+  });
+
+  describe('Campaign service', () => {
+    test('should reject duplicate campaign names', async () => {
+      await campaignService.createCampaign({ name: 'forum-2024' });
+
+      await expect(campaignService.createCampaign({ name: 'forum-2024' }))
+        .rejects.toThrow('Campaign "forum-2024" already exists');
+    });
+
+    test('should create a missing campaign when recording a leak', async () => {
+      const { campaign, card, campaignCreated } = await campaignService.recordCardLeak(CARD_A, 'forum-2024', {
+        leakChannel: 'forum',
+        persona: 'darkuser42'
+      });
+
+      expect(campaignCreated).toBe(true);
+      expect(campaign).toMatchObject({ name: 'forum-2024', leak_channel: 'forum', persona: 'darkuser42' });
+      expect(card).toMatchObject({ card_token: CARD_A, campaign_id: campaign.id, leak_channel: 'forum' });
+      expect(card.leaked_at).toEqual(expect.any(String));
+    });
+
+    test('should link concurrent leaks for a new campaign to the same campaign', async () => {
+      const [first, second] = await Promise.all([
+        campaignService.recordCardLeak(CARD_A, 'phish-kit', { leakChannel: 'phishing_form' }),
+        campaignService.recordCardLeak(CARD_B, 'phish-kit', { leakChannel: 'phishing_form' })
+      ]);
+
+      expect(tables.campaigns).toHaveLength(1);
+      expect([first.campaignCreated, second.campaignCreated].sort()).toEqual([false, true]);
+      expect(first.card.campaign_id).toBe(tables.campaigns[0].id);
+      expect(second.card.campaign_id).toBe(tables.campaigns[0].id);
+    });
+
+    test('should apply campaign defaults and move relinked cards', async () => {
+      const scamCalls = await campaignService.createCampaign({ name: 'calls', leakChannel: 'scam_call', persona: 'Margaret' });
+      const forum = await campaignService.createCampaign({ name: 'forum', leakChannel: 'forum' });
+
+      const first = await campaignService.recordCardLeak(CARD_A, 'calls');
+      expect(first.campaignCreated).toBe(false);
+      expect(first.card).toMatchObject({ campaign_id: scamCalls.id, leak_channel: 'scam_call', persona: 'Margaret' });
+
+      await campaignService.recordCardLeak(CARD_A, forum.id);
+      expect(tables.campaign_cards).toHaveLength(1);
+      expect(tables.campaign_cards[0].campaign_id).toBe(forum.id);
+
+      const links = await campaignService.getCampaignsForCards([CARD_A, CARD_B]);
+      expect(links).toHaveLength(1);
+      expect(links[0]).toMatchObject({ card_token: CARD_A, campaign_id: forum.id, campaign_name: 'forum' });
+    });
+  });
+
+  describe('getCardTransactionHistory', () => {
+    test('should page past the per-response row cap, oldest first', async () => {
+      storeTransactions(...Array.from({ length: 1500 }, (_, i) =>
+        transaction(i % 2 ? CARD_A : CARD_B, new Date(Date.parse('2024-03-01T00:00:00Z') + (1500 - i) * 1000).toISOString(), 'STEAM')
+      ));
+
+      const { transactions, truncated } = await getCardTransactionHistory([CARD_A, CARD_B]);
+
+      expect(truncated).toBe(false);
+      expect(transactions).toHaveLength(1500);
+      expect(transactions[0].created_at < transactions[1499].created_at).toBe(true);
+      expect(transactions[0]).toMatchObject({ merchant: 'STEAM', merchant_acceptor_id: 'acc-STEAM', is_approved: true });
+    });
+
+    test('should stop at maxRows and report the truncation', async () => {
+      storeTransactions(
+        transaction(CARD_A, '2024-03-01T01:00:00Z', 'STEAM'),
+        transaction(CARD_A, '2024-03-01T02:00:00Z', 'STEAM'),
+        transaction(CARD_A, '2024-03-01T03:00:00Z', 'STEAM')
+      );
+
+      await expect(getCardTransactionHistory([CARD_A], { maxRows: 3 }))
+        .resolves.toMatchObject({ truncated: false });
+      const { transactions, truncated } = await getCardTransactionHistory([CARD_A], { maxRows: 2 });
+      expect(truncated).toBe(true);
+      expect(transactions.map(t => t.created_at)).toEqual(['2024-03-01T01:00:00Z', '2024-03-01T02:00:00Z']);
+    });
+  });
+
+  describe('Campaign tools', () => {
+    test('create_campaign should return the formatted campaign', async () => {
+      const response = parse(await campaignHandlers.handleCreateCampaign({
+        name: 'tech-support-calls',
+        leakChannel: 'scam_call',
+        region: 'US'
+      }, 'req-1'));
+
+      expect(response.campaign).toMatchObject({ name: 'tech-support-calls', leakChannel: 'scam_call', region: 'US', persona: null });
+      expect(response.metadata.requestId).toBe('req-1');
+    });
+
+    test('record_card_leak should reject an invalid leakedAt', async () => {
+      await expect(campaignHandlers.handleRecordCardLeak({
+        cardToken: CARD_A,
+        campaign: 'forum-2024',
+        leakedAt: 'yesterday'
+      }, 'req-2')).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+
+    test('get_campaign_report should compare campaigns, most transactions first', async () => {
+      await campaignService.recordCardLeak(CARD_A, 'calls', { leakChannel: 'scam_call', leakedAt: '2024-03-01T00:00:00Z' });
+      await campaignService.recordCardLeak(CARD_B, 'forum', { leakChannel: 'forum', leakedAt: '2024-03-01T00:00:00Z' });
+      storeTransactions(
+        transaction(CARD_A, '2024-03-01T01:00:00Z', 'STEAM'),
+        transaction(CARD_B, '2024-03-02T00:00:00Z', 'STEAM'),
+        transaction(CARD_B, '2024-03-02T01:00:00Z', 'NETFLIX')
+      );
+
+      const all = parse(await campaignHandlers.handleGetCampaignReport({}, 'req-3')).campaignReport;
+      expect(all.campaignCount).toBe(2);
+      expect(all.campaigns.map(report => report.campaign.name)).toEqual(['forum', 'calls']);
+      expect(all.campaigns[0].cards).toBeUndefined();
+      expect(all.campaigns[0].timeToFirstUse.medianHours).toBe(24);
+
+      const one = parse(await campaignHandlers.handleGetCampaignReport({ campaign: 'calls' }, 'req-4')).campaignReport;
+      expect(one.campaignCount).toBe(1);
+      expect(one.campaigns[0].cards).toHaveLength(1);
+      expect(one.campaigns[0].cards[0].timeToFirstUseHours).toBe(1);
+    });
+
+    test('get_campaign_report should flag campaigns with more transactions than it reads', async () => {
+      await campaignService.recordCardLeak(CARD_A, 'calls', { leakedAt: '2024-03-01T00:00:00Z' });
+      storeTransactions(...Array.from({ length: 10001 }, (_, i) =>
+        transaction(CARD_A, new Date(Date.parse('2024-03-01T01:00:00Z') + i * 1000).toISOString(), 'STEAM')
+      ));
+
+      const report = parse(await campaignHandlers.handleGetCampaignReport({ campaign: 'calls' }, 'req-6')).campaignReport;
+
+      expect(report.campaigns[0].truncated).toBe(true);
+      expect(report.campaigns[0].transactions.count).toBe(10000);
+      expect(report.campaigns[0].cards[0].firstUsedAt).toBe('2024-03-01T01:00:00.000Z');
+      expect(report.warnings[0]).toContain('calls');
+    });
+
+    test('get_campaign_report should fail for an unknown campaign', async () => {
+      await expect(campaignHandlers.handleGetCampaignReport({ campaign: 'missing' }, 'req-5'))
+        .rejects.toMatchObject({ code: 'NOT_FOUND' });
+    });
+  });
+});
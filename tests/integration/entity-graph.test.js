@@ -0,0 +1,164 @@
+import { describe, test, expect } from 'vitest';
+
+/**
+ * Integration Tests for the Scammer Attribution Graph
+ *
+ * Validates graph construction from transactions, merchant links and merchant rows
+ * (including merged merchants and alias acceptors), per-transaction acceptor edges,
+ * neighborhoods, shared-merchant links between cards,
+ * and connected components that ignore network and location hubs.
+ */
+
+import {
+  buildEntityGraph,
+  getNeighborhood,
+  findSharedMerchantLinks,
+  findConnectedComponents,
+  summarizeGraph
+} from '../../src/utils/entity-graph.js';
+
+const CARD_A = '7ef7d65c-9023-4da3-b113-3b8583fd7951';
+const CARD_B = '1c2d3e4f-5a6b-4c7d-8e9f-0a1b2c3d4e5f';
+const CARD_C = '9a8b7c6d-5e4f-4a3b-9c2d-1e0f9a8b7c6d';
+
+function graphData() {
+  const transaction = (token, cardToken, minute, networkType = 'visa') => ({
+    token,
+    card_token: cardToken,
+    network_type: networkType,
+    result: 'APPROVED',
+    created_at: `2026-03-10T18:${String(minute).padStart(2, '0')}:00.000Z`
+  });
+
+  return {
+    transactions: [
+      transaction('txn-1', CARD_A, 0),
+      transaction('txn-2', CARD_A, 5),
+      transaction('txn-3', CARD_B, 10),
+      transaction('txn-4', CARD_B, 15, 'mastercard'),
+      transaction('txn-5', CARD_C, 20)
+    ],
+    links: [
+      { transaction_token: 'txn-1', merchant_id: 'm-1' },
+      { transaction_token: 'txn-2', merchant_id: 'm-2' },
+      { transaction_token: 'txn-3', merchant_id: 'm-1' },
+      // Linked before the backfill merged m-4 into m-2
+      { transaction_token: 'txn-4', merchant_id: 'm-4' },
+      { transaction_token: 'txn-5', merchant_id: 'm-3' }
+    ],
+    merchants: [
+      { id: 'm-1', acceptor_id: 'ACC-1', descriptor: 'GIFT CARD HUB', city: 'LAGOS', country: 'NGA', mcc: '5999' },
+      { id: 'm-2', acceptor_id: 'ACC-2', descriptor: 'AMZN MKTP US', city: 'SEATTLE', state: 'WA', country: 'USA', mcc: '5942' },
+      { id: 'm-3', acceptor_id: 'ACC-3', descriptor: 'CORNER DELI', city: 'SEATTLE', state: 'WA', country: 'USA', mcc: '5814' },
+      { id: 'm-4', acceptor_id: 'ACC-4', descriptor: 'AMZN Mktp US*9Q1', country: 'USA', mcc: '5942', canonical_merchant_id: 'm-2' }
+    ]
+  };
+}
+
+describe('Entity Graph', () => {
+  test('should build card, merchant, acceptor, network and location nodes with merged merchants folded in', () => {
+    const graph = buildEntityGraph(graphData());
+
+    expect(summarizeGraph(graph)).toMatchObject({
+      nodesByType: { card: 3, merchant: 3, acceptor: 4, network: 2, location: 2 },
+      edgesByType: { transacted_at: 5, identified_by: 4, uses_network: 4, located_in: 3 }
+    });
+    expect(graph.nodes.has('merchant:m-4')).toBe(false);
+    expect(graph.edges.get('merchant:m-2->acceptor:ACC-4')).toMatchObject({ type: 'identified_by' });
+    expect(graph.nodes.get(`card:${CARD_A}`)).toMatchObject({
+      transactionCount: 2,
+      firstSeen: '2026-03-10T18:00:00.000Z',
+      lastSeen: '2026-03-10T18:05:00.000Z'
+    });
+  });
+
+  test('should connect cards through the acceptor their transactions reported and add alias acceptors', () => {
+    const data = graphData();
+    data.links = data.links.map(link =>
+      link.transaction_token === 'txn-5' ? { ...link, acceptor_id: 'ACC-9' } : link
+    );
+    data.transactions.push({
+      token: 'txn-6',
+      card_token: CARD_A,
+      network_type: 'visa',
+      created_at: '2026-03-10T18:25:00.000Z'
+    });
+    data.links.push({ transaction_token: 'txn-6', merchant_id: 'm-1', acceptor_id: 'ACC-9' });
+    data.aliases = [{ merchant_id: 'm-4', acceptor_id: 'ACC-5' }];
+
+    const graph = buildEntityGraph(data);
+
+    expect(graph.edges.get(`card:${CARD_C}->acceptor:ACC-9`)).toMatchObject({ type: 'transacted_via' });
+    expect(graph.edges.get(`card:${CARD_A}->acceptor:ACC-9`)).toMatchObject({ type: 'transacted_via' });
+    expect(graph.edges.get('merchant:m-3->acceptor:ACC-9')).toMatchObject({ type: 'identified_by' });
+    expect(graph.edges.get('merchant:m-2->acceptor:ACC-5')).toMatchObject({ type: 'identified_by' });
+
+    const components = findConnectedComponents(graph);
+    expect(components).toHaveLength(1);
+    expect(components[0]).toMatchObject({ cardCount: 3, merchantCount: 3 });
+    expect(components[0].acceptors.sort()).toEqual(['ACC-1', 'ACC-2', 'ACC-3', 'ACC-4', 'ACC-5', 'ACC-9']);
+  });
+
+  test('should link cards that share merchants, most shared first', () => {
+    const links = findSharedMerchantLinks(buildEntityGraph(graphData()));
+
+    expect(links).toEqual([
+      expect.objectContaining({
+        sharedMerchantCount: 2,
+        sharedMerchants: expect.arrayContaining([
+          { id: 'merchant:m-1', label: 'GIFT CARD HUB' },
+          { id: 'merchant:m-2', label: 'AMZN MKTP US' }
+        ]),
+        transactionCount: 4
+      })
+    ]);
+    expect([...links[0].cards].sort()).toEqual([CARD_A, CARD_B].sort());
+  });
+
+  test('should rank connected components by size without joining cards through shared locations or networks', () => {
+    const components = findConnectedComponents(buildEntityGraph(graphData()));
+
+    expect(components).toHaveLength(2);
+    expect(components[0]).toMatchObject({ rank: 1, size: 7, cardCount: 2, merchantCount: 2, acceptorCount: 3, transactionCount: 4 });
+    expect(components[0].acceptors.sort()).toEqual(['ACC-1', 'ACC-2', 'ACC-4']);
+    expect(components[1]).toMatchObject({ rank: 2, size: 3, cards: [CARD_C] });
+  });
+
+  test('should tag cards with their campaigns and flag components that span several', () => {
+    const graph = buildEntityGraph({
+      ...graphData(),
+      campaignCards: [
+        { card_token: CARD_A, campaign_id: 'c-1', campaign_name: 'tech-support-calls' },
+        { card_token: CARD_B, campaign_id: 'c-2', campaign_name: 'forum-2026' }
+      ]
+    });
+
+    expect(graph.nodes.get(`card:${CARD_A}`)).toMatchObject({ campaignId: 'c-1', campaign: 'tech-support-calls' });
+    expect(graph.nodes.get(`card:${CARD_C}`).campaign).toBeNull();
+
+    const [component] = findConnectedComponents(graph);
+    expect(component.campaignCount).toBe(2);
+    expect(component.campaigns.sort()).toEqual(['forum-2026', 'tech-support-calls']);
+    expect([...findSharedMerchantLinks(graph)[0].campaigns].sort()).toEqual(['forum-2026', 'tech-support-calls']);
+  });
+
+  test('should return a neighborhood that stops at context nodes', () => {
+    const graph = buildEntityGraph(graphData());
+
+    const neighborhood = getNeighborhood(graph, `card:${CARD_C}`, 3);
+    expect(neighborhood.found).toBe(true);
+    expect(neighborhood.nodes.map(node => node.id).sort()).toEqual([
+      'acceptor:ACC-3',
+      `card:${CARD_C}`,
+      'location:SEATTLE|WA|USA',
+      'merchant:m-3',
+      'network:VISA'
+    ].sort());
+
+    const oneHop = getNeighborhood(graph, 'merchant:m-1', 1);
+    expect(oneHop.nodes.filter(node => node.type === 'card')).toHaveLength(2);
+    expect(oneHop.nodes.find(node => node.id === 'merchant:m-1').distance).toBe(0);
+
+    expect(getNeighborhood(graph, 'acceptor:UNKNOWN')).toMatchObject({ found: false, nodes: [], edges: [] });
+  });
+});
@@ -0,0 +1,175 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+
+/**
+ * Integration Tests for Live Feed Polling
+ *
+ * Validates that poll_live_feed delivers each transaction exactly once,
+ * honors the feed's filters and rate limit, and picks up late arrivals
+ * that land behind the cursor.
+ */
+
+vi.mock('../../src/services/reporting-service.js');
+vi.mock('../../src/utils/logger.js');
+
+import pollingService from '../../src/services/polling-service.js';
+import * as reportingService from '../../src/services/reporting-service.js';
+import { handlePollLiveFeed } from '../../src/handlers/polling-handlers.js';
+import { pollingToolSchemas } from '../../src/schemas/polling-schemas.js';
+import { withToolDefaults } from '../helpers/test-helpers.js';
+import logger from '../../src/utils/logger.js';
+
+const FEED_ID = 'feed_1703123456789_k3j9x2m1q';
+const START = '2026-01-01T12:00:00.000Z';
+
+// poll_live_feed arguments with the schema defaults the dispatcher applies
+function feedArgs(feedId) {
+  return withToolDefaults(pollingToolSchemas, 'poll_live_feed', { feedId });
+}
+
+function row(token, offsetSeconds, overrides = {}) {
+  return {
+    token,
+    card_token: 'card_feed123456',
+    created_at: new Date(Date.parse(START) + offsetSeconds * 1000).toISOString(),
+    amount_usd: 10,
+    currency: 'USD',
+    result: 'APPROVED',
+    is_approved: true,
+    merchant: 'COFFEE SHOP',
+    status: 'PENDING',
+    lifecycle_state: 'AUTHORIZED',
+    ...overrides
+  };
+}
+
+function parseResponse(response) {
+  return JSON.parse(response.content[0].text);
+}
+
+describe('Live Feed Polling', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    logger.info = vi.fn();
+    logger.error = vi.fn();
+    logger.warn = vi.fn();
+    logger.debug = vi.fn();
+
+    pollingService.feeds.clear();
+    pollingService.storeFeed(FEED_ID, { cursor: { lastCreatedAt: START } });
+  });
+
+  test('should deliver each transaction once and advance the cursor', async () => {
+    const rows = [row('txn_1', 10), row('txn_2', 20)];
+    reportingService.getTransactionHistory = vi.fn().mockResolvedValue(rows);
+
+    const first = parseResponse(await handlePollLiveFeed(feedArgs(FEED_ID), 'req_1'));
+    const second = parseResponse(await handlePollLiveFeed(feedArgs(FEED_ID), 'req_2'));
+
+    expect(first.liveFeedResult.transactions.map(t => t.token)).toEqual(['txn_1', 'txn_2']);
+    expect(first.liveFeedResult.cursor).toBe(rows[1].created_at);
+    expect(first.liveFeedResult.transactions[0].cardToken).toBe('card_fee***');
+    expect(second.liveFeedResult.transactionCount).toBe(0);
+    expect(second.liveFeedResult.feed.pollCount).toBe(2);
+  });
+
+  test('should read behind the cursor so late arrivals are delivered', async () => {
+    reportingService.getTransactionHistory = vi.fn().mockResolvedValue([row('txn_1', 60)]);
+    await handlePollLiveFeed(feedArgs(FEED_ID), 'req_1');
+
+    // txn_late was created before txn_1 but only became visible afterwards
+    reportingService.getTransactionHistory = vi.fn().mockResolvedValue([row('txn_late', 30), row('txn_1', 60)]);
+    const result = parseResponse(await handlePollLiveFeed(feedArgs(FEED_ID), 'req_2'));
+
+    const { since } = reportingService.getTransactionHistory.mock.calls[0][0];
+    expect(Date.parse(since)).toBeLessThan(Date.parse(row('txn_1', 60).created_at));
+    expect(result.liveFeedResult.transactions.map(t => t.token)).toEqual(['txn_late']);
+  });
+
+  test('should apply card and transaction type filters', () => {
+    pollingService.storeFeed('feed_1_filtered', {
+      cardTokenFilter: ['card_feed123456'],
+      transactionTypes: ['decline'],
+      cursor: { lastCreatedAt: START }
+    });
+
+    const result = pollingService.pollFeed('feed_1_filtered', [
+      row('txn_ok', 10),
+      row('txn_declined', 20, { is_approved: false, result: 'DECLINED' }),
+      row('txn_other_card', 30, { card_token: 'card_other', is_approved: false })
+    ]);
+
+    expect(result.transactions.map(t => t.token)).toEqual(['txn_declined']);
+  });
+
+  test('should withhold transactions over the per-minute rate limit', () => {
+    pollingService.storeFeed('feed_1_limited', {
+      maxTransactionsPerMinute: 2,
+      cursor: { lastCreatedAt: START }
+    });
+    const rows = [row('txn_1', 10), row('txn_2', 20), row('txn_3', 30)];
+
+    const first = pollingService.pollFeed('feed_1_limited', rows);
+    const second = pollingService.pollFeed('feed_1_limited', rows);
+
+    expect(first.transactions).toHaveLength(2);
+    expect(first.remaining).toBe(1);
+    expect(first.rateLimit.rateLimited).toBe(true);
+    expect(first.rateLimit.retryAfterSeconds).toBeGreaterThan(0);
+    expect(second.transactions).toHaveLength(0);
+  });
+
+  test('should advance past rows its filters reject', () => {
+    pollingService.storeFeed('feed_1_declines', {
+      transactionTypes: ['decline'],
+      cursor: { lastCreatedAt: START }
+    });
+    const approved = [row('txn_1', 400), row('txn_2', 500), row('txn_3', 600)];
+
+    // A full page of approvals: nothing to deliver, but the cursor moves past them
+    const first = pollingService.pollFeed('feed_1_declines', approved, 20, approved.length);
+    expect(first.transactions).toHaveLength(0);
+    expect(first.cursor).toBe(approved[2].created_at);
+    expect(pollingService.getFeedReadPosition('feed_1_declines')).toBe(approved[2].created_at);
+
+    const second = pollingService.pollFeed('feed_1_declines', [
+      row('txn_3', 600),
+      row('txn_declined', 700, { is_approved: false, result: 'DECLINED' })
+    ], 20, approved.length);
+    expect(second.transactions.map(t => t.token)).toEqual(['txn_declined']);
+
+    // A partial page restores the lookback for late arrivals
+    expect(Date.parse(pollingService.getFeedReadPosition('feed_1_declines')))
+      .toBeLessThan(Date.parse(second.cursor));
+  });
+
+  test('should not advance past matches withheld by the rate limit', () => {
+    pollingService.storeFeed('feed_1_withheld', {
+      maxTransactionsPerMinute: 1,
+      cursor: { lastCreatedAt: START }
+    });
+
+    const result = pollingService.pollFeed('feed_1_withheld', [row('txn_1', 10), row('txn_2', 20), row('txn_3', 30)]);
+
+    expect(result.transactions.map(t => t.token)).toEqual(['txn_1']);
+    expect(result.cursor).toBe(row('txn_1', 10).created_at);
+  });
+
+  test('should filter multi-card feeds in the query', async () => {
+    pollingService.storeFeed('feed_1_cards', {
+      cardTokenFilter: ['card_feed123456', 'card_other'],
+      cursor: { lastCreatedAt: START }
+    });
+    reportingService.getTransactionHistory = vi.fn().mockResolvedValue([]);
+
+    await handlePollLiveFeed(feedArgs('feed_1_cards'), 'req_1');
+
+    expect(reportingService.getTransactionHistory).toHaveBeenCalledWith(
+      expect.objectContaining({ cardTokens: ['card_feed123456', 'card_other'], fromStart: true })
+    );
+  });
+
+  test('should reject unknown feeds', async () => {
+    await expect(handlePollLiveFeed(feedArgs('feed_1_missing'), 'req_1'))
+      .rejects.toThrow("Tool 'poll_live_feed' failed: Feed feed_1_missing not found");
+  });
+});
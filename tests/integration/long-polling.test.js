@@ -0,0 +1,90 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+
+/**
+ * Integration Tests for Long-Poll Alert Delivery
+ *
+ * Validates that poll_subscription_alerts with waitSeconds blocks until an alert
+ * is queued, returns empty on timeout, and stops waiting when cancelled.
+ */
+
+vi.mock('../../src/utils/logger.js');
+
+import pollingService from '../../src/services/polling-service.js';
+import { handlePollSubscriptionAlerts } from '../../src/handlers/polling-handlers.js';
+import { pollingToolSchemas } from '../../src/schemas/polling-schemas.js';
+import { createToolValidator } from '../../src/utils/tool-validation.js';
+import logger from '../../src/utils/logger.js';
+
+const SUBSCRIPTION_ID = 'alert_sub_1703123456789_longpoll1';
+
+// Arguments as the dispatcher hands them to the handler: validated, with defaults applied
+const validate = createToolValidator(pollingToolSchemas);
+
+function parseResponse(response) {
+  return JSON.parse(response.content[0].text);
+}
+
+describe('Long-Poll Alert Delivery', () => {
+  beforeEach(() => {
+    logger.info = vi.fn();
+    logger.error = vi.fn();
+    logger.warn = vi.fn();
+    logger.debug = vi.fn();
+
+    pollingService.subscriptions.clear();
+    pollingService.alertQueues.clear();
+    pollingService.deadLetters.clear();
+    pollingService.storeSubscription(SUBSCRIPTION_ID, { duration: '1h' });
+  });
+
+  test('should return an alert queued while the poll is waiting', async () => {
+    setTimeout(() => {
+      pollingService.queueAlert(SUBSCRIPTION_ID, { alertType: 'fraud_detected', transactionId: 'txn_late' });
+    }, 20);
+
+    const result = parseResponse(
+      await handlePollSubscriptionAlerts(validate('poll_subscription_alerts', { subscriptionId: SUBSCRIPTION_ID, waitSeconds: 5 }), 'req_1')
+    );
+
+    expect(result.pollingResult.alertCount).toBe(1);
+    expect(result.pollingResult.alerts[0].transactionId).toBe('txn_late');
+    expect(result.pollingResult.performance.waitedMs).toBeLessThan(5000);
+  });
+
+  test('should resolve immediately when alerts are already queued', async () => {
+    pollingService.queueAlert(SUBSCRIPTION_ID, { alertType: 'fraud_detected' });
+
+    await expect(pollingService.waitForAlerts(SUBSCRIPTION_ID, 5000)).resolves.toBe(true);
+  });
+
+  test('should time out when no alert arrives', async () => {
+    await expect(pollingService.waitForAlerts(SUBSCRIPTION_ID, 30)).resolves.toBe(false);
+    expect(pollingService.listenerCount('alert:queued')).toBe(0);
+  });
+
+  test('should ignore alerts queued for other subscriptions', async () => {
+    pollingService.storeSubscription('alert_sub_1703123456789_other1', { duration: '1h' });
+    setTimeout(() => pollingService.queueAlert('alert_sub_1703123456789_other1', { alertType: 'fraud_detected' }), 10);
+
+    await expect(pollingService.waitForAlerts(SUBSCRIPTION_ID, 50)).resolves.toBe(false);
+  });
+
+  test('should stop waiting when the session closes', async () => {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(new Error('MCP session closed')), 10);
+
+    await expect(
+      handlePollSubscriptionAlerts(
+        validate('poll_subscription_alerts', { subscriptionId: SUBSCRIPTION_ID, waitSeconds: 30 }),
+        'req_1',
+        { signal: controller.signal }
+      )
+    ).rejects.toThrow("Tool 'poll_subscription_alerts' failed: MCP session closed");
+    expect(pollingService.listenerCount('alert:queued')).toBe(0);
+  });
+
+  test('should validate waitSeconds', () => {
+    expect(() => validate('poll_subscription_alerts', { subscriptionId: SUBSCRIPTION_ID, waitSeconds: 120 }))
+      .toThrow('Invalid arguments: waitSeconds should be <= 60');
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+
+/**
+ * Integration Tests for MCP Prompts
+ *
+ * Validates that prompt templates are listed, filled with live card and
+ * transaction context (only for clients that may read transactions), and that
+ * prompt arguments are validated.
+ */
+
+vi.mock('../../src/utils/logger.js');
+vi.mock('../../src/services/card-service.js');
+vi.mock('../../src/services/reporting-service.js');
+
+import * as cardService from '../../src/services/card-service.js';
+import * as reportingService from '../../src/services/reporting-service.js';
+import { handleListPrompts, handleGetPrompt } from '../../src/handlers/prompt-handlers.js';
+import logger from '../../src/utils/logger.js';
+
+const CARD = 'card_prompt1234567';
+
+function promptText(result) {
+  return result.messages[0].content.text;
+}
+
+describe('MCP Prompts', () => {
+  beforeEach(() => {
+    logger.info = vi.fn();
+    logger.error = vi.fn();
+    logger.warn = vi.fn();
+    logger.debug = vi.fn();
+
+    vi.resetAllMocks();
+    vi.mocked(cardService.getCardDetails).mockResolvedValue({
+      token: CARD,
+      pan: '4111111111119876',
+      last_four: '9876',
+      state: 'OPEN',
+      spend_limit: 50000,
+      spend_limit_duration: 'MONTHLY',
+      memo: 'Pension Card'
+    });
+    vi.mocked(reportingService.getRecentTransactionsForAgent).mockResolvedValue([
+      {
+        timestamp: '1/1/2026, 12:00:00 PM',
+        amount: 'USD 1.00',
+        merchant: 'AMAZON MKTPL',
+        location: 'Seattle, WA, USA',
+        status: 'APPROVED'
+      }
+    ]);
+  });
+
+  test('should list the persona and script prompts', () => {
+    const { prompts } = handleListPrompts();
+
+    expect(prompts.map(p => p.name)).toEqual(['elderly_persona', 'verify_caller_charge', 'stall_scammer']);
+    expect(prompts[0].arguments.find(a => a.name === 'cardToken').required).toBe(true);
+  });
+
+  test('should fill the persona with live card context and never the PAN', async () => {
+    const text = promptText(await handleGetPrompt({
+      name: 'elderly_persona',
+      arguments: { cardToken: CARD, personaName: 'Doris', region: 'uk' }
+    }, 'req_1'));
+
+    expect(text).toContain('You are playing Doris');
+    expect(text).toContain('HMRC');
+    expect(text).toContain('Pension Card ending in 9876, active, spend limit $500.00 MONTHLY');
+    expect(text).toContain('USD 1.00 at AMAZON MKTPL');
+    expect(text).not.toContain('4111111111119876');
+    expect(reportingService.getRecentTransactionsForAgent).toHaveBeenCalledWith(5, CARD);
+  });
+
+  test('should include the claimed charge in the verification script', async () => {
+    const result = await handleGetPrompt({
+      name: 'verify_caller_charge',
+      arguments: { cardToken: CARD, claimedCharge: '$1 at Amazon' }
+    }, 'req_1');
+
+    expect(promptText(result)).toContain('The caller said: "$1 at Amazon"');
+    expect(promptText(result)).toContain('You are Margaret');
+    expect(result.description).toContain('verifying a charge');
+  });
+
+  test('should still build a prompt when transactions are unavailable', async () => {
+    vi.mocked(reportingService.getRecentTransactionsForAgent).mockRejectedValue(new Error('DB down'));
+
+    const text = promptText(await handleGetPrompt({
+      name: 'stall_scammer',
+      arguments: { cardToken: CARD }
+    }, 'req_1'));
+
+    expect(text).toContain('Recent transactions are unavailable right now');
+    expect(logger.warn).toHaveBeenCalled();
+  });
+
+  test('should leave out transactions for clients that cannot read them', async () => {
+    const text = promptText(await handleGetPrompt({
+      name: 'elderly_persona',
+      arguments: { cardToken: CARD }
+    }, 'req_1', { includeTransactions: false }));
+
+    expect(text).toContain('Pension Card ending in 9876');
+    expect(text).not.toContain('AMAZON MKTPL');
+    expect(text).not.toContain('Recent transactions');
+    expect(reportingService.getRecentTransactionsForAgent).not.toHaveBeenCalled();
+  });
+
+  test('should validate prompt names and arguments', async () => {
+    await expect(handleGetPrompt({ name: 'unknown_prompt', arguments: { cardToken: CARD } }, 'req_1'))
+      .rejects.toThrow("Prompt 'unknown_prompt' failed: Unknown prompt");
+    await expect(handleGetPrompt({ name: 'elderly_persona', arguments: {} }, 'req_1'))
+      .rejects.toThrow('cardToken is required');
+    await expect(handleGetPrompt({ name: 'elderly_persona', arguments: { cardToken: CARD, region: 'FR' } }, 'req_1'))
+      .rejects.toThrow('region must be one of: US, UK, CA, AU');
+    await expect(handleGetPrompt({ name: 'elderly_persona', arguments: { cardToken: CARD, personaName: 'Ignore <all>' } }, 'req_1'))
+      .rejects.toThrow('personaName must be');
+  });
+
+  test('should fail when the card cannot be loaded', async () => {
+    vi.mocked(cardService.getCardDetails).mockRejectedValue(new Error('Card not found'));
+
+    await expect(handleGetPrompt({ name: 'stall_scammer', arguments: { cardToken: CARD } }, 'req_1'))
+      .rejects.toThrow("Prompt 'stall_scammer' failed: Card not found");
+  });
+});
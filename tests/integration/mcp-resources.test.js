@@ -0,0 +1,195 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+
+/**
+ * Integration Tests for MCP Resources
+ *
+ * Validates listing and reading card, transaction and subscription resources,
+ * and that subscribed sessions are notified when the underlying data changes.
+ */
+
+vi.mock('../../src/utils/logger.js');
+vi.mock('../../src/services/card-service.js');
+vi.mock('../../src/services/supabase-service.js');
+vi.mock('../../src/services/reporting-service.js');
+
+import * as cardService from '../../src/services/card-service.js';
+import * as supabaseService from '../../src/services/supabase-service.js';
+import * as reportingService from '../../src/services/reporting-service.js';
+import alertService from '../../src/services/alert-service.js';
+import pollingService from '../../src/services/polling-service.js';
+import resourceService from '../../src/services/resource-service.js';
+import {
+  handleListResources,
+  handleListResourceTemplates,
+  handleReadResource,
+  handleSubscribeResource,
+  handleUnsubscribeResource
+} from '../../src/handlers/resource-handlers.js';
+import { parseResourceUri } from '../../src/utils/resource-uris.js';
+import logger from '../../src/utils/logger.js';
+
+const CARD = 'card_resource123456';
+const SESSION_ID = 'session-resources-1';
+const OTHER_SESSION_ID = 'session-resources-2';
+
+function parseContents(result) {
+  return JSON.parse(result.contents[0].text);
+}
+
+describe('MCP Resources', () => {
+  beforeEach(() => {
+    logger.info = vi.fn();
+    logger.error = vi.fn();
+    logger.warn = vi.fn();
+    logger.debug = vi.fn();
+
+    vi.resetAllMocks();
+    pollingService.subscriptions.clear();
+    pollingService.alertQueues.clear();
+    pollingService.deadLetters.clear();
+    resourceService.sessions.clear();
+  });
+
+  test('should parse only known honeypot URIs', () => {
+    expect(parseResourceUri('honeypot://cards/card_abc')).toEqual({ type: 'cards', id: 'card_abc' });
+    expect(parseResourceUri('honeypot://merchants/abc')).toBeNull();
+    expect(parseResourceUri('honeypot://cards/a/b')).toBeNull();
+    expect(parseResourceUri('https://cards/abc')).toBeNull();
+  });
+
+  test('should list cards and active subscriptions', async () => {
+    vi.mocked(cardService.listCards).mockResolvedValue([
+      { token: CARD, last_four: '1234', state: 'OPEN', memo: 'Bait' }
+    ]);
+    pollingService.storeSubscription('alert_sub_1_resource', { cardTokens: [CARD], duration: '1h', mcpSessionId: SESSION_ID });
+
+    const { resources } = await handleListResources('req_1', { mcpSessionId: SESSION_ID });
+
+    expect(resources.map(r => r.uri)).toEqual([
+      `honeypot://cards/${CARD}`,
+      'honeypot://subscriptions/alert_sub_1_resource'
+    ]);
+    expect(resources[0].name).toBe('Bait (...1234)');
+    expect(handleListResourceTemplates().resourceTemplates).toHaveLength(3);
+  });
+
+  test('should still list subscriptions when cards are unavailable', async () => {
+    vi.mocked(cardService.listCards).mockRejectedValue(new Error('Lithic unavailable'));
+    pollingService.storeSubscription('alert_sub_1_resource', { duration: '1h', mcpSessionId: SESSION_ID });
+
+    const { resources } = await handleListResources('req_1', { mcpSessionId: SESSION_ID });
+
+    expect(resources).toHaveLength(1);
+    expect(logger.warn).toHaveBeenCalled();
+  });
+
+  test('should read a card without its PAN', async () => {
+    vi.mocked(cardService.getCardDetails).mockResolvedValue({
+      token: CARD, pan: '4111111111111234', last_four: '1234', state: 'OPEN'
+    });
+    vi.mocked(reportingService.getTransactionHistory).mockResolvedValue([
+      { token: 'txn_old', created_at: '2026-01-01T10:00:00Z', amount_usd: 1, merchant: 'A' },
+      { token: 'txn_new', created_at: '2026-01-01T11:00:00Z', amount_usd: 2, merchant: 'B' }
+    ]);
+
+    const contents = parseContents(await handleReadResource({ uri: `honeypot://cards/${CARD}` }, 'req_1'));
+
+    expect(contents.card.pan).toBeUndefined();
+    expect(contents.card.isActive).toBe(true);
+    expect(contents.recentTransactions.map(t => t.uri)).toEqual([
+      'honeypot://transactions/txn_new',
+      'honeypot://transactions/txn_old'
+    ]);
+  });
+
+  test('should read transactions and report missing ones', async () => {
+    vi.mocked(supabaseService.getTransactionDetails)
+      .mockResolvedValueOnce({ token: 'txn_1', card_token: CARD, result: 'APPROVED' })
+      .mockResolvedValueOnce(null);
+
+    const contents = parseContents(await handleReadResource({ uri: 'honeypot://transactions/txn_1' }, 'req_1'));
+    expect(contents.links.card).toBe(`honeypot://cards/${CARD}`);
+
+    await expect(handleReadResource({ uri: 'honeypot://transactions/txn_missing' }, 'req_2'))
+      .rejects.toThrow('Transaction txn_missing not found');
+  });
+
+  test('should read subscriptions with masked card tokens', async () => {
+    pollingService.storeSubscription('alert_sub_1_resource', {
+      cardTokens: [CARD], duration: '1h', mcpSessionId: SESSION_ID
+    });
+
+    const { subscription } = parseContents(
+      await handleReadResource({ uri: 'honeypot://subscriptions/alert_sub_1_resource' }, 'req_1', { mcpSessionId: SESSION_ID })
+    );
+
+    expect(subscription.cardTokens).toEqual(['card_res***']);
+    expect(subscription.mcpSessionId).toBeUndefined();
+  });
+
+  test('should only expose subscriptions to the session that created them', async () => {
+    vi.mocked(cardService.listCards).mockResolvedValue([]);
+    resourceService.registerSession(OTHER_SESSION_ID, vi.fn().mockResolvedValue());
+    pollingService.storeSubscription('alert_sub_1_mine', { duration: '1h', mcpSessionId: SESSION_ID });
+    pollingService.storeSubscription('alert_sub_1_theirs', { duration: '1h', mcpSessionId: OTHER_SESSION_ID });
+    pollingService.storeSubscription('alert_sub_1_sessionless', { duration: '1h' });
+
+    const mine = await handleListResources('req_1', { mcpSessionId: SESSION_ID });
+    const theirs = await handleListResources('req_2', { mcpSessionId: OTHER_SESSION_ID });
+    expect(mine.resources.map(r => r.uri)).toEqual(['honeypot://subscriptions/alert_sub_1_mine']);
+    expect(theirs.resources.map(r => r.uri)).toEqual(['honeypot://subscriptions/alert_sub_1_theirs']);
+
+    const uri = 'honeypot://subscriptions/alert_sub_1_mine';
+    await expect(handleReadResource({ uri }, 'req_3', { mcpSessionId: OTHER_SESSION_ID }))
+      .rejects.toThrow('Subscription alert_sub_1_mine not found');
+    await expect(handleReadResource({ uri: 'honeypot://subscriptions/alert_sub_1_sessionless' }, 'req_4', { mcpSessionId: SESSION_ID }))
+      .rejects.toThrow('not found');
+    expect(() => handleSubscribeResource({ uri }, 'req_5', { mcpSessionId: OTHER_SESSION_ID }))
+      .toThrow('Subscription alert_sub_1_mine not found');
+  });
+
+  test('should reject unknown resource URIs', async () => {
+    await expect(handleReadResource({ uri: 'honeypot://merchants/abc' }, 'req_1'))
+      .rejects.toThrow('Unknown resource URI');
+  });
+
+  test('should notify subscribed sessions when a transaction is saved', async () => {
+    const notify = vi.fn().mockResolvedValue();
+    resourceService.registerSession(SESSION_ID, notify);
+    handleSubscribeResource({ uri: `honeypot://cards/${CARD}` }, 'req_1', { mcpSessionId: SESSION_ID });
+    handleSubscribeResource({ uri: 'honeypot://transactions/txn_other' }, 'req_2', { mcpSessionId: SESSION_ID });
+
+    await alertService.broadcastAlert(CARD, {
+      alertType: 'NEW_TRANSACTION',
+      transactionId: 'txn_saved',
+      cardToken: CARD,
+      immediate: { amount: '$5.00', merchant: 'SHOP', status: 'APPROVED' },
+      verification: { mccCode: '5814' },
+      intelligence: { newMerchant: false }
+    });
+
+    await vi.waitFor(() => expect(notify).toHaveBeenCalledWith(`honeypot://cards/${CARD}`));
+    expect(notify).toHaveBeenCalledTimes(1);
+  });
+
+  test('should notify subscription resources on queue changes until unsubscribed', async () => {
+    const notify = vi.fn().mockResolvedValue();
+    const uri = 'honeypot://subscriptions/alert_sub_1_watch';
+    resourceService.registerSession(SESSION_ID, notify);
+    pollingService.storeSubscription('alert_sub_1_watch', { duration: '1h', mcpSessionId: SESSION_ID });
+    handleSubscribeResource({ uri }, 'req_1', { mcpSessionId: SESSION_ID });
+
+    pollingService.queueAlert('alert_sub_1_watch', { alertType: 'fraud_detected' });
+    await vi.waitFor(() => expect(notify).toHaveBeenCalledWith(uri));
+
+    handleUnsubscribeResource({ uri }, 'req_2', { mcpSessionId: SESSION_ID });
+    pollingService.queueAlert('alert_sub_1_watch', { alertType: 'fraud_detected' });
+
+    expect(notify).toHaveBeenCalledTimes(1);
+  });
+
+  test('should require a registered session to subscribe', () => {
+    expect(() => handleSubscribeResource({ uri: `honeypot://cards/${CARD}` }, 'req_1', { mcpSessionId: 'unknown' }))
+      .toThrow('is not registered for resource updates');
+  });
+});
@@ -0,0 +1,248 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+
+/**
+ * Integration Tests for Merchant Resolution
+ *
+ * Validates descriptor normalization, fuzzy clustering of near-duplicate merchants,
+ * resolution of incoming merchants to canonical IDs (acceptor_id, alias, fuzzy match,
+ * creation) and the backfill that merges existing merchant rows.
+ */
+
+const { tables, writes } = vi.hoisted(() => ({ tables: {}, writes: [] }));
+
+// Minimal Supabase query builder over in-memory tables
+vi.mock('../../src/config/supabase-client.js', () => {
+  const matches = (row, filters) => filters.every(([op, column, value]) => {
+    if (op === 'eq') return row[column] === value;
+    if (op === 'is') return (row[column] ?? null) === value;
+    if (op === 'like') return String(row[column] ?? '').startsWith(value.replace(/%$/, ''));
+    return true;
+  });
+
+  const from = (table) => {
+    const query = { filters: [], limit: Infinity, single: false, write: null };
+    const run = () => {
+      const rows = (tables[table] ||= []);
+      if (query.write?.type === 'insert') {
+        const inserted = query.write.rows.map((row, i) => ({ id: `m-${rows.length + i + 1}`, ...row }));
+        rows.push(...inserted);
+        return { data: query.single ? inserted[0] : inserted, error: null };
+      }
+      if (query.write?.type === 'upsert') {
+        writes.push({ table, type: 'upsert', values: query.write.values });
+        return { data: null, error: null };
+      }
+      const selected = rows.filter(row => matches(row, query.filters));
+      if (query.write?.type === 'update') {
+        selected.forEach(row => Object.assign(row, query.write.values));
+        writes.push({ table, type: 'update', values: query.write.values, filters: query.filters });
+      }
+      const data = selected.slice(query.from || 0, query.limit);
+      return { data: query.single ? data[0] : data, error: null };
+    };
+    const builder = {
+      select: () => builder,
+      eq: (column, value) => { query.filters.push(['eq', column, value]); return builder; },
+      is: (column, value) => { query.filters.push(['is', column, value]); return builder; },
+      like: (column, value) => { query.filters.push(['like', column, value]); return builder; },
+      order: () => builder,
+      limit: (count) => { query.limit = count; return builder; },
+      range: (start, end) => { query.from = start; query.limit = end + 1; return builder; },
+      single: () => { query.single = true; return builder; },
+      insert: (rows) => { query.write = { type: 'insert', rows }; return builder; },
+      update: (values) => { query.write = { type: 'update', values }; return builder; },
+      upsert: (values) => { query.write = { type: 'upsert', values }; return builder; },
+      then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject)
+    };
+    return builder;
+  };
+
+  return { supabase_client: { from } };
+});
+vi.mock('../../src/services/mcc-service.js');
+vi.mock('../../src/utils/logger.js');
+
+import {
+  normalizeDescriptor,
+  descriptorSimilarity,
+  clusterMerchants
+} from '../../src/utils/merchant-normalization.js';
+import { resolveMerchant } from '../../src/services/merchant-resolution-service.js';
+import { runMerchantBackfill } from '../../src/jobs/merchant-backfill.js';
+import logger from '../../src/utils/logger.js';
+
+const merchant = (id, descriptor, created, overrides = {}) => ({
+  id,
+  acceptor_id: null,
+  descriptor,
+  city: 'SEATTLE',
+  state: 'WA',
+  country: 'USA',
+  mcc: '5942',
+  canonical_merchant_id: null,
+  normalized_descriptor: null,
+  created_at: `2026-01-0${created}T00:00:00.000Z`,
+  ...overrides
+});
+
+describe('Merchant Resolution', () => {
+  beforeEach(() => {
+    logger.info = vi.fn();
+    logger.error = vi.fn();
+    logger.warn = vi.fn();
+    logger.debug = vi.fn();
+
+    for (const table of Object.keys(tables)) delete tables[table];
+    writes.length = 0;
+  });
+
+  describe('Descriptor normalization', () => {
+    test.each([
+      ['AMZN MKTP US*2K3AB1', 'AMZN MKTP US'],
+      ['AMZN Mktp US*9Q1ZZ4', 'AMZN MKTP US'],
+      ['SQ *BLUE BOTTLE COFFEE', 'BLUE BOTTLE COFFEE'],
+      ['PAYPAL *STEAMGAMES', 'STEAMGAMES'],
+      ['CVS/PHARMACY #1234', 'CVS PHARMACY'],
+      ['7-ELEVEN 33421', '7 ELEVEN'],
+      ['   ', null]
+    ])('should normalize %s', (descriptor, expected) => {
+      expect(normalizeDescriptor(descriptor)).toBe(expected);
+    });
+
+    test('should score near-duplicates above unrelated descriptors', () => {
+      expect(descriptorSimilarity('AMZN MKTP US', 'AMZN MKTP')).toBeGreaterThanOrEqual(0.85);
+      expect(descriptorSimilarity('AMZN MKTP US', 'APPLE STORE')).toBeLessThan(0.3);
+    });
+  });
+
+  describe('Clustering', () => {
+    test('should cluster variants under the oldest row and keep other countries and MCCs apart', () => {
+      const clusters = clusterMerchants([
+        merchant('m-2', 'AMZN Mktp US*9Q1ZZ4', 2),
+        merchant('m-1', 'AMZN MKTP US*2K3AB1', 1),
+        merchant('m-3', 'AMZN MKTP US', 3, { country: 'GBR' }),
+        merchant('m-4', 'AMZN MKTP', 4),
+        merchant('m-5', 'APPLE STORE', 5)
+      ]);
+
+      expect(clusters).toHaveLength(1);
+      expect(clusters[0].canonical.id).toBe('m-1');
+      expect(clusters[0].members.map(m => m.id)).toEqual(['m-2', 'm-4']);
+    });
+
+    test('should keep same-named stores in different cities apart', () => {
+      const clusters = clusterMerchants([
+        merchant('m-1', 'STARBUCKS #1021', 1, { acceptor_id: 'acc-sea' }),
+        merchant('m-2', 'STARBUCKS #2250', 2, { acceptor_id: 'acc-pdx', city: 'PORTLAND', state: 'OR' }),
+        merchant('m-3', 'STARBUCKS', 3, { acceptor_id: 'acc-sea-2' })
+      ]);
+
+      expect(clusters).toHaveLength(1);
+      expect(clusters[0].canonical.id).toBe('m-1');
+      expect(clusters[0].members.map(m => m.id)).toEqual(['m-3']);
+    });
+  });
+
+  describe('resolveMerchant', () => {
+    const incoming = { acceptor_id: null, descriptor: 'AMZN MKTP US*7XY12Z', city: 'SEATTLE', state: 'WA', country: 'USA', mcc: '5942' };
+
+    test('should follow a merged acceptor_id to its canonical merchant', async () => {
+      tables.merchants = [
+        merchant('m-1', 'AMZN MKTP US*2K3AB1', 1, { normalized_descriptor: 'AMZN MKTP US' }),
+        merchant('m-2', 'AMZN Mktp US*9Q1ZZ4', 2, { acceptor_id: 'ACC-2', canonical_merchant_id: 'm-1' })
+      ];
+
+      const resolution = await resolveMerchant({ ...incoming, acceptor_id: 'ACC-2' }, 'txn-1');
+
+      expect(resolution).toEqual({ merchantId: 'm-1', matchedBy: 'acceptor_id' });
+      expect(writes.filter(w => w.table === 'merchants')).toHaveLength(0);
+    });
+
+    test('should match a recorded alias by normalized descriptor', async () => {
+      tables.merchant_aliases = [
+        { merchant_id: 'm-9', normalized_descriptor: 'AMZN MKTP US', country: 'GBR', mcc: '5942' },
+        { merchant_id: 'm-1', normalized_descriptor: 'AMZN MKTP US', country: 'USA', mcc: '5942' }
+      ];
+
+      const resolution = await resolveMerchant(incoming, 'txn-1');
+
+      expect(resolution).toEqual({ merchantId: 'm-1', matchedBy: 'alias' });
+      expect(writes).toContainEqual(expect.objectContaining({
+        table: 'merchant_aliases',
+        values: expect.objectContaining({ merchant_id: 'm-1', descriptor: incoming.descriptor, normalized_descriptor: 'AMZN MKTP US' })
+      }));
+    });
+
+    test('should fuzzy match canonical merchants and create a merchant when nothing is close', async () => {
+      tables.merchants = [merchant('m-1', 'AMZN MKTP', 1, { normalized_descriptor: 'AMZN MKTP' })];
+
+      expect(await resolveMerchant(incoming, 'txn-1')).toEqual({ merchantId: 'm-1', matchedBy: 'fuzzy', similarity: 0.88 });
+
+      const created = await resolveMerchant({ ...incoming, descriptor: 'APPLE.COM/BILL' }, 'txn-2');
+      expect(created.matchedBy).toBe('created');
+      expect(tables.merchants.at(-1)).toMatchObject({ id: created.merchantId, normalized_descriptor: 'APPLE COM BILL' });
+    });
+
+    test('should not fuzzy match a branch with another acceptor_id in another city', async () => {
+      tables.merchants = [merchant('m-1', 'AMZN MKTP', 1, { acceptor_id: 'acc-1', normalized_descriptor: 'AMZN MKTP US' })];
+
+      const result = await resolveMerchant({ ...incoming, acceptor_id: 'acc-2', city: 'PORTLAND', state: 'OR' }, 'txn-1');
+
+      expect(result.matchedBy).toBe('created');
+      expect(result.merchantId).not.toBe('m-1');
+    });
+
+    test('should not resolve a merchant without acceptor_id or descriptor', async () => {
+      expect(await resolveMerchant({ acceptor_id: null, descriptor: null }, 'txn-1')).toEqual({ merchantId: null, matchedBy: null });
+      expect(writes).toHaveLength(0);
+    });
+  });
+
+  describe('Backfill', () => {
+    beforeEach(() => {
+      tables.merchants = [
+        merchant('m-1', 'AMZN MKTP US*2K3AB1', 1),
+        merchant('m-2', 'AMZN Mktp US*9Q1ZZ4', 2),
+        merchant('m-3', 'APPLE STORE', 3)
+      ];
+      tables.transaction_merchants = [
+        { transaction_token: 'txn-1', merchant_id: 'm-1' },
+        { transaction_token: 'txn-2', merchant_id: 'm-2' },
+        { transaction_token: 'txn-3', merchant_id: 'm-2' }
+      ];
+    });
+
+    test('should report clusters without writing on a dry run', async () => {
+      const summary = await runMerchantBackfill({ dryRun: true });
+
+      expect(summary).toMatchObject({ dryRun: true, merchantsScanned: 3, clusters: 1, merged: 0 });
+      expect(summary.plan[0]).toMatchObject({ canonicalMerchantId: 'm-1', duplicates: [{ merchantId: 'm-2' }] });
+      expect(writes).toHaveLength(0);
+    });
+
+    test('should merge duplicates into the canonical merchant and be safe to re-run', async () => {
+      const summary = await runMerchantBackfill();
+
+      expect(summary).toMatchObject({ merchantsScanned: 3, clusters: 1, merged: 1, linksMoved: 2, errors: 0 });
+      expect(tables.transaction_merchants.map(link => link.merchant_id)).toEqual(['m-1', 'm-1', 'm-1']);
+      expect(tables.merchants.find(m => m.id === 'm-2')).toMatchObject({ canonical_merchant_id: 'm-1', normalized_descriptor: 'AMZN MKTP US' });
+      expect(tables.merchants.find(m => m.id === 'm-3')).toMatchObject({ normalized_descriptor: 'APPLE STORE' });
+
+      const rerun = await runMerchantBackfill();
+      expect(rerun).toMatchObject({ merchantsScanned: 2, clusters: 0, merged: 0 });
+    });
+
+    test('should keep the merged row\'s acceptor ID on the links it moves', async () => {
+      tables.merchants[1].acceptor_id = 'ACC-2';
+      tables.transaction_merchants[2].acceptor_id = 'ACC-9';
+
+      await runMerchantBackfill();
+
+      expect(tables.transaction_merchants).toEqual([
+        { transaction_token: 'txn-1', merchant_id: 'm-1' },
+        { transaction_token: 'txn-2', merchant_id: 'm-1', acceptor_id: 'ACC-2' },
+        { transaction_token: 'txn-3', merchant_id: 'm-1', acceptor_id: 'ACC-9' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Integration Tests for Polling State Persistence
+ *
+ * Validates that subscriptions, alert queues and feeds survive a restart through
+ * the file store, that overlapping saves do not clobber each other, and that
+ * expirations and queue caps still apply after reload.
+ */
+
+vi.mock('../../src/utils/logger.js');
+
+import pollingService from '../../src/services/polling-service.js';
+import { createPollingStore, FilePollingStore } from '../../src/services/polling-store.js';
+import logger from '../../src/utils/logger.js';
+
+const PollingService = pollingService.constructor;
+
+describe('Polling State Persistence', () => {
+  let tempDir;
+  let filePath;
+  const services = [];
+
+  function startService() {
+    const service = new PollingService(createPollingStore({ type: 'file', filePath }));
+    services.push(service);
+    return service;
+  }
+
+  beforeEach(async () => {
+    logger.info = vi.fn();
+    logger.error = vi.fn();
+    logger.warn = vi.fn();
+    logger.debug = vi.fn();
+
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'polling-store-'));
+    filePath = path.join(tempDir, 'state.json');
+  });
+
+  afterEach(async () => {
+    while (services.length > 0) {
+      await services.pop().shutdown();
+    }
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('should restore subscriptions, queued alerts and feeds after a restart', async () => {
+    const before = startService();
+    before.storeSubscription('alert_sub_1_persist', { cardTokens: ['card_a'], alertTypes: [], duration: '1h' });
+    before.queueAlert('alert_sub_1_persist', { alertType: 'fraud_detected', transactionId: 'txn_1' });
+    before.storeFeed('feed_1_persist', {
+      cursor: { lastCreatedAt: '2026-01-01T12:00:00.000Z', deliveredTokens: { txn_1: 1767268800000 } }
+    });
+    await before.flush();
+
+    const after = startService();
+    const restored = await after.initialize();
+
+    expect(restored).toMatchObject({ subscriptions: 1, alerts: 1, feeds: 1, expired: 0 });
+    expect(after.getSubscriptionStatus('alert_sub_1_persist').expiresAt).toBeInstanceOf(Date);
+    expect(after.pollAlerts('alert_sub_1_persist')[0].transactionId).toBe('txn_1');
+    expect(after.getFeed('feed_1_persist').cursor.deliveredTokens.get('txn_1')).toBe(1767268800000);
+  });
+
+  test('should drop entries that expired while the service was down', async () => {
+    const before = startService();
+    before.storeSubscription('alert_sub_1_stale', { duration: '1h' });
+    before.storeFeed('feed_1_stale', {});
+    before.subscriptions.get('alert_sub_1_stale').expiresAt = new Date(Date.now() - 1000);
+    before.feeds.get('feed_1_stale').expiresAt = new Date(Date.now() - 1000);
+    await before.flush();
+
+    const after = startService();
+    const restored = await after.initialize();
+
+    expect(restored).toMatchObject({ subscriptions: 0, feeds: 0, expired: 2 });
+    expect(after.subscriptions.has('alert_sub_1_stale')).toBe(false);
+  });
+
+  test('should trim restored queues to the queue cap', async () => {
+    const now = Date.now();
+    await new FilePollingStore(filePath).save({
+      version: 1,
+      subscriptions: [{
+        subscriptionId: 'alert_sub_1_full',
+        isActive: true,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + 60000).toISOString(),
+        lastPolled: null
+      }],
+      alertQueues: {
+        alert_sub_1_full: Array.from({ length: 1005 }, (_, i) => ({ transactionId: `txn_${i}` }))
+      },
+      feeds: []
+    });
+
+    const service = startService();
+    await service.initialize();
+
+    const queue = service.alertQueues.get('alert_sub_1_full');
+    expect(queue).toHaveLength(1000);
+    expect(queue[0].transactionId).toBe('txn_5');
+  });
+
+  test('should keep the newest snapshot when saves overlap', async () => {
+    const store = new FilePollingStore(filePath);
+
+    await Promise.all(
+      Array.from({ length: 10 }, (_, i) => store.save({ version: i }))
+    );
+
+    expect(JSON.parse(await fs.readFile(filePath, 'utf8'))).toEqual({ version: 9 });
+    expect(await fs.readdir(tempDir)).toEqual(['state.json']);
+  });
+
+  test('should start empty when no state file exists', async () => {
+    const service = startService();
+
+    expect(await service.initialize()).toEqual({ subscriptions: 0, alerts: 0, feeds: 0 });
+  });
+
+  test('should reject unknown store types', () => {
+    expect(() => createPollingStore({ type: 'redis' })).toThrow('Unknown polling store type: redis');
+  });
+});
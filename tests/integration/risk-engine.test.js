@@ -0,0 +1,194 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+
+/**
+ * Integration Tests for the Risk Engine
+ *
+ * Validates config-driven scoring of stored transactions, alerts and pattern-analysis
+ * findings, the per-rule explanation attached to transaction scores, and loading of
+ * custom rules files.
+ */
+
+vi.mock('../../src/utils/logger.js');
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { config } from '../../src/config/index.js';
+import riskEngine from '../../src/services/risk-engine.js';
+import { scoreAlert } from '../../src/utils/alert-routing.js';
+import logger from '../../src/utils/logger.js';
+
+const RiskEngine = riskEngine.constructor;
+
+function transactionRow(overrides = {}) {
+  return {
+    token: 'c3f2a1b0-5d4e-4f6a-8b7c-9d0e1f2a3b4c',
+    card_token: '7ef7d65c-9023-4da3-b113-3b8583fd7951',
+    result: 'APPROVED',
+    cardholder_amount_usd: 42,
+    merchant_mcc_code: '5814',
+    merchant_country: 'USA',
+    // 14:00 in New York
+    created_at: '2026-03-10T18:00:00.000Z',
+    ...overrides
+  };
+}
+
+describe('Risk Engine', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    logger.info = vi.fn();
+    logger.error = vi.fn();
+    logger.warn = vi.fn();
+    logger.debug = vi.fn();
+
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'risk-rules-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function writeRules(rules) {
+    const rulesPath = path.join(tempDir, 'risk-rules.json');
+    fs.writeFileSync(rulesPath, JSON.stringify(rules));
+    return rulesPath;
+  }
+
+  test('should explain every configured rule, matched or not', () => {
+    const assessment = riskEngine.scoreTransaction(transactionRow(), {
+      recentTransactionCount: 0,
+      recentDeclineCount: 0,
+      newMerchant: false
+    });
+
+    expect(assessment).toMatchObject({ score: 0.5, level: 'medium', baseScore: 0.5, factors: [] });
+    expect(assessment.explanation.map(entry => entry.rule)).toEqual(
+      riskEngine.getRules().rules.map(rule => rule.id)
+    );
+    expect(assessment.explanation.every(entry => entry.matched === false && entry.contribution === 0)).toBe(true);
+    expect(assessment.explanation.find(entry => entry.rule === 'off_hours').reason).toContain('14:00');
+  });
+
+  test('should not flag an unknown merchant country as foreign', () => {
+    const { factors, explanation } = riskEngine.scoreTransaction(transactionRow({ merchant_country: null }));
+
+    expect(factors).toEqual([]);
+    expect(explanation.find(entry => entry.rule === 'foreign_location')).toMatchObject({
+      evaluated: false,
+      matched: false,
+      reason: 'Merchant country unknown'
+    });
+  });
+
+  test('should score card testing from velocity, declines, MCC and time of day', () => {
+    const assessment = riskEngine.scoreTransaction(
+      transactionRow({
+        result: 'DECLINED',
+        cardholder_amount_usd: 1,
+        merchant_mcc_code: '6051',
+        merchant_country: 'NGA',
+        // 03:00 in New York
+        created_at: '2026-03-10T07:00:00.000Z'
+      }),
+      { mccRiskLevel: 'HIGH', recentTransactionCount: 6, recentDeclineCount: 2, newMerchant: true }
+    );
+
+    expect(assessment.factors.map(factor => factor.factor)).toEqual([
+      'card_testing_amount',
+      'high_risk_mcc',
+      'foreign_location',
+      'high_velocity',
+      'declined',
+      'repeated_declines',
+      'new_merchant',
+      'off_hours'
+    ]);
+    expect(assessment.score).toBe(1);
+    expect(assessment.level).toBe('critical');
+    expect(assessment.explanation.find(entry => entry.rule === 'repeated_declines')).toMatchObject({
+      matched: true,
+      contribution: 0.1,
+      reason: '3 decline(s) on this card within 60 minutes'
+    });
+  });
+
+  test('should attach the explanation to scored alerts', () => {
+    const scored = scoreAlert({
+      alertType: 'NEW_TRANSACTION',
+      immediate: { amount: '$42.00', status: 'APPROVED' },
+      verification: { mccCode: '5814', mccRiskLevel: null, merchantCountry: 'USA' },
+      intelligence: { newMerchant: false, recentActivity: { windowMinutes: 60, transactionCount: 4, declineCount: 0 } }
+    });
+
+    expect(scored).toMatchObject({ riskScore: 0.65, riskLevel: 'high' });
+    expect(scored.riskFactors).toEqual([expect.objectContaining({
+      factor: 'high_velocity',
+      description: '5 transaction(s) on this card within 60 minutes'
+    })]);
+    expect(scored.riskExplanation).toHaveLength(riskEngine.getRules().rules.length);
+  });
+
+  test('should load weights, thresholds and base scores from a custom rules file', () => {
+    const engine = new RiskEngine(writeRules({
+      baseScores: { transaction: 0.1 },
+      thresholds: { fraud: 0.5 },
+      rules: [
+        { id: 'night', type: 'time_of_day', startHour: 0, endHour: 24, weight: 0.45, category: 'unusual_pattern' },
+        { id: 'abroad', type: 'geography', homeCountries: ['gbr'], weight: 0.2, category: 'unusual_pattern' }
+      ]
+    }));
+
+    const assessment = engine.scoreTransaction(transactionRow({ merchant_country: 'gbr' }));
+
+    expect(assessment.score).toBe(0.55);
+    expect(assessment.level).toBe('critical');
+    expect(assessment.factors).toEqual([
+      expect.objectContaining({ factor: 'night', description: expect.stringContaining('18:00 UTC') })
+    ]);
+  });
+
+  test('should score pattern-analysis findings with the configured severity weights', () => {
+    const engine = new RiskEngine(writeRules({
+      baseScores: { pattern_analysis: 0.1 },
+      findingWeights: { high: 0.5 },
+      rules: []
+    }));
+
+    const assessment = engine.scoreFindings([
+      { type: 'card_testing_probes', severity: 'high', description: '3 probes' },
+      { type: 'overnight_activity', severity: 'low', description: 'Overnight' }
+    ]);
+
+    expect(assessment).toMatchObject({ score: 0.7, level: 'high', baseScore: 0.1 });
+    expect(assessment.factors).toEqual([
+      { factor: 'card_testing_probes', weight: 0.5, category: 'pattern_analysis', description: '3 probes' },
+      { factor: 'overnight_activity', weight: 0.1, category: 'pattern_analysis', description: 'Overnight' }
+    ]);
+    expect(riskEngine.scoreFindings([])).toMatchObject({ score: 0, level: 'low' });
+  });
+
+  test('should reject rules files with unsupported rule types', () => {
+    const engine = new RiskEngine(writeRules({
+      rules: [{ id: 'moon_phase', type: 'moon_phase', weight: 0.1 }]
+    }));
+
+    expect(() => engine.getRules()).toThrow('Risk rule moon_phase has unsupported type "moon_phase"');
+    expect(() => new RiskEngine(path.join(tempDir, 'missing.json')).getRules())
+      .toThrow(/Failed to read risk rules file/);
+  });
+
+  test('should reject an unknown time zone when the rules are loaded', () => {
+    const engine = new RiskEngine(writeRules({
+      rules: [{ id: 'off_hours', type: 'time_of_day', weight: 0.1, startHour: 0, endHour: 5, timeZone: 'America/Nowhere' }]
+    }));
+
+    expect(() => engine.getRules()).toThrow('Risk rule off_hours has invalid timeZone "America/Nowhere"');
+  });
+
+  test('should find the bundled rules regardless of the working directory', () => {
+    expect(path.isAbsolute(config.risk.rulesPath)).toBe(true);
+    expect(fs.existsSync(config.risk.rulesPath)).toBe(true);
+  });
+});
@@ -0,0 +1,217 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventEmitter } from 'events';
+import express from 'express';
+
+/**
+ * Integration Tests for MCP Session Lifecycle
+ *
+ * Validates session tracking (owner, activity, tool calls, subscriptions), idle
+ * expiry and admin termination with subscription cleanup, and the admin tools
+ * and /admin/sessions endpoint.
+ */
+
+vi.mock('../../src/utils/logger.js');
+
+import sessionManager from '../../src/services/session-manager.js';
+import pollingService from '../../src/services/polling-service.js';
+import { createAdminSessionsRouter } from '../../src/api/admin-sessions.js';
+import { handleListSessions, handleTerminateSession } from '../../src/handlers/session-handlers.js';
+import logger from '../../src/utils/logger.js';
+
+const SessionManager = sessionManager.constructor;
+
+function createResponse() {
+  return new EventEmitter();
+}
+
+function storeSubscription(subscriptionId, mcpSessionId) {
+  pollingService.storeSubscription(subscriptionId, {
+    cardTokens: ['card_session1234567'],
+    alertTypes: [],
+    duration: '1h',
+    mcpSessionId
+  });
+}
+
+describe('MCP Session Lifecycle', () => {
+  let sessions;
+
+  beforeEach(() => {
+    logger.info = vi.fn();
+    logger.error = vi.fn();
+    logger.warn = vi.fn();
+    logger.debug = vi.fn();
+
+    pollingService.subscriptions.clear();
+    pollingService.alertQueues.clear();
+    pollingService.deadLetters.clear();
+
+    sessions = new SessionManager({ idleTimeoutMs: 1000 });
+  });
+
+  /**
+   * Register a session whose close() behaves like the MCP server's onclose
+   */
+  function registerSession(sessionId, clientId = 'vapi-prod') {
+    const close = vi.fn(async () => { sessions.remove(sessionId); });
+    sessions.register(sessionId, { clientId, transport: { sessionId }, close });
+    return close;
+  }
+
+  test('should track owner, tool calls and subscriptions per session', () => {
+    registerSession('session-1');
+    registerSession('session-2', 'other-client');
+    storeSubscription('alert_sub_1_aaaaaaaaa', 'session-1');
+
+    sessions.recordToolCall('session-1', 'get_card_details');
+    sessions.recordToolCall('session-1', 'get_card_details');
+    sessions.recordToolCall('session-1', 'ack_alerts');
+
+    expect(sessions.count()).toBe(2);
+    expect(sessions.count('vapi-prod')).toBe(1);
+    expect(sessions.getClientId('session-2')).toBe('other-client');
+    expect(sessions.get('session-1')).toMatchObject({
+      clientId: 'vapi-prod',
+      transportType: 'http',
+      toolCalls: { total: 3, byTool: { get_card_details: 2, ack_alerts: 1 } },
+      subscriptionIds: ['alert_sub_1_aaaaaaaaa']
+    });
+    expect(sessions.list({ clientId: 'other-client' }).map(session => session.sessionId)).toEqual(['session-2']);
+  });
+
+  test('should expire idle sessions and remove their subscriptions', async () => {
+    const close = registerSession('session-1');
+    storeSubscription('alert_sub_1_aaaaaaaaa', 'session-1');
+    storeSubscription('alert_sub_2_bbbbbbbbb', 'session-other');
+
+    expect(await sessions.expireIdleSessions(Date.now() + 500)).toEqual([]);
+    expect(await sessions.expireIdleSessions(Date.now() + 1000)).toEqual(['session-1']);
+
+    expect(close).toHaveBeenCalled();
+    expect(sessions.count()).toBe(0);
+    expect(pollingService.subscriptions.has('alert_sub_1_aaaaaaaaa')).toBe(false);
+    expect(pollingService.subscriptions.has('alert_sub_2_bbbbbbbbb')).toBe(true);
+    expect(sessions.getMetrics()).toMatchObject({ sessionsExpired: 1, subscriptionsRemoved: 1 });
+  });
+
+  test('should not expire sessions with an open stream or stdio sessions', async () => {
+    registerSession('session-1');
+    sessions.register('stdio-session', { clientId: 'local', transportType: 'stdio' });
+    sessions.touch('session-1', createResponse());
+
+    expect(await sessions.expireIdleSessions(Date.now() + 60000)).toEqual([]);
+    expect(sessions.count()).toBe(2);
+  });
+
+  test('should resume the idle clock when a request closes', async () => {
+    registerSession('session-1');
+    const res = createResponse();
+    sessions.touch('session-1', res);
+    res.emit('close');
+
+    expect(await sessions.expireIdleSessions(Date.now() + 1000)).toEqual(['session-1']);
+  });
+
+  test('should keep subscriptions when a client closes its own session', () => {
+    registerSession('session-1');
+    storeSubscription('alert_sub_1_aaaaaaaaa', 'session-1');
+
+    sessions.remove('session-1');
+
+    expect(pollingService.subscriptions.has('alert_sub_1_aaaaaaaaa')).toBe(true);
+  });
+
+  test('should report the close reason to listeners', async () => {
+    registerSession('session-1');
+    const onClosed = vi.fn();
+    sessions.on('session:closed', onClosed);
+
+    await sessions.terminate('session-1');
+
+    expect(onClosed).toHaveBeenCalledWith(expect.objectContaining({ sessionId: 'session-1', reason: 'terminated' }));
+  });
+
+  describe('Admin tools', () => {
+    afterEach(() => {
+      for (const { sessionId } of sessionManager.list()) {
+        sessionManager.remove(sessionId);
+      }
+    });
+
+    test('should list sessions and flag the calling one', async () => {
+      sessionManager.register('admin-session', { clientId: 'ops' });
+      sessionManager.register('client-session', { clientId: 'vapi-prod' });
+
+      const body = JSON.parse((await handleListSessions({}, 'mcp_1_test', { mcpSessionId: 'admin-session' })).content[0].text);
+
+      expect(body.totalSessions).toBe(2);
+      expect(body.sessions.find(session => session.current).sessionId).toBe('admin-session');
+    });
+
+    test('should terminate another session and remove its subscriptions', async () => {
+      const close = vi.fn(async () => { sessionManager.remove('client-session'); });
+      sessionManager.register('client-session', { clientId: 'vapi-prod', close });
+      storeSubscription('alert_sub_1_aaaaaaaaa', 'client-session');
+
+      const body = JSON.parse((await handleTerminateSession({ sessionId: 'client-session' }, 'mcp_2_test', { mcpSessionId: 'admin-session' })).content[0].text);
+
+      expect(close).toHaveBeenCalled();
+      expect(body.session.removedSubscriptions).toEqual(['alert_sub_1_aaaaaaaaa']);
+      expect(sessionManager.get('client-session')).toBeNull();
+    });
+
+    test('should refuse to terminate the calling session or an unknown one', async () => {
+      sessionManager.register('admin-session', { clientId: 'ops' });
+
+      await expect(handleTerminateSession({ sessionId: 'admin-session' }, 'mcp_3_test', { mcpSessionId: 'admin-session' }))
+        .rejects.toThrow('Cannot terminate the calling session');
+      await expect(handleTerminateSession({ sessionId: 'missing' }, 'mcp_3_test', { mcpSessionId: 'admin-session' }))
+        .rejects.toThrow('Session missing not found');
+    });
+  });
+
+  describe('/admin/sessions endpoint', () => {
+    let server;
+    let baseUrl;
+    let scopes;
+
+    beforeEach(async () => {
+      scopes = ['sessions:admin'];
+      const app = express();
+      app.use('/admin', (req, res, next) => {
+        req.apiKey = { id: 'ops', scopes };
+        next();
+      }, createAdminSessionsRouter({ sessions }));
+
+      await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+      });
+      baseUrl = `http://127.0.0.1:${server.address().port}/admin/sessions`;
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should list and terminate sessions', async () => {
+      registerSession('session-1');
+
+      const listed = await (await fetch(baseUrl)).json();
+      expect(listed.sessions.map(session => session.sessionId)).toEqual(['session-1']);
+
+      const deleted = await fetch(`${baseUrl}/session-1`, { method: 'DELETE' });
+      expect(deleted.status).toBe(200);
+      expect(sessions.count()).toBe(0);
+
+      expect((await fetch(`${baseUrl}/session-1`, { method: 'DELETE' })).status).toBe(404);
+    });
+
+    test('should require the sessions:admin scope', async () => {
+      scopes = ['cards:read'];
+
+      const response = await fetch(baseUrl);
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+
+/**
+ * Integration Tests for Structured Tool Results
+ *
+ * Validates that every tool declares an outputSchema and that tool results carry
+ * structuredContent alongside the text block, checked end to end by the MCP SDK
+ * client, which rejects results that do not match the declared schema.
+ */
+
+vi.mock('../../src/utils/logger.js');
+vi.mock('../../src/services/card-service.js');
+
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { cardToolSchemas } from '../../src/schemas/card-schemas.js';
+import { transactionToolSchemas } from '../../src/schemas/transaction-schemas.js';
+import { patternAnalysisToolSchemas } from '../../src/schemas/pattern-analysis-schemas.js';
+import { realtimeIntelligenceToolSchemas } from '../../src/schemas/realtime-intelligence-schemas.js';
+import { pollingToolSchemas } from '../../src/schemas/polling-schemas.js';
+import { auditToolSchemas } from '../../src/schemas/audit-schemas.js';
+import { sessionToolSchemas } from '../../src/schemas/session-schemas.js';
+import { handleGetCardDetails } from '../../src/handlers/card-handlers.js';
+import { handleGetPollingMetrics } from '../../src/handlers/polling-handlers.js';
+import { handleListSessions } from '../../src/handlers/session-handlers.js';
+import { createToolResult } from '../../src/utils/tool-results.js';
+import sessionManager from '../../src/services/session-manager.js';
+import * as cardService from '../../src/services/card-service.js';
+import logger from '../../src/utils/logger.js';
+
+const toolSchemas = [
+  ...cardToolSchemas,
+  ...transactionToolSchemas,
+  ...patternAnalysisToolSchemas,
+  ...realtimeIntelligenceToolSchemas,
+  ...pollingToolSchemas,
+  ...auditToolSchemas,
+  ...sessionToolSchemas
+];
+
+const handlers = {
+  get_card_details: handleGetCardDetails,
+  get_polling_metrics: handleGetPollingMetrics,
+  list_sessions: handleListSessions,
+  // Deliberately returns a result that violates its schema
+  update_card_limits: async () => createToolResult({ success: 'yes' })
+};
+
+describe('Structured Tool Results', () => {
+  let client;
+
+  beforeEach(async () => {
+    logger.info = vi.fn();
+    logger.error = vi.fn();
+    logger.warn = vi.fn();
+    logger.debug = vi.fn();
+
+    const server = new Server({ name: 'structured-results-test', version: '1.0.0' }, { capabilities: { tools: {} } });
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: toolSchemas }));
+    server.setRequestHandler(CallToolRequestSchema, async request => (
+      handlers[request.params.name](request.params.arguments, 'mcp_1_test')
+    ));
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    client = new Client({ name: 'structured-results-client', version: '1.0.0' });
+    await Promise.all([client.connect(clientTransport), server.connect(serverTransport)]);
+    await client.listTools();
+  });
+
+  afterEach(async () => {
+    await client.close();
+    for (const { sessionId } of sessionManager.list()) {
+      sessionManager.remove(sessionId);
+    }
+  });
+
+  test('should declare an object outputSchema for every tool', () => {
+    for (const schema of toolSchemas) {
+      expect(schema.outputSchema, schema.name).toMatchObject({ type: 'object' });
+      for (const field of schema.outputSchema.required) {
+        expect(schema.outputSchema.properties, `${schema.name}.${field}`).toHaveProperty(field);
+      }
+    }
+  });
+
+  test('should return structuredContent matching the text block', async () => {
+    vi.mocked(cardService.getCardDetailsForMcp).mockResolvedValue({
+      queryType: 'get_card_details',
+      cardToken: 'card_abcdef123456',
+      cardDetails: { token: 'card_abcdef123456', lastFour: '1111', state: 'OPEN' }
+    });
+
+    const result = await client.callTool({ name: 'get_card_details', arguments: { cardToken: 'card_abcdef123456', includePan: false } });
+
+    expect(result.structuredContent).toMatchObject({
+      queryType: 'get_card_details',
+      cardDetails: { lastFour: '1111' },
+      requestId: 'mcp_1_test'
+    });
+    expect(JSON.parse(result.content[0].text)).toEqual(result.structuredContent);
+  });
+
+  test('should pass client validation for metrics and session tools', async () => {
+    sessionManager.register('session-1', { clientId: 'ops' });
+
+    const metrics = await client.callTool({ name: 'get_polling_metrics', arguments: {} });
+    const sessions = await client.callTool({ name: 'list_sessions', arguments: {} });
+
+    expect(metrics.structuredContent.pollingMetrics.overview).toBeDefined();
+    expect(sessions.structuredContent.totalSessions).toBe(1);
+  });
+
+  test('should be rejected by the client when the result violates its schema', async () => {
+    await expect(client.callTool({ name: 'update_card_limits', arguments: {} }))
+      .rejects.toThrow("does not match the tool's output schema");
+  });
+});
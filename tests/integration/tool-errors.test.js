@@ -0,0 +1,205 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+
+/**
+ * Integration Tests for the Tool Error Model
+ *
+ * Validates classification of Lithic, Supabase, scope and service errors onto the
+ * taxonomy, typed errors from handlers, and isError results that MCP clients
+ * accept for tools declaring an outputSchema.
+ */
+
+vi.mock('../../src/utils/logger.js');
+
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { ToolError, TOOL_ERROR_CODES, classifyError, formatMcpError } from '../../src/utils/tool-errors.js';
+import { createToolErrorResult } from '../../src/utils/tool-results.js';
+import { assertScope } from '../../src/utils/tool-scopes.js';
+import { pollingToolSchemas } from '../../src/schemas/polling-schemas.js';
+import { handlePollSubscriptionAlerts, handleAckAlerts } from '../../src/handlers/polling-handlers.js';
+import pollingService from '../../src/services/polling-service.js';
+import logger from '../../src/utils/logger.js';
+
+// Shaped like the Lithic SDK's error hierarchy
+class LithicError extends Error {}
+class APIError extends LithicError {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+    this.headers = {};
+  }
+}
+class APIConnectionError extends APIError {
+  constructor() {
+    super(undefined, 'Connection error.');
+  }
+}
+
+describe('Tool Error Model', () => {
+  beforeEach(() => {
+    logger.info = vi.fn();
+    logger.error = vi.fn();
+    logger.warn = vi.fn();
+    logger.debug = vi.fn();
+
+    pollingService.subscriptions.clear();
+    pollingService.alertQueues.clear();
+  });
+
+  describe('classifyError', () => {
+    test('should classify Lithic errors by status', () => {
+      expect(classifyError(new APIError(404, 'Card not found'))).toMatchObject({ code: 'NOT_FOUND', retryable: false });
+      expect(classifyError(new APIError(429, 'Too many requests'))).toMatchObject({ code: 'RATE_LIMITED', retryable: true });
+      expect(classifyError(new APIError(422, 'Invalid spend limit'))).toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect(classifyError(new APIError(503, 'Service unavailable'))).toMatchObject({
+        code: 'LITHIC_ERROR',
+        retryable: true,
+        details: { upstream: 'lithic', status: 503 }
+      });
+      expect(classifyError(new APIError(401, 'Unauthorized'))).toMatchObject({ code: 'LITHIC_ERROR', retryable: false });
+      expect(classifyError(new APIConnectionError())).toMatchObject({ code: 'LITHIC_ERROR', retryable: true });
+    });
+
+    test('should classify Supabase errors', () => {
+      const supabaseError = { message: 'relation does not exist', code: '42P01', details: null, hint: null };
+
+      expect(classifyError(supabaseError)).toMatchObject({
+        code: 'SUPABASE_ERROR',
+        retryable: true,
+        message: 'relation does not exist',
+        details: { upstream: 'supabase', code: '42P01' }
+      });
+      expect(classifyError({ ...supabaseError, code: 'PGRST116' }).code).toBe('NOT_FOUND');
+    });
+
+    test('should classify denied scopes as unauthorized', () => {
+      let scopeError;
+      try {
+        assertScope(['cards:read'], 'cards:pan', "tool 'get_card_details'");
+      } catch (error) {
+        scopeError = error;
+      }
+
+      expect(classifyError(scopeError)).toMatchObject({
+        code: 'UNAUTHORIZED',
+        retryable: false,
+        details: { requiredScope: 'cards:pan' }
+      });
+    });
+
+    test('should classify untyped errors as internal regardless of message', () => {
+      expect(classifyError(new Error('transactionToken is required')).code).toBe('INTERNAL_ERROR');
+      expect(classifyError(new Error('Feed feed_1 not found')).code).toBe('INTERNAL_ERROR');
+      expect(classifyError(new Error('Something broke'))).toMatchObject({ code: 'INTERNAL_ERROR', retryable: false });
+    });
+
+    test('should classify JS runtime errors as internal, not validation', () => {
+      let runtimeError;
+      try {
+        undefined.token;
+      } catch (error) {
+        runtimeError = error;
+      }
+
+      expect(runtimeError.message).toMatch(/Cannot read properties of undefined/);
+      expect(classifyError(runtimeError)).toMatchObject({
+        code: 'INTERNAL_ERROR',
+        retryable: false,
+        details: { errorType: 'TypeError' }
+      });
+      expect(classifyError(new ReferenceError('foo is not defined')).code).toBe('INTERNAL_ERROR');
+      expect(formatMcpError(runtimeError, 'get_transaction', 'mcp_1_test').remediation)
+        .toBe('Unexpected server error; report the requestId to the server operator');
+    });
+
+    test('should keep the codes handlers and services throw', async () => {
+      await expect(handlePollSubscriptionAlerts({}, 'mcp_1_test'))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR', message: "Tool 'poll_subscription_alerts' failed: subscriptionId is required" });
+      await expect(handleAckAlerts({ subscriptionId: 'alert_sub_1_x', alertIds: [] }, 'mcp_1_test'))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+
+    test('should keep the classification when wrapping for a tool', () => {
+      const original = new ToolError(TOOL_ERROR_CODES.RATE_LIMITED, 'Slow down', { details: { retryAfterSeconds: 5 } });
+
+      const wrapped = formatMcpError(original, 'poll_live_feed', 'mcp_1_test');
+
+      expect(wrapped).toBeInstanceOf(ToolError);
+      expect(wrapped).toMatchObject({
+        message: "Tool 'poll_live_feed' failed: Slow down",
+        code: 'RATE_LIMITED',
+        retryable: true,
+        details: { retryAfterSeconds: 5 },
+        toolName: 'poll_live_feed',
+        requestId: 'mcp_1_test'
+      });
+    });
+  });
+
+  describe('Handler errors', () => {
+    test('should report unknown subscriptions as not found', async () => {
+      await expect(handleAckAlerts({ subscriptionId: 'alert_sub_1_missing', alertIds: ['alert_1'] }, 'mcp_1_test'))
+        .rejects.toMatchObject({ code: 'NOT_FOUND', details: { subscriptionId: 'alert_sub_1_missing' } });
+    });
+
+    test('should report expired subscriptions with a resubscribe hint', async () => {
+      pollingService.storeSubscription('alert_sub_1_expired1', {
+        cardTokens: ['card_abcdef123456'],
+        alertTypes: [],
+        duration: '1h'
+      });
+      pollingService.subscriptions.get('alert_sub_1_expired1').expiresAt = new Date(Date.now() - 1000);
+
+      const error = await handlePollSubscriptionAlerts({ subscriptionId: 'alert_sub_1_expired1' }, 'mcp_2_test')
+        .catch(caught => caught);
+
+      expect(error.message).toBe("Tool 'poll_subscription_alerts' failed: Subscription alert_sub_1_expired1 has expired");
+      expect(error.code).toBe('SUBSCRIPTION_EXPIRED');
+      expect(error.remediation).toContain('subscribe_to_alerts');
+    });
+  });
+
+  describe('isError results', () => {
+    let client;
+
+    beforeEach(async () => {
+      const server = new Server({ name: 'tool-errors-test', version: '1.0.0' }, { capabilities: { tools: {} } });
+      server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: pollingToolSchemas }));
+      server.setRequestHandler(CallToolRequestSchema, async request => {
+        try {
+          return await handleAckAlerts(request.params.arguments, 'mcp_3_test');
+        } catch (error) {
+          return createToolErrorResult(classifyError(error), { toolName: request.params.name, requestId: 'mcp_3_test' });
+        }
+      });
+
+      const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+      client = new Client({ name: 'tool-errors-client', version: '1.0.0' });
+      await Promise.all([client.connect(clientTransport), server.connect(serverTransport)]);
+      await client.listTools();
+    });
+
+    afterEach(async () => {
+      await client.close();
+    });
+
+    test('should deliver code, retryable flag and remediation to the client', async () => {
+      const result = await client.callTool({ name: 'ack_alerts', arguments: { subscriptionId: 'alert_sub_1_missing', alertIds: ['alert_1'] } });
+
+      expect(result.isError).toBe(true);
+      expect(result.structuredContent).toBeUndefined();
+      expect(JSON.parse(result.content[0].text)).toMatchObject({
+        error: {
+          code: 'NOT_FOUND',
+          message: "Tool 'ack_alerts' failed: Subscription alert_sub_1_missing not found",
+          retryable: false,
+          remediation: expect.any(String),
+          details: { subscriptionId: 'alert_sub_1_missing' }
+        },
+        metadata: { tool: 'ack_alerts', requestId: 'mcp_3_test' }
+      });
+    });
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, test, expect } from 'vitest';
+
+/**
+ * Integration Tests for Runtime Tool Argument Validation
+ *
+ * Validates that every advertised inputSchema compiles and is enforced, that
+ * schema defaults are applied, that failures carry field-level errors, and that
+ * card and transaction tokens use Lithic's UUID format throughout.
+ */
+
+import { createToolValidator } from '../../src/utils/tool-validation.js';
+import { ToolError } from '../../src/utils/tool-errors.js';
+import { cardToolSchemas } from '../../src/schemas/card-schemas.js';
+import { transactionToolSchemas } from '../../src/schemas/transaction-schemas.js';
+import { patternAnalysisToolSchemas } from '../../src/schemas/pattern-analysis-schemas.js';
+import { realtimeIntelligenceToolSchemas } from '../../src/schemas/realtime-intelligence-schemas.js';
+import { pollingToolSchemas } from '../../src/schemas/polling-schemas.js';
+import { auditToolSchemas } from '../../src/schemas/audit-schemas.js';
+import { sessionToolSchemas } from '../../src/schemas/session-schemas.js';
+import { campaignToolSchemas } from '../../src/schemas/campaign-schemas.js';
+
+const CARD_TOKEN = '7ef7d65c-9023-4da3-b113-3b8583fd7951';
+const TRANSACTION_TOKEN = 'c3f2a1b0-5d4e-4f6a-8b7c-9d0e1f2a3b4c';
+
+const toolSchemas = [
+  ...cardToolSchemas,
+  ...transactionToolSchemas,
+  ...patternAnalysisToolSchemas,
+  ...campaignToolSchemas,
+  ...realtimeIntelligenceToolSchemas,
+  ...pollingToolSchemas,
+  ...auditToolSchemas,
+  ...sessionToolSchemas
+];
+
+/**
+ * Run the validator and return the thrown error
+ */
+function validationError(validate, toolName, args) {
+  try {
+    validate(toolName, args);
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`Expected ${toolName} arguments to be rejected`);
+}
+
+describe('Tool Argument Validation', () => {
+  const validate = createToolValidator(toolSchemas);
+
+  test('should apply schema defaults without mutating the caller arguments', () => {
+    const args = { cardToken: CARD_TOKEN };
+
+    expect(validate('analyze_card_patterns', args)).toEqual({ cardToken: CARD_TOKEN, days: 30, limit: 500 });
+    expect(args).toEqual({ cardToken: CARD_TOKEN });
+    expect(validate('list_available_cards', undefined)).toEqual({ includeDetails: false, activeOnly: true, limit: 20 });
+  });
+
+  test('should reject nested token objects with a field-level error', () => {
+    const error = validationError(validate, 'search_transactions', { cardToken: { cardToken: CARD_TOKEN } });
+
+    expect(error).toBeInstanceOf(ToolError);
+    expect(error.code).toBe('VALIDATION_ERROR');
+    expect(error.details.errors).toEqual([{ field: 'cardToken', message: 'should be string' }]);
+  });
+
+  test('should report every offending field', () => {
+    const error = validationError(validate, 'poll_subscription_alerts', { maxAlerts: 0, verbose: true });
+
+    expect(error.details.errors).toEqual(expect.arrayContaining([
+      { field: 'subscriptionId', message: 'is required' },
+      { field: 'verbose', message: 'is not a recognized argument' },
+      expect.objectContaining({ field: 'maxAlerts' })
+    ]));
+    expect(error.message).toMatch(/^Invalid arguments: .*subscriptionId is required/);
+  });
+
+  test('should name enum values and array positions', () => {
+    expect(validationError(validate, 'toggle_card_state', { cardToken: CARD_TOKEN, state: 'OFF' }).details.errors)
+      .toEqual([{ field: 'state', message: 'must be one of: ACTIVE, PAUSED' }]);
+    expect(validationError(validate, 'subscribe_to_alerts', { cardTokens: [CARD_TOKEN, 'card_abc123'] }).details.errors)
+      .toEqual([expect.objectContaining({ field: 'cardTokens[1]' })]);
+  });
+
+  test('should accept Lithic UUID tokens and reject prefixed ones in every tool', () => {
+    const tokenArgs = {
+      get_card_details: token => ({ cardToken: token }),
+      search_transactions: token => ({ cardToken: token }),
+      get_recent_transactions: token => ({ cardToken: token }),
+      analyze_card_patterns: token => ({ cardToken: token }),
+      detect_velocity_anomalies: token => ({ cardToken: token }),
+      compare_merchant_behavior: token => ({ merchantDescriptor: 'ACME', cardToken: token }),
+      get_entity_graph: token => ({ cardToken: token }),
+      record_card_leak: token => ({ cardToken: token, campaign: 'c' }),
+      subscribe_to_alerts: token => ({ cardTokens: [token] }),
+      get_live_transaction_feed: token => ({ cardTokenFilter: [token] })
+    };
+
+    for (const [toolName, buildArgs] of Object.entries(tokenArgs)) {
+      expect(() => validate(toolName, buildArgs(CARD_TOKEN)), toolName).not.toThrow();
+      expect(() => validate(toolName, buildArgs('card_abc123')), toolName).toThrow(ToolError);
+    }
+
+    expect(() => validate('get_transaction', { transactionToken: TRANSACTION_TOKEN })).not.toThrow();
+    expect(() => validate('get_transaction', { transactionToken: 'txn_abc123' })).toThrow(ToolError);
+  });
+
+  test('should pass arguments of tools without a schema through unchanged', () => {
+    const args = { anything: true };
+
+    expect(validate('unknown_tool', args)).toBe(args);
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+
+/**
+ * Integration Tests for Transaction Polling Checkpoints
+ *
+ * Validates that the polling job resumes from its persisted cursor, checks
+ * existence once per page, re-saves known transactions that gained events, picks up
+ * late-arriving transactions without moving the cursor backwards, and warns when they
+ * approach the lookback.
+ */
+
+vi.mock('../../src/services/lithic-service.js');
+vi.mock('../../src/services/supabase-service.js');
+vi.mock('../../src/services/reporting-service.js');
+vi.mock('../../src/utils/logger.js');
+
+import * as lithicService from '../../src/services/lithic-service.js';
+import * as supabaseService from '../../src/services/supabase-service.js';
+import * as reportingService from '../../src/services/reporting-service.js';
+import logger from '../../src/utils/logger.js';
+import { checkForNewTransactions } from '../../src/jobs/transaction-processor.js';
+
+const txn = (token, created) => ({ token, card_token: 'card-1', created });
+
+describe('Transaction Polling Checkpoints', () => {
+  beforeEach(() => {
+    logger.info = vi.fn();
+    logger.error = vi.fn();
+    logger.warn = vi.fn();
+    logger.debug = vi.fn();
+
+    vi.mocked(supabaseService.getIngestionCursor).mockResolvedValue({
+      last_token: 'txn-b',
+      last_created: '2026-01-01T12:00:00.000Z'
+    });
+    vi.mocked(supabaseService.getExistingTransactionTokens).mockResolvedValue(new Set(['txn-b']));
+    vi.mocked(supabaseService.getStoredEventTokens).mockResolvedValue(new Map());
+    vi.mocked(supabaseService.saveTransaction).mockResolvedValue({ transaction: {} });
+    vi.mocked(supabaseService.saveIngestionCursor).mockResolvedValue({});
+    vi.mocked(reportingService.getTransactionStats).mockResolvedValue({});
+  });
+
+  test('should fetch from the cursor minus the late-arrival lookback', async () => {
+    vi.mocked(lithicService.fetchTransactions).mockResolvedValue([]);
+
+    await checkForNewTransactions();
+
+    const { begin } = vi.mocked(lithicService.fetchTransactions).mock.calls[0][0];
+    expect(new Date(begin).getTime()).toBeLessThan(new Date('2026-01-01T12:00:00.000Z').getTime());
+    expect(supabaseService.getLatestTransactionTimestamp).not.toHaveBeenCalled();
+  });
+
+  test('should batch existence checks and skip known transactions', async () => {
+    vi.mocked(lithicService.fetchTransactions).mockResolvedValue([
+      txn('txn-c', '2026-01-01T12:05:00.000Z'),
+      txn('txn-b', '2026-01-01T12:00:00.000Z')
+    ]);
+
+    await checkForNewTransactions();
+
+    expect(supabaseService.getExistingTransactionTokens).toHaveBeenCalledTimes(1);
+    expect(supabaseService.checkIfTransactionExists).not.toHaveBeenCalled();
+    expect(supabaseService.saveTransaction).toHaveBeenCalledTimes(1);
+    expect(supabaseService.saveTransaction).toHaveBeenCalledWith(expect.objectContaining({ token: 'txn-c' }));
+  });
+
+  test('should re-save a known transaction when Lithic adds a reversal', async () => {
+    const authorization = { token: 'evt-auth', type: 'AUTHORIZATION', result: 'APPROVED', created: '2026-01-01T12:00:00.000Z' };
+    const reversal = { token: 'evt-void', type: 'AUTHORIZATION_REVERSAL', result: 'APPROVED', created: '2026-01-01T12:20:00.000Z' };
+    vi.mocked(supabaseService.getStoredEventTokens).mockResolvedValue(new Map([['txn-b', new Set(['evt-auth'])]]));
+    vi.mocked(lithicService.fetchTransactions).mockResolvedValue([
+      { ...txn('txn-b', '2026-01-01T12:00:00.000Z'), events: [authorization, reversal] }
+    ]);
+
+    await checkForNewTransactions();
+
+    expect(supabaseService.getStoredEventTokens).toHaveBeenCalledWith(['txn-b']);
+    expect(supabaseService.saveTransaction).toHaveBeenCalledTimes(1);
+    expect(supabaseService.saveTransaction).toHaveBeenCalledWith(
+      expect.objectContaining({ token: 'txn-b', events: [authorization, reversal] })
+    );
+  });
+
+  test('should not re-save a known transaction without new events', async () => {
+    vi.mocked(supabaseService.getStoredEventTokens).mockResolvedValue(new Map([['txn-b', new Set(['evt-auth'])]]));
+    vi.mocked(lithicService.fetchTransactions).mockResolvedValue([
+      { ...txn('txn-b', '2026-01-01T12:00:00.000Z'), events: [{ token: 'evt-auth', type: 'AUTHORIZATION' }] }
+    ]);
+
+    await checkForNewTransactions();
+
+    expect(supabaseService.saveTransaction).not.toHaveBeenCalled();
+  });
+
+  test('should save late arrivals without moving the cursor backwards', async () => {
+    vi.mocked(lithicService.fetchTransactions).mockResolvedValue([
+      txn('txn-late', '2026-01-01T11:55:00.000Z')
+    ]);
+
+    await checkForNewTransactions();
+
+    expect(supabaseService.saveTransaction).toHaveBeenCalledWith(expect.objectContaining({ token: 'txn-late' }));
+    const finalCursor = vi.mocked(supabaseService.saveIngestionCursor).mock.calls.at(-1)[1];
+    expect(finalCursor).toEqual({
+      last_token: 'txn-b',
+      last_created: '2026-01-01T12:00:00.000Z'
+    });
+  });
+
+  test('should warn when late arrivals approach the lookback', async () => {
+    vi.mocked(lithicService.fetchTransactions).mockResolvedValue([
+      txn('txn-very-late', '2026-01-01T11:50:00.000Z'),
+      txn('txn-late', '2026-01-01T11:58:00.000Z')
+    ]);
+
+    await checkForNewTransactions();
+
+    expect(logger.warn).toHaveBeenCalledWith(
+      expect.objectContaining({ count: 1, maxLatenessMs: 10 * 60 * 1000 }),
+      expect.stringContaining('approaching the lookback')
+    );
+  });
+
+  test('should not advance the cursor past a page that failed to save', async () => {
+    vi.mocked(lithicService.fetchTransactions).mockResolvedValue([
+      txn('txn-d', '2026-01-01T12:10:00.000Z')
+    ]);
+    vi.mocked(supabaseService.saveTransaction).mockRejectedValue(new Error('db down'));
+
+    await checkForNewTransactions();
+
+    expect(supabaseService.saveIngestionCursor).not.toHaveBeenCalled();
+  });
+
+  test('should seed from the latest stored transaction when no cursor exists', async () => {
+    vi.mocked(supabaseService.getIngestionCursor).mockResolvedValue(null);
+    vi.mocked(supabaseService.getLatestTransactionTimestamp).mockResolvedValue({
+      created_at: '2026-01-01T10:00:00.000Z'
+    });
+    vi.mocked(lithicService.fetchTransactions).mockResolvedValue([]);
+
+    await checkForNewTransactions();
+
+    expect(lithicService.fetchTransactions).toHaveBeenCalledWith(
+      expect.objectContaining({ begin: expect.any(String) })
+    );
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, test, expect } from 'vitest';
+
+/**
+ * Integration Tests for Transaction Lifecycle Tracking
+ *
+ * Validates that every Lithic event is parsed into its own row and that the
+ * lifecycle state machine produces transitions alert consumers can act on, including
+ * for rows stored before their events were.
+ */
+
+import { parseTransactionEvents, parseTransactionDetails } from '../../src/utils/parsers.js';
+import {
+  LIFECYCLE_STATES,
+  deriveLifecycle,
+  describeTransition,
+  transitionsSince
+} from '../../src/utils/transaction-lifecycle.js';
+
+const authEvent = {
+  token: 'evt-auth',
+  type: 'AUTHORIZATION',
+  result: 'APPROVED',
+  amount: 100,
+  amounts: { cardholder: { amount: 100, currency: 'USD' } },
+  created: '2026-01-01T12:00:00Z'
+};
+
+const reversalEvent = {
+  token: 'evt-rev',
+  type: 'AUTHORIZATION_REVERSAL',
+  result: 'APPROVED',
+  amount: -100,
+  created: '2026-01-01T12:01:00Z'
+};
+
+const clearingEvent = {
+  token: 'evt-clear',
+  type: 'CLEARING',
+  result: 'APPROVED',
+  amount: 100,
+  created: '2026-01-02T09:00:00Z'
+};
+
+const transaction = (events) => ({
+  token: 'txn-1',
+  card_token: 'card-1',
+  status: 'PENDING',
+  created: '2026-01-01T12:00:00Z',
+  events
+});
+
+describe('Transaction Lifecycle Tracking', () => {
+  test('should parse every event as its own row linked to the parent', () => {
+    const rows = parseTransactionEvents(transaction([authEvent, clearingEvent]));
+
+    expect(rows).toHaveLength(2);
+    expect(rows.map(r => r.event_type)).toEqual(['AUTHORIZATION', 'CLEARING']);
+    rows.forEach(row => {
+      expect(row.transaction_token).toBe('txn-1');
+      expect(row.card_token).toBe('card-1');
+    });
+  });
+
+  test('should record the lifecycle state on the parent transaction', () => {
+    const details = parseTransactionDetails(transaction([authEvent, reversalEvent]));
+
+    expect(details.lifecycle_state).toBe(LIFECYCLE_STATES.VOIDED);
+  });
+
+  test('should move AUTHORIZATION -> CLEARING -> RETURN', () => {
+    const returnEvent = { token: 'evt-ret', type: 'RETURN', result: 'APPROVED', created: '2026-01-03T09:00:00Z' };
+
+    const lifecycle = deriveLifecycle([returnEvent, clearingEvent, authEvent]);
+
+    expect(lifecycle.state).toBe(LIFECYCLE_STATES.RETURNED);
+    expect(lifecycle.transitions.map(t => t.to)).toEqual([
+      LIFECYCLE_STATES.AUTHORIZED,
+      LIFECYCLE_STATES.SETTLED,
+      LIFECYCLE_STATES.RETURNED
+    ]);
+  });
+
+  test('should treat a declined authorization as terminal', () => {
+    const lifecycle = deriveLifecycle([{ ...authEvent, result: 'DECLINED' }, clearingEvent]);
+
+    expect(lifecycle.state).toBe(LIFECYCLE_STATES.DECLINED);
+    expect(lifecycle.ignored).toHaveLength(1);
+  });
+
+  test('should ignore events that are invalid from the current state', () => {
+    const lifecycle = deriveLifecycle([authEvent, { ...reversalEvent, token: 'evt-void', type: 'RETURN' }]);
+
+    expect(lifecycle.state).toBe(LIFECYCLE_STATES.AUTHORIZED);
+    expect(lifecycle.ignored[0].eventType).toBe('RETURN');
+  });
+
+  test('should only report transitions after a stored state when events were not stored', () => {
+    const { transitions } = deriveLifecycle([authEvent, clearingEvent]);
+
+    expect(transitionsSince(transitions, LIFECYCLE_STATES.AUTHORIZED).map(t => t.to)).toEqual([LIFECYCLE_STATES.SETTLED]);
+    expect(transitionsSince(transitions, LIFECYCLE_STATES.SETTLED)).toEqual([]);
+    expect(transitionsSince(transitions, LIFECYCLE_STATES.PENDING)).toHaveLength(2);
+    expect(transitionsSince(transitions, LIFECYCLE_STATES.VOIDED)).toEqual([]);
+    expect(transitionsSince(transitions, null)).toEqual([]);
+  });
+
+  test('should describe a reversal in plain language', () => {
+    const lifecycle = deriveLifecycle([authEvent, reversalEvent]);
+    const summary = describeTransition(lifecycle.transitions.at(-1), {
+      amount: '$1.00',
+      merchant: 'SCAMMER LLC'
+    });
+
+    expect(summary).toContain('$1.00 authorization at SCAMMER LLC was just reversed');
+  });
+});
@@ -0,0 +1,202 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+
+/**
+ * Integration Tests for Velocity and Card-Testing Detection
+ *
+ * Validates the per-card sliding windows (count, distinct merchants, distinct
+ * countries, decline ratio, amount ramp-up), the same checks over a stored history,
+ * once-per-window alerting, and delivery
+ * of velocity_breach alerts to subscriptions that ask for them.
+ */
+
+vi.mock('../../src/utils/logger.js');
+
+import velocityDetector, { findBreachWindows } from '../../src/services/velocity-detector.js';
+import alertService from '../../src/services/alert-service.js';
+import pollingService from '../../src/services/polling-service.js';
+import logger from '../../src/utils/logger.js';
+
+const VelocityDetector = velocityDetector.constructor;
+
+const CARD = '7ef7d65c-9023-4da3-b113-3b8583fd7951';
+const START = Date.parse('2026-03-10T18:00:00.000Z');
+const MINUTE = 60 * 1000;
+
+const OPTIONS = {
+  windowMinutes: 60,
+  transactionThreshold: 5,
+  merchantThreshold: 3,
+  countryThreshold: 2,
+  declineRatioThreshold: 0.5,
+  rampUpFactor: 10,
+  minTransactions: 3
+};
+
+let sequence = 0;
+
+function transactionAlert(minutesAfterStart, overrides = {}) {
+  sequence++;
+  return {
+    alertType: 'NEW_TRANSACTION',
+    transactionId: `c3f2a1b0-5d4e-4f6a-8b7c-${String(sequence).padStart(12, '0')}`,
+    cardToken: CARD,
+    immediate: {
+      amount: '$1.00',
+      merchant: 'COFFEE SHOP',
+      status: 'APPROVED',
+      created: new Date(START + minutesAfterStart * MINUTE).toISOString(),
+      ...overrides.immediate
+    },
+    verification: { mccCode: '5814', mccRiskLevel: null, merchantCountry: 'USA', ...overrides.verification },
+    intelligence: { newMerchant: false }
+  };
+}
+
+describe('Velocity Detector', () => {
+  let detector;
+  const now = START + 30 * MINUTE;
+
+  beforeEach(() => {
+    logger.info = vi.fn();
+    logger.error = vi.fn();
+    logger.warn = vi.fn();
+    logger.debug = vi.fn();
+
+    detector = new VelocityDetector(OPTIONS);
+    pollingService.subscriptions.clear();
+    pollingService.alertQueues.clear();
+    alertService.subscriptionBuckets.clear();
+  });
+
+  test('should raise a velocity_breach with the triggering window once the count threshold is reached', () => {
+    for (let i = 0; i < 4; i++) {
+      expect(detector.observe(transactionAlert(i), { now, amountUsd: 1 })).toBeNull();
+    }
+
+    const alert = detector.observe(transactionAlert(4), { now, amountUsd: 1 });
+
+    expect(alert).toMatchObject({
+      alertType: 'velocity_breach',
+      cardToken: CARD,
+      velocity: {
+        breaches: [{ check: 'transaction_count', value: 5, threshold: 5 }],
+        window: {
+          start: '2026-03-10T18:00:00.000Z',
+          end: '2026-03-10T18:04:00.000Z',
+          windowMinutes: 60,
+          transactionCount: 5,
+          distinctMerchants: 1,
+          declineCount: 0,
+          totalAmount: 5
+        }
+      }
+    });
+    expect(alert.velocity.window.transactionTokens).toHaveLength(5);
+    expect(alert.velocity.summary).toBe('5 transactions within 60 minutes');
+  });
+
+  test('should alert once per check per window and again for new checks', () => {
+    for (let i = 0; i < 5; i++) {
+      detector.observe(transactionAlert(i), { now });
+    }
+
+    expect(detector.observe(transactionAlert(5), { now })).toBeNull();
+
+    const alert = detector.observe(transactionAlert(6, { verification: { merchantCountry: 'NGA' } }), { now });
+    expect(alert.velocity.breaches.map(b => b.check)).toEqual(['distinct_countries']);
+    expect(alert.velocity.window.countries).toEqual(['USA', 'NGA']);
+  });
+
+  test('should detect merchant hopping, declines and amount ramp-up', () => {
+    detector.observe(transactionAlert(0, { immediate: { merchant: 'SHOP A', amount: '$1.00' } }), { now, amountUsd: 1 });
+    detector.observe(
+      transactionAlert(1, { immediate: { merchant: 'SHOP B', amount: '$4.00', status: 'DECLINED' } }),
+      { now, amountUsd: 4 }
+    );
+
+    // The display string is never parsed; the numeric USD amount drives ramp-up
+    const alert = detector.observe(
+      transactionAlert(2, { immediate: { merchant: 'SHOP C', amount: 'USD 1.250,00', status: 'DECLINED' } }),
+      { now, amountUsd: 1250 }
+    );
+
+    expect(alert.velocity.breaches).toEqual([
+      expect.objectContaining({ check: 'distinct_merchants', value: 3 }),
+      expect.objectContaining({ check: 'decline_ratio', value: 0.67 }),
+      expect.objectContaining({ check: 'amount_ramp_up', value: 1250 })
+    ]);
+  });
+
+  test('should find the same breaches in a stored history, merging overlapping windows', () => {
+    const observation = (minutes, merchant, extra = {}) => ({
+      token: `txn-${minutes}`,
+      timestamp: START + minutes * MINUTE,
+      merchant,
+      country: 'USA',
+      declined: false,
+      amount: 1,
+      ...extra
+    });
+    const history = [
+      observation(0, 'SHOP A'),
+      observation(1, 'SHOP B', { declined: true, amount: 4 }),
+      observation(2, 'SHOP C', { declined: true, amount: 250 }),
+      observation(3, 'SHOP C'),
+      observation(300, 'SHOP A')
+    ];
+
+    const windows = findBreachWindows(history, OPTIONS);
+
+    expect(windows).toHaveLength(1);
+    expect(windows[0].window).toMatchObject({ transactionCount: 4, transactionTokens: ['txn-0', 'txn-1', 'txn-2', 'txn-3'] });
+    expect(windows[0].breaches.map(b => b.check)).toEqual(['distinct_merchants', 'decline_ratio', 'amount_ramp_up']);
+    expect(windows[0].breaches.find(b => b.check === 'decline_ratio').value).toBe(0.67);
+  });
+
+  test('should slide the window by transaction time', () => {
+    for (let i = 0; i < 4; i++) {
+      detector.observe(transactionAlert(i * 30), { now: START + 120 * MINUTE });
+    }
+
+    expect(detector.getWindow(CARD)).toMatchObject({ transactionCount: 3, start: '2026-03-10T18:30:00.000Z' });
+  });
+
+  test('should track windows for backfilled transactions without alerting', () => {
+    const later = START + 24 * 60 * MINUTE;
+    for (let i = 0; i < 5; i++) {
+      expect(detector.observe(transactionAlert(i), { now: later })).toBeNull();
+    }
+
+    expect(detector.getMetrics()).toMatchObject({ transactionsObserved: 5, breachesDetected: 1, alertsRaised: 0 });
+  });
+
+  test('should count lifecycle updates of the same transaction once', () => {
+    const alert = transactionAlert(0);
+    detector.observe(alert, { now });
+    detector.observe({ ...alert, alertType: 'TRANSACTION_UPDATE', immediate: { ...alert.immediate, status: 'DECLINED' } }, { now });
+
+    expect(detector.getWindow(CARD)).toMatchObject({ transactionCount: 1, declineCount: 1 });
+  });
+
+  test('should deliver velocity_breach alerts only to subscriptions that ask for them', async () => {
+    pollingService.storeSubscription('alert_sub_1_velocity', { cardTokens: [], alertTypes: ['velocity_breach'], riskThreshold: 0.7, duration: '1h' });
+    pollingService.storeSubscription('alert_sub_1_fraud', { cardTokens: [], alertTypes: ['fraud_detected'], riskThreshold: 0, duration: '1h' });
+
+    let alert;
+    for (let i = 0; i < 5; i++) {
+      alert = detector.observe(transactionAlert(i, { immediate: { amount: '$20.00' } }), { now, amountUsd: 20 });
+    }
+    await alertService.broadcastAlert(CARD, alert);
+
+    expect(pollingService.getQueueSize('alert_sub_1_velocity')).toBe(1);
+    expect(pollingService.getQueueSize('alert_sub_1_fraud')).toBe(0);
+
+    const [queued] = pollingService.alertQueues.get('alert_sub_1_velocity');
+    expect(queued).toMatchObject({
+      alertType: 'velocity_breach',
+      riskScore: 0.7,
+      alertCategories: ['velocity_breach'],
+      velocity: { window: { transactionCount: 5 } }
+    });
+  });
+});
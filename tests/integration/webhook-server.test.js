@@ -0,0 +1,129 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+
+/**
+ * Integration Tests for the Lithic Webhook Route
+ *
+ * Validates that POST /webhooks/lithic rejects unsigned deliveries, acknowledges
+ * redeliveries of processed ids without saving again, answers redeliveries of an
+ * in-flight id with 409, and lets Lithic retry a delivery whose save failed.
+ */
+
+vi.mock('../../src/services/supabase-service.js');
+vi.mock('../../src/utils/logger.js');
+
+import { createApp } from '../../src/api/server.js';
+import { config } from '../../src/config/index.js';
+import { computeWebhookSignature } from '../../src/utils/webhook-signature.js';
+import * as supabaseService from '../../src/services/supabase-service.js';
+import logger from '../../src/utils/logger.js';
+
+const SECRET = 'whsec_' + Buffer.from('test-webhook-secret').toString('base64');
+
+describe('Lithic Webhook Route', () => {
+  let server;
+  let baseUrl;
+  let originalSecret;
+  let deliveryCount = 0;
+
+  const transactionBody = JSON.stringify({
+    event_type: 'card_transaction.updated',
+    payload: { token: 'txn-1', card_token: 'card-1', status: 'SETTLED' }
+  });
+
+  function deliver(body, { id, secret = SECRET } = {}) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    return fetch(`${baseUrl}/webhooks/lithic`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'webhook-id': id,
+        'webhook-timestamp': String(timestamp),
+        'webhook-signature': `v1,${computeWebhookSignature(secret, id, timestamp, body)}`
+      },
+      body
+    });
+  }
+
+  beforeEach(async () => {
+    logger.info = vi.fn();
+    logger.error = vi.fn();
+    logger.warn = vi.fn();
+    logger.debug = vi.fn();
+
+    vi.resetAllMocks();
+    vi.mocked(supabaseService.saveTransaction).mockResolvedValue({ merchant_id: 'm-1' });
+
+    originalSecret = config.lithic.webhookSecret;
+    config.lithic.webhookSecret = SECRET;
+
+    // Processed ids are remembered per process, so every test uses its own
+    deliveryCount++;
+
+    const app = createApp();
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    config.lithic.webhookSecret = originalSecret;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('should reject a delivery with an invalid signature', async () => {
+    const response = await deliver(transactionBody, {
+      id: `msg_${deliveryCount}`,
+      secret: 'whsec_' + Buffer.from('wrong-secret').toString('base64')
+    });
+
+    expect(response.status).toBe(401);
+    expect(supabaseService.saveTransaction).not.toHaveBeenCalled();
+  });
+
+  test('should acknowledge a duplicate delivery without saving it again', async () => {
+    const id = `msg_${deliveryCount}`;
+
+    const first = await deliver(transactionBody, { id });
+    const second = await deliver(transactionBody, { id });
+
+    expect(first.status).toBe(200);
+    expect(await first.json()).toEqual({ received: true, processed: true });
+    expect(second.status).toBe(200);
+    expect(await second.json()).toEqual({ received: true, processed: false, duplicate: true });
+    expect(supabaseService.saveTransaction).toHaveBeenCalledTimes(1);
+  });
+
+  test('should process a retry after the save failed', async () => {
+    const id = `msg_${deliveryCount}`;
+    vi.mocked(supabaseService.saveTransaction).mockRejectedValueOnce(new Error('DB down'));
+
+    const failed = await deliver(transactionBody, { id });
+    const retried = await deliver(transactionBody, { id });
+
+    expect(failed.status).toBe(500);
+    expect(retried.status).toBe(200);
+    expect(await retried.json()).toEqual({ received: true, processed: true });
+    expect(supabaseService.saveTransaction).toHaveBeenCalledTimes(2);
+  });
+
+  test('should answer a redelivery during an in-flight save with 409', async () => {
+    const id = `msg_${deliveryCount}`;
+    let failSave;
+    vi.mocked(supabaseService.saveTransaction).mockReturnValueOnce(
+      new Promise((resolve, reject) => { failSave = reject; })
+    );
+
+    const first = deliver(transactionBody, { id });
+    await vi.waitFor(() => expect(supabaseService.saveTransaction).toHaveBeenCalledTimes(1));
+    const concurrent = await deliver(transactionBody, { id });
+    failSave(new Error('DB down'));
+
+    expect(concurrent.status).toBe(409);
+    expect((await first).status).toBe(500);
+
+    const retried = await deliver(transactionBody, { id });
+    expect(retried.status).toBe(200);
+    expect(supabaseService.saveTransaction).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,174 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Security Tests for HTTP API Key Authentication
+ *
+ * Validates hashed key storage, revocation without a restart, and the /mcp
+ * middleware: rejecting missing or unknown keys, binding sessions to the key
+ * that created them, and tagging the request context with the key identity.
+ */
+
+vi.mock('../../src/utils/logger.js');
+
+import apiKeyService from '../../src/services/api-key-service.js';
+import sessionManager from '../../src/services/session-manager.js';
+import { createMcpAuthMiddleware } from '../../src/api/mcp-auth.js';
+import { generateApiKey, hashApiKey, parseBearerToken } from '../../src/utils/api-keys.js';
+import { getRequestContext } from '../../src/utils/request-context.js';
+import logger from '../../src/utils/logger.js';
+
+const ApiKeyService = apiKeyService.constructor;
+const SessionManager = sessionManager.constructor;
+
+function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+function createRequest(headers = {}, method = 'POST') {
+  return { method, headers, query: {} };
+}
+
+describe('API Key Authentication', () => {
+  let tempDir;
+  let service;
+
+  beforeEach(async () => {
+    logger.info = vi.fn();
+    logger.error = vi.fn();
+    logger.warn = vi.fn();
+    logger.debug = vi.fn();
+
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'api-keys-'));
+    service = new ApiKeyService(path.join(tempDir, 'api-keys.json'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('should store only key digests', async () => {
+    const { key } = await service.createKey('vapi-prod', 'Vapi production');
+    const stored = await fs.readFile(service.filePath, 'utf8');
+
+    expect(key).toMatch(/^hpk_[A-Za-z0-9_-]{43}$/);
+    expect(stored).not.toContain(key);
+    expect(stored).toContain(hashApiKey(key));
+  });
+
+  test('should authenticate active keys and reject unknown ones', async () => {
+    const { key } = await service.createKey('vapi-prod');
+
+    expect(await service.authenticate(`Bearer ${key}`)).toEqual({
+      valid: true,
+      apiKey: { id: 'vapi-prod', name: 'vapi-prod', scopes: [] }
+    });
+    expect((await service.authenticate(`Bearer ${generateApiKey().key}`)).valid).toBe(false);
+    expect((await service.authenticate(key)).error).toBe('Missing or malformed Bearer token');
+  });
+
+  test('should reject revoked keys without a restart', async () => {
+    const { key } = await service.createKey('vapi-prod');
+    expect((await service.authenticate(`Bearer ${key}`)).valid).toBe(true);
+
+    expect(await service.revokeKey('vapi-prod')).toBe(true);
+
+    expect(await service.authenticate(`Bearer ${key}`)).toEqual({
+      valid: false,
+      error: 'Unknown or revoked API key'
+    });
+    expect((await service.listKeys())[0].revokedAt).toBeTruthy();
+  });
+
+  test('should reject everything when the key file is missing', async () => {
+    expect((await service.authenticate('Bearer hpk_anything')).valid).toBe(false);
+  });
+
+  test('should reject duplicate and malformed key ids', async () => {
+    await service.createKey('vapi-prod');
+
+    await expect(service.createKey('vapi-prod')).rejects.toThrow('already exists');
+    await expect(service.createKey('bad id!')).rejects.toThrow('Key id must be');
+  });
+
+  test('should parse Bearer tokens strictly', () => {
+    expect(parseBearerToken('Bearer hpk_abc')).toBe('hpk_abc');
+    expect(parseBearerToken('bearer hpk_abc')).toBe('hpk_abc');
+    expect(parseBearerToken('Bearer ')).toBeNull();
+    expect(parseBearerToken('Basic abc')).toBeNull();
+    expect(parseBearerToken(undefined)).toBeNull();
+  });
+
+  describe('MCP middleware', () => {
+    let key;
+    let sessions;
+    let middleware;
+
+    beforeEach(async () => {
+      ({ key } = await service.createKey('vapi-prod'));
+      sessions = new SessionManager({ idleTimeoutMs: 60000 });
+      middleware = createMcpAuthMiddleware({ sessions, keyService: service });
+    });
+
+    test('should reject requests without a valid key', async () => {
+      const res = createResponse();
+      const next = vi.fn();
+
+      await middleware(createRequest(), res, next);
+
+      expect(res.statusCode).toBe(401);
+      expect(res.headers['WWW-Authenticate']).toContain('Bearer');
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should attach the key identity to the request and log context', async () => {
+      const req = createRequest({ authorization: `Bearer ${key}`, 'mcp-session-id': 'session-1' });
+      let context;
+
+      await middleware(req, createResponse(), () => {
+        context = { ...getRequestContext() };
+      });
+
+      expect(req.apiKey.id).toBe('vapi-prod');
+      expect(context).toEqual({ apiKeyId: 'vapi-prod', mcpSessionId: 'session-1' });
+    });
+
+    test('should not let another key use a session', async () => {
+      const { key: otherKey } = await service.createKey('other-client');
+      sessions.register('session-1', { clientId: 'vapi-prod' });
+      const res = createResponse();
+      const next = vi.fn();
+
+      await middleware(createRequest({ authorization: `Bearer ${otherKey}`, 'mcp-session-id': 'session-1' }), res, next);
+
+      expect(res.statusCode).toBe(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should let CORS preflight through without credentials', async () => {
+      const next = vi.fn();
+
+      await middleware(createRequest({}, 'OPTIONS'), createResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should fail closed when keys cannot be loaded', async () => {
+      await fs.writeFile(service.filePath, '{ not json');
+      const res = createResponse();
+
+      await middleware(createRequest({ authorization: `Bearer ${key}` }), res, vi.fn());
+
+      expect(res.statusCode).toBe(503);
+    });
+  });
+});
@@ -0,0 +1,200 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Security Tests for the Audit Log
+ *
+ * Validates that PAN disclosures and card changes are recorded with the caller's
+ * identity, that the hash chain detects edited and deleted entries, that
+ * investigators can query by card and time window, and that a PAN is never
+ * returned when its disclosure cannot be recorded.
+ */
+
+vi.mock('../../src/utils/logger.js');
+vi.mock('../../src/services/card-service.js');
+
+import auditService from '../../src/services/audit-service.js';
+import { handleGetCardDetails, handleToggleCardState } from '../../src/handlers/card-handlers.js';
+import { handleGetAuditLog } from '../../src/handlers/audit-handlers.js';
+import * as cardService from '../../src/services/card-service.js';
+import logger from '../../src/utils/logger.js';
+
+const AuditService = auditService.constructor;
+
+const CALLER = { clientId: 'vapi-prod', mcpSessionId: 'session-1' };
+
+describe('Audit Log', () => {
+  let tempDir;
+  let service;
+
+  beforeEach(async () => {
+    logger.info = vi.fn();
+    logger.error = vi.fn();
+    logger.warn = vi.fn();
+    logger.debug = vi.fn();
+
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'audit-log-'));
+    service = new AuditService(path.join(tempDir, 'audit-log.jsonl'));
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  async function recordSample() {
+    await service.record({ action: 'pan_disclosed', tool: 'get_card_details', cardToken: 'card_a', reason: 'caller_verification', ...CALLER });
+    await service.record({ action: 'card_state_changed', tool: 'toggle_card_state', cardToken: 'card_b', details: { state: 'PAUSED' }, ...CALLER });
+    await service.record({ action: 'pan_disclosed', tool: 'get_card_details', cardToken: 'card_a', reason: 'bank_security_check', ...CALLER });
+  }
+
+  async function rewriteLines(transform) {
+    const lines = (await fs.readFile(service.filePath, 'utf8')).trim().split('\n');
+    await fs.writeFile(service.filePath, transform(lines).join('\n') + '\n');
+  }
+
+  test('should chain entries by hash and verify an untouched log', async () => {
+    await recordSample();
+    const { entries } = await service.query();
+
+    expect(entries.map(entry => entry.sequence)).toEqual([1, 2, 3]);
+    expect(entries[0].previousHash).toBe('0'.repeat(64));
+    expect(entries[1].previousHash).toBe(entries[0].hash);
+    expect(await service.verify()).toEqual({ valid: true, entriesChecked: 3, brokenAtSequence: null, error: null });
+  });
+
+  test('should keep the chain intact across concurrent writes', async () => {
+    await Promise.all([1, 2, 3, 4, 5].map(n =>
+      service.record({ action: 'card_limits_updated', tool: 'update_card_limits', cardToken: `card_${n}` })
+    ));
+
+    expect((await service.verify()).valid).toBe(true);
+    expect((await service.query()).entries).toHaveLength(5);
+  });
+
+  test('should continue the chain after a restart', async () => {
+    await recordSample();
+
+    const restarted = new AuditService(service.filePath);
+    const entry = await restarted.record({ action: 'card_created', tool: 'create_honeypot_card', cardToken: 'card_c' });
+
+    expect(entry.sequence).toBe(4);
+    expect((await restarted.verify()).valid).toBe(true);
+  });
+
+  test('should detect an edited entry', async () => {
+    await recordSample();
+    await rewriteLines(lines => {
+      const entry = JSON.parse(lines[1]);
+      entry.clientId = 'someone-else';
+      lines[1] = JSON.stringify(entry);
+      return lines;
+    });
+
+    expect(await service.verify()).toMatchObject({
+      valid: false,
+      brokenAtSequence: 2,
+      error: 'Entry hash does not match its contents'
+    });
+  });
+
+  test('should detect a deleted entry', async () => {
+    await recordSample();
+    await rewriteLines(lines => [lines[0], lines[2]]);
+
+    expect(await service.verify()).toMatchObject({ valid: false, brokenAtSequence: 3 });
+  });
+
+  test('should query by card and time window', async () => {
+    await recordSample();
+    const { entries: all } = await service.query();
+
+    expect((await service.query({ cardToken: 'card_a' })).entries.map(entry => entry.reason))
+      .toEqual(['caller_verification', 'bank_security_check']);
+    expect((await service.query({ startTime: all[1].timestamp, endTime: all[1].timestamp })).entries
+      .every(entry => entry.timestamp === all[1].timestamp)).toBe(true);
+    expect((await service.query({ endTime: '2000-01-01T00:00:00Z' })).totalMatches).toBe(0);
+  });
+
+  test('should reject unknown actions', async () => {
+    await expect(service.record({ action: 'card_deleted', tool: 'x', cardToken: 'card_a' }))
+      .rejects.toThrow('Unknown audit action');
+  });
+
+  describe('Tool handlers', () => {
+    beforeEach(() => {
+      vi.spyOn(auditService, 'record').mockImplementation(event => service.record(event));
+      vi.spyOn(auditService, 'query').mockImplementation(filters => service.query(filters));
+      vi.spyOn(auditService, 'verify').mockImplementation(() => service.verify());
+    });
+
+    test('should record PAN disclosures with the caller identity and never the PAN', async () => {
+      vi.mocked(cardService.getCardDetailsForMcp).mockResolvedValue({
+        cardToken: 'card_abcdef123456',
+        cardDetails: { token: 'card_abcdef123456', pan: '4111111111111111', lastFour: '1111' }
+      });
+
+      await handleGetCardDetails(
+        { cardToken: 'card_abcdef123456', includePan: true, reason: 'caller_verification' },
+        'mcp_1_test',
+        { caller: CALLER }
+      );
+
+      const { entries } = await service.query();
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toMatchObject({
+        action: 'pan_disclosed',
+        tool: 'get_card_details',
+        cardToken: 'card_abcdef123456',
+        clientId: 'vapi-prod',
+        mcpSessionId: 'session-1',
+        reason: 'caller_verification',
+        requestId: 'mcp_1_test'
+      });
+      expect(await fs.readFile(service.filePath, 'utf8')).not.toContain('4111111111111111');
+    });
+
+    test('should not return a PAN whose disclosure cannot be recorded', async () => {
+      vi.mocked(cardService.getCardDetailsForMcp).mockResolvedValue({
+        cardToken: 'card_abcdef123456',
+        cardDetails: { token: 'card_abcdef123456', pan: '4111111111111111' }
+      });
+      auditService.record.mockRejectedValue(new Error('Failed to write audit entry: disk full'));
+
+      await expect(handleGetCardDetails({ cardToken: 'card_abcdef123456' }, 'mcp_1_test', { caller: CALLER }))
+        .rejects.toThrow("Tool 'get_card_details' failed: Failed to write audit entry");
+    });
+
+    test('should record card state changes', async () => {
+      vi.mocked(cardService.toggleCardState).mockResolvedValue({ state: 'PAUSED' });
+
+      await handleToggleCardState({ cardToken: 'card_abcdef123456', state: 'PAUSED', reason: 'scam call ended' }, 'mcp_2_test', { caller: CALLER });
+
+      expect((await service.query()).entries[0]).toMatchObject({
+        action: 'card_state_changed',
+        reason: 'scam call ended',
+        details: { state: 'PAUSED' }
+      });
+    });
+
+    test('should return entries newest first with chain status from get_audit_log', async () => {
+      await recordSample();
+
+      const response = await handleGetAuditLog({ cardToken: 'card_a' }, 'mcp_3_test');
+      const body = JSON.parse(response.content[0].text);
+
+      expect(body.auditLog.entries.map(entry => entry.sequence)).toEqual([3, 1]);
+      expect(body.auditLog.totalMatches).toBe(2);
+      expect(body.chainVerification.valid).toBe(true);
+    });
+
+    test('should reject invalid time windows', async () => {
+      await expect(handleGetAuditLog({ startTime: 'yesterday' }, 'mcp_4_test'))
+        .rejects.toThrow('startTime must be an ISO 8601 timestamp');
+      await expect(handleGetAuditLog({ startTime: '2026-02-01T00:00:00Z', endTime: '2026-01-01T00:00:00Z' }, 'mcp_4_test'))
+        .rejects.toThrow('startTime must not be after endTime');
+    });
+  });
+});
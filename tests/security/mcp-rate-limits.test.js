@@ -0,0 +1,175 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import express from 'express';
+
+/**
+ * Security Tests for /mcp Abuse Protection
+ *
+ * Validates per-IP and per-key rate limiting, bounded limiter memory, body size
+ * limits and JSON-RPC shaped rejections.
+ */
+
+vi.mock('../../src/utils/logger.js');
+
+import {
+  createRateLimiter,
+  createRateLimitMiddleware,
+  createBodyErrorHandler,
+  JSON_RPC_ERRORS
+} from '../../src/api/mcp-limits.js';
+import logger from '../../src/utils/logger.js';
+
+function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+describe('MCP HTTP Limits', () => {
+  beforeEach(() => {
+    logger.info = vi.fn();
+    logger.error = vi.fn();
+    logger.warn = vi.fn();
+    logger.debug = vi.fn();
+  });
+
+  describe('Rate limiter', () => {
+    test('should allow requests up to the limit within a window', () => {
+      const limiter = createRateLimiter({ windowMs: 1000, max: 2 });
+
+      expect(limiter.hit('a', 0).allowed).toBe(true);
+      expect(limiter.hit('a', 10).allowed).toBe(true);
+      expect(limiter.hit('a', 20)).toEqual({ allowed: false, remaining: 0, retryAfterSeconds: 1 });
+      expect(limiter.hit('b', 20).allowed).toBe(true);
+      expect(limiter.hit('a', 1000).allowed).toBe(true);
+    });
+
+    test('should bound the number of tracked clients', () => {
+      const limiter = createRateLimiter({ windowMs: 60000, max: 1, maxTrackedKeys: 3 });
+
+      for (let i = 0; i < 10; i++) {
+        limiter.hit(`client-${i}`, i);
+      }
+
+      expect(limiter.size()).toBe(3);
+    });
+
+    test('should drop expired windows', () => {
+      const limiter = createRateLimiter({ windowMs: 1000, max: 1 });
+      limiter.hit('a', 0);
+      limiter.hit('b', 10);
+
+      limiter.hit('c', 5000);
+
+      expect(limiter.size()).toBe(1);
+    });
+  });
+
+  describe('Rate limit middleware', () => {
+    test('should reject requests over the limit with a JSON-RPC error', () => {
+      const middleware = createRateLimitMiddleware({
+        limiter: createRateLimiter({ windowMs: 60000, max: 1 }),
+        scope: 'api_key',
+        keyFor: req => req.apiKey?.id
+      });
+      const req = { method: 'POST', apiKey: { id: 'vapi-prod' }, body: { jsonrpc: '2.0', id: 7, method: 'tools/list' } };
+      const next = vi.fn();
+
+      middleware(req, createResponse(), next);
+      const res = createResponse();
+      middleware(req, res, next);
+
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.statusCode).toBe(429);
+      expect(res.headers['Retry-After']).toBe('60');
+      expect(res.body).toEqual({
+        jsonrpc: '2.0',
+        error: {
+          code: JSON_RPC_ERRORS.SERVER_ERROR,
+          message: 'Rate limit exceeded',
+          data: { reason: 'rate_limited', scope: 'api_key', retryAfterSeconds: 60 }
+        },
+        id: 7
+      });
+    });
+
+    test('should skip requests without a key and CORS preflight', () => {
+      const middleware = createRateLimitMiddleware({
+        limiter: createRateLimiter({ windowMs: 60000, max: 0 }),
+        scope: 'ip',
+        keyFor: req => req.ip
+      });
+      const next = vi.fn();
+
+      middleware({ method: 'POST' }, createResponse(), next);
+      middleware({ method: 'OPTIONS', ip: '10.0.0.1' }, createResponse(), next);
+
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Body limits', () => {
+    let server;
+    let baseUrl;
+
+    beforeEach(async () => {
+      const app = express();
+      app.use(express.json({ limit: 64 }));
+      app.use(createBodyErrorHandler(64));
+      app.post('/mcp', (req, res) => res.json({ ok: true }));
+
+      await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+      });
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should reject oversized bodies with a JSON-RPC error', async () => {
+      const response = await fetch(`${baseUrl}/mcp`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { padding: 'x'.repeat(200) } })
+      });
+
+      expect(response.status).toBe(413);
+      expect(await response.json()).toEqual({
+        jsonrpc: '2.0',
+        error: {
+          code: JSON_RPC_ERRORS.INVALID_REQUEST,
+          message: 'Request body too large',
+          data: { reason: 'body_too_large', limitBytes: 64 }
+        },
+        id: null
+      });
+    });
+
+    test('should reject malformed JSON with a parse error', async () => {
+      const response = await fetch(`${baseUrl}/mcp`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{ not json'
+      });
+
+      expect(response.status).toBe(400);
+      expect((await response.json()).error.code).toBe(JSON_RPC_ERRORS.PARSE_ERROR);
+    });
+
+    test('should accept bodies within the limit', async () => {
+      const response = await fetch(`${baseUrl}/mcp`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'ping' })
+      });
+
+      expect(response.status).toBe(200);
+    });
+  });
+});
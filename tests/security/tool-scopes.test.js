@@ -0,0 +1,141 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Security Tests for Per-Tool Authorization Scopes
+ *
+ * Validates the tool-to-scope map, tools/list filtering, structured denials,
+ * and that scopes bound to an API key reach the MCP server as AuthInfo.
+ */
+
+vi.mock('../../src/utils/logger.js');
+
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import apiKeyService from '../../src/services/api-key-service.js';
+import { createMcpAuthMiddleware } from '../../src/api/mcp-auth.js';
+import {
+  TOOL_SCOPES,
+  requiredScopeForTool,
+  filterToolsByScopes,
+  assertScope,
+  hasScope
+} from '../../src/utils/tool-scopes.js';
+import { cardToolSchemas } from '../../src/schemas/card-schemas.js';
+import { transactionToolSchemas } from '../../src/schemas/transaction-schemas.js';
+import { patternAnalysisToolSchemas } from '../../src/schemas/pattern-analysis-schemas.js';
+import { realtimeIntelligenceToolSchemas } from '../../src/schemas/realtime-intelligence-schemas.js';
+import { pollingToolSchemas } from '../../src/schemas/polling-schemas.js';
+import { auditToolSchemas } from '../../src/schemas/audit-schemas.js';
+import { sessionToolSchemas } from '../../src/schemas/session-schemas.js';
+import logger from '../../src/utils/logger.js';
+
+const ApiKeyService = apiKeyService.constructor;
+
+const ALL_TOOLS = [
+  { name: 'health_check' },
+  ...cardToolSchemas,
+  ...transactionToolSchemas,
+  ...patternAnalysisToolSchemas,
+  ...realtimeIntelligenceToolSchemas,
+  ...pollingToolSchemas,
+  ...auditToolSchemas,
+  ...sessionToolSchemas
+];
+
+describe('Per-Tool Authorization Scopes', () => {
+  beforeEach(() => {
+    logger.info = vi.fn();
+    logger.error = vi.fn();
+    logger.warn = vi.fn();
+    logger.debug = vi.fn();
+  });
+
+  test('should map every registered tool to a scope', () => {
+    for (const tool of ALL_TOOLS) {
+      expect(Object.hasOwn(TOOL_SCOPES, tool.name), tool.name).toBe(true);
+    }
+  });
+
+  test('should require the PAN scope for get_card_details only', () => {
+    const panTools = ALL_TOOLS.filter(tool => requiredScopeForTool(tool.name) === 'cards:pan');
+
+    expect(panTools.map(tool => tool.name)).toEqual(['get_card_details']);
+  });
+
+  test('should list only permitted tools', () => {
+    const names = filterToolsByScopes(ALL_TOOLS, ['cards:read']).map(tool => tool.name);
+
+    expect(names).toEqual(['health_check', 'list_available_cards']);
+    expect(filterToolsByScopes(ALL_TOOLS, ['*'])).toHaveLength(ALL_TOOLS.length);
+    expect(filterToolsByScopes(ALL_TOOLS, []).map(tool => tool.name)).toEqual(['health_check']);
+  });
+
+  test('should require the wildcard scope for unmapped tools', () => {
+    expect(requiredScopeForTool('future_tool')).toBe('*');
+    expect(hasScope(['cards:read', 'cards:write'], requiredScopeForTool('future_tool'))).toBe(false);
+  });
+
+  test('should refuse unauthorized calls with a structured MCP error', () => {
+    let error;
+    try {
+      assertScope(['cards:read'], 'cards:write', "tool 'create_honeypot_card'");
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(McpError);
+    expect(error.code).toBe(ErrorCode.InvalidRequest);
+    expect(error.message).toContain("tool 'create_honeypot_card' requires 'cards:write'");
+    expect(error.data).toEqual({
+      reason: 'insufficient_scope',
+      requiredScope: 'cards:write',
+      grantedScopes: ['cards:read'],
+      target: "tool 'create_honeypot_card'"
+    });
+  });
+
+  describe('API key scopes', () => {
+    let tempDir;
+    let service;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'api-key-scopes-'));
+      service = new ApiKeyService(path.join(tempDir, 'api-keys.json'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    test('should pass key scopes to the MCP server as AuthInfo', async () => {
+      const { key } = await service.createKey('vapi-prod', 'Vapi', ['cards:read', 'transactions:read']);
+      const middleware = createMcpAuthMiddleware({ keyService: service });
+      const req = { method: 'POST', headers: { authorization: `Bearer ${key}` }, query: {} };
+
+      await middleware(req, {}, () => {});
+
+      expect(req.auth).toEqual({ token: key, clientId: 'vapi-prod', scopes: ['cards:read', 'transactions:read'] });
+    });
+
+    test('should apply scope changes without a restart', async () => {
+      const { key } = await service.createKey('vapi-prod', 'Vapi', ['cards:read']);
+      expect((await service.authenticate(`Bearer ${key}`)).apiKey.scopes).toEqual(['cards:read']);
+
+      await service.setScopes('vapi-prod', ['cards:read', 'cards:pan']);
+
+      expect((await service.authenticate(`Bearer ${key}`)).apiKey.scopes).toEqual(['cards:read', 'cards:pan']);
+    });
+
+    test('should reject unknown scope names', async () => {
+      await expect(service.createKey('vapi-prod', 'Vapi', ['cards:admin'])).rejects.toThrow('Unknown scopes: cards:admin');
+    });
+
+    test('should grant no scopes to keys created without any', async () => {
+      const { key } = await service.createKey('legacy');
+
+      expect((await service.authenticate(`Bearer ${key}`)).apiKey.scopes).toEqual([]);
+    });
+  });
+});
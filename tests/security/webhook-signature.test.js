@@ -0,0 +1,112 @@
+import { describe, test, expect } from 'vitest';
+
+/**
+ * Security Tests for Lithic Webhook Signature Verification
+ *
+ * Webhook deliveries write straight into the transactions table, so forged or
+ * replayed requests must never pass verification.
+ */
+
+import {
+  computeWebhookSignature,
+  verifyWebhookSignature
+} from '../../src/utils/webhook-signature.js';
+
+const SECRET = 'whsec_' + Buffer.from('test-webhook-secret').toString('base64');
+const NOW_MS = 1_700_000_000_000;
+const NOW_SECONDS = Math.floor(NOW_MS / 1000);
+
+function signedHeaders(payload, { id = 'msg_test_1', timestamp = NOW_SECONDS, secret = SECRET } = {}) {
+  return {
+    'webhook-id': id,
+    'webhook-timestamp': String(timestamp),
+    'webhook-signature': `v1,${computeWebhookSignature(secret, id, timestamp, payload)}`
+  };
+}
+
+describe('Lithic Webhook Signature Verification', () => {
+  const payload = JSON.stringify({ token: 'txn-1', card_token: 'card-1', status: 'SETTLED' });
+
+  test('should accept a correctly signed payload', () => {
+    const result = verifyWebhookSignature({
+      payload: Buffer.from(payload),
+      headers: signedHeaders(payload),
+      secret: SECRET,
+      now: NOW_MS
+    });
+
+    expect(result.valid).toBe(true);
+    expect(result.webhookId).toBe('msg_test_1');
+    expect(result.timestamp).toBe(NOW_SECONDS);
+  });
+
+  test('should accept any matching signature during secret rotation', () => {
+    const headers = signedHeaders(payload);
+    headers['webhook-signature'] = `v1,${Buffer.from('stale').toString('base64')} ${headers['webhook-signature']}`;
+
+    const result = verifyWebhookSignature({ payload, headers, secret: SECRET, now: NOW_MS });
+
+    expect(result.valid).toBe(true);
+  });
+
+  test('should reject a tampered payload', () => {
+    const tampered = payload.replace('SETTLED', 'DECLINED');
+
+    const result = verifyWebhookSignature({
+      payload: tampered,
+      headers: signedHeaders(payload),
+      secret: SECRET,
+      now: NOW_MS
+    });
+
+    expect(result.valid).toBe(false);
+    expect(result.error).toMatch(/mismatch/);
+  });
+
+  test('should reject signatures made with a different secret', () => {
+    const result = verifyWebhookSignature({
+      payload,
+      headers: signedHeaders(payload, { secret: 'whsec_' + Buffer.from('other').toString('base64') }),
+      secret: SECRET,
+      now: NOW_MS
+    });
+
+    expect(result.valid).toBe(false);
+  });
+
+  test('should reject timestamps outside the tolerance window', () => {
+    const stale = NOW_SECONDS - 301;
+
+    const result = verifyWebhookSignature({
+      payload,
+      headers: signedHeaders(payload, { timestamp: stale }),
+      secret: SECRET,
+      toleranceSeconds: 300,
+      now: NOW_MS
+    });
+
+    expect(result.valid).toBe(false);
+    expect(result.error).toMatch(/tolerance/);
+  });
+
+  test('should reject requests with missing signature headers', () => {
+    const headers = signedHeaders(payload);
+    delete headers['webhook-signature'];
+
+    const result = verifyWebhookSignature({ payload, headers, secret: SECRET, now: NOW_MS });
+
+    expect(result.valid).toBe(false);
+    expect(result.error).toMatch(/Missing/);
+  });
+
+  test('should reject everything when no secret is configured', () => {
+    const result = verifyWebhookSignature({
+      payload,
+      headers: signedHeaders(payload),
+      secret: undefined,
+      now: NOW_MS
+    });
+
+    expect(result.valid).toBe(false);
+  });
+});
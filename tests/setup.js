@@ -7,10 +7,15 @@
 
 import { vi, beforeAll, afterAll, beforeEach } from 'vitest';
 import dotenv from 'dotenv';
+import os from 'os';
+import path from 'path';
 
 // Load test environment variables
 dotenv.config({ path: '.env.test' });
 
+// Keep audit entries written by handler tests out of the working tree
+process.env.AUDIT_LOG_PATH = path.join(os.tmpdir(), `honeypot-audit-${process.pid}.jsonl`);
+
 // Global test configuration
 beforeAll(() => {
   // Set test environment
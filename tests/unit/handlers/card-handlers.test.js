@@ -42,11 +42,13 @@ vi.mock('@supabase/supabase-js', () => ({
 }));
 
 vi.mock('../../../src/services/card-service.js');
+vi.mock('../../../src/services/campaign-service.js');
 vi.mock('../../../src/utils/logger.js');
 
 // Now import the modules
 import * as cardHandlers from '../../../src/handlers/card-handlers.js';
 import * as cardService from '../../../src/services/card-service.js';
+import * as campaignService from '../../../src/services/campaign-service.js';
 import logger from '../../../src/utils/logger.js';
 
 describe('Card Handlers - MCP Tool Implementation', () => {
@@ -286,6 +288,39 @@ describe('Card Handlers - MCP Tool Implementation', () => {
       expect(result.content[0].text).toContain('card_new123');
     });
 
+    test('handleCreateHoneypotCard - links the card to metadata.campaign', async () => {
+      cardService.createHoneypotCard = vi.fn().mockResolvedValue({ token: 'card_new123', state: 'ACTIVE' });
+      campaignService.recordCardLeak = vi.fn().mockResolvedValue({
+        campaign: { id: 'campaign-1', name: 'tech-support-calls', leak_channel: 'scam_call' },
+        card: { card_token: 'card_new123', campaign_id: 'campaign-1', leak_channel: 'scam_call', leaked_at: '2024-01-15T10:00:00Z' },
+        campaignCreated: false
+      });
+
+      const metadata = { campaign: 'tech-support-calls', leakChannel: 'scam_call', persona: 'Margaret' };
+      const result = await cardHandlers.handleCreateHoneypotCard({ metadata }, mockRequestId);
+
+      expect(campaignService.recordCardLeak).toHaveBeenCalledWith('card_new123', 'tech-support-calls', metadata);
+      const response = JSON.parse(result.content[0].text);
+      expect(response.campaign).toMatchObject({
+        id: 'campaign-1',
+        name: 'tech-support-calls',
+        campaignCreated: false,
+        leak: { cardToken: 'card_new123', leakChannel: 'scam_call' }
+      });
+      expect(response.warnings).toBeUndefined();
+    });
+
+    test('handleCreateHoneypotCard - reports a failed campaign link as a warning', async () => {
+      cardService.createHoneypotCard = vi.fn().mockResolvedValue({ token: 'card_new123', state: 'ACTIVE' });
+      campaignService.recordCardLeak = vi.fn().mockRejectedValue(new Error('Database unavailable'));
+
+      const result = await cardHandlers.handleCreateHoneypotCard({ metadata: { campaign: 'forum-2024' } }, mockRequestId);
+
+      const response = JSON.parse(result.content[0].text);
+      expect(response.campaign).toBeNull();
+      expect(response.warnings[0]).toContain('record_card_leak');
+    });
+
     test('handleUpdateCardLimits - updates limits correctly', async () => {
       const args = {
         cardToken: 'card_123',
@@ -0,0 +1,263 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// Mock all dependencies BEFORE importing anything else
+vi.mock('../../../src/services/reporting-service.js');
+vi.mock('../../../src/services/mcc-service.js');
+vi.mock('../../../src/utils/logger.js');
+
+// Now import the modules
+import * as patternHandlers from '../../../src/handlers/pattern-analysis-handlers.js';
+import * as reportingService from '../../../src/services/reporting-service.js';
+import * as mccService from '../../../src/services/mcc-service.js';
+import logger from '../../../src/utils/logger.js';
+import velocityDetector from '../../../src/services/velocity-detector.js';
+import { patternAnalysisToolSchemas } from '../../../src/schemas/pattern-analysis-schemas.js';
+import { withToolDefaults } from '../../helpers/test-helpers.js';
+
+const BASE_TIME = Date.parse('2026-01-01T03:00:00Z');
+
+function historyRow(overrides = {}, offsetSeconds = 0) {
+  return {
+    token: `txn_${offsetSeconds}`,
+    card_token: 'card_pattern123456',
+    created_at: new Date(BASE_TIME + offsetSeconds * 1000).toISOString(),
+    amount_usd: 25,
+    result: 'APPROVED',
+    is_approved: true,
+    merchant: 'COFFEE SHOP',
+    merchant_mcc: '5814',
+    country: 'USA',
+    location: 'Seattle, WA, USA',
+    ...overrides
+  };
+}
+
+// Handlers receive arguments with schema defaults applied by the dispatcher
+function toolArgs(toolName, args) {
+  return withToolDefaults(patternAnalysisToolSchemas, toolName, args);
+}
+
+function parseResponse(response) {
+  return JSON.parse(response.content[0].text);
+}
+
+describe('Pattern Analysis Handlers - MCP Tool Implementation', () => {
+  let mockRequestId;
+
+  beforeEach(() => {
+    mockRequestId = 'mcp_test_123456789';
+    vi.clearAllMocks();
+
+    // Mock logger methods
+    logger.info = vi.fn();
+    logger.error = vi.fn();
+    logger.warn = vi.fn();
+    logger.debug = vi.fn();
+
+    mccService.batchLookupMCCs = vi.fn().mockResolvedValue(new Map([
+      ['5814', { description: 'Fast Food Restaurants', category: 'Food & Dining' }],
+      ['6051', { description: 'Quasi Cash', category: 'Financial' }]
+    ]));
+    mccService.lookupMCC = vi.fn().mockResolvedValue({ description: 'Quasi Cash', category: 'Financial' });
+    mccService.getSuspiciousMccCodes = vi.fn().mockResolvedValue([
+      { mcc_code: '6051', riskLevel: 'HIGH', reason: 'Quasi-cash merchants' }
+    ]);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('analyze_card_patterns', () => {
+    test('validates required cardToken', async () => {
+      await expect(patternHandlers.handleAnalyzeCardPatterns({}, mockRequestId))
+        .rejects.toThrow("Tool 'analyze_card_patterns' failed: cardToken is required");
+    });
+
+    test('flags card-testing probes and suspicious categories', async () => {
+      reportingService.getTransactionHistory = vi.fn().mockResolvedValue([
+        historyRow({ amount_usd: 1.0, merchant: 'PROBE A' }, 0),
+        historyRow({ amount_usd: 0.5, merchant: 'PROBE B' }, 30),
+        historyRow({ amount_usd: 480, merchant: 'CRYPTO ATM', merchant_mcc: '6051' }, 600)
+      ]);
+
+      const result = parseResponse(
+        await patternHandlers.handleAnalyzeCardPatterns(toolArgs('analyze_card_patterns', { cardToken: 'card_pattern123456' }), mockRequestId)
+      );
+
+      const types = result.cardPatterns.findings.map(f => f.type);
+      expect(types).toContain('card_testing_probes');
+      expect(types).toContain('suspicious_merchant_category');
+      expect(result.cardPatterns.riskLevel).toBe('critical');
+      expect(result.cardPatterns.riskScore).toBe(1);
+      expect(result.cardPatterns.summary.transactionCount).toBe(3);
+      expect(result.cardPatterns.cardToken).toBe('card_pat***');
+    });
+
+    test('uses the risk rules for card-testing amounts and off-hours', async () => {
+      // $3 at 04:30 New York time: card_testing_amount (below $5) and off_hours (00-06 America/New_York)
+      reportingService.getTransactionHistory = vi.fn().mockResolvedValue([
+        historyRow({ token: 'txn_a', amount_usd: 3, created_at: '2026-03-10T08:30:00.000Z' }),
+        historyRow({ token: 'txn_b', amount_usd: 3, created_at: '2026-03-10T08:40:00.000Z' }),
+        historyRow({ token: 'txn_c', amount_usd: 3, created_at: '2026-03-10T08:50:00.000Z' })
+      ]);
+
+      const { cardPatterns } = parseResponse(
+        await patternHandlers.handleAnalyzeCardPatterns(toolArgs('analyze_card_patterns', { cardToken: 'card_pattern123456' }), mockRequestId)
+      );
+
+      expect(cardPatterns.amounts.probeCount).toBe(3);
+      expect(cardPatterns.temporal).toMatchObject({
+        timezone: 'America/New_York',
+        offHours: { startHour: 0, endHour: 6 },
+        overnightShare: 1
+      });
+      expect(cardPatterns.temporal.hourlyDistribution[4]).toBe(3);
+      expect(cardPatterns.findings.map(f => f.type)).toEqual(
+        expect.arrayContaining(['card_testing_probes', 'overnight_activity'])
+      );
+    });
+
+    test('returns no findings for an unused card', async () => {
+      reportingService.getTransactionHistory = vi.fn().mockResolvedValue([]);
+
+      const result = parseResponse(
+        await patternHandlers.handleAnalyzeCardPatterns(toolArgs('analyze_card_patterns', { cardToken: 'card_pattern123456' }), mockRequestId)
+      );
+
+      expect(result.cardPatterns.findings).toEqual([]);
+      expect(result.cardPatterns).toMatchObject({ riskScore: 0, riskLevel: 'low' });
+    });
+  });
+
+  describe('detect_velocity_anomalies', () => {
+    test('flags windows above the limit and merges overlapping breaches', async () => {
+      const burst = Array.from({ length: 7 }, (_, i) =>
+        historyRow({ merchant: `MERCHANT ${i % 4}`, is_approved: i % 3 === 0 }, i * 120)
+      );
+      reportingService.getTransactionHistory = vi.fn().mockResolvedValue([
+        ...burst,
+        historyRow({}, 86400)
+      ]);
+
+      const result = parseResponse(
+        await patternHandlers.handleDetectVelocityAnomalies(
+          toolArgs('detect_velocity_anomalies', { cardToken: 'card_pattern123456', windowMinutes: 60, transactionThreshold: 5 }),
+          mockRequestId
+        )
+      );
+
+      expect(result.velocityAnalysis.flaggedWindows).toHaveLength(1);
+      expect(result.velocityAnalysis.flaggedWindows[0].transactionCount).toBe(7);
+      expect(result.velocityAnalysis.peakWindowCount).toBe(7);
+      const types = result.velocityAnalysis.findings.map(f => f.type);
+      expect(types).toContain('velocity_breach');
+      expect(types).toContain('merchant_hopping');
+      expect(types).toContain('decline_burst');
+      expect(result.velocityAnalysis.flaggedWindows[0].breaches.map(b => b.check)).toEqual(
+        expect.arrayContaining(['transaction_count', 'distinct_merchants', 'decline_ratio'])
+      );
+    });
+
+    test('defaults to the velocity_breach alert window and thresholds', async () => {
+      reportingService.getTransactionHistory = vi.fn().mockResolvedValue(
+        Array.from({ length: 5 }, (_, i) => historyRow({ token: `txn_${i}` }, i * 600))
+      );
+
+      const { velocityAnalysis } = parseResponse(
+        await patternHandlers.handleDetectVelocityAnomalies(toolArgs('detect_velocity_anomalies', { cardToken: 'card_pattern123456' }), mockRequestId)
+      );
+
+      expect(velocityAnalysis.parameters).toMatchObject(velocityDetector.options);
+      expect(velocityAnalysis.flaggedWindows).toHaveLength(1);
+      expect(velocityAnalysis.findings[0]).toMatchObject({ type: 'velocity_breach' });
+    });
+
+    test('flags rapid succession pairs', async () => {
+      reportingService.getTransactionHistory = vi.fn().mockResolvedValue([
+        historyRow({}, 0),
+        historyRow({}, 10)
+      ]);
+
+      const result = parseResponse(
+        await patternHandlers.handleDetectVelocityAnomalies(toolArgs('detect_velocity_anomalies', { cardToken: 'card_pattern123456' }), mockRequestId)
+      );
+
+      expect(result.velocityAnalysis.rapidSuccession).toHaveLength(1);
+      expect(result.velocityAnalysis.rapidSuccession[0].secondsApart).toBe(10);
+    });
+  });
+
+  describe('compare_merchant_behavior', () => {
+    test('validates required merchantDescriptor', async () => {
+      await expect(patternHandlers.handleCompareMerchantBehavior({}, mockRequestId))
+        .rejects.toThrow("Tool 'compare_merchant_behavior' failed: merchantDescriptor is required");
+    });
+
+    test('compares merchant against the population baseline', async () => {
+      const merchantRows = [
+        historyRow({ token: 'txn_m1', card_token: 'card_a', merchant: 'CRYPTO ATM', merchant_mcc: '6051', amount_usd: 300 }, 0),
+        historyRow({ token: 'txn_m2', card_token: 'card_b', merchant: 'CRYPTO ATM', merchant_mcc: '6051', amount_usd: 300 }, 60)
+      ];
+      const populationRows = [
+        ...merchantRows,
+        historyRow({ token: 'txn_p1', amount_usd: 20 }, 120),
+        historyRow({ token: 'txn_p2', amount_usd: 40 }, 180)
+      ];
+      reportingService.getTransactionHistory = vi.fn()
+        .mockResolvedValueOnce(merchantRows)
+        .mockResolvedValueOnce(populationRows);
+
+      const result = parseResponse(
+        await patternHandlers.handleCompareMerchantBehavior(toolArgs('compare_merchant_behavior', { merchantDescriptor: 'CRYPTO' }), mockRequestId)
+      );
+
+      const comparison = result.merchantComparison;
+      expect(comparison.baselineProfile.transactionCount).toBe(2);
+      expect(comparison.deviations.averageAmountRatio).toBe(10);
+      const types = comparison.findings.map(f => f.type);
+      expect(types).toContain('multi_card_merchant');
+      expect(types).toContain('amount_outlier');
+      expect(types).toContain('suspicious_merchant_category');
+    });
+  });
+
+  describe('get_entity_graph', () => {
+    test('rejects both cardToken and nodeId', async () => {
+      await expect(patternHandlers.handleGetEntityGraph({ cardToken: 'card_a', nodeId: 'merchant:m-1' }, mockRequestId))
+        .rejects.toThrow("Tool 'get_entity_graph' failed: Provide either cardToken or nodeId, not both");
+    });
+
+    test('returns the card neighborhood, shared-merchant links and ranked components', async () => {
+      reportingService.getEntityGraphData = vi.fn().mockResolvedValue({
+        transactions: [
+          { token: 'txn_1', card_token: 'card_a', network_type: 'visa', created_at: '2026-01-01T03:00:00Z' },
+          { token: 'txn_2', card_token: 'card_b', network_type: 'visa', created_at: '2026-01-01T03:05:00Z' },
+          { token: 'txn_3', card_token: 'card_c', network_type: 'visa', created_at: '2026-01-01T03:10:00Z' }
+        ],
+        links: [
+          { transaction_token: 'txn_1', merchant_id: 1 },
+          { transaction_token: 'txn_2', merchant_id: 1 },
+          { transaction_token: 'txn_3', merchant_id: 2 }
+        ],
+        merchants: [
+          { id: 1, acceptor_id: 'ACC1', descriptor: 'GIFT CARD HUB', country: 'NGA' },
+          { id: 2, acceptor_id: 'ACC2', descriptor: 'CORNER DELI', country: 'USA' }
+        ]
+      });
+
+      const result = parseResponse(
+        await patternHandlers.handleGetEntityGraph(toolArgs('get_entity_graph', { cardToken: 'card_a', depth: 2, days: 30 }), mockRequestId)
+      );
+
+      const graph = result.entityGraph;
+      expect(reportingService.getEntityGraphData).toHaveBeenCalledWith(expect.objectContaining({ limit: 2000 }));
+      expect(graph.neighborhood.found).toBe(true);
+      expect(graph.neighborhood.nodes.map(n => n.id)).toContain('card:card_b');
+      expect(graph.sharedMerchantLinks).toHaveLength(1);
+      expect(graph.sharedMerchantLinks[0].cards).toEqual(['card_a', 'card_b']);
+      expect(graph.components.map(c => c.cardCount)).toEqual([2, 1]);
+      expect(graph.multiCardComponents).toBe(1);
+    });
+  });
+});
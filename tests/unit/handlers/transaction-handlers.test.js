@@ -316,6 +316,31 @@ describe('Transaction Handlers - MCP Tool Implementation', () => {
       );
     });
 
+    test('scores transaction details without card history when the risk context fails', async () => {
+      supabaseService.getTransactionDetails = vi.fn().mockResolvedValue({
+        token: 'txn_context123456',
+        card_token: 'card_context123456',
+        result: 'APPROVED',
+        cardholder_amount_usd: 42,
+        merchant_country: 'USA',
+        created_at: '2026-03-10T18:00:00.000Z'
+      });
+      supabaseService.getTransactionEvents = vi.fn().mockResolvedValue([]);
+      supabaseService.getCardRiskContext = vi.fn().mockRejectedValue(new Error('connection reset'));
+
+      const result = await transactionHandlers.handleGetTransactionDetails(
+        { transactionToken: 'txn_context123456' },
+        mockRequestId
+      );
+
+      const { analysis } = JSON.parse(result.content[0].text).transactionDetails;
+      expect(analysis.explanation.find(entry => entry.rule === 'high_velocity')).toMatchObject({ evaluated: false });
+      expect(logger.warn).toHaveBeenCalledWith(
+        expect.objectContaining({ requestId: mockRequestId }),
+        'Card risk context unavailable; scoring without card history'
+      );
+    });
+
     test('handles reporting service errors appropriately', async () => {
       const args = { merchantDescriptor: 'Unknown Merchant' };
       const reportingError = new Error('Merchant analysis failed');
@@ -12,8 +12,14 @@ import {
   mockLogger
 } from '../../helpers/test-helpers.js';
 
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
 // Import the ConnectionManager directly for testing
 import connectionManager from '../../../src/services/connection-manager.js';
+import apiKeyService from '../../../src/services/api-key-service.js';
+import { generateApiKey } from '../../../src/utils/api-keys.js';
 
 // Mock alert service to avoid dependencies
 const mockAlertService = {
@@ -115,10 +121,20 @@ const tests = [
   {
     name: 'should authenticate valid Bearer token',
     testFn: async () => {
-      const validToken = 'Bearer test_token_123';
-      const result = await connectionManager.authenticateConnection(validToken);
-      
-      assert(result === true, 'Should authenticate valid Bearer token');
+      const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'api-keys-'));
+      const originalFilePath = apiKeyService.filePath;
+      const { key, hash } = generateApiKey();
+      
+      try {
+        apiKeyService.filePath = path.join(tempDir, 'api-keys.json');
+        await fs.writeFile(apiKeyService.filePath, JSON.stringify({ keys: [{ id: 'test-client', hash }] }));
+        
+        assert(await connectionManager.authenticateConnection(`Bearer ${key}`) === true, 'Should authenticate valid Bearer token');
+        assert(await connectionManager.authenticateConnection('Bearer test_token_123') === false, 'Should reject unknown API key');
+      } finally {
+        apiKeyService.filePath = originalFilePath;
+        await fs.rm(tempDir, { recursive: true, force: true });
+      }
     }
   },
   